@@ -3,15 +3,59 @@ local utils = require "chat_utils"
 
 local _M = {}
 
+local REVISION_MIN_SIMILARITY = 0.5 -- share of lines two blocks must have in common to be revisions
+local REVISION_MIN_LINES = 3 -- shorter blocks (one-line commands) only link by filename
+
+-- A path like "src/app.js" on its own, as a label or comment around a code block
+local function match_filename(text)
+    local name = string.match(text, "([%w_%-%./]*[%w_%-]%.%a%w*)")
+    if name and #name <= 200 and #string.match(name, "%.(%w+)$") <= 10 then
+        return name
+    end
+    return nil
+end
+
+-- Filename of a code block: a first-line comment ("// app.js", "# file: main.py",
+-- "<!-- index.html -->") or a label ending the line before it ("**app.js**", "`main.py`:")
+function _M.detect_filename(code, preceding_text)
+    local first_line = string.match(code or "", "^%s*([^\n]*)") or ""
+    local comment = string.match(first_line, "^[/#;%-<!%*]+%s*(.-)%s*[%-%*/>]*$")
+    if comment then
+        comment = string.gsub(comment, "^[Ff]ile%a*:%s*", "")
+        if not string.find(comment, "%s") then
+            local name = match_filename(comment)
+            if name == comment then
+                return name
+            end
+        end
+    end
+    
+    local label_line = string.match(preceding_text or "", "([^\n]*%S[^\n]*)\n?%s*$")
+    if label_line then
+        local label = string.match(label_line, "`([^`]+)`[%s%*:%.]*$") or
+            string.match(label_line, "%*%*([^*]+)%*%*[%s:%.]*$") or
+            string.match(label_line, "^%s*#+%s*(%S+)%s*$")
+        label = label and utils.trim(label)
+        if label and not string.find(label, "%s") and match_filename(label) == label then
+            return label
+        end
+    end
+    
+    return nil
+end
+
 -- Extract and save code blocks from content and create artifacts with proper IDs
 function _M.extract_and_save_code_blocks(redis_connection, chat_id, message_id, content)
     local artifacts = {}
     local code_block_index = 0
+    local text_start = 1
     
     -- Match code blocks: ```language\ncode\n```
-    for lang, code in string.gmatch(content, "```([%w]*)\n(.-)\n```") do
+    for block_start, lang, code, block_end in string.gmatch(content, "()```([%w]*)\n(.-)\n```()") do
         code_block_index = code_block_index + 1
         local artifact_id = utils.generate_artifact_id(message_id, code_block_index)
+        local filename = _M.detect_filename(code, string.sub(content, text_start, block_start - 1))
+        text_start = block_end
         
         -- Save artifact directly using Redis connection
         local artifact_data = {
@@ -23,6 +67,7 @@ function _M.extract_and_save_code_blocks(redis_connection, chat_id, message_id,
             metadata = {
                 extracted_from_response = true,
                 block_index = code_block_index,
+                filename = filename,
                 extraction_timestamp = ngx.time()
             },
             timestamp = ngx.time(),
@@ -34,8 +79,9 @@ function _M.extract_and_save_code_blocks(redis_connection, chat_id, message_id,
         redis_connection:set(artifact_key, require("cjson").encode(artifact_data))
         redis_connection:expire(artifact_key, 86400 * 365)
         
-        -- Add to chat artifacts list
+        -- Add to chat artifacts list (re-extraction after a continuation must not duplicate IDs)
         local chat_artifacts_key = "chat:artifacts:" .. utils.USER_ID .. ":" .. chat_id
+        redis_connection:lrem(chat_artifacts_key, 0, artifact_id)
         redis_connection:lpush(chat_artifacts_key, artifact_id)
         redis_connection:expire(chat_artifacts_key, 86400 * 365)
         
@@ -297,9 +343,10 @@ function _M.export_artifacts_json(artifacts, options)
 end
 
 -- Export artifacts as Markdown
+-- options.heading replaces the document title (e.g. when embedded in a transcript)
 function _M.export_artifacts_markdown(artifacts, options)
     local lines = {
-        "# Chat Artifacts Export",
+        options.heading or "# Chat Artifacts Export",
         "",
         "**Export Date:** " .. os.date("%Y-%m-%d %H:%M:%S", ngx.time()),
         "**Total Artifacts:** " .. #artifacts,
@@ -328,8 +375,10 @@ function _M.export_artifacts_markdown(artifacts, options)
     end
     
     -- Add artifacts
-    table.insert(lines, "## Artifacts")
-    table.insert(lines, "")
+    if not options.heading then
+        table.insert(lines, "## Artifacts")
+        table.insert(lines, "")
+    end
     
     for i, artifact in ipairs(artifacts) do
         table.insert(lines, "### " .. (artifact.id or ("Artifact " .. i)))
@@ -423,6 +472,131 @@ function _M.export_artifacts_text(artifacts, options)
     return text_content, "text/plain", "artifacts_export.txt"
 end
 
+-- Array that still encodes as [] when empty (JSON consumers iterate these)
+local function json_array()
+    return setmetatable({}, cjson.empty_array_mt)
+end
+
+-- Build transcript data: messages in order with attachment metadata (file contents are left out)
+-- and the code blocks of each message
+function _M.build_transcript(chat_id, chat_meta, messages, artifacts)
+    local code_blocks = json_array()
+    local by_message = {}
+    for _, artifact in ipairs(artifacts or {}) do
+        if artifact.type == "code_block" then
+            table.insert(code_blocks, artifact)
+            by_message[artifact.parent_id] = by_message[artifact.parent_id] or json_array()
+            table.insert(by_message[artifact.parent_id], {
+                id = artifact.id,
+                language = artifact.language or "",
+                code = artifact.code or ""
+            })
+        end
+    end
+    
+    -- Code blocks in the order they appear in each message
+    for _, blocks in pairs(by_message) do
+        table.sort(blocks, function(a, b)
+            return (tonumber(string.match(a.id, "_code%((%d+)%)$")) or 0) <
+                   (tonumber(string.match(b.id, "_code%((%d+)%)$")) or 0)
+        end)
+    end
+    
+    local transcript_messages = json_array()
+    for _, message in ipairs(messages or {}) do
+        local attachments = json_array()
+        for _, file in ipairs(message.files or {}) do
+            table.insert(attachments, {
+                name = file.name,
+                type = file.type,
+                size = file.size
+            })
+        end
+        
+        table.insert(transcript_messages, {
+            id = message.id,
+            role = message.role,
+            content = message.content or "",
+            timestamp = message.timestamp,
+            attachments = attachments,
+            code_blocks = by_message[message.id] or json_array()
+        })
+    end
+    
+    chat_meta = chat_meta or {}
+    return {
+        chat_id = chat_id,
+        title = (chat_meta.title and chat_meta.title ~= "") and chat_meta.title or nil,
+        model = chat_meta.model or utils.MODEL_NAME,
+        exported_at = ngx.time(),
+        message_count = #transcript_messages,
+        messages = transcript_messages,
+        code_blocks = code_blocks
+    }
+end
+
+-- Export a conversation transcript as json or markdown
+function _M.export_transcript(transcript, format)
+    format = format or "markdown"
+    local base_name = "transcript_" .. (string.match(transcript.chat_id or "", "%((%d+)%)") or "chat")
+    
+    if format == "json" then
+        local json_str = cjson.encode(transcript)
+        return json_str, "application/json", base_name .. ".json"
+    elseif format ~= "markdown" then
+        return nil, "Unsupported export format: " .. format
+    end
+    
+    local lines = {
+        "# " .. (transcript.title or ("Conversation " .. (transcript.chat_id or ""))),
+        "",
+        "- **Chat:** " .. (transcript.chat_id or ""),
+        "- **Model:** " .. (transcript.model or ""),
+        "- **Messages:** " .. transcript.message_count,
+        "- **Exported:** " .. os.date("%Y-%m-%d %H:%M:%S", transcript.exported_at),
+        "",
+        "---",
+        ""
+    }
+    
+    for _, message in ipairs(transcript.messages) do
+        local speaker = message.role == "user" and "You" or "JAI"
+        table.insert(lines, "## " .. speaker .. " · " .. (message.id or "") ..
+            " · " .. os.date("%Y-%m-%d %H:%M:%S", message.timestamp or 0))
+        table.insert(lines, "")
+        
+        if #message.attachments > 0 then
+            table.insert(lines, "**Attachments:**")
+            for _, file in ipairs(message.attachments) do
+                table.insert(lines, "- " .. (file.name or "file") .. " (" ..
+                    (file.type or "unknown") .. ", " .. utils.format_file_size(file.size or 0) .. ")")
+            end
+            table.insert(lines, "")
+        end
+        
+        table.insert(lines, message.content)
+        table.insert(lines, "")
+    end
+    
+    -- Code blocks appendix uses the artifact formatter
+    if #transcript.code_blocks > 0 then
+        table.insert(lines, "---")
+        table.insert(lines, "")
+        table.insert(lines, (_M.export_artifacts_markdown(transcript.code_blocks, { heading = "# Code Blocks" })))
+    end
+    
+    local markdown_content = table.concat(lines, "\n")
+    
+    utils.log_info("chat_artifacts", "export_transcript", {
+        chat_id = transcript.chat_id,
+        format = format,
+        message_count = transcript.message_count,
+        export_size = #markdown_content
+    })
+    
+    return markdown_content, "text/markdown", base_name .. ".md"
+end
+
 -- Search artifacts by content
 function _M.search_artifacts(artifacts, query, options)
     if not query or query == "" then
@@ -441,7 +615,7 @@ function _M.search_artifacts(artifacts, query, options)
         }
         
         -- Search in artifact ID
-        if string.find(string.lower(artifact.id or ""), query) then
+        if string.find(string.lower(artifact.id or ""), query, 1, true) then
             matches = true
             table.insert(match_info.matches, {
                 field = "id",
@@ -451,7 +625,7 @@ function _M.search_artifacts(artifacts, query, options)
         
         -- Search in content/code
         local content = artifact.content or artifact.code or ""
-        if string.find(string.lower(content), query) then
+        if string.find(string.lower(content), query, 1, true) then
             matches = true
             
             -- Find context around match if requested
@@ -470,7 +644,7 @@ function _M.search_artifacts(artifacts, query, options)
         end
         
         -- Search in language
-        if artifact.language and string.find(string.lower(artifact.language), query) then
+        if artifact.language and string.find(string.lower(artifact.language), query, 1, true) then
             matches = true
             table.insert(match_info.matches, {
                 field = "language",
@@ -479,7 +653,7 @@ function _M.search_artifacts(artifacts, query, options)
         end
         
         -- Search in type
-        if artifact.type and string.find(string.lower(artifact.type), query) then
+        if artifact.type and string.find(string.lower(artifact.type), query, 1, true) then
             matches = true
             table.insert(match_info.matches, {
                 field = "type",
@@ -501,12 +675,71 @@ function _M.search_artifacts(artifacts, query, options)
     return results
 end
 
+-- Search messages and code blocks of every chat; one hit per matching message/artifact, newest first
+function _M.search_all_chats(redis, chats, query, options)
+    options = options or {}
+    local limit = options.limit or 50
+    local results = {}
+    local total = 0
+    
+    for _, chat in ipairs(chats or {}) do
+        local chat_artifacts = redis.get_chat_artifacts(chat.id) or {}
+        local matches = _M.search_artifacts(chat_artifacts, query, {
+            include_context = true,
+            context_length = options.context_length or 80
+        })
+        
+        for _, match in ipairs(matches) do
+            -- Only content hits count; IDs and types ("jai", "code_block") would match everything
+            local snippet
+            for _, field_match in ipairs(match.matches) do
+                if field_match.field == "content" then
+                    snippet = field_match.context
+                end
+            end
+            
+            if snippet then
+                local artifact = match.artifact
+                local is_code = artifact.type == "code_block"
+                total = total + 1
+                table.insert(results, {
+                    chat_id = chat.id,
+                    chat_title = chat.title ~= "" and chat.title or nil,
+                    message_id = is_code and artifact.parent_id or artifact.id,
+                    artifact_id = is_code and artifact.id or nil,
+                    type = artifact.type,
+                    language = is_code and artifact.language or nil,
+                    snippet = snippet,
+                    timestamp = artifact.timestamp
+                })
+            end
+        end
+    end
+    
+    table.sort(results, function(a, b)
+        return (a.timestamp or 0) > (b.timestamp or 0)
+    end)
+    
+    while #results > limit do
+        table.remove(results)
+    end
+    
+    utils.log_info("chat_artifacts", "search_all_chats", {
+        query = query,
+        chat_count = #(chats or {}),
+        total_matches = total,
+        returned = #results
+    })
+    
+    return results, total
+end
+
 -- Extract context around search match
 function _M.extract_search_context(text, query, context_length)
     local lower_text = string.lower(text)
     local lower_query = string.lower(query)
     
-    local start_pos = string.find(lower_text, lower_query)
+    local start_pos = string.find(lower_text, lower_query, 1, true)
     if not start_pos then
         return nil
     end
@@ -514,6 +747,14 @@ function _M.extract_search_context(text, query, context_length)
     local context_start = math.max(1, start_pos - context_length)
     local context_end = math.min(#text, start_pos + #query + context_length)
     
+    -- Don't cut UTF-8 characters in half (continuation bytes are 0x80-0xBF)
+    while context_start > 1 and string.byte(text, context_start) >= 128 and string.byte(text, context_start) < 192 do
+        context_start = context_start - 1
+    end
+    while context_end < #text and string.byte(text, context_end + 1) >= 128 and string.byte(text, context_end + 1) < 192 do
+        context_end = context_end + 1
+    end
+    
     local context = string.sub(text, context_start, context_end)
     
     -- Add ellipsis if truncated
@@ -653,7 +894,8 @@ function _M.duplicate_artifact(redis, original_artifact, new_chat_id, new_parent
     end
     
     new_artifact.chat_id = new_chat_id
-    new_artifact.timestamp = ngx.time()
+    -- The original time keeps the copy in chat order (version history, project files)
+    new_artifact.timestamp = original_artifact.timestamp or ngx.time()
     
     -- Add duplication metadata
     if not new_artifact.metadata then
@@ -669,7 +911,8 @@ function _M.duplicate_artifact(redis, original_artifact, new_chat_id, new_parent
         new_artifact.parent_id,
         new_artifact.code or new_artifact.content,
         new_artifact.language,
-        new_artifact.metadata
+        new_artifact.metadata,
+        new_artifact.timestamp
     )
     
     if result then
@@ -688,17 +931,396 @@ function _M.duplicate_artifact(redis, original_artifact, new_chat_id, new_parent
     return result, err
 end
 
--- Get artifact version history (if implemented)
-function _M.get_artifact_history(redis, artifact_id)
-    -- This would be implemented if artifact versioning is needed
-    -- For now, return empty history
+-- Non-empty lines with surrounding whitespace removed, counted
+local function line_counts(code)
+    local counts, total = {}, 0
+    for line in string.gmatch(code .. "\n", "([^\n]*)\n") do
+        line = utils.trim(line)
+        if line ~= "" then
+            counts[line] = (counts[line] or 0) + 1
+            total = total + 1
+        end
+    end
+    return counts, total
+end
+
+-- Share of lines two blocks have in common (Dice coefficient over line multisets)
+local function line_similarity(a, b)
+    if a.line_total == 0 or b.line_total == 0 then
+        return 0
+    end
+    
+    local common = 0
+    for line, count in pairs(a.lines) do
+        common = common + math.min(count, b.lines[line] or 0)
+    end
+    return 2 * common / (a.line_total + b.line_total)
+end
+
+local function message_number(message_id)
+    return tonumber(string.match(message_id or "", "%((%d+)%)")) or 0
+end
+
+-- k of a saved edit ..._edit(k), 0 for a block from a message. The counter only grows, so an
+-- edit always has a higher number than the edit it was made from.
+local function edit_number(artifact_id)
+    return tonumber(string.match(artifact_id or "", "_edit%((%d+)%)$")) or 0
+end
+
+-- Chat order of code blocks: by time, blocks of one message in their order, edits of a block
+-- after it (an edit has the message and block index of its source, and may share its second)
+local function block_before(a, b)
+    local ta, tb = a.artifact.timestamp or 0, b.artifact.timestamp or 0
+    if ta ~= tb then
+        return ta < tb
+    end
+    local ma, mb = message_number(a.artifact.parent_id), message_number(b.artifact.parent_id)
+    if ma ~= mb then
+        return ma < mb
+    end
+    if a.block_index ~= b.block_index then
+        return a.block_index < b.block_index
+    end
+    return edit_number(a.artifact.id) < edit_number(b.artifact.id)
+end
+
+-- Group a chat's code blocks into lineages: a saved edit continues the block it was edited from,
+-- other blocks the most recent lineage for the same filename, or else the most similar one in
+-- the same language. Answers add at most one block per lineage, since their blocks are different files.
+function _M.link_revisions(artifacts)
+    local blocks, seen = {}, {}
+    for _, artifact in ipairs(artifacts) do
+        if artifact.type == "code_block" and type(artifact.code) == "string" and not seen[artifact.id] then
+            seen[artifact.id] = true
+            local metadata = type(artifact.metadata) == "table" and artifact.metadata or {}
+            local lines, line_total = line_counts(artifact.code)
+            table.insert(blocks, {
+                artifact = artifact,
+                filename = metadata.filename or _M.detect_filename(artifact.code),
+                language = string.lower(artifact.language or ""),
+                lines = lines,
+                line_total = line_total,
+                block_index = tonumber(metadata.block_index) or 0
+            })
+        end
+    end
+    
+    -- Oldest first; blocks of one message keep their order
+    table.sort(blocks, block_before)
+    
+    local lineages = {}
+    local lineage_of = {}
+    for _, block in ipairs(blocks) do
+        local best, best_score, link = nil, 0, nil
+        
+        -- A saved edit continues the lineage of the block it was edited from
+        local revision_of = type(block.artifact.metadata) == "table" and block.artifact.metadata.revision_of
+        if revision_of and lineage_of[revision_of] then
+            best, link = lineage_of[revision_of], "edit"
+            best_score = line_similarity(best[#best], block)
+        end
+        
+        if not best then
+            for i = #lineages, 1, -1 do
+                local lineage = lineages[i]
+                local head = lineage[#lineage]
+                if head.artifact.parent_id ~= block.artifact.parent_id then
+                    if block.filename and head.filename == block.filename then
+                        best, link = lineage, "filename"
+                        best_score = line_similarity(head, block)
+                        break
+                    end
+                    
+                    local same_language = block.language == "" or head.language == "" or block.language == head.language
+                    local unnamed = not (block.filename and head.filename)
+                    if same_language and unnamed and
+                        block.line_total >= REVISION_MIN_LINES and head.line_total >= REVISION_MIN_LINES then
+                        local score = line_similarity(head, block)
+                        if score >= REVISION_MIN_SIMILARITY and score > best_score then
+                            best, best_score, link = lineage, score, "similarity"
+                        end
+                    end
+                end
+            end
+        end
+        
+        block.link = link
+        block.similarity = best and math.floor(best_score * 1000 + 0.5) / 1000 or nil
+        if best then
+            table.insert(best, block)
+        else
+            best = { block }
+            table.insert(lineages, best)
+        end
+        lineage_of[block.artifact.id] = best
+    end
+    
+    return lineages, lineage_of
+end
+
+-- Versions of a code block: every revision of the same logical file in the chat, oldest first
+function _M.get_artifact_history(redis, chat_id, artifact_id)
+    local artifacts, err = redis.get_chat_artifacts(chat_id)
+    if not artifacts then
+        return nil, err
+    end
+    
+    local _, lineage_of = _M.link_revisions(artifacts)
+    local lineage = lineage_of[artifact_id]
+    if not lineage then
+        return nil, "Code block not found"
+    end
+    
+    local versions = {}
+    local current_version = 1
+    local filename = nil
+    for i, block in ipairs(lineage) do
+        local artifact = block.artifact
+        if artifact.id == artifact_id then
+            current_version = i
+        end
+        filename = block.filename or filename
+        table.insert(versions, {
+            version = i,
+            id = artifact.id,
+            parent_id = artifact.parent_id,
+            language = artifact.language or "",
+            filename = block.filename,
+            code = artifact.code,
+            timestamp = artifact.timestamp,
+            link = block.link,
+            similarity = block.similarity
+        })
+    end
+    
+    utils.log_info("chat_artifacts", "get_artifact_history", {
+        chat_id = chat_id,
+        artifact_id = artifact_id,
+        version_count = #versions
+    })
+    
     return {
         artifact_id = artifact_id,
-        versions = {},
-        current_version = 1
+        filename = filename,
+        versions = versions,
+        current_version = current_version
+    }, nil
+end
+
+-- Filename of each code block in a message, or false, from the labels and comments around it
+local function message_block_filenames(content)
+    local filenames = {}
+    local text_start = 1
+    for block_start, code, block_end in string.gmatch(content, "()```[%w]*\n(.-)\n```()") do
+        table.insert(filenames, _M.detect_filename(code, string.sub(content, text_start, block_start - 1)) or false)
+        text_start = block_end
+    end
+    return filenames
+end
+
+-- The chat's code as project files: the latest version of each code block lineage, one per
+-- filename (the most recent wins). Unnamed blocks are included with filename nil.
+function _M.get_project_files(redis, chat_id)
+    local artifacts, err = redis.get_chat_artifacts(chat_id)
+    if not artifacts then
+        return nil, err
+    end
+    
+    -- Blocks saved before filenames were detected get them from the labels in their message
+    local messages = {}
+    for _, artifact in ipairs(artifacts) do
+        if (artifact.type == "admin" or artifact.type == "jai") and type(artifact.content) == "string" then
+            messages[artifact.id] = artifact.content
+        end
+    end
+    local message_filenames = {}
+    for _, artifact in ipairs(artifacts) do
+        local metadata = type(artifact.metadata) == "table" and artifact.metadata or nil
+        local content = messages[artifact.parent_id]
+        if artifact.type == "code_block" and metadata and not metadata.filename and not metadata.edited and content then
+            message_filenames[artifact.parent_id] = message_filenames[artifact.parent_id] or message_block_filenames(content)
+            metadata.filename = message_filenames[artifact.parent_id][tonumber(metadata.block_index) or 0] or nil
+        end
+    end
+    
+    local lineages = _M.link_revisions(artifacts)
+    local heads = {}
+    local named = {}
+    for _, lineage in ipairs(lineages) do
+        local head = lineage[#lineage]
+        local filename = nil
+        for _, block in ipairs(lineage) do
+            filename = block.filename or filename
+        end
+        
+        local entry = { head = head, filename = filename, version_count = #lineage }
+        if not filename then
+            table.insert(heads, entry)
+        elseif not named[filename] or block_before(named[filename].head, head) then
+            named[filename] = entry
+        end
+    end
+    for _, entry in pairs(named) do
+        table.insert(heads, entry)
+    end
+    
+    table.sort(heads, function(a, b)
+        return block_before(a.head, b.head)
+    end)
+    
+    local files = {}
+    for _, entry in ipairs(heads) do
+        local artifact = entry.head.artifact
+        table.insert(files, {
+            filename = entry.filename,
+            artifact_id = artifact.id,
+            parent_id = artifact.parent_id,
+            language = artifact.language or "",
+            code = artifact.code,
+            timestamp = artifact.timestamp,
+            version_count = entry.version_count
+        })
+    end
+    
+    utils.log_info("chat_artifacts", "get_project_files", {
+        chat_id = chat_id,
+        lineages = #lineages,
+        files = #files
+    })
+    
+    return files, nil
+end
+
+local MENTIONS_PREFIX = "Messages and code blocks the user refers to with @-mentions in the next message. " ..
+    "Treat them as quoted content from this chat.\n\n"
+
+-- Artifact IDs mentioned in text as @admin(1), @jai(3)_code(2) or @jai(3)_code(2)_edit(1),
+-- in order of first mention
+function _M.find_mentions(text)
+    local ids, seen = {}, {}
+    for start in string.gmatch(text or "", "()@%a+%(%d+%)") do
+        local previous = start > 1 and string.sub(text, start - 1, start - 1) or ""
+        -- Not an e-mail address or part of a longer word
+        if not string.match(previous, "[%w@]") then
+            local rest = string.sub(text, start + 1)
+            local id = string.match(rest, "^%a+%(%d+%)_code%(%d+%)_edit%(%d+%)") or
+                string.match(rest, "^%a+%(%d+%)_code%(%d+%)") or
+                string.match(rest, "^%a+%(%d+%)")
+            if id and utils.is_valid_message_id(id) and not seen[id] then
+                seen[id] = true
+                table.insert(ids, id)
+            end
+        end
+    end
+    return ids
+end
+
+local function mention_text(text)
+    if #text <= utils.MENTION_MAX_BYTES then
+        return text
+    end
+    return utils.truncate_bytes(text, utils.MENTION_MAX_BYTES) .. "\n[... truncated]"
+end
+
+-- One mentioned artifact as quoted context, or nil if it does not exist in the chat
+local function format_mention(redis, chat_id, id)
+    if utils.is_valid_plain_message_id(id) then
+        local message = redis.get_message(chat_id, id)
+        if not message or type(message.content) ~= "string" then
+            return nil
+        end
+        local label = message.role == "user" and "message from the user" or "answer from the assistant"
+        return string.format("@%s (%s):\n%s", id, label, mention_text(message.content))
+    end
+    
+    local artifact = redis.get_artifact(chat_id, id)
+    if not artifact or type(artifact.code) ~= "string" then
+        return nil
+    end
+    local metadata = type(artifact.metadata) == "table" and artifact.metadata or {}
+    local code = mention_text(artifact.code)
+    local fence = string.find(code, "```", 1, true) and "````" or "```"
+    local language = artifact.language or ""
+    local details = (language ~= "" and language .. " " or "") .. "code block from " .. tostring(artifact.parent_id) ..
+        (metadata.filename and ", " .. metadata.filename or "") ..
+        (metadata.edited and ", edited by the user" or "")
+    return string.format("@%s (%s):\n%s%s\n%s\n%s", id, details, fence, language, code, fence)
+end
+
+-- Context for the @-mentions in a prompt: { context, ids } or nil when it mentions nothing.
+-- Mentions of IDs that are not in the chat are listed as missing so the model does not guess.
+function _M.expand_mentions(redis, chat_id, text)
+    local ids = _M.find_mentions(text)
+    if #ids == 0 then
+        return nil
+    end
+    
+    local parts, found, missing = {}, {}, {}
+    for i, id in ipairs(ids) do
+        local part = i <= utils.MENTION_MAX_ARTIFACTS and format_mention(redis, chat_id, id) or nil
+        if part then
+            table.insert(parts, part)
+            table.insert(found, id)
+        elseif i <= utils.MENTION_MAX_ARTIFACTS then
+            table.insert(missing, "@" .. id)
+        end
+    end
+    
+    if #missing > 0 then
+        table.insert(parts, "Not found in this chat: " .. table.concat(missing, ", "))
+    end
+    if #ids > utils.MENTION_MAX_ARTIFACTS then
+        table.insert(parts, string.format("Only the first %d mentions are included.", utils.MENTION_MAX_ARTIFACTS))
+    end
+    
+    utils.log_info("chat_artifacts", "expand_mentions", {
+        chat_id = chat_id,
+        mentions = #ids,
+        found = #found
+    })
+    
+    return {
+        context = MENTIONS_PREFIX .. table.concat(parts, "\n\n"),
+        ids = found
     }
 end
 
+-- Store code the user edited as a new version of a code block: a new artifact under the same
+-- message, linked to the block it was edited from
+function _M.save_edited_version(redis, chat_id, source_artifact_id, code)
+    local source = redis.get_artifact(chat_id, source_artifact_id)
+    if not source or source.type ~= "code_block" then
+        return nil, "Code block not found"
+    end
+    
+    local artifact_id, id_err = redis.execute(function(red)
+        return utils.generate_edit_artifact_id(red, chat_id, source_artifact_id)
+    end)
+    if not artifact_id then
+        return nil, id_err or "Failed to generate artifact ID"
+    end
+    
+    local source_metadata = type(source.metadata) == "table" and source.metadata or {}
+    local artifact, err = redis.save_artifact(chat_id, artifact_id, source.parent_id, code, source.language, {
+        edited = true,
+        revision_of = source_artifact_id,
+        block_index = source_metadata.block_index,
+        filename = source_metadata.filename or _M.detect_filename(source.code)
+    })
+    if not artifact then
+        return nil, err
+    end
+    
+    utils.log_info("chat_artifacts", "save_edited_version", {
+        chat_id = chat_id,
+        artifact_id = artifact_id,
+        revision_of = source_artifact_id,
+        code_length = #code
+    })
+    
+    return artifact, nil
+end
+
 -- Archive old artifacts (mark as archived instead of deleting)
 function _M.archive_old_artifacts(redis, chat_id, days_threshold)
     days_threshold = days_threshold or 30
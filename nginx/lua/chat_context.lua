@@ -0,0 +1,324 @@
+-- Context window manager: fits chat history into the model's num_ctx using token estimates,
+-- always keeps pinned messages, and replaces turns that no longer fit with a stored summary
+local utils = require "chat_utils"
+local redis = require "chat_redis"
+local ollama = require "chat_ollama"
+
+local _M = {}
+
+local MESSAGE_OVERHEAD_TOKENS = 4 -- role and separators per message
+local SUMMARY_INPUT_CHARS = 2000 -- per message, when asking for a summary
+local SUMMARY_RESERVE_TOKENS = 600 -- room for the summary so far in each summary request (~300 words)
+local IMAGE_TOKENS = 768 -- typical cost of one attached image for vision models
+local SUMMARY_PREFIX = "Summary of the earlier conversation (older turns were condensed to fit the context window):\n\n"
+local SUMMARY_INSTRUCTIONS = "Summarize the conversation below so it can replace the original messages as context. " ..
+    "Keep every instruction, requirement, decision, name, number and open question; " ..
+    "drop pleasantries. Use at most 300 words of plain prose or bullet points."
+
+-- Rough token estimate: ~4 bytes per token for English text and code
+function _M.estimate_tokens(text)
+    if type(text) ~= "string" or text == "" then
+        return 0
+    end
+    return math.ceil(#text / 4)
+end
+
+local function image_count(message)
+    local count = 0
+    for _, file in ipairs(message and message.files or {}) do
+        if file.image_id then
+            count = count + 1
+        end
+    end
+    return count
+end
+
+function _M.estimate_message_tokens(message)
+    return _M.estimate_tokens(message and message.content) + image_count(message) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS
+end
+
+-- Tokens of num_ctx the model may be given as input: what is left after the answer reserve
+local function input_window(generation)
+    local options = generation and generation.options or {}
+    local num_ctx = tonumber(options.num_ctx) or utils.MODEL_NUM_CTX
+    return math.floor(num_ctx * (1 - utils.CONTEXT_RESPONSE_RESERVE)), num_ctx
+end
+
+-- Tokens available for history: num_ctx minus the answer reserve, system prompt and pending prompt
+function _M.history_budget(generation, pending)
+    generation = generation or {}
+    local budget, num_ctx = input_window(generation)
+    budget = budget - _M.estimate_tokens(generation.system_prompt)
+    budget = budget - _M.estimate_message_tokens(pending)
+    
+    return math.max(budget, 0), num_ctx
+end
+
+-- Index of the summary's last covered message in history, or nil when it is not on this path
+local function summary_index(history, summary)
+    if not summary or not summary.through_id then
+        return nil
+    end
+    for i, message in ipairs(history) do
+        if message.id == summary.through_id then
+            return i
+        end
+    end
+    return nil
+end
+
+-- The stored summary when it belongs to this history: it covers some of its messages, or turns
+-- of the same branch older than the loaded window. nil for a summary of another branch.
+local function path_summary(chat_id, history)
+    local summary = redis.get_chat_summary(chat_id)
+    if not summary or not summary.through_id or #history == 0 then
+        return nil
+    end
+    if summary_index(history, summary) then
+        return summary
+    end
+    if redis.precedes_on_active_path(chat_id, summary.through_id, history[1].id) then
+        return summary
+    end
+    return nil -- summary of another branch, or of messages since cleared
+end
+
+-- Decide which messages fit. Pinned messages always go in; the rest are taken newest first
+-- until one does not fit, and everything older than that is out (the window stays contiguous).
+-- summary must belong to this history (see path_summary); when it covers none of its messages
+-- it stands for turns older than history and is always sent.
+-- Returns entries { id, role, tokens, pinned, in_context, summarized } and totals.
+function _M.plan(history, budget, pinned, summary)
+    pinned = pinned or {}
+    
+    local entries = {}
+    local remaining = budget
+    local covered = summary_index(history, summary) or 0
+    
+    for i, message in ipairs(history) do
+        entries[i] = {
+            id = message.id,
+            role = message.role,
+            tokens = _M.estimate_message_tokens(message),
+            pinned = message.id ~= nil and pinned[message.id] == true,
+            in_context = false,
+            summarized = false
+        }
+        if entries[i].pinned then
+            entries[i].in_context = true
+            remaining = remaining - entries[i].tokens
+        end
+    end
+    
+    if summary then
+        remaining = remaining - (summary.tokens or _M.estimate_tokens(summary.content))
+    end
+    
+    local cut = false
+    local last_dropped
+    for i = #entries, 1, -1 do
+        local entry = entries[i]
+        if not entry.pinned then
+            if not cut and entry.tokens <= remaining then
+                entry.in_context = true
+                remaining = remaining - entry.tokens
+            else
+                cut = true
+                last_dropped = last_dropped or i
+                entry.summarized = i <= covered
+            end
+        end
+    end
+    
+    return entries, {
+        budget = budget,
+        used = budget - remaining,
+        last_dropped = last_dropped,
+        covered = covered,
+        with_summary = summary ~= nil and (last_dropped ~= nil or covered == 0)
+    }
+end
+
+local function summary_line(message)
+    local speaker = message.role == "user" and "User" or "Assistant"
+    local content = message.content or ""
+    if #content > SUMMARY_INPUT_CHARS then
+        content = utils.truncate_bytes(content, SUMMARY_INPUT_CHARS) .. " [...]"
+    end
+    return speaker .. ": " .. content
+end
+
+-- One summary request: fold lines into the summary text so far
+local function fold_summary(content, lines, generation)
+    local source = table.concat(lines, "\n\n")
+    if content ~= "" then
+        source = "Earlier summary:\n" .. content .. "\n\nLater messages:\n" .. source
+    end
+    
+    local reply, err = ollama.complete_chat({
+        { role = "system", content = SUMMARY_INSTRUCTIONS },
+        { role = "user", content = source }
+    }, generation and generation.options, generation and generation.model)
+    
+    if not reply or utils.trim(reply) == "" then
+        return nil, err or "Empty summary"
+    end
+    return utils.trim(reply)
+end
+
+-- Ask the model to fold history[from..to] (plus any earlier summary) into a new summary.
+-- Messages go in chunks that fit the model's input window, each folded into the summary
+-- of the chunks before it; on_status(message), when given, is called before each request.
+function _M.summarize(chat_id, history, previous_summary, from, to, generation, on_status)
+    local content = previous_summary and previous_summary.content or ""
+    local window = input_window(generation) - _M.estimate_tokens(SUMMARY_INSTRUCTIONS) -
+        math.max(SUMMARY_RESERVE_TOKENS, _M.estimate_tokens(content))
+    local chunks = {}
+    local chunk_tokens = 0
+    
+    for i = from, to do
+        local line = summary_line(history[i])
+        local tokens = _M.estimate_tokens(line)
+        if #chunks == 0 or chunk_tokens + tokens > window then
+            table.insert(chunks, {})
+            chunk_tokens = 0
+        end
+        table.insert(chunks[#chunks], line)
+        chunk_tokens = chunk_tokens + tokens
+    end
+    
+    for index, lines in ipairs(chunks) do
+        if on_status then
+            on_status(#chunks > 1 and string.format("Summarizing earlier messages (%d/%d)...", index, #chunks) or
+                "Summarizing earlier messages...")
+        end
+        
+        local folded, err = fold_summary(content, lines, generation)
+        if not folded then
+            utils.log_error("chat_context", "summarize", "Summary generation failed", {
+                error = err,
+                chat_id = chat_id,
+                chunk = index,
+                chunk_count = #chunks
+            })
+            return nil, err
+        end
+        content = folded
+    end
+    
+    local summary = {
+        content = content,
+        through_id = history[to].id,
+        message_count = (previous_summary and previous_summary.message_count or 0) + (to - from + 1),
+        tokens = _M.estimate_tokens(SUMMARY_PREFIX .. content)
+    }
+    
+    local saved, save_err = redis.save_chat_summary(chat_id, summary)
+    if not saved then
+        utils.log_error("chat_context", "summarize", "Failed to store summary", {
+            error = save_err,
+            chat_id = chat_id
+        })
+    end
+    
+    utils.log_info("chat_context", "summarize", {
+        chat_id = chat_id,
+        through_id = summary.through_id,
+        summarized_messages = to - from + 1,
+        chunk_count = #chunks,
+        summary_tokens = summary.tokens
+    })
+    
+    return summary
+end
+
+-- Build the model context for a request. history is the active path before the pending prompt
+-- (stored messages, oldest first); pending is the prompt about to be sent as { content, files }.
+-- on_status(message) reports a summary in progress (see summarize).
+-- Returns { role, content } messages and a report of what was included.
+function _M.build(chat_id, history, generation, pending, on_status)
+    history = history or {}
+    
+    local budget = _M.history_budget(generation, pending)
+    local pinned = redis.get_pinned_messages(chat_id) or {}
+    local summary = path_summary(chat_id, history)
+    
+    local entries, report = _M.plan(history, budget, pinned, summary)
+    
+    -- Dropped turns the summary does not cover yet: fold them in, then plan again with it.
+    -- The summary itself takes budget, so a second pass may be needed.
+    for _ = 1, 2 do
+        if not report.last_dropped or report.last_dropped <= report.covered then
+            break
+        end
+        
+        local new_summary = _M.summarize(chat_id, history, summary, report.covered + 1, report.last_dropped, generation, on_status)
+        if not new_summary then
+            break
+        end
+        
+        summary = new_summary
+        entries, report = _M.plan(history, budget, pinned, summary)
+    end
+    
+    local context_messages = {}
+    if report.with_summary then
+        table.insert(context_messages, {
+            role = "system",
+            content = SUMMARY_PREFIX .. summary.content
+        })
+    end
+    
+    local included = 0
+    for i, entry in ipairs(entries) do
+        if entry.in_context then
+            local images = image_count(history[i]) > 0 and redis.load_images(chat_id, history[i].files) or {}
+            table.insert(context_messages, {
+                role = history[i].role == "user" and "user" or "assistant",
+                content = history[i].content,
+                images = #images > 0 and images or nil
+            })
+            included = included + 1
+        end
+    end
+    
+    utils.log_info("chat_context", "build", {
+        chat_id = chat_id,
+        history_count = #history,
+        included = included,
+        budget = budget,
+        used = report.used,
+        summarized = report.with_summary
+    })
+    
+    return context_messages, report
+end
+
+-- Context state of the chat's active path for the UI (no summarizing, no pending prompt)
+function _M.describe(chat_id, generation)
+    local history, err = redis.get_chat_messages(chat_id, utils.CONTEXT_HISTORY_LIMIT)
+    if not history then
+        return nil, err
+    end
+    
+    local budget, num_ctx = _M.history_budget(generation, nil)
+    local pinned = redis.get_pinned_messages(chat_id) or {}
+    local summary = path_summary(chat_id, history)
+    
+    local entries, report = _M.plan(history, budget, pinned, summary)
+    
+    return {
+        num_ctx = num_ctx,
+        budget = budget,
+        used = report.used,
+        messages = entries,
+        summary = report.with_summary and {
+            content = summary.content,
+            through_id = summary.through_id,
+            message_count = summary.message_count,
+            updated_at = summary.updated_at
+        } or nil
+    }
+end
+
+return _M
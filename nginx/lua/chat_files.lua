@@ -11,6 +11,7 @@ local ALLOWED_MIME_TYPES = {
     "application/json", "application/xml", "application/yaml", "application/toml",
     "application/pdf", "application/msword", "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
     "application/vnd.ms-excel", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.ms-powerpoint", "application/vnd.openxmlformats-officedocument.presentationml.presentation",
     -- Code files
     "application/javascript", "application/typescript", "application/python", "application/java",
     -- Images
@@ -189,8 +190,70 @@ function _M.validate_file_batch(files)
     return results
 end
 
+-- Leading bytes of the supported image formats
+local IMAGE_SIGNATURES = {
+    ["image/png"] = "\137PNG",
+    ["image/jpeg"] = "\255\216\255",
+    ["image/gif"] = "GIF8"
+}
+
+-- Validate an image attachment sent as base64 in file_data.image
+function _M.process_image(file_data)
+    if not utils.IMAGE_MIME_TYPES[file_data.type or ""] then
+        return nil, "Unsupported image type: " .. tostring(file_data.type)
+    end
+    
+    if type(file_data.image) ~= "string" or not string.match(file_data.image, "^[%w+/]+=*$") then
+        return nil, "Image data must be base64"
+    end
+    
+    local decoded = ngx.decode_base64(file_data.image)
+    if not decoded then
+        return nil, "Invalid base64 image data"
+    end
+    
+    if #decoded > utils.MAX_IMAGE_SIZE then
+        return nil, string.format("Image is too large (%s). Maximum size is %s",
+            utils.format_file_size(#decoded),
+            utils.format_file_size(utils.MAX_IMAGE_SIZE)
+        )
+    end
+    
+    local signature = IMAGE_SIGNATURES[file_data.type]
+    local matches
+    if signature then
+        matches = string.sub(decoded, 1, #signature) == signature
+    else
+        matches = string.sub(decoded, 1, 4) == "RIFF" and string.sub(decoded, 9, 12) == "WEBP"
+    end
+    if not matches then
+        return nil, "Image data does not match type " .. file_data.type
+    end
+    
+    utils.log_info("chat_files", "process_image", {
+        filename = file_data.name,
+        type = file_data.type,
+        original_size = file_data.size,
+        image_size = #decoded
+    })
+    
+    return {
+        name = file_data.name,
+        type = file_data.type,
+        size = file_data.size,
+        width = tonumber(file_data.width),
+        height = tonumber(file_data.height),
+        image = file_data.image,
+        file_id = file_data.file_id
+    }, nil
+end
+
 -- Process file content for text files
 function _M.process_file_content(file_data)
+    if file_data.image then
+        return _M.process_image(file_data)
+    end
+    
     if not file_data.content then
         return file_data, nil
     end
@@ -259,16 +322,37 @@ function _M.is_content_text(content)
     local control_chars = 0
     local printable_chars = 0
     
-    for i = 1, #sample do
+    local i = 1
+    while i <= #sample do
         local byte = string.byte(sample, i)
         
         if byte == 0 then
             null_bytes = null_bytes + 1
         elseif byte < 32 and byte ~= 9 and byte ~= 10 and byte ~= 13 then
             control_chars = control_chars + 1
-        elseif byte >= 32 and byte <= 126 then
+        elseif byte >= 32 and byte <= 126 or byte == 9 or byte == 10 or byte == 13 then
             printable_chars = printable_chars + 1
+        elseif byte >= 194 and byte <= 244 then
+            -- Non-ASCII text (PDF extracts, accented or CJK text): count a valid UTF-8 sequence as printable
+            local length = byte >= 240 and 4 or (byte >= 224 and 3 or 2)
+            local valid = true
+            for j = i + 1, i + length - 1 do
+                local continuation = string.byte(sample, j)
+                if continuation == nil then
+                    break -- sequence cut off by the sample boundary
+                end
+                if continuation < 128 or continuation > 191 then
+                    valid = false
+                    break
+                end
+            end
+            if valid then
+                printable_chars = printable_chars + length
+                i = i + length - 1
+            end
         end
+        
+        i = i + 1
     end
     
     -- Heuristic: if more than 95% is printable and no null bytes, likely text
@@ -447,7 +531,9 @@ function _M.create_file_summary(processed_files)
             size = utils.format_file_size(file.size or 0)
         }
         
-        if file.content then
+        if file.image_id then
+            summary.content_type = "image"
+        elseif file.content then
             summary.content_type = "text"
             summary.lines = file.line_count
             summary.words = file.word_count
@@ -1,4 +1,5 @@
 -- Enhanced Chat Handler - With continuation support and no timeouts
+local cjson = require "cjson"
 local utils = require "chat_utils"
 local redis = require "chat_redis"
 local ollama = require "chat_ollama"
@@ -6,9 +7,204 @@ local sse = require "chat_sse"
 local view = require "chat_view"
 local artifacts = require "chat_artifacts"
 local files = require "chat_files"
+local chat_context = require "chat_context"
+local chat_rag = require "chat_rag"
 
 local _M = {}
 
+-- Resolve generation settings for a chat: the requested model, else the chat's stored values, then the defaults.
+-- Options and system_prompt in the request only count for the message that creates the chat (new_chat).
+local function resolve_generation(chat_id, request_data, new_chat)
+    local chat_meta = redis.get_chat_meta(chat_id) or {}
+    local model = chat_meta.model
+    
+    if request_data.model and request_data.model ~= "" then
+        if not utils.is_valid_model_name(request_data.model) then
+            return nil, "Invalid model name"
+        end
+        
+        if request_data.model ~= chat_meta.model then
+            local _, meta_err = redis.set_chat_model(chat_id, request_data.model)
+            if meta_err then
+                utils.log_error("chat_handler", "resolve_generation", "Failed to store chat model", {
+                    error = meta_err,
+                    chat_id = chat_id
+                })
+            end
+        end
+        model = request_data.model
+    end
+    
+    -- Later requests use what is stored: a stale tab must not override settings saved since
+    local options = utils.sanitize_generation_options(chat_meta.options)
+    local system_prompt = chat_meta.system_prompt
+    if new_chat then
+        for key, value in pairs(utils.sanitize_generation_options(request_data.options)) do
+            options[key] = value
+        end
+        if request_data.system_prompt ~= nil then
+            system_prompt = request_data.system_prompt
+        end
+    end
+    
+    return {
+        model = model or utils.MODEL_NAME,
+        options = options,
+        system_prompt = utils.sanitize_system_prompt(system_prompt)
+    }, nil
+end
+
+-- Fill in attachments that reference the chat's file library ({ file_id } plus any text or image
+-- the browser extracted). Name, type and size come from the stored file; text files are read from it.
+local function resolve_stored_files(chat_id, request_files)
+    for _, file_data in ipairs(request_files) do
+        if file_data.file_id ~= nil then
+            if not utils.is_valid_file_id(file_data.file_id) then
+                return nil, "Invalid file_id"
+            end
+            
+            local meta = redis.get_stored_file_meta(chat_id, file_data.file_id)
+            if not meta then
+                return nil, "Stored file not found: " .. tostring(file_data.name or file_data.file_id)
+            end
+            
+            file_data.name = meta.name
+            file_data.size = meta.size
+            if not file_data.image then
+                file_data.type = meta.type
+            end
+            
+            if not file_data.content and not file_data.image then
+                local is_image = utils.IMAGE_MIME_TYPES[meta.type or ""] and meta.size <= utils.MAX_IMAGE_SIZE
+                if is_image or utils.is_text_file(meta.name, meta.type) then
+                    local data = redis.get_stored_file_data(chat_id, file_data.file_id)
+                    if is_image then
+                        file_data.image = data and ngx.encode_base64(data)
+                    else
+                        file_data.content = data
+                    end
+                end
+            end
+        end
+    end
+    
+    return request_files
+end
+
+-- Status events while the context is built; the SSE stream must be open
+local function report_context_status(message)
+    sse.send_status("summarizing", message)
+end
+
+-- Context for a prompt. The content of @-mentioned messages and code blocks and, in chats that
+-- use document collections, the retrieved passages go last, right before the prompt, and count
+-- against the same budget; the passages' citations are returned too.
+-- Opens the SSE stream first: retrieval and summaries can take a while.
+local function build_prompt_context(chat_id, history, generation, prompt_text, prompt_files)
+    sse.open_stream(chat_id)
+    
+    local mentions = artifacts.expand_mentions(redis, chat_id, prompt_text)
+    local sources = chat_rag.retrieve_for_chat(chat_id, prompt_text)
+    local context_messages = chat_context.build(chat_id, history, generation, {
+        content = prompt_text .. utils.format_files_for_context(prompt_files) ..
+            (mentions and mentions.context or "") .. (sources and sources.context or ""),
+        files = prompt_files
+    }, report_context_status)
+    
+    if mentions then
+        table.insert(context_messages, { role = "system", content = mentions.context })
+    end
+    if sources then
+        table.insert(context_messages, { role = "system", content = sources.context })
+    end
+    
+    return context_messages, sources and sources.citations
+end
+
+-- Stream the assistant reply over SSE, then save it and its code blocks.
+-- opts.parent_id saves the reply as a new branch (regenerate); opts.user_message_id is for logging;
+-- opts.citations are the collection passages the prompt was given.
+local function stream_reply(chat_id, user_message, processed_files, context_messages, generation, opts)
+    opts = opts or {}
+    
+    -- ENHANCED: Handle streaming response with continuation support
+    local ai_response, stream_err, completion_info = sse.handle_streaming_chat(
+        chat_id, 
+        user_message, 
+        processed_files, 
+        context_messages, 
+        ollama,
+        generation
+    )
+    
+    if not ai_response then
+        utils.log_error("chat_handler", "streaming_chat", "Streaming failed", {
+            error = stream_err,
+            chat_id = chat_id
+        })
+        sse.finish_stream("error")
+        return nil
+    end
+    
+    -- Stopped before the first token: nothing worth keeping
+    local stopped = completion_info and completion_info.stopped
+    if stopped and ai_response == "" then
+        sse.finish_stream("stopped")
+        return nil
+    end
+    
+    -- Save AI response (partial when stopped) and extract artifacts
+    local ai_message_id
+    local ai_save_result, ai_save_err = redis.execute(function(red)
+        ai_message_id = utils.generate_message_id(red, chat_id, "assistant")
+        local artifact_ids = artifacts.extract_and_save_code_blocks(red, chat_id, ai_message_id, ai_response)
+        return redis.save_message(chat_id, ai_message_id, "assistant", ai_response, {}, artifact_ids, {
+            parent_id = opts.parent_id,
+            status = stopped and "stopped" or nil,
+            metrics = completion_info and completion_info.metrics,
+            citations = opts.citations
+        })
+    end)
+    
+    if ai_save_result and completion_info and completion_info.metrics then
+        redis.add_chat_usage(chat_id, completion_info.metrics)
+    end
+    
+    -- Resumed clients reload history once the stream closes, so close it after the save
+    sse.finish_stream(ai_save_result and (stopped and "stopped" or "finished") or "error")
+    
+    if not ai_save_result then
+        utils.log_error("chat_handler", "save_ai_message", "Failed to save AI message", {
+            error = ai_save_err,
+            chat_id = chat_id,
+            message_id = ai_message_id
+        })
+        return nil
+    end
+    
+    -- Log completion with continuation info
+    local artifact_count = 0
+    if ai_response then
+        for _ in string.gmatch(ai_response, "```[%w]*\n.-\n```") do
+            artifact_count = artifact_count + 1
+        end
+    end
+    
+    utils.log_info("chat_handler", "chat_stream_complete", {
+        chat_id = chat_id,
+        user_message_id = opts.user_message_id,
+        ai_message_id = ai_message_id,
+        parent_id = opts.parent_id,
+        artifact_count = artifact_count,
+        response_length = #ai_response,
+        stopped = stopped or false,
+        is_complete = completion_info and completion_info.is_complete or true,
+        needs_continuation = completion_info and not completion_info.is_complete or false
+    })
+    
+    return ai_message_id
+end
+
 -- Serve the chat HTML page
 function _M.serve_chat_page()
     view.serve_chat_page()
@@ -24,11 +220,24 @@ function _M.handle_create_chat()
         return utils.handle_options_request()
     end
     
+    -- Optional body: { model = "..." } to start the chat with a specific model
+    local model
+    local body = utils.read_request_body()
+    if body then
+        local request_data = utils.parse_json_request(body)
+        if request_data and request_data.model and request_data.model ~= "" then
+            if not utils.is_valid_model_name(request_data.model) then
+                return view.render_api_error(400, "Invalid model name")
+            end
+            model = request_data.model
+        end
+    end
+    
     -- Generate new chat ID
     local chat_id = utils.generate_chat_id()
     
     -- Create chat in Redis
-    local result, err = redis.create_chat(chat_id)
+    local result, err = redis.create_chat(chat_id, model)
     if not result then
         utils.log_error("chat_handler", "create_chat", "Failed to create chat", {
             error = err,
@@ -77,7 +286,8 @@ function _M.handle_chat_stream()
     end
     
     -- Generate chat ID if not provided
-    if not chat_id or chat_id == "" then
+    local new_chat = not chat_id or chat_id == ""
+    if new_chat then
         chat_id = utils.generate_chat_id()
         local create_result, create_err = redis.create_chat(chat_id)
         if not create_result then
@@ -88,9 +298,19 @@ function _M.handle_chat_stream()
         return view.render_api_error(400, "Invalid chat ID format", "Chat ID must be in format chat(timestamp)")
     end
     
+    local generation, generation_err = resolve_generation(chat_id, request_data, new_chat)
+    if not generation then
+        return view.render_api_error(400, generation_err)
+    end
+    
     -- Process and validate files
     local processed_files = {}
     if #request_files > 0 then
+        local resolved, resolve_err = resolve_stored_files(chat_id, request_files)
+        if not resolved then
+            return view.render_api_error(400, "Invalid attachment", resolve_err)
+        end
+        
         local validation_result = files.validate_file_batch(request_files)
         if not validation_result.batch_valid then
             return view.render_api_error(400, "File validation failed", table.concat(validation_result.errors, "; "))
@@ -101,6 +321,9 @@ function _M.handle_chat_stream()
             local processed, process_err = files.process_file_content(file_data)
             if processed then
                 table.insert(processed_files, processed)
+            elseif file_data.image then
+                -- The model would answer without the picture the user is asking about
+                return view.render_api_error(400, "Invalid image attachment", (file_data.name or "image") .. ": " .. process_err)
             else
                 utils.log_error("chat_handler", "file_processing", "Failed to process file", {
                     filename = file_data.name,
@@ -109,21 +332,28 @@ function _M.handle_chat_stream()
             end
         end
         
+        local stored_images, image_err = redis.store_images(chat_id, processed_files)
+        if not stored_images then
+            return view.render_api_error(500, "Failed to store image attachments", image_err)
+        end
+        
         utils.log_info("chat_handler", "file_processing_complete", {
             original_count = #request_files,
-            processed_count = #processed_files
+            processed_count = #processed_files,
+            image_count = stored_images
         })
     end
     
-    -- Get chat context from Redis
-    local context_messages, context_err = redis.get_chat_context(chat_id, 10)
-    if not context_messages then
+    -- Fit the chat history into the context window (pinned messages, summary of dropped turns)
+    local history, context_err = redis.get_chat_messages(chat_id, utils.CONTEXT_HISTORY_LIMIT)
+    if not history then
         utils.log_error("chat_handler", "get_context", "Failed to get chat context", {
             error = context_err,
             chat_id = chat_id
         })
-        context_messages = {}
+        history = {}
     end
+    local context_messages, citations = build_prompt_context(chat_id, history, generation, user_message, processed_files)
     
     -- Save user message to Redis
     local user_message_id
@@ -140,75 +370,1265 @@ function _M.handle_chat_stream()
         })
     end
     
-    -- ENHANCED: Handle streaming response with continuation support
-    local ai_response, stream_err, completion_info = sse.handle_streaming_chat(
-        chat_id, 
-        user_message, 
-        processed_files, 
-        context_messages, 
-        ollama
-    )
+    stream_reply(chat_id, user_message, processed_files, context_messages, generation, {
+        user_message_id = user_message_id,
+        citations = citations
+    })
+end
+
+-- NEW: Handle chat continuation for incomplete responses
+function _M.handle_chat_continuation()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    if ngx.req.get_method() == "OPTIONS" then
+        return utils.handle_options_request()
+    end
+    
+    -- Validate SSE connection
+    local sse_valid, sse_err = sse.validate_connection()
+    if not sse_valid then
+        return view.render_api_error(400, "SSE not supported", sse_err)
+    end
+    
+    -- Read and parse request
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    local previous_response = request_data.previous_response or ""
+    local message_id = request_data.message_id
+    
+    -- Validate input
+    if not chat_id or chat_id == "" then
+        return view.render_api_error(400, "Missing chat_id")
+    end
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat ID format")
+    end
+    
+    -- "Continue from here" on a stopped answer: continue the stored text of that message,
+    -- which must be the newest message so the context ends with it
+    local target_message
+    if message_id ~= nil then
+        if not utils.is_valid_plain_message_id(message_id) or not string.match(message_id, "^jai%(") then
+            return view.render_api_error(400, "Invalid message_id", "Only jai(n) messages can be continued")
+        end
+        
+        local recent = redis.get_chat_messages(chat_id, 1)
+        target_message = recent and recent[1]
+        if not target_message or target_message.id ~= message_id then
+            return view.render_api_error(409, "Only the latest answer can be continued")
+        end
+        previous_response = target_message.content or ""
+    end
+    
+    if previous_response == "" then
+        return view.render_api_error(400, "Missing previous_response")
+    end
+    
+    local generation, generation_err = resolve_generation(chat_id, request_data)
+    if not generation then
+        return view.render_api_error(400, generation_err)
+    end
+    
+    -- Get chat context from Redis
+    local history, context_err = redis.get_chat_messages(chat_id, utils.CONTEXT_HISTORY_LIMIT)
+    if not history then
+        utils.log_error("chat_handler", "get_continuation_context", "Failed to get chat context", {
+            error = context_err,
+            chat_id = chat_id
+        })
+        return view.render_api_error(500, "Failed to get chat context", context_err)
+    end
+    sse.open_stream(chat_id)
+    local context_messages = chat_context.build(chat_id, history, generation, nil, report_context_status)
+    
+    utils.log_info("chat_handler", "handle_continuation", {
+        chat_id = chat_id,
+        previous_response_length = #previous_response,
+        context_size = #context_messages
+    })
+    
+    -- Handle continuation streaming
+    local continued_response, continuation_err, completion_info = sse.handle_continuation_request(
+        chat_id,
+        previous_response,
+        context_messages,
+        ollama,
+        generation
+    )
+    
+    if not continued_response then
+        utils.log_error("chat_handler", "continuation_failed", "Continuation failed", {
+            error = continuation_err,
+            chat_id = chat_id
+        })
+        sse.finish_stream("error")
+        return
+    end
+    
+    -- Update the target (or last) AI message with the combined response
+    local messages, msg_err = redis.get_chat_messages(chat_id, 5)
+    if messages and #messages > 0 then
+        -- Find the last assistant message
+        local last_ai_message = target_message
+        if not last_ai_message then
+            for i = #messages, 1, -1 do
+                if messages[i].role == "assistant" then
+                    last_ai_message = messages[i]
+                    break
+                end
+            end
+        end
+        
+        if last_ai_message then
+            local stopped = completion_info and completion_info.stopped
+            
+            -- Update the message with combined response
+            local update_result, update_err = redis.execute(function(red)
+                -- Extract new artifacts from the combined response
+                local artifact_ids = artifacts.extract_and_save_code_blocks(red, chat_id, last_ai_message.id, continued_response)
+                
+                -- Update message content in place (keeps its position and branch links)
+                return redis.update_message(chat_id, last_ai_message.id, {
+                    content = continued_response,
+                    artifacts = artifact_ids,
+                    status = stopped and "stopped" or "complete",
+                    metrics = ollama.combine_metrics(last_ai_message.metrics, completion_info and completion_info.metrics)
+                })
+            end)
+            
+            if update_result and completion_info and completion_info.metrics then
+                redis.add_chat_usage(chat_id, completion_info.metrics)
+            end
+            
+            if not update_result then
+                utils.log_error("chat_handler", "update_continued_message", "Failed to update message", {
+                    error = update_err,
+                    chat_id = chat_id,
+                    message_id = last_ai_message.id
+                })
+            else
+                utils.log_info("chat_handler", "continuation_complete", {
+                    chat_id = chat_id,
+                    message_id = last_ai_message.id,
+                    final_response_length = #continued_response,
+                    stopped = stopped or false,
+                    is_complete = completion_info and completion_info.is_complete or true
+                })
+            end
+        end
+    end
+    
+    sse.finish_stream(completion_info and completion_info.stopped and "stopped" or "finished")
+end
+
+-- Stop a running generation: the streaming request sees the flag between Ollama reads,
+-- closes the upstream connection and saves what it has so far as a "stopped" message
+function _M.handle_stop_generation()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local stream_id = request_data.stream_id
+    if stream_id ~= nil and not string.match(tostring(stream_id), "^stream%(%d+%)$") then
+        return view.render_api_error(400, "Invalid stream_id format")
+    end
+    
+    local result, err = redis.request_stream_stop(chat_id, stream_id)
+    if not result then
+        return view.render_api_error(500, "Failed to stop generation", err)
+    end
+    
+    if not result.requested then
+        if result.reason == "mismatch" then
+            return view.render_api_error(409, "Stream replaced", "A newer generation is running for this chat")
+        end
+        return view.render_api_error(404, "No generation in progress")
+    end
+    
+    utils.log_info("chat_handler", "stop_generation", {
+        chat_id = chat_id,
+        stream_id = result.state.stream_id
+    })
+    
+    view.render_success({
+        chat_id = chat_id,
+        stream_id = result.state.stream_id,
+        stop_requested = true
+    }, "Stop requested")
+end
+
+-- Reattach to a chat's generation: replays buffered events after Last-Event-ID, then follows live
+function _M.handle_stream_resume()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    local chat_id = args.chat_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local sse_valid, sse_err = sse.validate_connection()
+    if not sse_valid then
+        return view.render_api_error(400, "SSE not supported", sse_err)
+    end
+    
+    local state = redis.get_stream_state(chat_id)
+    if not state then
+        return view.render_api_error(404, "No stream to resume", "The generation finished or expired")
+    end
+    
+    -- EventSource sends Last-Event-ID as a header; fetch() clients may use the query string
+    local last_event_id = ngx.var.http_last_event_id or args.last_event_id
+    local last_stream_id = sse.parse_event_id(last_event_id)
+    if last_stream_id and last_stream_id ~= state.stream_id then
+        return view.render_api_error(410, "Stream replaced", "A newer generation has started for this chat")
+    end
+    
+    sse.resume_stream(chat_id, state, last_event_id)
+end
+
+-- Whether a chat has a generation in flight (used to reattach after a page reload)
+function _M.handle_stream_status()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local chat_id = ngx.req.get_uri_args().chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local state = redis.get_stream_state(chat_id)
+    
+    view.render_success({
+        chat_id = chat_id,
+        active = state ~= nil and state.status == "active",
+        stream_id = state and state.stream_id or nil,
+        status = state and state.status or "none",
+        started_at = state and state.started_at or nil,
+        event_count = state and state.event_count or 0
+    })
+end
+
+-- Serve an image attachment stored with a message
+function _M.handle_get_image()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    if not utils.is_valid_chat_id(args.chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_image_id(args.image_id) then
+        return view.render_api_error(400, "Invalid image_id")
+    end
+    
+    local image = redis.get_image(args.chat_id, args.image_id)
+    local data = image and ngx.decode_base64(image.data)
+    if not data then
+        return view.render_api_error(404, "Image not found")
+    end
+    
+    -- Image IDs are content hashes, so the bytes behind a URL never change
+    ngx.header["Content-Type"] = utils.IMAGE_MIME_TYPES[image.type or ""] and image.type or "application/octet-stream"
+    ngx.header["Cache-Control"] = "private, max-age=31536000, immutable"
+    ngx.header["X-Content-Type-Options"] = "nosniff"
+    ngx.print(data)
+end
+
+-- Store a file in the chat's library. The raw file is the request body (so the browser can
+-- report upload progress); name and type travel in the query string.
+function _M.handle_file_upload()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    local chat_id = args.chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if type(args.name) ~= "string" or args.name == "" then
+        return view.render_api_error(400, "File name is required")
+    end
+    
+    local data, body_err = utils.read_request_body()
+    if not data then
+        return view.render_api_error(400, "No file data", body_err.error)
+    end
+    
+    local mime_type = args.type
+    if type(mime_type) ~= "string" or mime_type == "" then
+        mime_type = "application/octet-stream"
+    end
+    
+    local validation = files.validate_file({
+        name = args.name,
+        size = #data,
+        type = mime_type
+    })
+    if not validation.valid then
+        return view.render_api_error(400, "File validation failed", table.concat(validation.errors, "; "))
+    end
+    
+    local meta, err = redis.save_stored_file(chat_id, args.name, mime_type, data)
+    if not meta then
+        return view.render_api_error(500, "Failed to store file", err)
+    end
+    
+    view.render_success({ file = meta }, "File uploaded", 201)
+end
+
+-- List the chat's file library
+function _M.handle_file_list()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local chat_id = ngx.req.get_uri_args().chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local stored_files, err = redis.list_stored_files(chat_id)
+    if not stored_files then
+        return view.render_api_error(500, "Failed to list files", err)
+    end
+    
+    view.render_success({
+        chat_id = chat_id,
+        files = #stored_files > 0 and stored_files or cjson.empty_array
+    })
+end
+
+-- Types that are safe to show in the browser; everything else is always a download
+local INLINE_FILE_TYPES = {
+    ["application/pdf"] = "application/pdf",
+    ["text/plain"] = "text/plain; charset=utf-8",
+    ["text/markdown"] = "text/plain; charset=utf-8",
+    ["text/csv"] = "text/plain; charset=utf-8",
+    ["application/json"] = "text/plain; charset=utf-8"
+}
+
+-- Download (or view, with inline=1) a library file
+function _M.handle_file_download()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    if not utils.is_valid_chat_id(args.chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_file_id(args.file_id) then
+        return view.render_api_error(400, "Invalid file_id")
+    end
+    
+    local meta = redis.get_stored_file_meta(args.chat_id, args.file_id)
+    local data = meta and redis.get_stored_file_data(args.chat_id, args.file_id)
+    if not data then
+        return view.render_api_error(404, "File not found")
+    end
+    
+    local inline_type = INLINE_FILE_TYPES[meta.type or ""]
+    if utils.IMAGE_MIME_TYPES[meta.type or ""] then
+        inline_type = meta.type
+    end
+    local inline = args.inline == "1" and inline_type ~= nil
+    
+    -- RFC 5987 filename* keeps non-ASCII names; the plain fallback is ASCII only
+    local fallback_name = string.gsub(meta.name or "file", "[^%w%.%-_ ]", "_")
+    ngx.header["Content-Type"] = inline and inline_type or "application/octet-stream"
+    ngx.header["Content-Disposition"] = (inline and "inline" or "attachment") ..
+        "; filename=\"" .. fallback_name .. "\"; filename*=UTF-8''" .. ngx.escape_uri(meta.name or "file")
+    ngx.header["Content-Length"] = #data
+    ngx.header["Cache-Control"] = "private, max-age=31536000, immutable"
+    ngx.header["X-Content-Type-Options"] = "nosniff"
+    ngx.header["Content-Security-Policy"] = "sandbox"
+    ngx.print(data)
+end
+
+-- Document collections, and which of them the chat searches (chat_id is optional)
+function _M.handle_list_collections()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local chat_id = ngx.req.get_uri_args().chat_id
+    if chat_id and not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local collections, err = redis.list_collections()
+    if not collections then
+        return view.render_api_error(500, "Failed to list collections", err)
+    end
+    
+    for _, collection in ipairs(collections) do
+        if #collection.documents == 0 then
+            collection.documents = cjson.empty_array
+        end
+    end
+    
+    local selected = {}
+    if chat_id then
+        local chat_meta = redis.get_chat_meta(chat_id) or {}
+        selected = type(chat_meta.collections) == "table" and chat_meta.collections or {}
+    end
+    
+    view.render_success({
+        collections = #collections > 0 and collections or cjson.empty_array,
+        selected = #selected > 0 and selected or cjson.empty_array,
+        embed_model = utils.EMBED_MODEL
+    })
+end
+
+function _M.handle_create_collection()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local name = type(request_data.name) == "string" and utils.trim(request_data.name) or ""
+    if name == "" or #name > utils.MAX_COLLECTION_NAME_LENGTH then
+        return view.render_api_error(400, "Collection name must be 1-" .. utils.MAX_COLLECTION_NAME_LENGTH .. " characters")
+    end
+    
+    local collection, err = redis.create_collection(name)
+    if not collection then
+        return view.render_api_error(500, "Failed to create collection", err)
+    end
+    
+    collection.documents = cjson.empty_array
+    view.render_success({ collection = collection }, "Collection created", 201)
+end
+
+function _M.handle_delete_collection()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local collection_id = request_data.collection_id
+    if not utils.is_valid_collection_id(collection_id) then
+        return view.render_api_error(400, "Invalid collection_id")
+    end
+    
+    local deleted, err = redis.delete_collection(collection_id)
+    if not deleted then
+        return view.render_api_error(err and 500 or 404, err and "Failed to delete collection" or "Collection not found", err)
+    end
+    
+    view.render_success({ collection_id = collection_id }, "Collection deleted")
+end
+
+-- Add one document's text to a collection: { collection_id, name, type, size, content }.
+-- The browser sends text (PDF and Office files are extracted there); the server chunks and embeds it.
+function _M.handle_add_collection_document()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local collection_id = request_data.collection_id
+    if not utils.is_valid_collection_id(collection_id) then
+        return view.render_api_error(400, "Invalid collection_id")
+    end
+    
+    if type(request_data.content) ~= "string" or utils.trim(request_data.content) == "" then
+        return view.render_api_error(400, "Document has no text")
+    end
+    
+    local validation = files.validate_file({
+        name = request_data.name,
+        size = tonumber(request_data.size) or #request_data.content,
+        type = request_data.type
+    })
+    if not validation.valid then
+        return view.render_api_error(400, "File validation failed", table.concat(validation.errors, "; "))
+    end
+    
+    local document, result = chat_rag.add_document(collection_id, {
+        name = request_data.name,
+        type = request_data.type,
+        size = tonumber(request_data.size) or #request_data.content,
+        content = files.sanitize_text_content(request_data.content)
+    })
+    if not document then
+        return view.render_api_error(result == "Collection not found" and 404 or 400, "Failed to add document", result)
+    end
+    
+    view.render_success({ document = document, collection = result }, "Document added", 201)
+end
+
+function _M.handle_delete_collection_document()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local collection_id = request_data.collection_id
+    if not utils.is_valid_collection_id(collection_id) then
+        return view.render_api_error(400, "Invalid collection_id")
+    end
+    
+    if not utils.is_valid_file_id(request_data.document_id) then
+        return view.render_api_error(400, "Invalid document_id")
+    end
+    
+    local collection = redis.delete_collection_document(collection_id, request_data.document_id)
+    if not collection then
+        return view.render_api_error(404, "Document not found")
+    end
+    
+    view.render_success({ collection = collection }, "Document removed")
+end
+
+-- Choose the collections a chat searches on every prompt
+function _M.handle_set_chat_collections()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if type(request_data.collection_ids) ~= "table" then
+        return view.render_api_error(400, "collection_ids must be an array")
+    end
+    
+    local collection_ids = {}
+    for _, collection_id in ipairs(request_data.collection_ids) do
+        if not utils.is_valid_collection_id(collection_id) then
+            return view.render_api_error(400, "Invalid collection_id", tostring(collection_id))
+        end
+        table.insert(collection_ids, collection_id)
+    end
+    
+    local result, err = redis.set_chat_collections(chat_id, collection_ids)
+    if not result then
+        return view.render_api_error(500, "Failed to save chat collections", err)
+    end
+    
+    view.render_success({
+        chat_id = chat_id,
+        collection_ids = #collection_ids > 0 and collection_ids or cjson.empty_array
+    }, "Chat collections saved")
+end
+
+-- Context window state of the active path: token budget, which messages fit, pins and summary
+function _M.handle_context_state()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local chat_id = ngx.req.get_uri_args().chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local generation, generation_err = resolve_generation(chat_id, {})
+    if not generation then
+        return view.render_api_error(400, generation_err)
+    end
+    
+    local state, err = chat_context.describe(chat_id, generation)
+    if not state then
+        return view.render_api_error(500, "Failed to get context state", err)
+    end
+    
+    if #state.messages == 0 then
+        state.messages = cjson.empty_array
+    end
+    state.chat_id = chat_id
+    
+    view.render_success(state)
+end
+
+-- Pin or unpin a message so it is always sent as context
+function _M.handle_pin_message()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    local message_id = request_data.message_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_plain_message_id(message_id) then
+        return view.render_api_error(400, "Invalid message_id")
+    end
+    
+    local pinned = request_data.pinned ~= false
+    local result = redis.set_message_pinned(chat_id, message_id, pinned)
+    if not result then
+        return view.render_api_error(404, "Message not found")
+    end
+    
+    utils.log_info("chat_handler", "pin_message", {
+        chat_id = chat_id,
+        message_id = message_id,
+        pinned = pinned
+    })
+    
+    view.render_success(result, pinned and "Message pinned" or "Message unpinned")
+end
+
+-- Regenerate an assistant message: re-stream from the prompt before it as a new sibling version
+function _M.handle_regenerate_message()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local sse_valid, sse_err = sse.validate_connection()
+    if not sse_valid then
+        return view.render_api_error(400, "SSE not supported", sse_err)
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    local message_id = request_data.message_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_plain_message_id(message_id) or not string.match(message_id, "^jai%(") then
+        return view.render_api_error(400, "Invalid message_id", "Only jai(n) messages can be regenerated")
+    end
+    
+    local branch_point, branch_err = redis.get_branch_point(chat_id, message_id, utils.CONTEXT_HISTORY_LIMIT + 1)
+    if not branch_point then
+        return view.render_api_error(404, "Message not found in active conversation", branch_err)
+    end
+    
+    -- The prompt being answered is the last history entry; everything before it is context
+    local prompt_message = branch_point.history[#branch_point.history]
+    if not prompt_message or prompt_message.role ~= "user" then
+        return view.render_api_error(400, "No user prompt found before this message")
+    end
+    
+    local context_history = {}
+    for i = 1, #branch_point.history - 1 do
+        table.insert(context_history, branch_point.history[i])
+    end
+    
+    local generation, generation_err = resolve_generation(chat_id, request_data)
+    if not generation then
+        return view.render_api_error(400, generation_err)
+    end
+    
+    utils.log_info("chat_handler", "regenerate_message", {
+        chat_id = chat_id,
+        message_id = message_id,
+        parent_id = branch_point.parent_id
+    })
+    
+    local prompt_text = prompt_message.content or ""
+    local context_messages, citations = build_prompt_context(chat_id, context_history, generation, prompt_text, prompt_message.files or {})
+    
+    stream_reply(chat_id, prompt_text, prompt_message.files or {}, context_messages, generation, {
+        parent_id = branch_point.parent_id,
+        user_message_id = prompt_message.id,
+        citations = citations
+    })
+end
+
+-- Edit a user message: save the new text as a sibling version and stream a fresh answer
+function _M.handle_edit_message()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local sse_valid, sse_err = sse.validate_connection()
+    if not sse_valid then
+        return view.render_api_error(400, "SSE not supported", sse_err)
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
+    end
+    
+    local chat_id = request_data.chat_id
+    local message_id = request_data.message_id
+    local user_message = request_data.message or ""
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_plain_message_id(message_id) or not string.match(message_id, "^admin%(") then
+        return view.render_api_error(400, "Invalid message_id", "Only admin(n) messages can be edited")
+    end
+    
+    if utils.trim(user_message) == "" then
+        return view.render_api_error(400, "No message provided")
+    end
+    
+    local branch_point, branch_err = redis.get_branch_point(chat_id, message_id, utils.CONTEXT_HISTORY_LIMIT)
+    if not branch_point then
+        return view.render_api_error(404, "Message not found in active conversation", branch_err)
+    end
+    
+    local generation, generation_err = resolve_generation(chat_id, request_data)
+    if not generation then
+        return view.render_api_error(400, generation_err)
+    end
+    
+    -- Edited prompt keeps the original attachments
+    local processed_files = branch_point.message.files or {}
+    
+    local user_message_id
+    local save_result, save_err = redis.execute(function(red)
+        user_message_id = utils.generate_message_id(red, chat_id, "user")
+        return redis.save_message(chat_id, user_message_id, "user", user_message, processed_files, {}, {
+            parent_id = branch_point.parent_id
+        })
+    end)
+    
+    if not save_result then
+        utils.log_error("chat_handler", "edit_message", "Failed to save edited message", {
+            error = save_err,
+            chat_id = chat_id,
+            message_id = message_id
+        })
+        return view.render_api_error(500, "Failed to save edited message", save_err)
+    end
+    
+    utils.log_info("chat_handler", "edit_message", {
+        chat_id = chat_id,
+        original_message_id = message_id,
+        new_message_id = user_message_id,
+        parent_id = branch_point.parent_id
+    })
+    
+    local context_messages, citations = build_prompt_context(chat_id, branch_point.history, generation, user_message, processed_files)
+    
+    stream_reply(chat_id, user_message, processed_files, context_messages, generation, {
+        user_message_id = user_message_id,
+        citations = citations
+    })
+end
+
+-- Switch the visible version of a message (the < 1/3 > controls)
+function _M.handle_select_branch()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data or not request_data.chat_id then
+        return view.render_api_error(400, "Missing chat_id")
+    end
+    
+    local chat_id = request_data.chat_id
+    local message_id = request_data.message_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_plain_message_id(message_id) then
+        return view.render_api_error(400, "Invalid message_id format")
+    end
+    
+    local result, err = redis.select_branch(chat_id, message_id)
+    if not result then
+        return view.render_api_error(404, "Message version not found", err)
+    end
+    
+    view.render_success(result, "Branch selected")
+end
+
+-- Get chat history endpoint
+function _M.handle_chat_history()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    local chat_id = args.chat_id
+    
+    if not chat_id or chat_id == "" then
+        return view.render_api_error(400, "Missing chat_id parameter")
+    end
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local messages, err = redis.get_chat_messages(chat_id, 100)
+    if not messages then
+        return view.render_api_error(500, "Failed to load chat history", err)
+    end
+    
+    -- Attach sibling version info for the < 1/3 > branch controls
+    local _, branch_err = redis.add_branch_info(chat_id, messages)
+    if branch_err then
+        utils.log_error("chat_handler", "chat_history", "Failed to load branch info", {
+            error = branch_err,
+            chat_id = chat_id
+        })
+    end
+    
+    view.render_chat_history(messages, chat_id)
+end
+
+-- Get chat list endpoint
+function _M.handle_chat_list()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local chats, err = redis.get_chat_list()
+    if not chats then
+        return view.render_api_error(500, "Failed to load chat list", err)
+    end
+    
+    view.render_chat_list(chats)
+end
+
+-- List models available in Ollama for the model picker
+function _M.handle_model_list()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local models, err = ollama.list_models()
+    if not models then
+        utils.log_error("chat_handler", "model_list", "Failed to list models", {
+            error = err
+        })
+        return view.render_api_error(502, "Failed to list models", err)
+    end
+    
+    view.render_model_list(models, utils.MODEL_NAME, ollama.get_default_options())
+end
+
+-- Store the selected model for a chat
+function _M.handle_set_chat_model()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data or not request_data.chat_id then
+        return view.render_api_error(400, "Missing chat_id")
+    end
+    
+    local chat_id = request_data.chat_id
+    local model = request_data.model
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if not utils.is_valid_model_name(model) then
+        return view.render_api_error(400, "Invalid model name")
+    end
+    
+    local chat_meta, err = redis.set_chat_model(chat_id, model)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to save chat model", err)
+    end
+    
+    view.render_success({ chat_id = chat_id, model = chat_meta.model }, "Chat model updated")
+end
+
+-- Store generation options and system prompt for a chat
+function _M.handle_set_chat_settings()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data or not request_data.chat_id then
+        return view.render_api_error(400, "Missing chat_id")
+    end
+    
+    local chat_id = request_data.chat_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    if type(request_data.system_prompt) == "string" and #request_data.system_prompt > utils.MAX_SYSTEM_PROMPT_LENGTH then
+        return view.render_api_error(400, "System prompt too long", "Maximum length is " .. utils.MAX_SYSTEM_PROMPT_LENGTH .. " characters")
+    end
+    
+    local options = utils.sanitize_generation_options(request_data.options)
+    local system_prompt = utils.sanitize_system_prompt(request_data.system_prompt)
+    
+    local chat_meta, err = redis.set_chat_settings(chat_id, options, system_prompt)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to save chat settings", err)
+    end
+    
+    view.render_success({
+        chat_id = chat_id,
+        options = chat_meta.options,
+        system_prompt = chat_meta.system_prompt
+    }, "Chat settings updated")
+end
+
+-- Parse a POST body addressed to an existing chat (renders the error and returns nil on failure)
+local function read_existing_chat_request()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data or not request_data.chat_id then
+        return view.render_api_error(400, "Missing chat_id")
+    end
+    
+    if not utils.is_valid_chat_id(request_data.chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local chat_meta, err = redis.get_chat_meta(request_data.chat_id)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to load chat", err)
+    end
+    if not chat_meta.id then
+        return view.render_api_error(404, "Chat not found")
+    end
+    
+    return request_data
+end
+
+-- Rename a chat (an empty title reverts to the automatic one)
+function _M.handle_rename_chat()
+    local request_data = read_existing_chat_request()
+    if not request_data then return end
+    
+    local chat_id = request_data.chat_id
+    local title = utils.sanitize_chat_title(request_data.title)
+    
+    if title and utils.utf8_len(title) > utils.MAX_CHAT_TITLE_LENGTH then
+        return view.render_api_error(400, "Title too long", "Maximum length is " .. utils.MAX_CHAT_TITLE_LENGTH .. " characters")
+    end
+    
+    local chat_meta, err = redis.set_chat_title(chat_id, title)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to rename chat", err)
+    end
+    
+    view.render_success({ chat_id = chat_id, title = chat_meta.title }, "Chat renamed")
+end
+
+-- Pin or unpin a chat
+function _M.handle_pin_chat()
+    local request_data = read_existing_chat_request()
+    if not request_data then return end
+    
+    if type(request_data.pinned) ~= "boolean" then
+        return view.render_api_error(400, "Missing pinned flag", "pinned must be true or false")
+    end
+    
+    local chat_meta, err = redis.set_chat_pinned(request_data.chat_id, request_data.pinned)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to update chat", err)
+    end
+    
+    view.render_success({ chat_id = request_data.chat_id, pinned = chat_meta.pinned },
+        chat_meta.pinned and "Chat pinned" or "Chat unpinned")
+end
+
+-- Mark or unmark a chat as favourite
+function _M.handle_favourite_chat()
+    local request_data = read_existing_chat_request()
+    if not request_data then return end
+    
+    if type(request_data.favourite) ~= "boolean" then
+        return view.render_api_error(400, "Missing favourite flag", "favourite must be true or false")
+    end
+    
+    local chat_meta, err = redis.set_chat_favourite(request_data.chat_id, request_data.favourite)
+    if not chat_meta then
+        return view.render_api_error(500, "Failed to update chat", err)
+    end
+    
+    view.render_success({ chat_id = request_data.chat_id, favourite = chat_meta.favourite },
+        chat_meta.favourite and "Chat added to favourites" or "Chat removed from favourites")
+end
+
+-- Fork a chat into a new chat(n), optionally only up to a given message
+function _M.handle_duplicate_chat()
+    local request_data = read_existing_chat_request()
+    if not request_data then return end
+    
+    local source_chat_id = request_data.chat_id
+    local up_to_message_id = request_data.up_to_message_id
+    if type(up_to_message_id) ~= "string" or up_to_message_id == "" then
+        up_to_message_id = nil
+    end
+    
+    if up_to_message_id and not utils.is_valid_plain_message_id(up_to_message_id) then
+        return view.render_api_error(400, "Invalid up_to_message_id")
+    end
+    
+    local new_chat_id = utils.generate_chat_id()
+    local result, err = redis.duplicate_chat(source_chat_id, new_chat_id, up_to_message_id)
+    if not result then
+        return view.render_api_error(500, "Failed to duplicate chat", err)
+    end
+    if result.error then
+        return view.render_api_error(404, "Failed to duplicate chat", result.error)
+    end
+    
+    -- Copy code block artifacts that belong to the copied messages (oldest first, as they were saved)
+    local artifact_count = 0
+    local source_artifacts = redis.get_chat_artifacts(source_chat_id) or {}
+    for i = #source_artifacts, 1, -1 do
+        local artifact = source_artifacts[i]
+        if artifact.type == "code_block" and result.message_ids[artifact.parent_id] then
+            if artifacts.duplicate_artifact(redis, artifact, new_chat_id, artifact.parent_id) then
+                artifact_count = artifact_count + 1
+            end
+        end
+    end
+    
+    utils.log_info("chat_handler", "duplicate_chat", {
+        source_chat_id = source_chat_id,
+        new_chat_id = new_chat_id,
+        artifact_count = artifact_count
+    })
+    
+    local meta = result.meta
+    view.render_success({
+        chat_id = new_chat_id,
+        source_chat_id = source_chat_id,
+        artifact_count = artifact_count,
+        chat = {
+            id = new_chat_id,
+            message_count = meta.message_count,
+            last_updated = meta.last_updated,
+            preview = meta.last_message_preview,
+            title = meta.title,
+            pinned = false,
+            favourite = false,
+            model = meta.model,
+            options = meta.options,
+            system_prompt = meta.system_prompt
+        }
+    }, "Chat duplicated", 201)
+end
+
+-- Full-text search over the messages and code blocks of every chat
+function _M.handle_search()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    local query = utils.trim(type(args.q) == "string" and args.q or "")
+    local limit = math.max(1, math.min(tonumber(args.limit) or 50, 200))
+    
+    if #query < 2 then
+        return view.render_api_error(400, "Query too short", "Search needs at least 2 characters")
+    end
+    
+    local chats, err = redis.get_chat_list()
+    if not chats then
+        return view.render_api_error(500, "Failed to load chat list", err)
+    end
+    
+    local results, total = artifacts.search_all_chats(redis, chats, query, { limit = limit })
     
-    if not ai_response then
-        utils.log_error("chat_handler", "streaming_chat", "Streaming failed", {
-            error = stream_err,
-            chat_id = chat_id
-        })
-        return
+    view.render_success({
+        query = query,
+        results = #results > 0 and results or cjson.empty_array,
+        total = total,
+        truncated = total > #results
+    })
+end
+
+-- Check an import payload: { title?, model?, system_prompt?, messages = { { role, content, timestamp?, attachments? } } }
+local function validate_import(request_data)
+    local messages = request_data.messages
+    if type(messages) ~= "table" or #messages == 0 then
+        return nil, "messages must be a non-empty array"
+    end
+    if #messages > utils.MAX_IMPORT_MESSAGES then
+        return nil, "Too many messages (maximum " .. utils.MAX_IMPORT_MESSAGES .. ")"
     end
     
-    -- Save AI response and extract artifacts
-    local ai_message_id
-    local ai_save_result, ai_save_err = redis.execute(function(red)
-        ai_message_id = utils.generate_message_id(red, chat_id, "assistant")
-        local artifact_ids = artifacts.extract_and_save_code_blocks(red, chat_id, ai_message_id, ai_response)
-        return redis.save_message(chat_id, ai_message_id, "assistant", ai_response, {}, artifact_ids)
-    end)
-    
-    if not ai_save_result then
-        utils.log_error("chat_handler", "save_ai_message", "Failed to save AI message", {
-            error = ai_save_err,
-            chat_id = chat_id,
-            message_id = ai_message_id
-        })
-    else
-        -- Log completion with continuation info
-        local artifact_count = 0
-        if ai_response then
-            for _ in string.gmatch(ai_response, "```[%w]*\n.-\n```") do
-                artifact_count = artifact_count + 1
+    local imported = {}
+    for i, message in ipairs(messages) do
+        if type(message) ~= "table" or (message.role ~= "user" and message.role ~= "assistant") then
+            return nil, "Message " .. i .. ": role must be user or assistant"
+        end
+        if type(message.content) ~= "string" then
+            return nil, "Message " .. i .. ": content must be a string"
+        end
+        
+        -- Attachment metadata only; file contents are not imported
+        local attachments = {}
+        if type(message.attachments) == "table" then
+            for _, file in ipairs(message.attachments) do
+                if type(file) == "table" and type(file.name) == "string" then
+                    table.insert(attachments, {
+                        name = file.name,
+                        type = type(file.type) == "string" and file.type or "unknown",
+                        size = tonumber(file.size) or 0
+                    })
+                end
             end
         end
         
-        utils.log_info("chat_handler", "chat_stream_complete", {
-            chat_id = chat_id,
-            user_message_id = user_message_id,
-            ai_message_id = ai_message_id,
-            artifact_count = artifact_count,
-            response_length = #ai_response,
-            is_complete = completion_info and completion_info.is_complete or true,
-            needs_continuation = completion_info and not completion_info.is_complete or false
+        table.insert(imported, {
+            role = message.role,
+            content = message.content,
+            timestamp = tonumber(message.timestamp),
+            attachments = attachments
         })
     end
+    
+    if request_data.model ~= nil and request_data.model ~= "" and not utils.is_valid_model_name(request_data.model) then
+        return nil, "Invalid model name"
+    end
+    
+    return imported
 end
 
--- NEW: Handle chat continuation for incomplete responses
-function _M.handle_chat_continuation()
+-- Import a conversation into a new chat; messages get fresh admin(n)/jai(n) IDs and
+-- assistant code blocks are re-extracted as _code(x) artifacts
+function _M.handle_import_chat()
     if ngx.req.get_method() ~= "POST" then
         return view.handle_method_not_allowed({"POST"})
     end
     
-    if ngx.req.get_method() == "OPTIONS" then
-        return utils.handle_options_request()
-    end
-    
-    -- Validate SSE connection
-    local sse_valid, sse_err = sse.validate_connection()
-    if not sse_valid then
-        return view.render_api_error(400, "SSE not supported", sse_err)
-    end
-    
-    -- Read and parse request
     local body, body_err = utils.read_request_body()
     if not body then
         return view.render_api_error(400, "No request body", body_err.error)
@@ -219,96 +1639,86 @@ function _M.handle_chat_continuation()
         return view.render_api_error(400, "Invalid JSON", parse_err.error)
     end
     
-    local chat_id = request_data.chat_id
-    local previous_response = request_data.previous_response or ""
-    
-    -- Validate input
-    if not chat_id or chat_id == "" then
-        return view.render_api_error(400, "Missing chat_id")
+    local messages, validate_err = validate_import(request_data)
+    if not messages then
+        return view.render_api_error(400, "Invalid import", validate_err)
     end
     
-    if not utils.is_valid_chat_id(chat_id) then
-        return view.render_api_error(400, "Invalid chat ID format")
-    end
+    local chat_id = utils.generate_chat_id()
+    local model = (request_data.model and request_data.model ~= "") and request_data.model or nil
     
-    if previous_response == "" then
-        return view.render_api_error(400, "Missing previous_response")
+    local created, create_err = redis.create_chat(chat_id, model)
+    if not created then
+        return view.render_api_error(500, "Failed to create chat", create_err)
     end
     
-    -- Get chat context from Redis
-    local context_messages, context_err = redis.get_chat_context(chat_id, 10)
-    if not context_messages then
-        utils.log_error("chat_handler", "get_continuation_context", "Failed to get chat context", {
-            error = context_err,
+    local artifact_count = 0
+    local import_ok, import_err = redis.execute(function(red)
+        for _, message in ipairs(messages) do
+            local message_id = utils.generate_message_id(red, chat_id, message.role)
+            local artifact_ids = {}
+            if message.role == "assistant" then
+                artifact_ids = artifacts.extract_and_save_code_blocks(red, chat_id, message_id, message.content)
+                artifact_count = artifact_count + #artifact_ids
+            end
+            
+            local saved, save_err = redis.save_message(chat_id, message_id, message.role, message.content,
+                message.attachments, artifact_ids, { timestamp = message.timestamp })
+            if not saved then
+                error("Failed to save " .. message_id .. ": " .. tostring(save_err))
+            end
+        end
+        return true
+    end)
+    
+    if not import_ok then
+        redis.clear_chat(chat_id)
+        utils.log_error("chat_handler", "import_chat", "Failed to import messages", {
+            error = import_err,
             chat_id = chat_id
         })
-        return view.render_api_error(500, "Failed to get chat context", context_err)
+        return view.render_api_error(500, "Failed to import chat", import_err)
     end
     
-    utils.log_info("chat_handler", "handle_continuation", {
-        chat_id = chat_id,
-        previous_response_length = #previous_response,
-        context_size = #context_messages
-    })
-    
-    -- Handle continuation streaming
-    local continued_response, continuation_err, completion_info = sse.handle_continuation_request(
-        chat_id,
-        previous_response,
-        context_messages,
-        ollama
-    )
-    
-    if not continued_response then
-        utils.log_error("chat_handler", "continuation_failed", "Continuation failed", {
-            error = continuation_err,
-            chat_id = chat_id
-        })
-        return
+    local title = utils.sanitize_chat_title(request_data.title)
+    if title then
+        redis.set_chat_title(chat_id, title)
     end
     
-    -- Update the last AI message with the combined response
-    local messages, msg_err = redis.get_chat_messages(chat_id, 5)
-    if messages and #messages > 0 then
-        -- Find the last assistant message
-        local last_ai_message = nil
-        for i = #messages, 1, -1 do
-            if messages[i].role == "assistant" then
-                last_ai_message = messages[i]
-                break
-            end
-        end
-        
-        if last_ai_message then
-            -- Update the message with combined response
-            local update_result, update_err = redis.execute(function(red)
-                -- Extract new artifacts from the combined response
-                local artifact_ids = artifacts.extract_and_save_code_blocks(red, chat_id, last_ai_message.id, continued_response)
-                
-                -- Update message content
-                return redis.save_message(chat_id, last_ai_message.id, "assistant", continued_response, {}, artifact_ids)
-            end)
-            
-            if not update_result then
-                utils.log_error("chat_handler", "update_continued_message", "Failed to update message", {
-                    error = update_err,
-                    chat_id = chat_id,
-                    message_id = last_ai_message.id
-                })
-            else
-                utils.log_info("chat_handler", "continuation_complete", {
-                    chat_id = chat_id,
-                    message_id = last_ai_message.id,
-                    final_response_length = #continued_response,
-                    is_complete = completion_info and completion_info.is_complete or true
-                })
-            end
-        end
+    local system_prompt = utils.sanitize_system_prompt(request_data.system_prompt)
+    if system_prompt then
+        redis.set_chat_settings(chat_id, {}, system_prompt)
     end
+    
+    local meta = redis.get_chat_meta(chat_id) or {}
+    
+    utils.log_info("chat_handler", "import_chat", {
+        chat_id = chat_id,
+        message_count = #messages,
+        artifact_count = artifact_count
+    })
+    
+    view.render_success({
+        chat_id = chat_id,
+        message_count = #messages,
+        artifact_count = artifact_count,
+        chat = {
+            id = chat_id,
+            message_count = meta.message_count or #messages,
+            last_updated = meta.last_updated or ngx.time(),
+            preview = meta.last_message_preview or "",
+            title = meta.title or "",
+            pinned = false,
+            favourite = false,
+            model = meta.model,
+            options = meta.options,
+            system_prompt = meta.system_prompt
+        }
+    }, "Chat imported", 201)
 end
 
--- Get chat history endpoint
-function _M.handle_chat_history()
+-- Get chat artifacts endpoint
+function _M.handle_chat_artifacts()
     if ngx.req.get_method() ~= "GET" then
         return view.handle_method_not_allowed({"GET"})
     end
@@ -324,59 +1734,119 @@ function _M.handle_chat_history()
         return view.render_api_error(400, "Invalid chat_id format")
     end
     
-    local messages, err = redis.get_chat_messages(chat_id, 100)
-    if not messages then
-        return view.render_api_error(500, "Failed to load chat history", err)
+    -- Parse filter options from query parameters
+    local filter_options = {
+        type = args.type,
+        language = args.language,
+        sort_by = args.sort_by or "timestamp",
+        sort_order = args.sort_order or "desc"
+    }
+    
+    local chat_artifacts, err = artifacts.get_artifacts_with_filter(redis, chat_id, filter_options)
+    if not chat_artifacts then
+        return view.render_api_error(500, "Failed to load artifacts", err)
     end
     
-    view.render_chat_history(messages, chat_id)
+    view.render_artifacts(chat_artifacts, chat_id)
 end
 
--- Get chat list endpoint
-function _M.handle_chat_list()
+-- Versions of a code block across the chat (revisions of the same file), for the diff view
+function _M.handle_artifact_history()
     if ngx.req.get_method() ~= "GET" then
         return view.handle_method_not_allowed({"GET"})
     end
     
-    local chats, err = redis.get_chat_list()
-    if not chats then
-        return view.render_api_error(500, "Failed to load chat list", err)
+    local args = ngx.req.get_uri_args()
+    local chat_id = args.chat_id
+    local artifact_id = args.artifact_id
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
     end
     
-    view.render_chat_list(chats)
+    if not utils.is_valid_message_id(artifact_id) or utils.is_valid_plain_message_id(artifact_id) then
+        return view.render_api_error(400, "Invalid artifact_id format", "Expected a code block ID like jai(n)_code(x)")
+    end
+    
+    local history, err = artifacts.get_artifact_history(redis, chat_id, artifact_id)
+    if not history then
+        if err == "Code block not found" then
+            return view.render_api_error(404, err)
+        end
+        return view.render_api_error(500, "Failed to load artifact history", err)
+    end
+    
+    history.chat_id = chat_id
+    view.render_success(history)
 end
 
--- Get chat artifacts endpoint
-function _M.handle_chat_artifacts()
+-- The chat's code blocks as project files (latest version per file) for the ZIP download
+function _M.handle_artifact_project()
     if ngx.req.get_method() ~= "GET" then
         return view.handle_method_not_allowed({"GET"})
     end
     
-    local args = ngx.req.get_uri_args()
-    local chat_id = args.chat_id
+    local chat_id = ngx.req.get_uri_args().chat_id
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
     
-    if not chat_id or chat_id == "" then
-        return view.render_api_error(400, "Missing chat_id parameter")
+    local files, err = artifacts.get_project_files(redis, chat_id)
+    if not files then
+        return view.render_api_error(500, "Failed to load code blocks", err)
+    end
+    
+    view.render_success({
+        chat_id = chat_id,
+        files = #files > 0 and files or cjson.empty_array
+    })
+end
+
+-- Save code edited in the code panel as a new version of a code block
+function _M.handle_artifact_save()
+    if ngx.req.get_method() ~= "POST" then
+        return view.handle_method_not_allowed({"POST"})
+    end
+    
+    local body, body_err = utils.read_request_body()
+    if not body then
+        return view.render_api_error(400, "No request body", body_err.error)
+    end
+    
+    local request_data, parse_err = utils.parse_json_request(body)
+    if not request_data then
+        return view.render_api_error(400, "Invalid JSON", parse_err.error)
     end
     
+    local chat_id = request_data.chat_id
+    local artifact_id = request_data.artifact_id
+    local code = request_data.code
+    
     if not utils.is_valid_chat_id(chat_id) then
         return view.render_api_error(400, "Invalid chat_id format")
     end
     
-    -- Parse filter options from query parameters
-    local filter_options = {
-        type = args.type,
-        language = args.language,
-        sort_by = args.sort_by or "timestamp",
-        sort_order = args.sort_order or "desc"
-    }
+    if not utils.is_valid_message_id(artifact_id) or utils.is_valid_plain_message_id(artifact_id) then
+        return view.render_api_error(400, "Invalid artifact_id format", "Expected a code block ID like jai(n)_code(x)")
+    end
     
-    local chat_artifacts, err = artifacts.get_artifacts_with_filter(redis, chat_id, filter_options)
-    if not chat_artifacts then
-        return view.render_api_error(500, "Failed to load artifacts", err)
+    if type(code) ~= "string" or utils.trim(code) == "" then
+        return view.render_api_error(400, "Code is required")
     end
     
-    view.render_artifacts(chat_artifacts, chat_id)
+    if #code > utils.MAX_ARTIFACT_CODE_SIZE then
+        return view.render_api_error(413, "Code too large", "Maximum size is " .. utils.format_file_size(utils.MAX_ARTIFACT_CODE_SIZE))
+    end
+    
+    local artifact, err = artifacts.save_edited_version(redis, chat_id, artifact_id, code)
+    if not artifact then
+        if err == "Code block not found" then
+            return view.render_api_error(404, err)
+        end
+        return view.render_api_error(500, "Failed to save code version", err)
+    end
+    
+    view.render_success({ artifact = artifact }, "Code version saved", 201)
 end
 
 -- Get message details including artifacts
@@ -581,6 +2051,52 @@ function _M.handle_export_artifacts()
     })
 end
 
+-- Export the whole conversation (active branch) as markdown or json
+function _M.handle_export_transcript()
+    if ngx.req.get_method() ~= "GET" then
+        return view.handle_method_not_allowed({"GET"})
+    end
+    
+    local args = ngx.req.get_uri_args()
+    local chat_id = args.chat_id
+    local format = args.format or "markdown"
+    
+    if not chat_id or chat_id == "" then
+        return view.render_api_error(400, "Missing chat_id parameter")
+    end
+    
+    if not utils.is_valid_chat_id(chat_id) then
+        return view.render_api_error(400, "Invalid chat_id format")
+    end
+    
+    local messages, err = redis.get_chat_messages(chat_id, 1000)
+    if not messages then
+        return view.render_api_error(500, "Failed to load messages", err)
+    end
+    
+    local chat_artifacts = redis.get_chat_artifacts(chat_id) or {}
+    local chat_meta = redis.get_chat_meta(chat_id) or {}
+    
+    local transcript = artifacts.build_transcript(chat_id, chat_meta, messages, chat_artifacts)
+    local exported_content, mime_type, filename = artifacts.export_transcript(transcript, format)
+    if not exported_content then
+        return view.render_api_error(400, "Export failed", mime_type) -- mime_type contains error message
+    end
+    
+    ngx.header["Content-Type"] = mime_type .. "; charset=utf-8"
+    ngx.header["Content-Disposition"] = "attachment; filename=" .. filename
+    utils.set_cors_headers()
+    
+    ngx.print(exported_content)
+    
+    utils.log_info("chat_handler", "export_transcript", {
+        chat_id = chat_id,
+        format = format,
+        message_count = #messages,
+        export_size = #exported_content
+    })
+end
+
 -- API documentation endpoint
 function _M.handle_api_docs()
     if ngx.req.get_method() ~= "GET" then
@@ -621,4 +2137,25 @@ function _M.handle_error(error_msg, status_code)
     end
 end
 
+-- Streaming endpoints must close their stream whatever fails: an error thrown once the SSE
+-- stream is open goes to the client as an error event and finishes the stream as "error"
+local function protect_stream(handler)
+    return function()
+        local ok, err = pcall(handler)
+        if ok then
+            return
+        end
+        
+        if ngx.ctx.sse_opened then
+            sse.fail_stream(tostring(err))
+        else
+            _M.handle_error(tostring(err))
+        end
+    end
+end
+
+for _, name in ipairs({ "handle_chat_stream", "handle_chat_continuation", "handle_regenerate_message", "handle_edit_message" }) do
+    _M[name] = protect_stream(_M[name])
+end
+
 return _M
\ No newline at end of file
@@ -13,9 +13,9 @@ function _M.create_client()
 end
 
 -- Prepare Ollama request payload with unlimited response length
-function _M.prepare_request(context_messages, options)
+function _M.prepare_request(context_messages, options, model)
     local request_data = {
-        model = utils.MODEL_NAME,
+        model = model or utils.MODEL_NAME,
         messages = context_messages,
         stream = true,
         options = {
@@ -48,7 +48,8 @@ function _M.prepare_context_with_files(context_messages, files)
     for _, msg in ipairs(context_messages) do
         table.insert(enhanced_context, {
             role = msg.role,
-            content = msg.content
+            content = msg.content,
+            images = msg.images
         })
     end
     
@@ -72,7 +73,24 @@ function _M.prepare_context_with_files(context_messages, files)
     return enhanced_context
 end
 
+-- Prepend the chat's custom system prompt to the context
+function _M.apply_system_prompt(context_messages, system_prompt)
+    if not system_prompt or system_prompt == "" then
+        return context_messages
+    end
+    
+    local prompted_context = {
+        { role = "system", content = system_prompt }
+    }
+    for _, msg in ipairs(context_messages) do
+        table.insert(prompted_context, msg)
+    end
+    
+    return prompted_context
+end
+
 -- Send request to Ollama API with enhanced error handling
+-- Returns the open response; its body is read incrementally through res.body_reader
 function _M.send_request(httpc, request_data)
     local url = utils.MODEL_URL .. "/api/chat"
     
@@ -83,14 +101,38 @@ function _M.send_request(httpc, request_data)
         unlimited_mode = true
     })
     
-    local res, err = httpc:request_uri(url, {
+    local parsed_url, parse_err = httpc:parse_uri(url)
+    if not parsed_url then
+        return nil, "Invalid MODEL_URL: " .. (parse_err or url)
+    end
+    
+    local scheme, host, port, path = unpack(parsed_url)
+    
+    local ok, connect_err = httpc:connect(host, port)
+    if not ok then
+        utils.log_error("chat_ollama", "send_request", "Connection failed", {
+            error = connect_err,
+            url = url
+        })
+        return nil, "Failed to connect to Ollama: " .. (connect_err or "unknown error")
+    end
+    
+    if scheme == "https" then
+        local handshake_ok, handshake_err = httpc:ssl_handshake(nil, host, false)
+        if not handshake_ok then
+            return nil, "Failed to connect to Ollama: " .. (handshake_err or "TLS handshake failed")
+        end
+    end
+    
+    -- CRITICAL: No timeout settings - let nginx handle it
+    local res, err = httpc:request({
         method = "POST",
+        path = path,
         body = cjson.encode(request_data),
         headers = {
+            ["Host"] = host,
             ["Content-Type"] = "application/json"
         }
-        -- CRITICAL: Remove all timeout settings - let nginx handle it
-        -- read_timeout, send_timeout, connect_timeout removed
     })
     
     if not res then
@@ -102,7 +144,8 @@ function _M.send_request(httpc, request_data)
     end
     
     if res.status ~= 200 then
-        local error_body = res.body and res.body:sub(1, 200) or "No response body"
+        local body = res:read_body()
+        local error_body = body and body:sub(1, 200) or "No response body"
         utils.log_error("chat_ollama", "send_request", "HTTP error", {
             status = res.status,
             body = error_body,
@@ -113,73 +156,200 @@ function _M.send_request(httpc, request_data)
     
     utils.log_info("chat_ollama", "send_request", {
         status = res.status,
-        response_length = res.body and #res.body or 0
+        streaming = true
     })
     
     return res, nil
 end
 
--- ENHANCED: Parse streaming response with completion detection
-function _M.parse_streaming_response(response_body)
-    local full_response = ""
-    local lines = {}
+-- Token counts and timings for one generation. Ollama's final frame reports durations in
+-- nanoseconds; time to first token is measured here from started_at (both ngx.now() seconds).
+-- Without a final frame (stopped early) the chunk count stands in for completion tokens.
+function _M.build_metrics(final_frame, started_at, first_token_at, chunk_count)
+    local frame = final_frame or {}
+    
+    local function to_ms(ns)
+        ns = tonumber(ns)
+        return ns and math.floor(ns / 1e6 + 0.5) or nil
+    end
     
-    -- Split response into lines
-    for line in response_body:gmatch("[^\r\n]+") do
-        table.insert(lines, line)
+    local metrics = {
+        prompt_tokens = tonumber(frame.prompt_eval_count),
+        completion_tokens = tonumber(frame.eval_count),
+        total_ms = to_ms(frame.total_duration),
+        load_ms = to_ms(frame.load_duration),
+        prompt_eval_ms = to_ms(frame.prompt_eval_duration),
+        eval_ms = to_ms(frame.eval_duration)
+    }
+    
+    if started_at and first_token_at then
+        metrics.ttft_ms = math.floor((first_token_at - started_at) * 1000 + 0.5)
     end
     
-    utils.log_info("chat_ollama", "parse_streaming_response", {
-        line_count = #lines
-    })
+    if not final_frame and chunk_count and chunk_count > 0 then
+        metrics.completion_tokens = chunk_count
+        metrics.estimated = true
+        if first_token_at then
+            ngx.update_time()
+            metrics.eval_ms = math.floor((ngx.now() - first_token_at) * 1000 + 0.5)
+        end
+    end
+    
+    if metrics.completion_tokens and metrics.eval_ms and metrics.eval_ms > 0 then
+        metrics.tokens_per_second = math.floor(metrics.completion_tokens / (metrics.eval_ms / 1000) * 10 + 0.5) / 10
+    end
     
+    return metrics
+end
+
+-- Fold a continuation's metrics into the message's earlier ones: counts and durations add up,
+-- the prompt is the latest one and time to first token stays that of the original answer
+function _M.combine_metrics(previous, addition)
+    if type(previous) ~= "table" then
+        return addition
+    end
+    if type(addition) ~= "table" then
+        return previous
+    end
+    
+    local function sum(key)
+        if previous[key] == nil and addition[key] == nil then
+            return nil
+        end
+        return (tonumber(previous[key]) or 0) + (tonumber(addition[key]) or 0)
+    end
+    
+    local combined = {
+        prompt_tokens = addition.prompt_tokens or previous.prompt_tokens,
+        completion_tokens = sum("completion_tokens"),
+        total_ms = sum("total_ms"),
+        load_ms = sum("load_ms"),
+        prompt_eval_ms = sum("prompt_eval_ms"),
+        eval_ms = sum("eval_ms"),
+        ttft_ms = previous.ttft_ms or addition.ttft_ms,
+        estimated = (previous.estimated or addition.estimated) or nil
+    }
+    
+    if combined.completion_tokens and combined.eval_ms and combined.eval_ms > 0 then
+        combined.tokens_per_second = math.floor(combined.completion_tokens / (combined.eval_ms / 1000) * 10 + 0.5) / 10
+    end
+    
+    return combined
+end
+
+-- ENHANCED: Read the NDJSON stream as it arrives, with completion detection.
+-- handlers.on_chunk(content) gets each piece of text; handlers.should_stop() is polled between
+-- reads and ends the read early (the caller closes the connection, which aborts Ollama).
+-- started_at (ngx.now() when the request went out) is used for time to first token.
+function _M.read_streaming_response(res, handlers, started_at)
+    handlers = handlers or {}
+    
+    local parts = {}
     local chunks = {}
+    local buffer = ""
     local is_complete = false
+    local stopped = false
     local completion_reason = "unknown"
+    local stream_err
+    local final_frame
+    local first_token_at
+    
+    -- Handle one NDJSON line; returns true once Ollama reports done or an error
+    local function handle_line(line)
+        if line == "" then
+            return false
+        end
+        
+        local ok_chunk, chunk_data = pcall(cjson.decode, line)
+        if not ok_chunk or type(chunk_data) ~= "table" then
+            return false
+        end
+        
+        if chunk_data.error then
+            utils.log_error("chat_ollama", "read_streaming_response", "Ollama error", {
+                error = chunk_data.error
+            })
+            stream_err = "Ollama error: " .. tostring(chunk_data.error)
+            return true
+        end
+        
+        local content = chunk_data.message and chunk_data.message.content or ""
+        if type(content) == "string" and content ~= "" then
+            if not first_token_at then
+                ngx.update_time()
+                first_token_at = ngx.now()
+            end
+            
+            table.insert(parts, content)
+            table.insert(chunks, {
+                content = content,
+                done = chunk_data.done or false
+            })
+            
+            if handlers.on_chunk then
+                handlers.on_chunk(content)
+            end
+        end
+        
+        -- Check for completion indicators
+        if chunk_data.done then
+            is_complete = true
+            completion_reason = chunk_data.done_reason or "finished"
+            final_frame = chunk_data
+            return true
+        end
+        
+        return false
+    end
+    
+    local finished = false
+    while not finished do
+        if handlers.should_stop and handlers.should_stop() then
+            stopped = true
+            break
+        end
+    
+        local data, read_err = res.body_reader(8192)
+        if read_err then
+            stream_err = "Failed to read from Ollama: " .. read_err
+            break
+        end
     
-    -- Process each line from Ollama
-    for _, line in ipairs(lines) do
-        if line and line ~= "" then
-            local ok_chunk, chunk_data = pcall(cjson.decode, line)
-            if ok_chunk and chunk_data.message then
-                local content = chunk_data.message.content or ""
-                
-                if content ~= "" then
-                    full_response = full_response .. content
-                    
-                    table.insert(chunks, {
-                        content = content,
-                        done = chunk_data.done or false
-                    })
-                end
-                
-                -- Check for completion indicators
-                if chunk_data.done then
-                    is_complete = true
-                    completion_reason = chunk_data.done_reason or "finished"
-                    
-                    -- Log completion details
-                    utils.log_info("chat_ollama", "response_complete", {
-                        reason = completion_reason,
-                        total_length = #full_response,
-                        chunk_count = #chunks
-                    })
-                    
-                    break
-                end
-                
-            elseif ok_chunk and chunk_data.error then
-                utils.log_error("chat_ollama", "parse_streaming_response", "Ollama error", {
-                    error = chunk_data.error
-                })
-                return nil, nil, "Ollama error: " .. chunk_data.error
+        if not data then
+            -- End of body: a final line may lack its newline
+            handle_line(buffer)
+            buffer = ""
+            break
+        end
+        
+        buffer = buffer .. data
+        
+        local newline = string.find(buffer, "\n", 1, true)
+        while newline do
+            local line = string.gsub(string.sub(buffer, 1, newline - 1), "\r$", "")
+            buffer = string.sub(buffer, newline + 1)
+            
+            if handle_line(line) then
+                finished = true
+                break
             end
+            newline = string.find(buffer, "\n", 1, true)
         end
     end
     
+    local full_response = table.concat(parts)
+    
+    if stream_err and not stopped then
+        return nil, nil, stream_err
+    end
+    
+    if stopped then
+        completion_reason = "stopped"
+    end
+    
     -- ENHANCED: Check if response seems truncated
     local seems_truncated = false
-    if not is_complete and #full_response > 0 then
+    if not is_complete and not stopped and #full_response > 0 then
         -- Check for common truncation indicators
         local last_part = string.sub(full_response, -50)
         if string.find(last_part, "%.%.%.$") or 
@@ -189,23 +359,32 @@ function _M.parse_streaming_response(response_body)
         end
     end
     
-    utils.log_info("chat_ollama", "parse_streaming_response", {
+    local metrics = _M.build_metrics(final_frame, started_at, first_token_at, #chunks)
+    
+    utils.log_info("chat_ollama", "read_streaming_response", {
         full_response_length = #full_response,
         chunk_count = #chunks,
         is_complete = is_complete,
+        stopped = stopped,
         completion_reason = completion_reason,
-        seems_truncated = seems_truncated
+        seems_truncated = seems_truncated,
+        metrics = metrics
     })
     
     return full_response, chunks, nil, {
-        is_complete = is_complete,
+        -- A stopped answer is final as far as the user is concerned; they can continue it explicitly
+        is_complete = is_complete or stopped,
+        stopped = stopped,
         completion_reason = completion_reason,
-        seems_truncated = seems_truncated
+        seems_truncated = seems_truncated,
+        metrics = metrics
     }
 end
 
--- ENHANCED: Stream chat completion with full response handling
-function _M.stream_chat(context_messages, options)
+-- ENHANCED: Stream chat completion, passing text to handlers.on_chunk as Ollama produces it.
+-- When handlers.should_stop() turns true the connection is closed, which makes Ollama abort
+-- the generation and frees its slot (OLLAMA_NUM_PARALLEL=1).
+function _M.stream_chat(context_messages, options, model, handlers)
     -- Validate configuration
     local config_valid, config_issues = _M.validate_config()
     if not config_valid then
@@ -216,29 +395,36 @@ function _M.stream_chat(context_messages, options)
     local httpc = _M.create_client()
     
     -- Prepare request for unlimited response
-    local request_data = _M.prepare_request(context_messages, options)
+    local request_data = _M.prepare_request(context_messages, options, model)
     
     -- Send request
+    ngx.update_time()
+    local started_at = ngx.now()
     local response, err = _M.send_request(httpc, request_data)
     if not response then
         httpc:close()
         return nil, err
     end
     
-    -- Parse streaming response with completion detection
-    local full_response, chunks, parse_err, completion_info = _M.parse_streaming_response(response.body)
+    -- Read the streaming response with completion detection
+    local full_response, chunks, parse_err, completion_info = _M.read_streaming_response(response, handlers, started_at)
     httpc:close()
     
     if parse_err then
         return nil, parse_err
     end
     
+    if completion_info and completion_info.metrics then
+        completion_info.metrics.model = request_data.model
+    end
+    
     -- ENHANCED: Return completion information
     return {
         full_response = full_response,
         chunks = chunks,
-        model = utils.MODEL_NAME,
+        model = request_data.model,
         options = request_data.options,
+        metrics = completion_info and completion_info.metrics,
         completion_info = completion_info or {
             is_complete = true,
             completion_reason = "finished"
@@ -246,6 +432,82 @@ function _M.stream_chat(context_messages, options)
     }, nil
 end
 
+-- Non-streaming completion for background work (e.g. summaries); returns the reply text
+function _M.complete_chat(context_messages, options, model)
+    local config_valid, config_issues = _M.validate_config()
+    if not config_valid then
+        return nil, "Configuration error: " .. table.concat(config_issues, ", ")
+    end
+    
+    local request_data = _M.prepare_request(context_messages, options, model)
+    request_data.stream = false
+    request_data.options.num_predict = 1024 -- background replies are short; never let them run on
+    
+    local httpc = _M.create_client()
+    local res, err = httpc:request_uri(utils.MODEL_URL .. "/api/chat", {
+        method = "POST",
+        body = cjson.encode(request_data),
+        headers = {
+            ["Content-Type"] = "application/json"
+        }
+    })
+    httpc:close()
+    
+    if not res then
+        utils.log_error("chat_ollama", "complete_chat", "Request failed", {
+            error = err
+        })
+        return nil, "Failed to connect to Ollama: " .. (err or "unknown error")
+    end
+    
+    if res.status ~= 200 then
+        return nil, "Ollama returned HTTP " .. res.status .. ": " .. (res.body and res.body:sub(1, 200) or "")
+    end
+    
+    local ok, data = pcall(cjson.decode, res.body)
+    if not ok or type(data) ~= "table" or type(data.message) ~= "table" then
+        return nil, "Invalid response from Ollama"
+    end
+    
+    return data.message.content or "", nil
+end
+
+-- Embed texts with the embeddings model (/api/embed); returns one vector per input, in order
+function _M.embed(texts, model)
+    local httpc = _M.create_client()
+    httpc:set_timeout(120000)
+    
+    local res, err = httpc:request_uri(utils.MODEL_URL .. "/api/embed", {
+        method = "POST",
+        body = cjson.encode({
+            model = model or utils.EMBED_MODEL,
+            input = texts
+        }),
+        headers = {
+            ["Content-Type"] = "application/json"
+        }
+    })
+    httpc:close()
+    
+    if not res then
+        utils.log_error("chat_ollama", "embed", "Request failed", {
+            error = err
+        })
+        return nil, "Failed to connect to Ollama: " .. (err or "unknown error")
+    end
+    
+    if res.status ~= 200 then
+        return nil, "Ollama returned HTTP " .. res.status .. ": " .. (res.body and res.body:sub(1, 200) or "")
+    end
+    
+    local ok, data = pcall(cjson.decode, res.body)
+    if not ok or type(data) ~= "table" or type(data.embeddings) ~= "table" or #data.embeddings ~= #texts then
+        return nil, "Invalid embeddings response from Ollama"
+    end
+    
+    return data.embeddings, nil
+end
+
 -- NEW: Check if response needs continuation
 function _M.needs_continuation(response_result)
     if not response_result or not response_result.completion_info then
@@ -364,6 +626,61 @@ function _M.health_check()
     return true, "Ollama is healthy and model is available"
 end
 
+-- List models installed in Ollama (proxy for /api/tags)
+function _M.list_models()
+    local httpc = _M.create_client()
+    httpc:set_timeout(10000)
+    
+    local res, err = httpc:request_uri(utils.MODEL_URL .. "/api/tags", {
+        method = "GET",
+        headers = {
+            ["Content-Type"] = "application/json"
+        }
+    })
+    
+    httpc:close()
+    
+    if not res then
+        utils.log_error("chat_ollama", "list_models", "Connection failed", {
+            error = err,
+            url = utils.MODEL_URL
+        })
+        return nil, "Cannot connect to Ollama: " .. (err or "unknown error")
+    end
+    
+    if res.status ~= 200 then
+        return nil, "Ollama returned HTTP " .. res.status
+    end
+    
+    local ok, tags = pcall(cjson.decode, res.body)
+    if not ok or type(tags) ~= "table" then
+        return nil, "Invalid response from Ollama"
+    end
+    
+    local models = {}
+    for _, model in ipairs(tags.models or {}) do
+        local details = type(model.details) == "table" and model.details or {}
+        table.insert(models, {
+            name = model.name,
+            size = model.size,
+            modified_at = model.modified_at,
+            family = details.family,
+            parameter_size = details.parameter_size,
+            quantization_level = details.quantization_level
+        })
+    end
+    
+    table.sort(models, function(a, b)
+        return (a.name or "") < (b.name or "")
+    end)
+    
+    utils.log_info("chat_ollama", "list_models", {
+        model_count = #models
+    })
+    
+    return models, nil
+end
+
 -- Get default model options for unlimited responses
 function _M.get_default_options()
     return {
@@ -0,0 +1,308 @@
+-- Document collections: documents are split into overlapping chunks, embedded with Ollama's
+-- embeddings model and stored in Redis. Prompts in chats that use a collection get the most
+-- similar chunks added as numbered sources, and the answer keeps them as citations.
+local utils = require "chat_utils"
+local redis = require "chat_redis"
+local ollama = require "chat_ollama"
+
+local _M = {}
+
+local MAX_QUERY_BYTES = 2000 -- prompt text embedded for retrieval
+local SOURCES_PREFIX = "Passages from the user's document collections that may help with the next message. " ..
+    "Use them where relevant and cite them by number, like [1]. " ..
+    "If they do not contain the answer, say so instead of guessing.\n\n"
+
+local function is_space(byte)
+    return byte == 32 or byte == 9 or byte == 10 or byte == 13
+end
+
+local function is_continuation(byte)
+    return byte ~= nil and byte >= 128 and byte < 192
+end
+
+-- Split text longer than size at whitespace, so words and UTF-8 sequences stay whole
+local function split_long(text, size)
+    local pieces = {}
+    local start = 1
+    
+    while #text - start + 1 > size do
+        local stop = start + size - 1
+        local floor = start + math.floor(size / 2)
+        local cut = stop
+        while cut > floor and not is_space(string.byte(text, cut)) do
+            cut = cut - 1
+        end
+        
+        if cut <= floor then
+            -- One very long "word" (minified code, base64): cut outside a UTF-8 sequence
+            cut = stop
+            while cut > start and is_continuation(string.byte(text, cut + 1)) do
+                cut = cut - 1
+            end
+        end
+        
+        local piece = utils.trim(string.sub(text, start, cut))
+        if piece ~= "" then
+            table.insert(pieces, piece)
+        end
+        start = cut + 1
+    end
+    
+    local rest = utils.trim(string.sub(text, start))
+    if rest ~= "" then
+        table.insert(pieces, rest)
+    end
+    return pieces
+end
+
+-- End of a chunk repeated at the start of the next one, starting at a word boundary
+local function overlap_tail(text, overlap)
+    if overlap <= 0 or #text <= overlap then
+        return ""
+    end
+    return string.match(string.sub(text, -overlap), "^%S*%s+(.-)$") or ""
+end
+
+-- Pack paragraphs into chunks of about size bytes; each chunk after the first starts with
+-- the last ~overlap bytes of the previous one so a sentence on the boundary is not lost
+function _M.chunk_text(text, size, overlap)
+    size = size or utils.RAG_CHUNK_SIZE
+    overlap = overlap or utils.RAG_CHUNK_OVERLAP
+    
+    local chunks = {}
+    local current = ""
+    
+    text = string.gsub(text or "", "\r\n?", "\n")
+    for paragraph in string.gmatch(text .. "\n\n", "(.-)\n%s*\n") do
+        paragraph = utils.trim(paragraph)
+        if paragraph ~= "" then
+            for i, piece in ipairs(split_long(paragraph, size)) do
+                if current ~= "" and #current + 2 + #piece > size then
+                    table.insert(chunks, current)
+                    current = overlap_tail(current, overlap)
+                end
+                
+                -- Pieces of one long paragraph continue on the same line
+                local separator = i == 1 and "\n\n" or " "
+                current = current == "" and piece or current .. separator .. piece
+            end
+        end
+    end
+    
+    if current ~= "" then
+        table.insert(chunks, current)
+    end
+    
+    return chunks
+end
+
+-- Unit length (so a dot product is the cosine similarity), rounded to keep stored JSON small
+local function normalize(vector)
+    local sum = 0
+    for _, value in ipairs(vector) do
+        sum = sum + value * value
+    end
+    
+    local norm = math.sqrt(sum)
+    local normalized = {}
+    for i, value in ipairs(vector) do
+        normalized[i] = norm > 0 and math.floor(value / norm * 1e6 + 0.5) / 1e6 or 0
+    end
+    return normalized
+end
+
+local function dot(a, b)
+    local sum = 0
+    for i = 1, #a do
+        sum = sum + a[i] * b[i]
+    end
+    return sum
+end
+
+-- Chunk, embed and store a document { name, type, size, content }.
+-- Returns the document meta and the updated collection.
+function _M.add_document(collection_id, document)
+    local collection = redis.get_collection(collection_id)
+    if not collection then
+        return nil, "Collection not found"
+    end
+    
+    if collection.chunk_count > 0 and collection.embed_model ~= utils.EMBED_MODEL then
+        return nil, "This collection was indexed with " .. tostring(collection.embed_model) ..
+            "; create a new collection to use " .. utils.EMBED_MODEL
+    end
+    
+    local chunks = _M.chunk_text(document.content)
+    if #chunks == 0 then
+        return nil, "Document has no text"
+    end
+    
+    if collection.chunk_count + #chunks > utils.RAG_MAX_CHUNKS then
+        return nil, string.format("Collection is full: %d of %d chunks used, this document needs %d",
+            collection.chunk_count, utils.RAG_MAX_CHUNKS, #chunks)
+    end
+    
+    local vectors = {}
+    for first = 1, #chunks, utils.RAG_EMBED_BATCH do
+        local batch = {}
+        for i = first, math.min(first + utils.RAG_EMBED_BATCH - 1, #chunks) do
+            table.insert(batch, chunks[i])
+        end
+        
+        local embeddings, err = ollama.embed(batch)
+        if not embeddings then
+            utils.log_error("chat_rag", "add_document", "Embedding failed", {
+                error = err,
+                collection_id = collection_id,
+                document = document.name
+            })
+            return nil, "Embedding failed: " .. err
+        end
+        
+        for _, embedding in ipairs(embeddings) do
+            table.insert(vectors, normalize(embedding))
+        end
+    end
+    
+    local document_meta = {
+        id = ngx.md5(document.content),
+        name = document.name,
+        type = document.type,
+        size = document.size,
+        char_count = #document.content,
+        added_at = ngx.time()
+    }
+    
+    local updated, save_err = redis.save_collection_document(collection_id, document_meta, chunks, vectors)
+    if not updated then
+        return nil, save_err or "Failed to store document"
+    end
+    
+    utils.log_info("chat_rag", "add_document", {
+        collection_id = collection_id,
+        document_id = document_meta.id,
+        name = document.name,
+        chunks = #chunks
+    })
+    
+    return document_meta, updated
+end
+
+-- The top_k chunks most similar to query across collections, best first:
+-- { collection_id, collection_name, chunk_id, document_id, document_name, index, text, score }
+function _M.search(collection_ids, query, top_k)
+    local embeddings, err = ollama.embed({ utils.truncate_bytes(query, MAX_QUERY_BYTES) })
+    if not embeddings then
+        return nil, err
+    end
+    local query_vector = normalize(embeddings[1])
+    
+    local scored = {}
+    local collections = {}
+    for _, collection_id in ipairs(collection_ids) do
+        local collection = redis.get_collection(collection_id)
+        if collection and collection.chunk_count > 0 and collection.embed_model == utils.EMBED_MODEL then
+            collections[collection_id] = collection
+            for chunk_id, vector in pairs(redis.get_collection_vectors(collection_id) or {}) do
+                if #vector == #query_vector then
+                    local score = dot(vector, query_vector)
+                    if score >= utils.RAG_MIN_SCORE then
+                        table.insert(scored, { collection_id = collection_id, chunk_id = chunk_id, score = score })
+                    end
+                end
+            end
+        end
+    end
+    
+    table.sort(scored, function(a, b)
+        return a.score > b.score
+    end)
+    
+    local hits = {}
+    for i = 1, math.min(top_k or utils.RAG_TOP_K, #scored) do
+        local candidate = scored[i]
+        local chunk = (redis.get_collection_chunks(candidate.collection_id, { candidate.chunk_id }) or {})[1]
+        if chunk then
+            table.insert(hits, {
+                collection_id = candidate.collection_id,
+                collection_name = collections[candidate.collection_id].name,
+                chunk_id = candidate.chunk_id,
+                document_id = chunk.document_id,
+                document_name = chunk.document_name,
+                index = chunk.index,
+                text = chunk.text,
+                score = candidate.score
+            })
+        end
+    end
+    
+    return hits, nil
+end
+
+-- System message text listing the passages as numbered sources
+function _M.format_context(hits)
+    local parts = {}
+    for i, hit in ipairs(hits) do
+        table.insert(parts, string.format("[%d] %s (collection \"%s\", part %d)\n%s",
+            i, hit.document_name, hit.collection_name, hit.index, hit.text))
+    end
+    return SOURCES_PREFIX .. table.concat(parts, "\n\n")
+end
+
+-- What the answer stores to show its sources: numbered like the prompt
+function _M.citations(hits)
+    local citations = {}
+    for i, hit in ipairs(hits) do
+        table.insert(citations, {
+            n = i,
+            collection_id = hit.collection_id,
+            collection_name = hit.collection_name,
+            document_id = hit.document_id,
+            document_name = hit.document_name,
+            chunk = hit.index,
+            score = math.floor(hit.score * 1000 + 0.5) / 1000,
+            text = hit.text
+        })
+    end
+    return citations
+end
+
+-- Sources for a prompt in a chat that uses collections: { context, citations } or nil.
+-- Retrieval problems are logged and the prompt goes on without sources.
+function _M.retrieve_for_chat(chat_id, query)
+    if type(query) ~= "string" or utils.trim(query) == "" then
+        return nil
+    end
+    
+    local chat_meta = redis.get_chat_meta(chat_id) or {}
+    local collection_ids = type(chat_meta.collections) == "table" and chat_meta.collections or {}
+    if #collection_ids == 0 then
+        return nil
+    end
+    
+    local hits, err = _M.search(collection_ids, query, utils.RAG_TOP_K)
+    if not hits then
+        utils.log_error("chat_rag", "retrieve_for_chat", "Retrieval failed", {
+            error = err,
+            chat_id = chat_id
+        })
+        return nil
+    end
+    
+    utils.log_info("chat_rag", "retrieve_for_chat", {
+        chat_id = chat_id,
+        collections = #collection_ids,
+        hits = #hits
+    })
+    
+    if #hits == 0 then
+        return nil
+    end
+    
+    return {
+        context = _M.format_context(hits),
+        citations = _M.citations(hits)
+    }
+end
+
+return _M
@@ -53,44 +53,204 @@ function _M.execute(command_func)
     return result, nil
 end
 
+-- Decode stored chat metadata, returning an empty table when missing or invalid
+local function load_chat_meta(red, chat_meta_key)
+    local meta_json = red:get(chat_meta_key)
+    if meta_json and meta_json ~= ngx.null then
+        local ok, meta = pcall(cjson.decode, meta_json)
+        if ok and type(meta) == "table" then
+            return meta
+        end
+    end
+    return {}
+end
+
+-- Branch bookkeeping: every message records its parent (previous message, or "root"),
+-- siblings live in chat:children:<user>:<chat>:<parent> and chat:active:<user>:<chat>
+-- maps each parent to the child currently shown. chat:messages stays the active path.
+local ROOT_PARENT = "root"
+
+local function children_key(chat_id, parent_id)
+    return "chat:children:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. parent_id
+end
+
+local function active_key(chat_id)
+    return "chat:active:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+-- Set once ensure_tree has checked a chat, so later reads skip the per-message walk
+local function tree_key(chat_id)
+    return "chat:tree:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+local function message_key(chat_id, message_id)
+    return "message:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. message_id
+end
+
+local function image_key(chat_id, image_id)
+    return "chat:image:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. image_id
+end
+
+-- File library: chat:files is the upload list (newest first); chat:file is a hash of meta (JSON) and data
+local function files_key(chat_id)
+    return "chat:files:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+local function file_key(chat_id, file_id)
+    return "chat:file:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. file_id
+end
+
+local function decode_message(red, chat_id, message_id)
+    local message_json = red:get(message_key(chat_id, message_id))
+    if message_json and message_json ~= ngx.null then
+        local ok, message = pcall(cjson.decode, message_json)
+        if ok and type(message) == "table" then
+            return message
+        end
+    end
+    return nil
+end
+
+-- Register message_id as a child of parent_id (no-op if already present)
+local function add_child(red, chat_id, parent_id, message_id)
+    local key = children_key(chat_id, parent_id)
+    local children = red:lrange(key, 0, -1)
+    if type(children) == "table" then
+        for _, child_id in ipairs(children) do
+            if child_id == message_id then
+                return
+            end
+        end
+    end
+    red:rpush(key, message_id)
+    red:expire(key, 86400 * 365)
+end
+
+-- Backfill parent links for chats saved before branches existed (once per chat)
+local function ensure_tree(red, chat_id)
+    if red:exists(tree_key(chat_id)) == 1 then
+        return
+    end
+    
+    local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
+    local message_ids = red:lrange(chat_messages_key, 0, -1)
+    if type(message_ids) ~= "table" then
+        return
+    end
+    
+    local parent_id = ROOT_PARENT
+    for i = #message_ids, 1, -1 do
+        local message_id = message_ids[i]
+        local active_child = red:hget(active_key(chat_id), parent_id)
+        if not active_child or active_child == ngx.null then
+            red:hset(active_key(chat_id), parent_id, message_id)
+            add_child(red, chat_id, parent_id, message_id)
+            
+            local message = decode_message(red, chat_id, message_id)
+            if message and not message.parent_id then
+                message.parent_id = parent_id
+                red:set(message_key(chat_id, message_id), cjson.encode(message))
+            end
+        end
+        parent_id = message_id
+    end
+    red:expire(active_key(chat_id), 86400 * 365)
+    red:set(tree_key(chat_id), "1")
+    red:expire(tree_key(chat_id), 86400 * 365)
+end
+
+-- Rebuild chat:messages by following active children from the root
+local function rebuild_active_path(red, chat_id)
+    local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
+    local path = {}
+    local visited = {}
+    local current = ROOT_PARENT
+    
+    while true do
+        local child_id = red:hget(active_key(chat_id), current)
+        if not child_id or child_id == ngx.null or visited[child_id] then
+            break
+        end
+        visited[child_id] = true
+        table.insert(path, child_id)
+        current = child_id
+    end
+    
+    red:del(chat_messages_key)
+    for _, message_id in ipairs(path) do
+        red:lpush(chat_messages_key, message_id)
+    end
+    red:expire(chat_messages_key, 86400 * 365)
+    
+    return path
+end
+
 -- Save message with proper structure including artifact references
-function _M.save_message(chat_id, message_id, role, content, files, artifacts)
+-- opts.parent_id: attach as a new branch under that parent instead of appending to the active path
+-- opts.timestamp: keep an original timestamp (imports)
+-- opts.status: "stopped" for an answer cut short by the user
+-- opts.metrics: token counts and timings of the generation (assistant messages)
+function _M.save_message(chat_id, message_id, role, content, files, artifacts, opts)
+    opts = opts or {}
+    
     return _M.execute(function(red)
+        local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
+        
+        -- Parent is the explicit branch point, or the newest message on the active path
+        local parent_id = opts.parent_id
+        if not parent_id then
+            local head = red:lindex(chat_messages_key, 0)
+            parent_id = (head and head ~= ngx.null) and head or ROOT_PARENT
+        end
+        
         local message_data = {
             id = message_id,
             role = role,
             content = content,
             files = files or {},
             artifacts = artifacts or {},
-            timestamp = ngx.time(),
-            chat_id = chat_id
+            timestamp = tonumber(opts.timestamp) or ngx.time(),
+            chat_id = chat_id,
+            parent_id = parent_id,
+            status = opts.status,
+            metrics = opts.metrics,
+            citations = opts.citations
         }
         
         -- Save individual message
-        local message_key = "message:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. message_id
-        red:set(message_key, cjson.encode(message_data))
-        red:expire(message_key, 86400 * 365) -- Expire after 1 year
+        red:set(message_key(chat_id, message_id), cjson.encode(message_data))
+        red:expire(message_key(chat_id, message_id), 86400 * 365) -- Expire after 1 year
         
-        -- Add to ordered chat message list (newest first for easy retrieval)
-        local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
-        red:lpush(chat_messages_key, message_id)
-        red:expire(chat_messages_key, 86400 * 365)
+        -- Record the message in the branch tree and make it the active child
+        add_child(red, chat_id, parent_id, message_id)
+        red:hset(active_key(chat_id), parent_id, message_id)
+        red:expire(active_key(chat_id), 86400 * 365)
         
-        -- Update chat metadata
+        if opts.parent_id then
+            -- New branch: the active path now runs through this message
+            rebuild_active_path(red, chat_id)
+        else
+            -- Add to ordered chat message list (newest first for easy retrieval)
+            red:lpush(chat_messages_key, message_id)
+            red:expire(chat_messages_key, 86400 * 365)
+        end
+        
+        -- Update chat metadata (keeping per-chat settings such as the selected model)
         local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
-        local chat_meta = {
-            id = chat_id,
-            last_updated = ngx.time(),
-            message_count = red:llen(chat_messages_key),
-            last_message_preview = string.sub(content or "", 1, 100)
-        }
+        local chat_meta = load_chat_meta(red, chat_meta_key)
+        chat_meta.id = chat_id
+        chat_meta.last_updated = ngx.time()
+        chat_meta.message_count = red:llen(chat_messages_key)
+        chat_meta.last_message_preview = string.sub(content or "", 1, 100)
         red:set(chat_meta_key, cjson.encode(chat_meta))
         red:expire(chat_meta_key, 86400 * 365)
         
         utils.log_info("chat_redis", "save_message", {
             chat_id = chat_id,
             message_id = message_id,
+            parent_id = parent_id,
             role = role,
+            branched = opts.parent_id ~= nil,
             artifacts_count = #(artifacts or {})
         })
         
@@ -98,8 +258,139 @@ function _M.save_message(chat_id, message_id, role, content, files, artifacts)
     end)
 end
 
+-- Update fields of an existing message in place (does not touch the message list)
+function _M.update_message(chat_id, message_id, fields)
+    return _M.execute(function(red)
+        local message = decode_message(red, chat_id, message_id)
+        if not message then
+            return nil
+        end
+        
+        for key, value in pairs(fields or {}) do
+            message[key] = value
+        end
+        message.updated_at = ngx.time()
+        
+        red:set(message_key(chat_id, message_id), cjson.encode(message))
+        red:expire(message_key(chat_id, message_id), 86400 * 365)
+        
+        utils.log_info("chat_redis", "update_message", {
+            chat_id = chat_id,
+            message_id = message_id
+        })
+        
+        return message
+    end)
+end
+
+-- Find where a new sibling of message_id would branch off the active path.
+-- Returns { parent_id, message, history } where history is the active path before the message.
+function _M.get_branch_point(chat_id, message_id, history_limit)
+    return _M.execute(function(red)
+        ensure_tree(red, chat_id)
+        
+        local message = decode_message(red, chat_id, message_id)
+        if not message then
+            return nil
+        end
+        
+        local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
+        local message_ids = red:lrange(chat_messages_key, 0, -1)
+        local position
+        for i, id in ipairs(message_ids or {}) do
+            if id == message_id then
+                position = i
+                break
+            end
+        end
+        
+        if not position then
+            return nil
+        end
+        
+        -- Older messages follow the message in the newest-first list
+        local history = {}
+        local oldest = #message_ids
+        if history_limit then
+            oldest = math.min(oldest, position + history_limit)
+        end
+        for i = oldest, position + 1, -1 do
+            local history_message = decode_message(red, chat_id, message_ids[i])
+            if history_message then
+                table.insert(history, history_message)
+            end
+        end
+        
+        return {
+            parent_id = message.parent_id or message_ids[position + 1] or ROOT_PARENT,
+            message = message,
+            history = history
+        }
+    end)
+end
+
+-- Make message_id the visible version among its siblings and rebuild the active path
+function _M.select_branch(chat_id, message_id)
+    return _M.execute(function(red)
+        ensure_tree(red, chat_id)
+        
+        local message = decode_message(red, chat_id, message_id)
+        if not message or not message.parent_id then
+            return nil
+        end
+        
+        red:hset(active_key(chat_id), message.parent_id, message_id)
+        local path = rebuild_active_path(red, chat_id)
+        
+        local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
+        local chat_meta = load_chat_meta(red, chat_meta_key)
+        chat_meta.message_count = #path
+        local last_message = decode_message(red, chat_id, path[#path])
+        if last_message then
+            chat_meta.last_message_preview = string.sub(last_message.content or "", 1, 100)
+        end
+        red:set(chat_meta_key, cjson.encode(chat_meta))
+        
+        utils.log_info("chat_redis", "select_branch", {
+            chat_id = chat_id,
+            message_id = message_id,
+            path_length = #path
+        })
+        
+        return {
+            message_id = message_id,
+            message_count = #path
+        }
+    end)
+end
+
+-- Annotate messages with their position among sibling versions ({ index, count, siblings })
+function _M.add_branch_info(chat_id, messages)
+    return _M.execute(function(red)
+        for _, message in ipairs(messages or {}) do
+            if message.parent_id then
+                local siblings = red:lrange(children_key(chat_id, message.parent_id), 0, -1)
+                if type(siblings) == "table" and #siblings > 1 then
+                    for index, sibling_id in ipairs(siblings) do
+                        if sibling_id == message.id then
+                            message.branch = {
+                                index = index,
+                                count = #siblings,
+                                siblings = siblings
+                            }
+                            break
+                        end
+                    end
+                end
+            end
+        end
+        return messages
+    end)
+end
+
 -- Save artifact (code block) with proper parent relationship
-function _M.save_artifact(chat_id, artifact_id, parent_message_id, code, language, metadata)
+-- timestamp: keep an original time (copies into a forked chat), default now
+function _M.save_artifact(chat_id, artifact_id, parent_message_id, code, language, metadata, timestamp)
     return _M.execute(function(red)
         local artifact_data = {
             id = artifact_id,
@@ -108,7 +399,7 @@ function _M.save_artifact(chat_id, artifact_id, parent_message_id, code, languag
             code = code,
             language = language or "",
             metadata = metadata or {},
-            timestamp = ngx.time(),
+            timestamp = timestamp or ngx.time(),
             chat_id = chat_id
         }
         
@@ -133,6 +424,26 @@ function _M.save_artifact(chat_id, artifact_id, parent_message_id, code, languag
     end)
 end
 
+-- Get one artifact (code block)
+function _M.get_artifact(chat_id, artifact_id)
+    return _M.execute(function(red)
+        local artifact_json = red:get("artifact:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. artifact_id)
+        if not artifact_json or artifact_json == ngx.null then
+            return nil
+        end
+        
+        local ok, artifact = pcall(cjson.decode, artifact_json)
+        return ok and artifact or nil
+    end)
+end
+
+-- Get one stored message by ID
+function _M.get_message(chat_id, message_id)
+    return _M.execute(function(red)
+        return decode_message(red, chat_id, message_id)
+    end)
+end
+
 -- Get chat messages in chronological order (for display)
 function _M.get_chat_messages(chat_id, limit)
     return _M.execute(function(red)
@@ -165,24 +476,441 @@ function _M.get_chat_messages(chat_id, limit)
     end)
 end
 
--- Get chat context for AI (last N messages in correct format for model)
-function _M.get_chat_context(chat_id, context_limit)
-    local messages, err = _M.get_chat_messages(chat_id, context_limit or 10)
-    if not messages then
-        return nil, err
+-- Context manager state: chat:pinned:<user>:<chat> is the set of message ids always sent
+-- to the model, chat:summary:<user>:<chat> the stored summary of turns that no longer fit
+local function pinned_key(chat_id)
+    return "chat:pinned:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+local function summary_key(chat_id)
+    return "chat:summary:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+-- True when earlier_id comes before later_id on the active path (an older turn of the same branch)
+function _M.precedes_on_active_path(chat_id, earlier_id, later_id)
+    return _M.execute(function(red)
+        local chat_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. chat_id
+        local message_ids = red:lrange(chat_messages_key, 0, -1)
+        
+        -- Newest first: the later message has to be passed before the earlier one turns up
+        local later_seen = false
+        for _, id in ipairs(type(message_ids) == "table" and message_ids or {}) do
+            if id == later_id then
+                later_seen = true
+            elseif id == earlier_id then
+                return later_seen
+            end
+        end
+        return false
+    end)
+end
+
+-- Pinned message ids as a set ({ [id] = true })
+function _M.get_pinned_messages(chat_id)
+    return _M.execute(function(red)
+        local pinned = {}
+        local members = red:smembers(pinned_key(chat_id))
+        if type(members) == "table" then
+            for _, message_id in ipairs(members) do
+                pinned[message_id] = true
+            end
+        end
+        return pinned
+    end)
+end
+
+function _M.set_message_pinned(chat_id, message_id, pinned)
+    return _M.execute(function(red)
+        if not decode_message(red, chat_id, message_id) then
+            return nil
+        end
+        
+        if pinned then
+            red:sadd(pinned_key(chat_id), message_id)
+            red:expire(pinned_key(chat_id), 86400 * 365)
+        else
+            red:srem(pinned_key(chat_id), message_id)
+        end
+        
+        return { message_id = message_id, pinned = pinned }
+    end)
+end
+
+-- Stored summary: { content, through_id, message_count, tokens, updated_at } or nil
+function _M.get_chat_summary(chat_id)
+    return _M.execute(function(red)
+        local summary_json = red:get(summary_key(chat_id))
+        if not summary_json or summary_json == ngx.null then
+            return nil
+        end
+        
+        local ok, summary = pcall(cjson.decode, summary_json)
+        if ok and type(summary) == "table" then
+            return summary
+        end
+        return nil
+    end)
+end
+
+function _M.save_chat_summary(chat_id, summary)
+    return _M.execute(function(red)
+        summary.updated_at = ngx.time()
+        red:set(summary_key(chat_id), cjson.encode(summary))
+        red:expire(summary_key(chat_id), 86400 * 365)
+        return summary
+    end)
+end
+
+-- Move base64 image data out of the file list into its own keys (id = md5 of the data),
+-- so messages stay small and history can serve the images back. Updates files in place.
+function _M.store_images(chat_id, files)
+    return _M.execute(function(red)
+        local stored = 0
+        for _, file in ipairs(files or {}) do
+            if file.image then
+                local image_id = ngx.md5(file.image)
+                red:set(image_key(chat_id, image_id), cjson.encode({
+                    type = file.type,
+                    data = file.image
+                }))
+                red:expire(image_key(chat_id, image_id), 86400 * 365)
+                
+                file.image_id = image_id
+                file.image = nil
+                stored = stored + 1
+            end
+        end
+        
+        return stored
+    end)
+end
+
+-- Stored image: { type, data (base64) } or nil
+function _M.get_image(chat_id, image_id)
+    return _M.execute(function(red)
+        local image_json = red:get(image_key(chat_id, image_id))
+        if not image_json or image_json == ngx.null then
+            return nil
+        end
+        
+        local ok, image = pcall(cjson.decode, image_json)
+        if ok and type(image) == "table" and image.data then
+            return image
+        end
+        return nil
+    end)
+end
+
+-- Base64 data of the images attached to a message's files, in order (missing ones skipped)
+function _M.load_images(chat_id, files)
+    local images = {}
+    for _, file in ipairs(files or {}) do
+        if file.image_id then
+            local image = _M.get_image(chat_id, file.image_id)
+            if image then
+                table.insert(images, image.data)
+            end
+        end
+    end
+    return images
+end
+
+-- Store an uploaded file in the chat's library. The ID is the md5 of the data, so uploading
+-- the same file again refreshes its name and position instead of storing a second copy.
+function _M.save_stored_file(chat_id, name, mime_type, data)
+    return _M.execute(function(red)
+        local file_id = ngx.md5(data)
+        local meta = {
+            id = file_id,
+            name = name,
+            type = mime_type,
+            size = #data,
+            uploaded_at = ngx.time()
+        }
+        
+        red:hset(file_key(chat_id, file_id), "meta", cjson.encode(meta), "data", data)
+        red:expire(file_key(chat_id, file_id), 86400 * 365)
+        
+        red:lrem(files_key(chat_id), 0, file_id)
+        red:lpush(files_key(chat_id), file_id)
+        red:expire(files_key(chat_id), 86400 * 365)
+        
+        utils.log_info("chat_redis", "save_stored_file", {
+            chat_id = chat_id,
+            file_id = file_id,
+            name = name,
+            size = #data
+        })
+        
+        return meta
+    end)
+end
+
+local function decode_file_meta(red, chat_id, file_id)
+    local meta_json = red:hget(file_key(chat_id, file_id), "meta")
+    if not meta_json or meta_json == ngx.null then
+        return nil
     end
     
-    local context_messages = {}
+    local ok, meta = pcall(cjson.decode, meta_json)
+    return ok and type(meta) == "table" and meta or nil
+end
+
+-- Library file metadata { id, name, type, size, uploaded_at } or nil
+function _M.get_stored_file_meta(chat_id, file_id)
+    return _M.execute(function(red)
+        return decode_file_meta(red, chat_id, file_id)
+    end)
+end
+
+-- Library file bytes or nil
+function _M.get_stored_file_data(chat_id, file_id)
+    return _M.execute(function(red)
+        local data = red:hget(file_key(chat_id, file_id), "data")
+        if not data or data == ngx.null then
+            return nil
+        end
+        return data
+    end)
+end
+
+-- All library files of a chat, newest upload first
+function _M.list_stored_files(chat_id)
+    return _M.execute(function(red)
+        local file_ids = red:lrange(files_key(chat_id), 0, -1)
+        local stored_files = {}
+        
+        for _, file_id in ipairs(type(file_ids) == "table" and file_ids or {}) do
+            local meta = decode_file_meta(red, chat_id, file_id)
+            if meta then
+                table.insert(stored_files, meta)
+            end
+        end
+        
+        return stored_files
+    end)
+end
+
+-- Document collections are shared by all chats. rag:collections lists the IDs (newest first),
+-- rag:collection holds the meta; per collection, rag:documents maps document id -> meta,
+-- rag:chunks maps "<document id>:<n>" -> { document_id, index, text } and rag:vectors the
+-- same chunk id -> embedding, so retrieval can score every chunk without decoding its text.
+local function collections_key()
+    return "rag:collections:" .. utils.USER_ID
+end
+
+local function collection_key(collection_id)
+    return "rag:collection:" .. utils.USER_ID .. ":" .. collection_id
+end
+
+local function documents_key(collection_id)
+    return "rag:documents:" .. utils.USER_ID .. ":" .. collection_id
+end
+
+local function chunks_key(collection_id)
+    return "rag:chunks:" .. utils.USER_ID .. ":" .. collection_id
+end
+
+local function vectors_key(collection_id)
+    return "rag:vectors:" .. utils.USER_ID .. ":" .. collection_id
+end
+
+local function decode_json(value)
+    if not value or value == ngx.null then
+        return nil
+    end
     
-    for _, msg in ipairs(messages) do
-        local role = msg.role == "user" and "user" or "assistant"
-        table.insert(context_messages, {
-            role = role,
-            content = msg.content
+    local ok, decoded = pcall(cjson.decode, value)
+    return ok and type(decoded) == "table" and decoded or nil
+end
+
+-- Keep every key of a collection alive as long as its meta
+local function touch_collection(red, collection_id)
+    for _, key in ipairs({ collection_key(collection_id), documents_key(collection_id), chunks_key(collection_id), vectors_key(collection_id) }) do
+        red:expire(key, 86400 * 365)
+    end
+    red:expire(collections_key(), 86400 * 365)
+end
+
+function _M.create_collection(name)
+    return _M.execute(function(red)
+        local collection = {
+            id = utils.generate_collection_id(),
+            name = name,
+            embed_model = utils.EMBED_MODEL,
+            document_count = 0,
+            chunk_count = 0,
+            created_at = ngx.time(),
+            updated_at = ngx.time()
+        }
+        
+        red:set(collection_key(collection.id), cjson.encode(collection))
+        red:lpush(collections_key(), collection.id)
+        touch_collection(red, collection.id)
+        
+        utils.log_info("chat_redis", "create_collection", {
+            collection_id = collection.id,
+            name = name
+        })
+        
+        return collection
+    end)
+end
+
+-- Collection meta { id, name, embed_model, document_count, chunk_count, created_at, updated_at } or nil
+function _M.get_collection(collection_id)
+    return _M.execute(function(red)
+        return decode_json(red:get(collection_key(collection_id)))
+    end)
+end
+
+-- All collections with their documents (newest document first)
+function _M.list_collections()
+    return _M.execute(function(red)
+        local collection_ids = red:lrange(collections_key(), 0, -1)
+        local collections = {}
+        
+        for _, collection_id in ipairs(type(collection_ids) == "table" and collection_ids or {}) do
+            local collection = decode_json(red:get(collection_key(collection_id)))
+            if collection then
+                local documents = {}
+                local entries = red:hvals(documents_key(collection_id))
+                for _, document_json in ipairs(type(entries) == "table" and entries or {}) do
+                    local document = decode_json(document_json)
+                    if document then
+                        table.insert(documents, document)
+                    end
+                end
+                table.sort(documents, function(a, b)
+                    return (a.added_at or 0) > (b.added_at or 0)
+                end)
+                
+                collection.documents = documents
+                table.insert(collections, collection)
+            end
+        end
+        
+        return collections
+    end)
+end
+
+function _M.delete_collection(collection_id)
+    return _M.execute(function(red)
+        local deleted = red:del(collection_key(collection_id), documents_key(collection_id), chunks_key(collection_id), vectors_key(collection_id))
+        red:lrem(collections_key(), 0, collection_id)
+        
+        utils.log_info("chat_redis", "delete_collection", {
+            collection_id = collection_id,
+            deleted_keys = deleted
         })
+        
+        return deleted > 0
+    end)
+end
+
+local function remove_document_chunks(red, collection_id, document)
+    for index = 1, tonumber(document.chunk_count) or 0 do
+        local chunk_id = document.id .. ":" .. index
+        red:hdel(chunks_key(collection_id), chunk_id)
+        red:hdel(vectors_key(collection_id), chunk_id)
+    end
+end
+
+local function update_collection_counts(red, collection_id, embed_model)
+    local collection = decode_json(red:get(collection_key(collection_id)))
+    if not collection then
+        return nil
     end
     
-    return context_messages, nil
+    collection.embed_model = embed_model or collection.embed_model
+    collection.document_count = red:hlen(documents_key(collection_id))
+    collection.chunk_count = red:hlen(chunks_key(collection_id))
+    collection.updated_at = ngx.time()
+    red:set(collection_key(collection_id), cjson.encode(collection))
+    touch_collection(red, collection_id)
+    return collection
+end
+
+-- Store a document's chunks (texts) and their embeddings (vectors, same order). A document
+-- with the same id (md5 of its text) replaces the earlier copy.
+function _M.save_collection_document(collection_id, document, chunks, vectors)
+    return _M.execute(function(red)
+        local previous = decode_json(red:hget(documents_key(collection_id), document.id))
+        if previous then
+            remove_document_chunks(red, collection_id, previous)
+        end
+        
+        for index, text in ipairs(chunks) do
+            local chunk_id = document.id .. ":" .. index
+            red:hset(chunks_key(collection_id), chunk_id, cjson.encode({
+                document_id = document.id,
+                index = index,
+                text = text
+            }))
+            red:hset(vectors_key(collection_id), chunk_id, cjson.encode(vectors[index]))
+        end
+        
+        document.chunk_count = #chunks
+        red:hset(documents_key(collection_id), document.id, cjson.encode(document))
+        
+        return update_collection_counts(red, collection_id, utils.EMBED_MODEL)
+    end)
+end
+
+function _M.delete_collection_document(collection_id, document_id)
+    return _M.execute(function(red)
+        local document = decode_json(red:hget(documents_key(collection_id), document_id))
+        if not document then
+            return nil
+        end
+        
+        remove_document_chunks(red, collection_id, document)
+        red:hdel(documents_key(collection_id), document_id)
+        
+        return update_collection_counts(red, collection_id)
+    end)
+end
+
+-- Every embedding of a collection as { [chunk id] = vector }
+function _M.get_collection_vectors(collection_id)
+    return _M.execute(function(red)
+        local vectors = {}
+        local entries = red:hgetall(vectors_key(collection_id))
+        if type(entries) == "table" then
+            for i = 1, #entries, 2 do
+                vectors[entries[i]] = decode_json(entries[i + 1])
+            end
+        end
+        return vectors
+    end)
+end
+
+-- Chunks by id (same order; missing chunks are skipped), each with its document's name
+function _M.get_collection_chunks(collection_id, chunk_ids)
+    return _M.execute(function(red)
+        local chunks = {}
+        local document_names = {}
+        
+        for _, chunk_id in ipairs(chunk_ids) do
+            local chunk = decode_json(red:hget(chunks_key(collection_id), chunk_id))
+            if chunk then
+                if document_names[chunk.document_id] == nil then
+                    local document = decode_json(red:hget(documents_key(collection_id), chunk.document_id))
+                    document_names[chunk.document_id] = document and document.name or false
+                end
+                chunk.id = chunk_id
+                chunk.document_name = document_names[chunk.document_id] or chunk.document_id
+                table.insert(chunks, chunk)
+            end
+        end
+        
+        return chunks
+    end)
+end
+
+-- Collections a chat searches on every prompt
+function _M.set_chat_collections(chat_id, collection_ids)
+    return _M.update_chat_meta(chat_id, { collections = collection_ids })
 end
 
 -- Get all artifacts for a chat
@@ -272,30 +1000,207 @@ function _M.get_message_details(chat_id, message_id)
 end
 
 -- Create new chat metadata
-function _M.create_chat(chat_id)
+function _M.create_chat(chat_id, model)
     return _M.execute(function(red)
         local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
         local chat_meta = {
             id = chat_id,
             last_updated = ngx.time(),
             message_count = 0,
-            last_message_preview = ""
+            last_message_preview = "",
+            model = model
         }
         red:set(chat_meta_key, cjson.encode(chat_meta))
         red:expire(chat_meta_key, 86400 * 365)
         
         utils.log_info("chat_redis", "create_chat", {
             chat_id = chat_id,
+            model = model,
             timestamp = ngx.time()
         })
         
         return {
             chat_id = chat_id,
+            model = model,
             created_at = ngx.time()
         }
     end)
 end
 
+-- Fork a chat: copy its active path (optionally only up to up_to_message_id) into new_chat_id.
+-- Message IDs are kept and the counters carried over, so artifact IDs stay valid in the copy.
+function _M.duplicate_chat(source_chat_id, new_chat_id, up_to_message_id)
+    return _M.execute(function(red)
+        ensure_tree(red, source_chat_id)
+        
+        local source_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. source_chat_id
+        local new_messages_key = "chat:messages:" .. utils.USER_ID .. ":" .. new_chat_id
+        local ids = red:lrange(source_messages_key, 0, -1)
+        if type(ids) ~= "table" then
+            ids = {}
+        end
+        
+        -- chat:messages is newest first; collect oldest first and stop at the fork point
+        local path = {}
+        local found = up_to_message_id == nil
+        for i = #ids, 1, -1 do
+            table.insert(path, ids[i])
+            if ids[i] == up_to_message_id then
+                found = true
+                break
+            end
+        end
+        if not found then
+            -- execute() keeps only the first return value: report the reason in the result
+            return { error = "Message not found in active conversation" }
+        end
+        
+        local copied_ids = {}
+        local parent_id = ROOT_PARENT
+        local last_content = ""
+        for _, message_id in ipairs(path) do
+            local message = decode_message(red, source_chat_id, message_id)
+            if message then
+                message.chat_id = new_chat_id
+                message.parent_id = parent_id
+                
+                red:set(message_key(new_chat_id, message_id), cjson.encode(message))
+                red:expire(message_key(new_chat_id, message_id), 86400 * 365)
+                add_child(red, new_chat_id, parent_id, message_id)
+                
+                -- Attached images and library files are stored per chat
+                for _, file in ipairs(message.files or {}) do
+                    if file.image_id then
+                        local image_json = red:get(image_key(source_chat_id, file.image_id))
+                        if image_json and image_json ~= ngx.null then
+                            red:set(image_key(new_chat_id, file.image_id), image_json)
+                            red:expire(image_key(new_chat_id, file.image_id), 86400 * 365)
+                        end
+                    end
+                    if file.file_id and red:exists(file_key(source_chat_id, file.file_id)) == 1
+                        and red:exists(file_key(new_chat_id, file.file_id)) == 0 then
+                        local stored = red:hmget(file_key(source_chat_id, file.file_id), "meta", "data")
+                        red:hset(file_key(new_chat_id, file.file_id), "meta", stored[1], "data", stored[2])
+                        red:expire(file_key(new_chat_id, file.file_id), 86400 * 365)
+                        red:rpush(files_key(new_chat_id), file.file_id)
+                        red:expire(files_key(new_chat_id), 86400 * 365)
+                    end
+                end
+                red:hset(active_key(new_chat_id), parent_id, message_id)
+                red:lpush(new_messages_key, message_id)
+                
+                copied_ids[message_id] = true
+                parent_id = message_id
+                last_content = message.content or ""
+            end
+        end
+        red:expire(active_key(new_chat_id), 86400 * 365)
+        red:expire(new_messages_key, 86400 * 365)
+        
+        -- "edit" numbers the edited versions of code blocks (..._edit(k)) and must not restart either
+        for _, id_type in ipairs({ "admin", "jai", "edit" }) do
+            local counter = red:get("chat:counter:" .. utils.USER_ID .. ":" .. source_chat_id .. ":" .. id_type)
+            if counter and counter ~= ngx.null then
+                local counter_key = "chat:counter:" .. utils.USER_ID .. ":" .. new_chat_id .. ":" .. id_type
+                red:set(counter_key, counter)
+                red:expire(counter_key, 86400 * 365)
+            end
+        end
+        
+        -- Carry over per-chat settings; a custom title is marked as a fork
+        local source_meta = load_chat_meta(red, "chat:meta:" .. utils.USER_ID .. ":" .. source_chat_id)
+        local chat_meta = {
+            id = new_chat_id,
+            last_updated = ngx.time(),
+            message_count = red:llen(new_messages_key),
+            last_message_preview = string.sub(last_content, 1, 100),
+            title = (source_meta.title and source_meta.title ~= "") and (source_meta.title .. " (fork)") or "",
+            model = source_meta.model,
+            options = source_meta.options,
+            system_prompt = source_meta.system_prompt,
+            forked_from = source_chat_id
+        }
+        local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. new_chat_id
+        red:set(chat_meta_key, cjson.encode(chat_meta))
+        red:expire(chat_meta_key, 86400 * 365)
+        
+        utils.log_info("chat_redis", "duplicate_chat", {
+            source_chat_id = source_chat_id,
+            new_chat_id = new_chat_id,
+            up_to_message_id = up_to_message_id,
+            message_count = chat_meta.message_count
+        })
+        
+        return {
+            meta = chat_meta,
+            message_ids = copied_ids
+        }
+    end)
+end
+
+-- Get chat metadata (empty table if the chat has none yet)
+function _M.get_chat_meta(chat_id)
+    return _M.execute(function(red)
+        local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
+        return load_chat_meta(red, chat_meta_key)
+    end)
+end
+
+-- Merge fields into chat metadata without touching message counters
+function _M.update_chat_meta(chat_id, fields)
+    return _M.execute(function(red)
+        local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
+        local chat_meta = load_chat_meta(red, chat_meta_key)
+        
+        chat_meta.id = chat_id
+        chat_meta.last_updated = chat_meta.last_updated or ngx.time()
+        chat_meta.message_count = chat_meta.message_count or 0
+        chat_meta.last_message_preview = chat_meta.last_message_preview or ""
+        
+        for key, value in pairs(fields or {}) do
+            chat_meta[key] = value
+        end
+        
+        red:set(chat_meta_key, cjson.encode(chat_meta))
+        red:expire(chat_meta_key, 86400 * 365)
+        
+        utils.log_info("chat_redis", "update_chat_meta", {
+            chat_id = chat_id,
+            fields = fields
+        })
+        
+        return chat_meta
+    end)
+end
+
+-- Set the model used for a chat
+function _M.set_chat_model(chat_id, model)
+    return _M.update_chat_meta(chat_id, { model = model })
+end
+
+-- Set generation options and custom system prompt for a chat (empty prompt clears it)
+function _M.set_chat_settings(chat_id, options, system_prompt)
+    return _M.update_chat_meta(chat_id, {
+        options = options or {},
+        system_prompt = system_prompt or ""
+    })
+end
+
+-- Store a custom chat title (empty title falls back to the first-message preview)
+function _M.set_chat_title(chat_id, title)
+    return _M.update_chat_meta(chat_id, { title = title or "" })
+end
+
+-- Pin or unpin a chat (pinned chats are listed above the date groups)
+function _M.set_chat_pinned(chat_id, pinned)
+    return _M.update_chat_meta(chat_id, { pinned = pinned == true })
+end
+
+-- Mark or unmark a chat as favourite
+function _M.set_chat_favourite(chat_id, favourite)
+    return _M.update_chat_meta(chat_id, { favourite = favourite == true })
+end
+
 -- Get list of all chats for a user
 function _M.get_chat_list()
     return _M.execute(function(red)
@@ -315,7 +1220,14 @@ function _M.get_chat_list()
                             id = meta.id,
                             message_count = meta.message_count or 0,
                             last_updated = meta.last_updated or ngx.time(),
-                            preview = meta.last_message_preview or ""
+                            preview = meta.last_message_preview or "",
+                            title = meta.title or "",
+                            pinned = meta.pinned == true,
+                            favourite = meta.favourite == true,
+                            model = meta.model,
+                            options = meta.options,
+                            system_prompt = meta.system_prompt,
+                            usage = meta.usage
                         })
                     end
                 end
@@ -335,6 +1247,171 @@ function _M.get_chat_list()
     end)
 end
 
+-- Add a generation's token counts to the chat's running totals (meta.usage)
+function _M.add_chat_usage(chat_id, metrics)
+    if type(metrics) ~= "table" then
+        return nil, "No metrics"
+    end
+    
+    return _M.execute(function(red)
+        local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
+        local chat_meta = load_chat_meta(red, chat_meta_key)
+        if not chat_meta.id then
+            return nil
+        end
+        
+        local usage = type(chat_meta.usage) == "table" and chat_meta.usage or {}
+        usage.prompt_tokens = (tonumber(usage.prompt_tokens) or 0) + (tonumber(metrics.prompt_tokens) or 0)
+        usage.completion_tokens = (tonumber(usage.completion_tokens) or 0) + (tonumber(metrics.completion_tokens) or 0)
+        usage.generations = (tonumber(usage.generations) or 0) + 1
+        usage.eval_ms = (tonumber(usage.eval_ms) or 0) + (tonumber(metrics.eval_ms) or 0)
+        chat_meta.usage = usage
+        
+        red:set(chat_meta_key, cjson.encode(chat_meta))
+        red:expire(chat_meta_key, 86400 * 365)
+        
+        return usage
+    end)
+end
+
+-- Stream buffer: chat:stream:<user>:<chat> holds the generation in flight (or just finished),
+-- chat:stream:events:<user>:<chat>:<stream_id> every SSE event it emitted, so a client can resume.
+local STREAM_ACTIVE_TTL = 3600
+local STREAM_FINISHED_TTL = 300
+
+local function stream_key(chat_id)
+    return "chat:stream:" .. utils.USER_ID .. ":" .. chat_id
+end
+
+local function stream_events_key(chat_id, stream_id)
+    return "chat:stream:events:" .. utils.USER_ID .. ":" .. chat_id .. ":" .. stream_id
+end
+
+-- Register a new generation as the chat's current stream
+function _M.start_stream(chat_id, stream_id)
+    return _M.execute(function(red)
+        local state = {
+            stream_id = stream_id,
+            status = "active",
+            started_at = ngx.time()
+        }
+        red:set(stream_key(chat_id), cjson.encode(state), "EX", STREAM_ACTIVE_TTL)
+        return state
+    end)
+end
+
+-- Append emitted events ({ id, event, data }, in order) to the stream's buffer
+function _M.append_stream_events(chat_id, stream_id, events)
+    return _M.execute(function(red)
+        local events_key = stream_events_key(chat_id, stream_id)
+        local encoded = {}
+        for i, event in ipairs(events) do
+            encoded[i] = cjson.encode(event)
+        end
+        local count = red:rpush(events_key, unpack(encoded))
+        red:expire(events_key, STREAM_ACTIVE_TTL)
+        return count
+    end)
+end
+
+-- Mark the stream finished; the buffer is kept briefly for clients still catching up
+function _M.finish_stream(chat_id, stream_id, status)
+    return _M.execute(function(red)
+        local key = stream_key(chat_id)
+        local state_json = red:get(key)
+        if not state_json or state_json == ngx.null then
+            return false
+        end
+        
+        local ok, state = pcall(cjson.decode, state_json)
+        if not ok or type(state) ~= "table" or state.stream_id ~= stream_id then
+            return false -- a newer generation owns the chat now
+        end
+        
+        state.status = status or "finished"
+        state.finished_at = ngx.time()
+        red:set(key, cjson.encode(state), "EX", STREAM_FINISHED_TTL)
+        red:expire(stream_events_key(chat_id, stream_id), STREAM_FINISHED_TTL)
+        return true
+    end)
+end
+
+-- Flag the chat's active stream for stopping (stream_id, when given, must match).
+-- Returns { requested = true, state } or { requested = false, reason }.
+function _M.request_stream_stop(chat_id, stream_id)
+    return _M.execute(function(red)
+        local key = stream_key(chat_id)
+        local state_json = red:get(key)
+        local ok, state = false, nil
+        if state_json and state_json ~= ngx.null then
+            ok, state = pcall(cjson.decode, state_json)
+        end
+        
+        if not ok or type(state) ~= "table" or state.status ~= "active" then
+            return { requested = false, reason = "not_found" }
+        end
+        
+        if stream_id and stream_id ~= "" and state.stream_id ~= stream_id then
+            return { requested = false, reason = "mismatch" }
+        end
+        
+        state.stop_requested = true
+        state.stop_requested_at = ngx.time()
+        red:set(key, cjson.encode(state), "EX", STREAM_ACTIVE_TTL)
+        return { requested = true, state = state }
+    end)
+end
+
+-- Polled by the generating request between Ollama reads
+function _M.is_stream_stop_requested(chat_id, stream_id)
+    return _M.execute(function(red)
+        local state_json = red:get(stream_key(chat_id))
+        if not state_json or state_json == ngx.null then
+            return false
+        end
+        
+        local ok, state = pcall(cjson.decode, state_json)
+        return ok and type(state) == "table" and state.stream_id == stream_id and state.stop_requested == true
+    end)
+end
+
+-- Current stream state for a chat, or nil when nothing was generated recently
+function _M.get_stream_state(chat_id)
+    return _M.execute(function(red)
+        local state_json = red:get(stream_key(chat_id))
+        if not state_json or state_json == ngx.null then
+            return nil
+        end
+        
+        local ok, state = pcall(cjson.decode, state_json)
+        if not ok or type(state) ~= "table" then
+            return nil
+        end
+        
+        state.event_count = red:llen(stream_events_key(chat_id, state.stream_id))
+        return state
+    end)
+end
+
+-- Buffered events from position `from` (0-based) onwards
+function _M.get_stream_events(chat_id, stream_id, from)
+    return _M.execute(function(red)
+        local raw_events = red:lrange(stream_events_key(chat_id, stream_id), from or 0, -1)
+        local events = {}
+        
+        if raw_events and type(raw_events) == "table" then
+            for _, raw in ipairs(raw_events) do
+                local ok, event = pcall(cjson.decode, raw)
+                if ok and type(event) == "table" then
+                    table.insert(events, event)
+                end
+            end
+        end
+        
+        return events
+    end)
+end
+
 -- Clear all data for a specific chat
 function _M.clear_chat(chat_id)
     return _M.execute(function(red)
@@ -343,6 +1420,7 @@ function _M.clear_chat(chat_id)
         local chat_meta_key = "chat:meta:" .. utils.USER_ID .. ":" .. chat_id
         local counter_admin_key = "chat:counter:" .. utils.USER_ID .. ":" .. chat_id .. ":admin"
         local counter_jai_key = "chat:counter:" .. utils.USER_ID .. ":" .. chat_id .. ":jai"
+        local counter_edit_key = "chat:counter:" .. utils.USER_ID .. ":" .. chat_id .. ":edit"
         
         local deleted_items = 0
         
@@ -358,6 +1436,29 @@ function _M.clear_chat(chat_id)
             end
         end
         
+        -- Delete inactive branch versions and the branch tree
+        local branch_patterns = {
+            "message:" .. utils.USER_ID .. ":" .. chat_id .. ":*",
+            "chat:children:" .. utils.USER_ID .. ":" .. chat_id .. ":*",
+            "chat:stream:events:" .. utils.USER_ID .. ":" .. chat_id .. ":*",
+            "chat:image:" .. utils.USER_ID .. ":" .. chat_id .. ":*",
+            "chat:file:" .. utils.USER_ID .. ":" .. chat_id .. ":*"
+        }
+        for _, pattern in ipairs(branch_patterns) do
+            local keys = red:keys(pattern)
+            if keys and type(keys) == "table" then
+                for _, key in ipairs(keys) do
+                    deleted_items = deleted_items + red:del(key)
+                end
+            end
+        end
+        deleted_items = deleted_items + red:del(active_key(chat_id))
+        deleted_items = deleted_items + red:del(tree_key(chat_id))
+        deleted_items = deleted_items + red:del(stream_key(chat_id))
+        deleted_items = deleted_items + red:del(pinned_key(chat_id))
+        deleted_items = deleted_items + red:del(summary_key(chat_id))
+        deleted_items = deleted_items + red:del(files_key(chat_id))
+        
         -- Delete individual artifacts
         if artifact_ids and type(artifact_ids) == "table" then
             for _, artifact_id in ipairs(artifact_ids) do
@@ -372,6 +1473,7 @@ function _M.clear_chat(chat_id)
         deleted_items = deleted_items + red:del(chat_meta_key)
         deleted_items = deleted_items + red:del(counter_admin_key)
         deleted_items = deleted_items + red:del(counter_jai_key)
+        deleted_items = deleted_items + red:del(counter_edit_key)
         
         utils.log_info("chat_redis", "clear_chat", {
             chat_id = chat_id,
@@ -397,7 +1499,17 @@ function _M.delete_all_chats()
             "chat:messages:" .. utils.USER_ID .. ":*",
             "chat:artifacts:" .. utils.USER_ID .. ":*",
             "chat:meta:" .. utils.USER_ID .. ":*",
-            "chat:counter:" .. utils.USER_ID .. ":*"
+            "chat:counter:" .. utils.USER_ID .. ":*",
+            "chat:children:" .. utils.USER_ID .. ":*",
+            "chat:active:" .. utils.USER_ID .. ":*",
+            "chat:tree:" .. utils.USER_ID .. ":*",
+            "chat:pinned:" .. utils.USER_ID .. ":*",
+            "chat:summary:" .. utils.USER_ID .. ":*",
+            "chat:stream:" .. utils.USER_ID .. ":*",
+            "chat:stream:events:" .. utils.USER_ID .. ":*",
+            "chat:image:" .. utils.USER_ID .. ":*",
+            "chat:file:" .. utils.USER_ID .. ":*",
+            "chat:files:" .. utils.USER_ID .. ":*"
         }
         
         for _, pattern in ipairs(patterns) do
@@ -1,8 +1,13 @@
 local cjson = require "cjson"
 local utils = require "chat_utils"
+local redis = require "chat_redis"
 
 local _M = {}
 
+local BUFFER_FLUSH_EVENTS = 32 -- content events written to the Redis buffer together
+local BUFFER_FLUSH_INTERVAL = 0.25 -- seconds a content event may wait for its batch
+local RESUME_IDLE_TIMEOUT = 600 -- seconds without a new event before a resumed stream gives up
+
 -- Set up Server-Sent Events headers with no timeout limits
 function _M.setup_sse_headers()
     ngx.header["Content-Type"] = "text/event-stream"
@@ -14,7 +19,43 @@ function _M.setup_sse_headers()
     utils.log_info("chat_sse", "setup_headers", "SSE headers configured with no buffering")
 end
 
--- Send SSE event with data
+-- Write one SSE frame; returns false once the client has gone away
+function _M.write_event(data_str, event_type, event_id)
+    if event_id then
+        ngx.say("id: " .. event_id)
+    end
+    
+    if event_type then
+        ngx.say("event: " .. event_type)
+    end
+    
+    local ok = ngx.say("data: " .. data_str .. "\n")
+    ngx.flush(true) -- Force flush for immediate delivery
+    return ok ~= nil
+end
+
+-- Write the stream's pending events to its Redis buffer in one request
+local function flush_buffer(stream)
+    if #stream.pending == 0 then
+        return
+    end
+    
+    local pending = stream.pending
+    stream.pending = {}
+    stream.flushed_at = ngx.now()
+    
+    local _, buffer_err = redis.append_stream_events(stream.chat_id, stream.stream_id, pending)
+    if buffer_err then
+        utils.log_error("chat_sse", "send_event", "Failed to buffer stream events", {
+            error = buffer_err,
+            chat_id = stream.chat_id,
+            first_event_id = pending[1].id,
+            event_count = #pending
+        })
+    end
+end
+
+-- Send SSE event with data (buffered in Redis with an id while a resumable stream is open)
 function _M.send_event(event_data, event_type)
     local data_str
     
@@ -24,19 +65,199 @@ function _M.send_event(event_data, event_type)
         data_str = tostring(event_data)
     end
     
-    if event_type then
-        ngx.say("event: " .. event_type)
+    -- Every event is buffered in order under its id. Content tokens go in batches, so a client
+    -- that reconnects may wait a moment for the newest ones; anything else is buffered at once.
+    local event_id
+    local stream = ngx.ctx.sse_stream
+    if stream then
+        stream.seq = stream.seq + 1
+        event_id = stream.stream_id .. ":" .. stream.seq
+        
+        table.insert(stream.pending, {
+            id = event_id,
+            event = event_type,
+            data = data_str
+        })
+        if event_type ~= "content" or #stream.pending >= BUFFER_FLUSH_EVENTS or
+                ngx.now() - stream.flushed_at >= BUFFER_FLUSH_INTERVAL then
+            flush_buffer(stream)
+        end
     end
     
-    ngx.say("data: " .. data_str .. "\n")
-    ngx.flush(true) -- Force flush for immediate delivery
+    -- The generation carries on if the client dropped; it can resume from the buffer
+    _M.write_event(data_str, event_type, event_id)
     
-    utils.log_info("chat_sse", "send_event", {
-        event_type = event_type,
-        data_length = #data_str
+    -- Content tokens are counted in finish_stream's log instead
+    if event_type ~= "content" then
+        utils.log_info("chat_sse", "send_event", {
+            event_type = event_type,
+            event_id = event_id,
+            data_length = #data_str
+        })
+    end
+end
+
+-- Open a resumable stream for this request: events get ids and are buffered per chat
+function _M.start_stream(chat_id)
+    local stream_id = "stream(" .. math.floor(ngx.now() * 1000) .. ")"
+    
+    local state, err = redis.start_stream(chat_id, stream_id)
+    if not state then
+        -- Streaming still works, it just cannot be resumed
+        utils.log_error("chat_sse", "start_stream", "Failed to register stream", {
+            error = err,
+            chat_id = chat_id
+        })
+        return nil
+    end
+    
+    ngx.ctx.sse_stream = {
+        chat_id = chat_id,
+        stream_id = stream_id,
+        seq = 0,
+        pending = {},
+        flushed_at = ngx.now()
+    }
+    
+    -- Tell the client how soon to reconnect after a drop
+    ngx.say("retry: 2000\n")
+    
+    return stream_id
+end
+
+-- Send the headers and open the request's stream, once: handlers call this before slow work
+-- that comes ahead of the answer (retrieval, summaries) so it can report status
+function _M.open_stream(chat_id)
+    if ngx.ctx.sse_opened then
+        return
+    end
+    ngx.ctx.sse_opened = true
+    
+    _M.setup_sse_headers()
+    _M.start_stream(chat_id)
+end
+
+-- Close the request's stream once the reply has been saved (status: finished | stopped | error)
+function _M.finish_stream(status)
+    ngx.ctx.sse_finished = true
+    
+    local stream = ngx.ctx.sse_stream
+    if not stream then
+        return
+    end
+    
+    ngx.ctx.sse_stream = nil
+    flush_buffer(stream)
+    redis.finish_stream(stream.chat_id, stream.stream_id, status)
+    
+    utils.log_info("chat_sse", "finish_stream", {
+        chat_id = stream.chat_id,
+        stream_id = stream.stream_id,
+        event_count = stream.seq,
+        status = status
     })
 end
 
+-- A streaming request failed after its stream opened (an error was thrown): tell the client,
+-- unless the stream already finished, and close it as "error" so resumed clients stop waiting
+function _M.fail_stream(err)
+    utils.log_error("chat_sse", "fail_stream", "Streaming request failed", {
+        error = err,
+        chat_id = ngx.ctx.sse_stream and ngx.ctx.sse_stream.chat_id
+    })
+    
+    if ngx.ctx.sse_finished then
+        return
+    end
+    
+    _M.send_error("Internal server error")
+    _M.finish_stream("error")
+end
+
+-- Parse a Last-Event-ID ("stream(<ms>):<seq>") into stream id and sequence number
+function _M.parse_event_id(event_id)
+    if not event_id or event_id == "" then
+        return nil, 0
+    end
+    
+    local stream_id, seq = string.match(event_id, "^(stream%(%d+%)):(%d+)$")
+    if not stream_id then
+        return nil, 0
+    end
+    
+    return stream_id, tonumber(seq)
+end
+
+-- Replay a chat's buffered stream after last_event_id, then follow it live until it finishes.
+-- Gives up when no event arrives for RESUME_IDLE_TIMEOUT (the generating request died).
+function _M.resume_stream(chat_id, state, last_event_id)
+    local resume_from = 0
+    local last_stream_id, last_seq = _M.parse_event_id(last_event_id)
+    if last_stream_id == state.stream_id then
+        resume_from = last_seq
+    end
+    
+    _M.setup_sse_headers()
+    
+    utils.log_info("chat_sse", "resume_stream", {
+        chat_id = chat_id,
+        stream_id = state.stream_id,
+        resume_from = resume_from,
+        status = state.status
+    })
+    
+    local position = resume_from
+    local idle_since = ngx.now()
+    local last_event_at = ngx.now()
+    
+    while true do
+        local events = redis.get_stream_events(chat_id, state.stream_id, position) or {}
+        
+        for _, event in ipairs(events) do
+            if not _M.write_event(event.data, event.event, event.id) then
+                _M.handle_client_disconnect()
+                return false
+            end
+            position = position + 1
+            idle_since = ngx.now()
+            last_event_at = idle_since
+        end
+        
+        if #events == 0 then
+            local current = redis.get_stream_state(chat_id)
+            
+            -- Done once the generation finished (or was replaced) and the buffer is drained
+            if not current or current.stream_id ~= state.stream_id then
+                return true
+            end
+            if current.status ~= "active" and position >= (current.event_count or 0) then
+                return true
+            end
+            
+            if ngx.now() - last_event_at >= RESUME_IDLE_TIMEOUT then
+                utils.log_error("chat_sse", "resume_stream", "Stream went idle", {
+                    chat_id = chat_id,
+                    stream_id = state.stream_id,
+                    position = position
+                })
+                _M.write_event(cjson.encode({ type = "error", error = "The generation stopped responding" }), "error")
+                return false
+            end
+            
+            -- Keep the connection alive while the model is thinking
+            if ngx.now() - idle_since >= 15 then
+                if not _M.write_event(cjson.encode({ type = "heartbeat", timestamp = ngx.time() }), "heartbeat") then
+                    _M.handle_client_disconnect()
+                    return false
+                end
+                idle_since = ngx.now()
+            end
+            
+            ngx.sleep(0.25)
+        end
+    end
+end
+
 -- Send chat ID to client
 function _M.send_chat_id(chat_id)
     _M.send_event({
@@ -53,12 +274,13 @@ function _M.send_content_chunk(content)
     }, "content")
 end
 
--- NEW: Send completion status with continuation info
-function _M.send_completion_status(is_complete, needs_continuation, completion_reason)
+-- NEW: Send completion status with continuation info and the generation's token/timing metrics
+function _M.send_completion_status(is_complete, needs_continuation, completion_reason, metrics)
     _M.send_event({
         is_complete = is_complete,
         needs_continuation = needs_continuation,
         completion_reason = completion_reason or "finished",
+        metrics = metrics,
         type = "completion_status"
     }, "completion_status")
 end
@@ -95,6 +317,15 @@ function _M.send_completion(completion_info)
     })
 end
 
+-- Tell the client generation was stopped on request (the partial answer is kept)
+function _M.send_stopped(partial_length)
+    _M.send_event({
+        type = "stopped",
+        partial_length = partial_length,
+        message = "Generation stopped"
+    }, "stopped")
+end
+
 -- Send status update
 function _M.send_status(status, message)
     _M.send_event({
@@ -105,56 +336,72 @@ function _M.send_status(status, message)
     }, "status")
 end
 
--- ENHANCED: Stream Ollama response chunks with completion detection
+-- Handlers for ollama.stream_chat: forward text the moment Ollama produces it and poll
+-- (at most every 0.5s) for a stop request against this request's stream
+function _M.live_handlers()
+    local last_check = 0
+    
+    return {
+        on_chunk = function(content)
+            _M.send_content_chunk(content)
+        end,
+        should_stop = function()
+            local stream = ngx.ctx.sse_stream
+            if not stream then
+                return false
+            end
+            
+            local now = ngx.now()
+            if now - last_check < 0.5 then
+                return false
+            end
+            last_check = now
+            
+            return redis.is_stream_stop_requested(stream.chat_id, stream.stream_id) == true
+        end
+    }
+end
+
+-- ENHANCED: Report how the (already streamed) Ollama response ended
 function _M.stream_ollama_response(ollama_result)
-    if not ollama_result or not ollama_result.chunks then
+    if not ollama_result then
         _M.send_error("No response from AI service")
         return false
     end
     
-    local total_chunks = #ollama_result.chunks
-    
     utils.log_info("chat_sse", "stream_ollama_response", {
-        chunk_count = total_chunks,
+        chunk_count = ollama_result.chunks and #ollama_result.chunks or 0,
         full_response_length = ollama_result.full_response and #ollama_result.full_response or 0,
         completion_info = ollama_result.completion_info
     })
     
-    -- Stream each chunk with minimal delay
-    for i, chunk in ipairs(ollama_result.chunks) do
-        if chunk.content and chunk.content ~= "" then
-            _M.send_content_chunk(chunk.content)
-            
-            -- Minimal delay only every 20 chunks to prevent overwhelming
-            if i % 20 == 0 then
-                ngx.sleep(0.001) -- 1ms delay every 20 chunks
-            end
-        end
-        
-        if chunk.done then
-            break
-        end
-    end
-    
     -- Send completion info
     local completion_info = ollama_result.completion_info or {
         is_complete = true,
         completion_reason = "finished"
     }
     
+    if completion_info.stopped then
+        _M.send_stopped(#(ollama_result.full_response or ""))
+    end
+    
     _M.send_completion_status(
         completion_info.is_complete,
         not completion_info.is_complete,
-        completion_info.completion_reason
+        completion_info.completion_reason,
+        completion_info.metrics
     )
     
     return true, completion_info
 end
 
 -- ENHANCED: Handle streaming chat request with continuation support
-function _M.handle_streaming_chat(chat_id, user_message, files, context_messages, ollama)
-    -- Set up SSE with no buffering
-    _M.setup_sse_headers()
+-- generation: { model, options, system_prompt } resolved per chat by the handler
+function _M.handle_streaming_chat(chat_id, user_message, files, context_messages, ollama, generation)
+    generation = generation or {}
+    
+    -- Set up SSE with no buffering (the handler may have opened it already)
+    _M.open_stream(chat_id)
     
     -- Send chat ID immediately
     _M.send_chat_id(chat_id)
@@ -173,21 +420,28 @@ function _M.handle_streaming_chat(chat_id, user_message, files, context_messages
         complete_message = complete_message .. file_context
     end
     
+    -- Image attachments go to vision models in Ollama's images field
+    local images = redis.load_images(chat_id, files)
+    
     table.insert(enhanced_context, {
         role = "user",
-        content = complete_message
+        content = complete_message,
+        images = #images > 0 and images or nil
     })
     
     utils.log_info("chat_sse", "handle_streaming_chat", {
         chat_id = chat_id,
         context_size = #enhanced_context,
         files_count = files and #files or 0,
+        image_count = #images,
         message_length = #user_message,
+        model = generation.model,
         unlimited_mode = true
     })
     
     -- Stream response from Ollama with unlimited length
-    local ollama_result, err = ollama.stream_chat(enhanced_context)
+    enhanced_context = ollama.apply_system_prompt(enhanced_context, generation.system_prompt)
+    local ollama_result, err = ollama.stream_chat(enhanced_context, generation.options, generation.model, _M.live_handlers())
     
     if not ollama_result then
         local user_friendly_error = ollama.format_error(err)
@@ -199,7 +453,7 @@ function _M.handle_streaming_chat(chat_id, user_message, files, context_messages
         return nil, err
     end
     
-    -- Stream the response to client with completion info
+    -- Content went out live; finish with completion info
     local stream_success, completion_info = _M.stream_ollama_response(ollama_result)
     
     if stream_success then
@@ -222,9 +476,11 @@ function _M.handle_streaming_chat(chat_id, user_message, files, context_messages
 end
 
 -- NEW: Handle continuation request
-function _M.handle_continuation_request(chat_id, previous_response, context_messages, ollama)
-    -- Set up SSE
-    _M.setup_sse_headers()
+function _M.handle_continuation_request(chat_id, previous_response, context_messages, ollama, generation)
+    generation = generation or {}
+    
+    -- Set up SSE (the handler may have opened it already)
+    _M.open_stream(chat_id)
     
     -- Send status
     _M.send_status("continuing", "Continuing previous response...")
@@ -253,7 +509,8 @@ function _M.handle_continuation_request(chat_id, previous_response, context_mess
     })
     
     -- Stream continuation from Ollama
-    local ollama_result, err = ollama.stream_chat(continuation_context)
+    continuation_context = ollama.apply_system_prompt(continuation_context, generation.system_prompt)
+    local ollama_result, err = ollama.stream_chat(continuation_context, generation.options, generation.model, _M.live_handlers())
     
     if not ollama_result then
         local user_friendly_error = ollama.format_error(err)
@@ -261,7 +518,7 @@ function _M.handle_continuation_request(chat_id, previous_response, context_mess
         return nil, err
     end
     
-    -- Stream the continuation
+    -- Content went out live; finish with completion info
     local stream_success, completion_info = _M.stream_ollama_response(ollama_result)
     
     if stream_success then
@@ -7,6 +7,8 @@ _M.USER_ID = "admin1"
 _M.MAX_FILE_SIZE = 50 * 1024 * 1024 -- 50MB
 _M.MAX_TOTAL_SIZE = 100 * 1024 * 1024 -- 100MB
 _M.MAX_FILES = 10
+_M.MAX_IMAGE_SIZE = 10 * 1024 * 1024 -- 10MB per decoded image attachment
+_M.IMAGE_MIME_TYPES = { ["image/png"] = true, ["image/jpeg"] = true, ["image/webp"] = true, ["image/gif"] = true }
 
 -- ENHANCED: Model configuration for unlimited responses
 _M.MODEL_URL = os.getenv("MODEL_URL") or "http://ollama:11434"
@@ -18,6 +20,33 @@ _M.MODEL_NUM_CTX = tonumber(os.getenv("MODEL_NUM_CTX") or "8192") -- Increased c
 _M.MODEL_NUM_PREDICT = -1 -- ENHANCED: -1 means unlimited response length
 _M.MODEL_REPEAT_PENALTY = tonumber(os.getenv("MODEL_REPEAT_PENALTY") or "1.1")
 _M.MODEL_REPEAT_LAST_N = tonumber(os.getenv("MODEL_REPEAT_LAST_N") or "64")
+_M.EMBED_MODEL = os.getenv("EMBED_MODEL") or "nomic-embed-text" -- document collections (retrieval)
+
+-- Allowed ranges for per-chat generation options: { min, max, integer }
+_M.GENERATION_OPTION_LIMITS = {
+    temperature = { 0, 2, false },
+    top_p = { 0, 1, false },
+    top_k = { 1, 500, true },
+    repeat_penalty = { 0.5, 2.5, false },
+    num_ctx = { 512, 131072, true }
+}
+_M.MAX_SYSTEM_PROMPT_LENGTH = 8000
+_M.MAX_CHAT_TITLE_LENGTH = 120
+_M.MAX_IMPORT_MESSAGES = 2000
+_M.CONTEXT_HISTORY_LIMIT = 200 -- messages the context manager considers per request
+_M.CONTEXT_RESPONSE_RESERVE = 0.25 -- share of num_ctx kept free for the answer
+
+-- Document collections: chunking, retrieval and size limits
+_M.RAG_CHUNK_SIZE = 1200 -- characters per chunk
+_M.RAG_CHUNK_OVERLAP = 200 -- characters repeated at the start of the next chunk
+_M.RAG_EMBED_BATCH = 16 -- chunks per embeddings request
+_M.RAG_TOP_K = 4 -- passages added to a prompt
+_M.RAG_MIN_SCORE = 0.35 -- cosine similarity below this is not relevant enough to cite
+_M.RAG_MAX_CHUNKS = 2000 -- per collection; retrieval compares the prompt with every chunk
+_M.MAX_COLLECTION_NAME_LENGTH = 80
+_M.MAX_ARTIFACT_CODE_SIZE = 512 * 1024 -- edited code block versions
+_M.MENTION_MAX_ARTIFACTS = 8 -- @-mentions expanded per prompt
+_M.MENTION_MAX_BYTES = 24000 -- content of one mentioned message or code block added to a prompt
 
 -- Generate chat ID in chat(n) format where n is timestamp
 function _M.generate_chat_id()
@@ -25,6 +54,12 @@ function _M.generate_chat_id()
     return "chat(" .. timestamp .. ")"
 end
 
+-- Generate collection ID in collection(n) format, like chat IDs
+function _M.generate_collection_id()
+    local timestamp = ngx.time() * 1000 + math.floor(ngx.var.msec or 0)
+    return "collection(" .. timestamp .. ")"
+end
+
 -- Generate message ID using admin(n) and jai(n) format
 function _M.generate_message_id(redis_connection, chat_id, message_type)
     local id_type = message_type == "user" and "admin" or "jai"
@@ -39,6 +74,25 @@ function _M.generate_artifact_id(parent_message_id, code_block_index)
     return parent_message_id .. "_code(" .. code_block_index .. ")"
 end
 
+-- ID for a user-edited version of a code block: admin(n)_code(x)_edit(k) or jai(n)_code(x)_edit(k),
+-- always based on the original block and numbered per chat
+function _M.generate_edit_artifact_id(redis_connection, chat_id, source_artifact_id)
+    local base_id = string.gsub(source_artifact_id, "_edit%(%d+%)$", "")
+    local counter_key = "chat:counter:" .. _M.USER_ID .. ":" .. chat_id .. ":edit"
+    local counter = redis_connection:incr(counter_key)
+    redis_connection:expire(counter_key, 86400 * 365)
+    return base_id .. "_edit(" .. counter .. ")"
+end
+
+-- Cut to at most max_bytes without splitting a UTF-8 sequence
+function _M.truncate_bytes(text, max_bytes)
+    local cut = max_bytes
+    while cut > 0 and string.byte(text, cut + 1) and string.byte(text, cut + 1) >= 128 and string.byte(text, cut + 1) < 192 do
+        cut = cut - 1
+    end
+    return string.sub(text, 1, cut)
+end
+
 -- Format files for AI context
 function _M.format_files_for_context(files)
     if not files or #files == 0 then
@@ -54,6 +108,8 @@ function _M.format_files_for_context(files)
         
         if file.content then
             file_context = file_context .. "\nContent:\n```\n" .. file.content .. "\n```"
+        elseif file.image_id then
+            file_context = file_context .. "\n(Image - attached to this message for you to view)"
         end
         
         file_context = file_context .. "\n---\n"
@@ -132,16 +188,99 @@ function _M.is_valid_chat_id(chat_id)
     return chat_id and string.match(chat_id, "^chat%(%d+%)$") ~= nil
 end
 
+-- Validate collection ID format
+function _M.is_valid_collection_id(collection_id)
+    return type(collection_id) == "string" and string.match(collection_id, "^collection%(%d+%)$") ~= nil
+end
+
+-- Validate Ollama model name (e.g. "devstral", "qwen2.5-coder:14b", "library/llama3:latest")
+function _M.is_valid_model_name(model_name)
+    return type(model_name) == "string" and #model_name <= 200 and
+           string.match(model_name, "^[%w][%w%._:/%-]*$") ~= nil
+end
+
+-- Keep only known generation options, clamped to their allowed ranges
+function _M.sanitize_generation_options(options)
+    local sanitized = {}
+    if type(options) ~= "table" then
+        return sanitized
+    end
+    
+    for key, limits in pairs(_M.GENERATION_OPTION_LIMITS) do
+        local value = tonumber(options[key])
+        if value then
+            value = math.max(limits[1], math.min(limits[2], value))
+            if limits[3] then
+                value = math.floor(value)
+            end
+            sanitized[key] = value
+        end
+    end
+    
+    return sanitized
+end
+
+-- Normalise a custom system prompt (nil when empty)
+function _M.sanitize_system_prompt(system_prompt)
+    if type(system_prompt) ~= "string" then
+        return nil
+    end
+    
+    system_prompt = _M.trim(system_prompt)
+    if system_prompt == "" then
+        return nil
+    end
+    
+    return string.sub(system_prompt, 1, _M.MAX_SYSTEM_PROMPT_LENGTH)
+end
+
+-- Normalise a user-chosen chat title (nil when empty, newlines and tabs become spaces)
+function _M.sanitize_chat_title(title)
+    if type(title) ~= "string" then
+        return nil
+    end
+    
+    title = _M.trim((string.gsub(title, "%c", " ")))
+    if title == "" then
+        return nil
+    end
+    
+    return title
+end
+
 -- Validate message ID format (admin/jai)
 function _M.is_valid_message_id(message_id)
-    if not message_id then return false end
+    if type(message_id) ~= "string" then return false end
+    
+    -- Lua patterns have no alternation, so check the admin/jai prefix separately
+    local prefix = string.match(message_id, "^(%a+)%(%d+%)")
+    if prefix ~= "admin" and prefix ~= "jai" then
+        return false
+    end
     
     -- Message ID format: admin(n) or jai(n)
-    local message_pattern = "^(admin|jai)%((%d+)%)$"
-    -- Code block ID format: admin(n)_code(x) or jai(n)_code(x)
-    local code_pattern = "^(admin|jai)%((%d+)%)_code%((%d+)%)$"
+    local message_pattern = "^%a+%(%d+%)$"
+    -- Code block ID format: admin(n)_code(x) or jai(n)_code(x), with _edit(k) for edited versions
+    local code_pattern = "^%a+%(%d+%)_code%(%d+%)$"
+    local edit_pattern = "^%a+%(%d+%)_code%(%d+%)_edit%(%d+%)$"
     
-    return string.match(message_id, message_pattern) or string.match(message_id, code_pattern)
+    return string.match(message_id, message_pattern) ~= nil or string.match(message_id, code_pattern) ~= nil or
+        string.match(message_id, edit_pattern) ~= nil
+end
+
+-- Validate a plain message ID (admin(n) or jai(n), no code block suffix)
+function _M.is_valid_plain_message_id(message_id)
+    return _M.is_valid_message_id(message_id) and string.find(message_id, "_code", 1, true) == nil
+end
+
+-- Validate a stored image ID (md5 of the image data)
+function _M.is_valid_image_id(image_id)
+    return type(image_id) == "string" and string.match(image_id, "^%x+$") ~= nil and #image_id == 32
+end
+
+-- Validate a library file ID (md5 of the file data, like image IDs)
+function _M.is_valid_file_id(file_id)
+    return _M.is_valid_image_id(file_id)
 end
 
 -- Extract timestamp from chat ID
@@ -302,6 +441,13 @@ function _M.trim(str)
     return string.match(str, "^%s*(.-)%s*$") or ""
 end
 
+-- Count UTF-8 characters (continuation bytes are skipped)
+function _M.utf8_len(str)
+    if not str then return 0 end
+    local _, count = string.gsub(str, "[^\128-\191]", "")
+    return count
+end
+
 -- Deep copy table
 function _M.deep_copy(original)
     local copy
@@ -185,6 +185,25 @@ function _M.render_chat_history(messages, chat_id)
     })
 end
 
+-- Render available Ollama models for the model picker
+function _M.render_model_list(models, default_model, default_options)
+    local response = {
+        success = true,
+        models = (models and #models > 0) and models or cjson.empty_array,
+        default_model = default_model,
+        default_options = default_options,
+        count = models and #models or 0,
+        timestamp = ngx.time()
+    }
+    
+    _M.render_json_response(response)
+    
+    utils.log_info("chat_view", "render_model_list", {
+        model_count = response.count,
+        default_model = default_model
+    })
+end
+
 -- Render artifacts response
 function _M.render_artifacts(artifacts, chat_id)
     local response = {
@@ -443,7 +462,97 @@ function _M.render_api_docs()
                 
                 <div class="endpoint p-3 mb-3">
                     <h4><span class="method POST">POST</span> /api/chat/stream</h4>
-                    <p>Send message and receive streaming response</p>
+                    <p>Send message and receive streaming response; @admin(n), @jai(n) and @jai(n)_code(x) mentions in the message add that message or code block to the context</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/regenerate</h4>
+                    <p>Regenerate an assistant message as a new branch (streaming)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/edit</h4>
+                    <p>Edit a user message and stream a new answer as a new branch</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/stop</h4>
+                    <p>Stop a running generation; the partial answer is saved and marked stopped</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/chat/resume</h4>
+                    <p>Resume an in-flight generation (streaming); replays events after the Last-Event-ID header</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/chat/stream/status</h4>
+                    <p>Check whether a chat has a generation in flight</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/chat/image</h4>
+                    <p>Image attached to a message (chat_id, image_id)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/files/upload</h4>
+                    <p>Store a file in the chat's library (raw body; chat_id, name and type in the query string)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/files/list</h4>
+                    <p>Files stored for a chat, newest first</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/files/download</h4>
+                    <p>Download a stored file (chat_id, file_id; inline=1 views images, PDFs and text)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/collections</h4>
+                    <p>Document collections with their documents, and the ones a chat searches (chat_id optional)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/collections/create</h4>
+                    <p>Create a named document collection</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/collections/delete</h4>
+                    <p>Delete a collection with its documents and embeddings</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/collections/documents/add</h4>
+                    <p>Chunk, embed and store a document's text in a collection</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/collections/documents/delete</h4>
+                    <p>Remove a document from a collection</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/collections</h4>
+                    <p>Choose the collections whose passages are added to the chat's prompts</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/chat/context</h4>
+                    <p>Context window usage: which messages are sent to the model, pins and the stored summary</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/context/pin</h4>
+                    <p>Pin or unpin a message so it always stays in context</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/branch</h4>
+                    <p>Switch the visible version of a message</p>
                 </div>
                 
                 <div class="endpoint p-3 mb-3">
@@ -461,6 +570,71 @@ function _M.render_api_docs()
                     <p>Get chat artifacts (messages and code blocks)</p>
                 </div>
                 
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/artifact/history</h4>
+                    <p>Versions of a code block: revisions of the same file in the chat, linked by filename or similarity (chat_id, artifact_id)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/artifact/project</h4>
+                    <p>The chat's code blocks as files: latest version of each file, with filenames inferred from labels and comments (chat_id)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/artifact/save</h4>
+                    <p>Save edited code as a new version of a code block (chat_id, artifact_id, code)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/models</h4>
+                    <p>List models installed in Ollama</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/model</h4>
+                    <p>Set the model used by a chat</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/settings</h4>
+                    <p>Set generation options and system prompt for a chat</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/rename</h4>
+                    <p>Store a custom title for a chat</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/pin</h4>
+                    <p>Pin or unpin a chat</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/favourite</h4>
+                    <p>Mark or unmark a chat as favourite</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/duplicate</h4>
+                    <p>Fork a chat with its artifacts, optionally only up to a given message</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method POST">POST</span> /api/chat/import</h4>
+                    <p>Create a chat from imported messages (code blocks are re-extracted)</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/search?q=</h4>
+                    <p>Search messages and code blocks across all chats</p>
+                </div>
+                
+                <div class="endpoint p-3 mb-3">
+                    <h4><span class="method GET">GET</span> /api/chat/transcript?chat_id=&amp;format=markdown|json</h4>
+                    <p>Download the full conversation with attachment metadata and code blocks</p>
+                </div>
+                
                 <div class="endpoint p-3 mb-3">
                     <h4><span class="method POST">POST</span> /api/chat/clear</h4>
                     <p>Clear specific chat history</p>
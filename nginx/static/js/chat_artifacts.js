@@ -20,7 +20,7 @@ class ChatArtifacts {
     }
     
     // Process message element and assign IDs (called by UI when message is loaded from Redis)
-    processMessageElement(messageElement, type, content, files = [], messageId = null) {
+    processMessageElement(messageElement, type, content, files = [], messageId = null, metrics = null) {
         // Use provided messageId if available (from Redis), otherwise this shouldn't be called
         if (!messageId) {
             console.error('processMessageElement called without messageId - messages should be loaded from Redis');
@@ -32,7 +32,7 @@ class ChatArtifacts {
         messageElement.setAttribute('data-artifact-type', this.getArtifactTypeFromId(messageId));
         
         // Add visible ID badge to message
-        this.addIdBadgeToMessage(messageElement, messageId, this.getArtifactTypeFromId(messageId));
+        this.addIdBadgeToMessage(messageElement, messageId, this.getArtifactTypeFromId(messageId), metrics);
         
         // Process code blocks within the message (artifacts should already exist in Redis)
         this.processCodeBlocksInMessage(messageElement, messageId);
@@ -47,8 +47,8 @@ class ChatArtifacts {
         return 'unknown';
     }
     
-    // Add visible ID badge to message
-    addIdBadgeToMessage(messageElement, messageId, type) {
+    // Add visible ID badge to message (jai(n) answers also get their token/speed metrics)
+    addIdBadgeToMessage(messageElement, messageId, type, metrics = null) {
         const header = messageElement.querySelector('.message-header');
         if (header) {
             const idBadge = document.createElement('span');
@@ -68,7 +68,50 @@ class ChatArtifacts {
             });
             
             header.appendChild(idBadge);
+            
+            const metricsBadge = this.createMetricsBadge(metrics);
+            if (metricsBadge) {
+                header.appendChild(metricsBadge);
+            }
+        }
+    }
+    
+    // "420ms · 38.2 tok/s · 512 → 230 tok" with the full breakdown in the tooltip
+    createMetricsBadge(metrics) {
+        if (!metrics || typeof metrics !== 'object') return null;
+        
+        const approx = metrics.estimated ? '~' : '';
+        const parts = [];
+        if (metrics.ttft_ms != null) {
+            parts.push(`<span title="Time to first token"><i class="bi bi-stopwatch"></i> ${this.formatDuration(metrics.ttft_ms)}</span>`);
+        }
+        if (metrics.tokens_per_second != null) {
+            parts.push(`<span title="Generation speed">${approx}${metrics.tokens_per_second} tok/s</span>`);
+        }
+        if (metrics.prompt_tokens != null || metrics.completion_tokens != null) {
+            parts.push(`<span title="Prompt → completion tokens">${metrics.prompt_tokens != null ? metrics.prompt_tokens : '?'} → ${approx}${metrics.completion_tokens != null ? metrics.completion_tokens : '?'} tok</span>`);
         }
+        if (parts.length === 0) return null;
+        
+        const details = [
+            metrics.model ? `Model: ${metrics.model}` : null,
+            metrics.ttft_ms != null ? `Time to first token: ${this.formatDuration(metrics.ttft_ms)}` : null,
+            metrics.load_ms != null ? `Model load: ${this.formatDuration(metrics.load_ms)}` : null,
+            metrics.prompt_eval_ms != null ? `Prompt evaluation: ${this.formatDuration(metrics.prompt_eval_ms)}` : null,
+            metrics.eval_ms != null ? `Generation: ${this.formatDuration(metrics.eval_ms)}` : null,
+            metrics.total_ms != null ? `Total: ${this.formatDuration(metrics.total_ms)}` : null,
+            metrics.estimated ? 'Stopped early - counts are estimates' : null
+        ].filter(Boolean);
+        
+        const badge = document.createElement('span');
+        badge.className = 'message-metrics';
+        badge.innerHTML = parts.join('<span class="message-metrics-sep">·</span>');
+        badge.title = details.join('\n');
+        return badge;
+    }
+    
+    formatDuration(ms) {
+        return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
     }
     
     // Process code blocks within a message (artifacts already exist in Redis)
@@ -333,8 +376,8 @@ class ChatArtifacts {
     static isValidArtifactId(id) {
         // Message ID format: admin(n) or jai(n)
         const messagePattern = /^(admin|jai)\(\d+\)$/;
-        // Code block ID format: admin(n)_code(x) or jai(n)_code(x)
-        const codePattern = /^(admin|jai)\(\d+\)_code\(\d+\)$/;
+        // Code block ID format: admin(n)_code(x) or jai(n)_code(x), edited versions end in _edit(k)
+        const codePattern = /^(admin|jai)\(\d+\)_code\(\d+\)(_edit\(\d+\))?$/;
         
         return messagePattern.test(id) || codePattern.test(id);
     }
@@ -350,12 +393,13 @@ class ChatArtifacts {
             };
         }
         
-        const codeMatch = id.match(/^(admin|jai)\((\d+)\)_code\((\d+)\)$/);
+        const codeMatch = id.match(/^(admin|jai)\((\d+)\)_code\((\d+)\)(?:_edit\((\d+)\))?$/);
         if (codeMatch) {
             return {
                 type: codeMatch[1],
                 messageIndex: parseInt(codeMatch[2]),
                 codeIndex: parseInt(codeMatch[3]),
+                editIndex: codeMatch[4] ? parseInt(codeMatch[4]) : null,
                 isCodeBlock: true,
                 parentId: `${codeMatch[1]}(${codeMatch[2]})`
             };
@@ -363,6 +407,42 @@ class ChatArtifacts {
         
         return null;
     }
+    
+    // File extension for a code block language ("python" -> "py"); unknown languages keep their name
+    static fileExtension(language) {
+        const extensions = {
+            python: 'py', py: 'py', javascript: 'js', js: 'js', mjs: 'mjs', jsx: 'jsx',
+            typescript: 'ts', ts: 'ts', tsx: 'tsx', html: 'html', htm: 'html', xml: 'xml', svg: 'svg',
+            css: 'css', scss: 'scss', sass: 'sass', less: 'less', json: 'json', yaml: 'yml', yml: 'yml',
+            toml: 'toml', ini: 'ini', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+            powershell: 'ps1', ps1: 'ps1', bat: 'bat', cmd: 'bat', sql: 'sql', java: 'java',
+            kotlin: 'kt', c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', hpp: 'hpp', csharp: 'cs', cs: 'cs',
+            go: 'go', golang: 'go', rust: 'rs', rs: 'rs', ruby: 'rb', rb: 'rb', php: 'php', swift: 'swift',
+            lua: 'lua', perl: 'pl', r: 'r', scala: 'scala', dart: 'dart', elixir: 'ex', haskell: 'hs',
+            markdown: 'md', md: 'md', dockerfile: 'dockerfile', makefile: 'mk', nginx: 'conf',
+            diff: 'diff', patch: 'patch', graphql: 'graphql', vue: 'vue', svelte: 'svelte',
+            text: 'txt', txt: 'txt', plaintext: 'txt'
+        };
+        const lang = (language || '').toLowerCase();
+        if (extensions[lang]) return extensions[lang];
+        return /^[a-z0-9]{1,10}$/.test(lang) ? lang : 'txt';
+    }
+    
+    // Download name for a code block without a filename: jai(3)_code(2) -> jai3_code2.py
+    static codeFilename(artifactId, language) {
+        return `${artifactId.replace(/[()]/g, '').replace(/[^a-zA-Z0-9_-]/g, '_')}.${ChatArtifacts.fileExtension(language)}`;
+    }
+    
+    // A filename from a chat as a relative path inside an archive: no absolute paths, ".." or
+    // characters file systems reject; null if nothing usable is left
+    static safeFilePath(filename) {
+        const segments = String(filename || '')
+            .replace(/\\/g, '/')
+            .split('/')
+            .map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_').trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+        return segments.length > 0 ? segments.join('/') : null;
+    }
 }
 
 // Export for use in other modules
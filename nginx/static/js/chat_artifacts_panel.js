@@ -5,6 +5,13 @@ class ChatArtifactsPanel {
         this.currentCodeArtifact = null;
         this.keyboardHandler = null;
         this.isCodePanelOpen = false;
+        this.codeEditor = null; // ChatCodeEditor in the Code tab
+        this.preview = null; // ChatPreview in the Preview tab (HTML/CSS/JS only)
+        this.panelArtifacts = []; // the chat's artifacts when the panel opened, for sibling blocks
+        this.artifactHistory = null; // versions of the open code block
+        this.diffBase = null; // versions compared in the History tab
+        this.diffTarget = null;
+        this.diffMode = 'unified'; // or 'split'
         this.init();
     }
     
@@ -245,6 +252,7 @@ class ChatArtifactsPanel {
                     <i class="bi ${typeIcon} me-2"></i>
                     <strong class="artifact-id">${artifact.id}</strong>
                     <span class="badge bg-secondary ms-2">${typeLabel}${languageInfo}</span>
+                    ${artifact.metadata?.edited ? '<span class="badge bg-warning text-dark ms-2">Edited</span>' : ''}
                     ${parentInfo ? `<small class="text-muted ms-2">${parentInfo}</small>` : ''}
                 </div>
                 <div class="artifact-actions">
@@ -295,6 +303,8 @@ class ChatArtifactsPanel {
     
     // ENHANCED: Show code panel in split view mode
     async showSplitViewCodePanel(artifactId) {
+        if (!this.confirmDiscardEdits()) return;
+        
         try {
             console.log('🔍 Opening split-view code panel for:', artifactId);
             
@@ -325,6 +335,7 @@ class ChatArtifactsPanel {
             }
             
             // Create split-view code panel
+            this.panelArtifacts = data.artifacts;
             this.createSplitViewCodePanel(artifact);
             
         } catch (error) {
@@ -339,11 +350,16 @@ class ChatArtifactsPanel {
     createSplitViewCodePanel(artifact) {
         console.log('🔍 Creating split-view code panel for:', artifact.id);
         
-        // Close any existing code panel first
-        this.closeSplitViewCodePanel();
+        // Replace any existing code panel right away (opening another version from History);
+        // the animated close would reset this panel's state when its timer fires
+        document.getElementById('split-code-panel')?.remove();
+        document.getElementById('split-resizer')?.remove();
+        this.removeCodePanelKeyboardSupport();
+        this.destroyPreview();
         
         const code = artifact.code || artifact.content || '';
         const language = artifact.language || '';
+        const previewable = ChatPreview.previewKind(language, code) !== null;
         
         // ENHANCED: Hide sidebar and enable split view mode
         this.enableSplitViewMode();
@@ -357,15 +373,21 @@ class ChatArtifactsPanel {
             <div class="code-panel-header">
                 <div class="code-panel-title">
                     <i class="bi bi-layout-split"></i>
-                    <strong>${artifact.id}</strong>
+                    <strong id="code-panel-artifact-id">${artifact.id}</strong>
                     ${language ? `<span class="badge bg-info ms-2">${language}</span>` : ''}
-                    <small class="text-muted ms-2">(${code.split('\n').length} lines, Split View)</small>
+                    <small class="text-muted ms-2" id="code-panel-line-count">(${code.split('\n').length} lines, Split View)</small>
                 </div>
                 <div class="code-panel-actions">
-                    <button class="btn btn-sm btn-outline-secondary" onclick="window.artifactsPanel.copyCodeContent('${artifact.id}')" title="Copy Code">
+                    <button class="btn btn-sm btn-outline-success" id="code-panel-save" onclick="window.artifactsPanel.saveCodeVersion()" title="Save your edits as a new version (Ctrl+S)" disabled>
+                        <i class="bi bi-save"></i> Save version
+                    </button>
+                    <button class="btn btn-sm btn-outline-primary" onclick="window.artifactsPanel.sendEditedVersion()" title="Send this code to the chat as your edited version">
+                        <i class="bi bi-send"></i> Send to chat
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="window.artifactsPanel.copyCodeContent()" title="Copy Code">
                         <i class="bi bi-clipboard"></i> Copy
                     </button>
-                    <button class="btn btn-sm btn-outline-info" onclick="window.artifactsPanel.downloadCode('${artifact.id}')" title="Download">
+                    <button class="btn btn-sm btn-outline-info" onclick="window.artifactsPanel.downloadCode()" title="Download">
                         <i class="bi bi-download"></i> Download
                     </button>
                     <button class="btn btn-sm btn-outline-warning" onclick="window.artifactsPanel.toggleFullscreen()" title="Toggle Fullscreen">
@@ -376,27 +398,43 @@ class ChatArtifactsPanel {
                     </button>
                 </div>
             </div>
-            <div class="code-panel-content">
-                <pre><code class="language-${language}">${this.escapeHtml(code)}</code></pre>
+            <div class="code-panel-tabs">
+                <button class="code-panel-tab active" data-tab="code" onclick="window.artifactsPanel.showCodePanelTab('code')">
+                    <i class="bi bi-code-slash"></i> Code
+                </button>
+                <button class="code-panel-tab" data-tab="history" onclick="window.artifactsPanel.showCodePanelTab('history')">
+                    <i class="bi bi-clock-history"></i> History <span class="badge bg-secondary" id="code-panel-version-count"></span>
+                </button>
+                ${previewable ? `
+                    <button class="code-panel-tab" data-tab="preview" onclick="window.artifactsPanel.showCodePanelTab('preview')">
+                        <i class="bi bi-play-circle"></i> Preview
+                    </button>
+                ` : ''}
             </div>
+            <div class="code-panel-content code-panel-editor" data-pane="code"></div>
+            <div class="code-panel-content code-panel-history d-none" data-pane="history">
+                <div class="text-center text-muted p-3">
+                    <span class="spinner-border spinner-border-sm"></span> Loading versions...
+                </div>
+            </div>
+            ${previewable ? '<div class="code-panel-content code-panel-preview d-none" data-pane="preview"></div>' : ''}
         `;
         
         // Add panel to the body (will be positioned by CSS)
         document.body.appendChild(panel);
         
-        // Apply syntax highlighting if Prism is available
-        if (window.Prism) {
-            setTimeout(() => {
-                const codeElement = panel.querySelector('code');
-                if (codeElement) {
-                    Prism.highlightElement(codeElement);
-                }
-            }, 100);
-        }
+        // Editable code with line numbers and Prism highlighting
+        this.codeEditor = new ChatCodeEditor(panel.querySelector('.code-panel-editor'), {
+            code: code,
+            language: language,
+            onChange: () => this.updateEditorState(),
+            onSave: () => this.saveCodeVersion()
+        });
         
         // Store current artifact for other functions
         this.currentCodeArtifact = artifact;
         this.isCodePanelOpen = true;
+        this.loadArtifactHistory(artifact);
         
         // Add keyboard support
         this.addCodePanelKeyboardSupport();
@@ -407,6 +445,302 @@ class ChatArtifactsPanel {
         console.log('🔍 Split-view code panel created for:', artifact.id);
     }
     
+    // Switch the code panel between the code and its version history
+    showCodePanelTab(tab) {
+        const panel = document.getElementById('split-code-panel');
+        if (!panel) return;
+        
+        panel.querySelectorAll('.code-panel-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        panel.querySelectorAll('.code-panel-content').forEach(pane => {
+            pane.classList.toggle('d-none', pane.dataset.pane !== tab);
+        });
+        
+        // The preview runs what is in the editor each time its tab opens
+        if (tab === 'preview') {
+            this.refreshPreview();
+        }
+    }
+    
+    refreshPreview() {
+        const pane = document.querySelector('#split-code-panel .code-panel-preview');
+        if (!pane || !this.currentCodeArtifact) return;
+        
+        if (!this.preview) {
+            this.preview = new ChatPreview(pane);
+        }
+        this.preview.render(this.collectPreviewSources());
+    }
+    
+    // The open block (with unsaved edits) plus the other HTML/CSS/JS blocks of the same answer,
+    // so a page split into index.html, style.css and script.js runs as one
+    collectPreviewSources() {
+        const artifact = this.currentCodeArtifact;
+        const sources = { html: '', css: [], js: [], labels: [] };
+        const add = (kind, code, id) => {
+            if (kind === 'html') {
+                if (sources.html) return; // one page per preview
+                sources.html = code;
+            } else {
+                sources[kind].push(code);
+            }
+            sources.labels.push(id);
+        };
+        
+        const currentKind = ChatPreview.previewKind(artifact.language, artifact.code);
+        add(currentKind, this.getPanelCode(), artifact.id);
+        
+        // Siblings are the message's original blocks; the open block replaces the one it was edited from
+        const replaced = artifact.id.replace(/_edit\(\d+\)$/, '');
+        this.panelArtifacts
+            .filter(other => other.type === 'code_block' && other.parent_id === artifact.parent_id)
+            .filter(other => other.id !== replaced && !/_edit\(\d+\)$/.test(other.id))
+            .sort((a, b) => (a.metadata?.block_index || 0) - (b.metadata?.block_index || 0))
+            .forEach(other => {
+                const kind = ChatPreview.previewKind(other.language, other.code);
+                if (kind) add(kind, other.code || '', other.id);
+            });
+        
+        return sources;
+    }
+    
+    destroyPreview() {
+        if (this.preview) {
+            this.preview.destroy();
+            this.preview = null;
+        }
+    }
+    
+    // Enable Save when the code differs from the stored version and keep the line count current
+    updateEditorState() {
+        if (!this.codeEditor) return;
+        
+        const saveButton = document.getElementById('code-panel-save');
+        if (saveButton) {
+            saveButton.disabled = !this.codeEditor.isDirty();
+        }
+        
+        const lineCount = document.getElementById('code-panel-line-count');
+        if (lineCount) {
+            const edited = this.codeEditor.isDirty() ? ', edited' : '';
+            lineCount.textContent = `(${this.codeEditor.getValue().split('\n').length} lines${edited}, Split View)`;
+        }
+    }
+    
+    confirmDiscardEdits() {
+        return !this.codeEditor || !this.codeEditor.isDirty() || confirm('Discard your unsaved code edits?');
+    }
+    
+    // Code shown in the panel, including unsaved edits
+    getPanelCode() {
+        if (this.codeEditor) return this.codeEditor.getValue();
+        return this.currentCodeArtifact ? (this.currentCodeArtifact.code || this.currentCodeArtifact.content || '') : '';
+    }
+    
+    // Store the edited code as a new version of the open code block and switch the panel to it
+    async saveCodeVersion() {
+        const source = this.currentCodeArtifact;
+        if (!source || !this.codeEditor) return null;
+        if (!this.codeEditor.isDirty()) return source;
+        
+        const code = this.codeEditor.getValue();
+        if (!code.trim()) {
+            window.chat.ui.showToast('Cannot save an empty code block', 'warning');
+            return null;
+        }
+        
+        const saveButton = document.getElementById('code-panel-save');
+        if (saveButton) saveButton.disabled = true;
+        
+        const result = await window.chat.redis.saveArtifactVersion(source.chat_id || window.chat.currentChatId, source.id, code);
+        if (this.currentCodeArtifact !== source) return null;
+        
+        if (!result.success) {
+            window.chat.ui.showToast(`Failed to save version: ${result.error}`, 'error');
+            this.updateEditorState();
+            return null;
+        }
+        
+        const artifact = result.artifact;
+        this.currentCodeArtifact = artifact;
+        this.codeEditor.markSaved();
+        this.updateEditorState();
+        
+        const title = document.getElementById('code-panel-artifact-id');
+        if (title) title.textContent = artifact.id;
+        
+        window.chat.ui.showToast(`Saved as ${artifact.id}`, 'success');
+        this.loadArtifactHistory(artifact);
+        return artifact;
+    }
+    
+    // One click: save pending edits, then send the code to the chat as the user's edited version
+    async sendEditedVersion() {
+        if (!window.chat || !this.currentCodeArtifact) return;
+        if (window.chat.isTyping) {
+            window.chat.ui.showToast('Wait for the current answer to finish', 'warning');
+            return;
+        }
+        
+        const artifact = await this.saveCodeVersion();
+        if (!artifact) return;
+        
+        const code = artifact.code || '';
+        const filename = artifact.metadata?.filename;
+        const fence = code.includes('```') ? '````' : '```';
+        const source = artifact.metadata?.revision_of;
+        const intro = source
+            ? `Here is my edited version of ${source}${filename ? ` (${filename})` : ''}, saved as ${artifact.id}:`
+            : `Here is ${artifact.id}${filename ? ` (${filename})` : ''}:`;
+        
+        await window.chat.sendText(`${intro}\n\n${fence}${artifact.language || ''}\n${code}\n${fence}`);
+    }
+    
+    // Versions of the open code block: earlier and later revisions of the same file in this chat
+    async loadArtifactHistory(artifact) {
+        const result = await window.chat.redis.getArtifactHistory(artifact.chat_id || window.chat.currentChatId, artifact.id);
+        if (this.currentCodeArtifact !== artifact) return;
+        
+        if (!result.success) {
+            this.artifactHistory = null;
+            this.renderArtifactHistory(result.error);
+            return;
+        }
+        
+        const history = result.history;
+        this.artifactHistory = history;
+        this.diffTarget = history.currentVersion;
+        this.diffBase = history.currentVersion > 1 ? history.currentVersion - 1 : Math.min(2, history.versions.length);
+        if (this.diffBase === this.diffTarget) this.diffBase = null;
+        
+        const count = document.getElementById('code-panel-version-count');
+        if (count) {
+            count.textContent = history.versions.length > 1 ? `${history.currentVersion}/${history.versions.length}` : '';
+        }
+        this.renderArtifactHistory();
+    }
+    
+    getHistoryVersion(number) {
+        return this.artifactHistory?.versions.find(version => version.version === number) || null;
+    }
+    
+    // Show the diff between two versions (clicking a version compares it with the one before)
+    selectHistoryVersion(number) {
+        this.diffTarget = number;
+        this.diffBase = number > 1 ? number - 1 : (this.artifactHistory.versions.length > 1 ? 2 : null);
+        this.renderArtifactHistory();
+    }
+    
+    // Version numbers, or null for "none chosen"
+    setDiffVersions(base, target) {
+        this.diffBase = base;
+        this.diffTarget = target;
+        this.renderArtifactHistory();
+    }
+    
+    setDiffMode(mode) {
+        this.diffMode = mode;
+        this.renderArtifactHistory();
+    }
+    
+    renderArtifactHistory(error = null) {
+        const pane = document.querySelector('#split-code-panel .code-panel-history');
+        if (!pane) return;
+        
+        if (error) {
+            pane.innerHTML = `
+                <div class="text-center text-danger p-3">
+                    <i class="bi bi-exclamation-triangle"></i>
+                    <p class="mb-0 mt-2">Could not load versions</p>
+                    <small>${this.escapeHtml(error)}</small>
+                </div>
+            `;
+            return;
+        }
+        
+        const history = this.artifactHistory;
+        if (!history) return;
+        
+        const versions = history.versions;
+        const versionItems = versions.slice().reverse().map(version => {
+            const previous = this.getHistoryVersion(version.version - 1);
+            const stats = previous ? ChatDiff.stats(ChatDiff.diffLines(previous.code, version.code)) : null;
+            const isCurrent = version.id === history.artifactId;
+            const linkInfo = {
+                edit: 'your edit',
+                filename: 'same filename',
+                similarity: `${Math.round((version.similarity || 0) * 100)}% similar`
+            }[version.link] || 'first version';
+            
+            return `
+                <div class="history-version ${version.version === this.diffTarget ? 'selected' : ''}" onclick="window.artifactsPanel.selectHistoryVersion(${version.version})">
+                    <div class="history-version-title">
+                        <strong>v${version.version}</strong>
+                        <span class="history-version-id">${this.escapeHtml(version.id)}</span>
+                        ${isCurrent ? '<span class="badge bg-primary">open</span>' : ''}
+                        ${stats ? `<span class="history-version-stats"><span class="diff-added">+${stats.added}</span> <span class="diff-removed">-${stats.removed}</span></span>` : ''}
+                    </div>
+                    <small class="text-muted">${new Date((version.timestamp || 0) * 1000).toLocaleString()} · ${linkInfo}</small>
+                    ${isCurrent ? '' : `
+                        <button class="btn btn-sm btn-link history-version-open" onclick="event.stopPropagation(); window.artifactsPanel.showSplitViewCodePanel('${version.id}')" title="Open this version">
+                            <i class="bi bi-box-arrow-up-right"></i>
+                        </button>
+                    `}
+                </div>
+            `;
+        }).join('');
+        
+        let diffHtml;
+        if (versions.length < 2) {
+            diffHtml = `
+                <div class="text-center text-muted p-3">
+                    <i class="bi bi-clock-history"></i>
+                    <p class="mb-0 mt-2">No other versions</p>
+                    <small>Revisions of this code block in later answers (same filename or mostly the same code) show up here</small>
+                </div>
+            `;
+        } else {
+            const base = this.getHistoryVersion(this.diffBase);
+            const target = this.getHistoryVersion(this.diffTarget);
+            const options = selected => (selected === null ? '<option value="" selected disabled>Choose a version</option>' : '') +
+                versions.map(version => `<option value="${version.version}" ${version.version === selected ? 'selected' : ''}>v${version.version} · ${this.escapeHtml(version.id)}</option>`).join('');
+            const ops = base && target ? ChatDiff.diffLines(base.code, target.code) : [];
+            const stats = ChatDiff.stats(ops);
+            const changed = stats.added + stats.removed > 0;
+            
+            diffHtml = `
+                <div class="history-diff-toolbar">
+                    <select class="form-select form-select-sm history-diff-base">${options(this.diffBase)}</select>
+                    <i class="bi bi-arrow-right"></i>
+                    <select class="form-select form-select-sm history-diff-target">${options(this.diffTarget)}</select>
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-secondary ${this.diffMode === 'unified' ? 'active' : ''}" onclick="window.artifactsPanel.setDiffMode('unified')">Unified</button>
+                        <button class="btn btn-outline-secondary ${this.diffMode === 'split' ? 'active' : ''}" onclick="window.artifactsPanel.setDiffMode('split')">Side by side</button>
+                    </div>
+                    ${changed ? `<span class="history-version-stats"><span class="diff-added">+${stats.added}</span> <span class="diff-removed">-${stats.removed}</span></span>` : ''}
+                </div>
+                <div class="history-diff">
+                    ${!changed
+                        ? '<div class="text-center text-muted p-3">No changes between these versions</div>'
+                        : this.diffMode === 'split' ? ChatDiff.renderSideBySide(ops) : ChatDiff.renderUnified(ops)}
+                </div>
+            `;
+        }
+        
+        pane.innerHTML = `
+            <div class="history-versions">${versionItems}</div>
+            ${diffHtml}
+        `;
+        
+        const baseSelect = pane.querySelector('.history-diff-base');
+        const targetSelect = pane.querySelector('.history-diff-target');
+        if (baseSelect && targetSelect) {
+            baseSelect.addEventListener('change', () => this.setDiffVersions(Number(baseSelect.value), this.diffTarget));
+            targetSelect.addEventListener('change', () => this.setDiffVersions(this.diffBase, Number(targetSelect.value)));
+        }
+    }
+    
     // ENHANCED: Enable split view mode
     enableSplitViewMode() {
         const appContainer = document.querySelector('.app-container');
@@ -446,14 +780,20 @@ class ChatArtifactsPanel {
         const panel = document.getElementById('split-code-panel');
         
         if (panel) {
+            if (!this.confirmDiscardEdits()) return false;
+            this.codeEditor = null;
+            this.destroyPreview();
+            
             // Animate out
             panel.classList.add('closing');
             
             setTimeout(() => {
                 panel.remove();
+                document.getElementById('split-resizer')?.remove();
                 this.disableSplitViewMode();
                 this.isCodePanelOpen = false;
                 this.currentCodeArtifact = null;
+                this.artifactHistory = null;
                 this.removeCodePanelKeyboardSupport();
                 console.log('🔍 Split-view code panel closed');
             }, 300);
@@ -461,6 +801,7 @@ class ChatArtifactsPanel {
             this.disableSplitViewMode();
             this.isCodePanelOpen = false;
         }
+        return true;
     }
     
     // NEW: Toggle fullscreen mode for code panel
@@ -540,12 +881,13 @@ class ChatArtifactsPanel {
     }
     
     // Download code functionality
-    downloadCode(artifactId) {
+    downloadCode(artifactId = this.currentCodeArtifact?.id) {
         try {
             if (this.currentCodeArtifact && this.currentCodeArtifact.id === artifactId) {
-                const code = this.currentCodeArtifact.code || this.currentCodeArtifact.content || '';
-                const language = this.currentCodeArtifact.language || 'txt';
-                const filename = `${artifactId.replace(/[^a-zA-Z0-9]/g, '_')}.${language}`;
+                const code = this.getPanelCode();
+                // The block's own filename when it has one (without folders: downloads are flat)
+                const path = ChatArtifacts.safeFilePath(this.currentCodeArtifact.metadata?.filename);
+                const filename = path ? path.split('/').pop() : ChatArtifacts.codeFilename(artifactId, this.currentCodeArtifact.language);
                 
                 const blob = new Blob([code], { type: 'text/plain' });
                 const url = URL.createObjectURL(blob);
@@ -570,15 +912,69 @@ class ChatArtifactsPanel {
         }
     }
     
+    // Every code file of the chat in one ZIP: the latest version of each file, named after the
+    // filename given in the chat or else after the block
+    async downloadAllCode() {
+        const chatId = window.chat?.currentChatId;
+        if (!chatId) return;
+        
+        const result = await window.chat.redis.getProjectFiles(chatId);
+        if (!result.success) {
+            window.chat.ui.showToast(`Failed to collect code blocks: ${result.error}`, 'error');
+            return;
+        }
+        if (result.files.length === 0) {
+            window.chat.ui.showToast('This chat has no code blocks', 'warning');
+            return;
+        }
+        
+        try {
+            const folder = `code_${window.chat.getChatTimestamp(chatId) || 'chat'}`;
+            const used = new Set();
+            const entries = result.files.map(file => {
+                const path = ChatArtifacts.safeFilePath(file.filename) || `snippets/${ChatArtifacts.codeFilename(file.artifactId, file.language)}`;
+                
+                // Two filenames can end up the same after cleaning: number the later one
+                let name = path;
+                for (let n = 2; used.has(name.toLowerCase()); n++) {
+                    name = path.replace(/(\.[^./]*)?$/, ext => `_${n}${ext}`);
+                }
+                used.add(name.toLowerCase());
+                
+                return { name: `${folder}/${name}`, data: file.code };
+            });
+            
+            const blob = await ChatZip.create(entries);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${folder}.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            window.chat.ui.showToast(`Downloaded ${entries.length} file${entries.length === 1 ? '' : 's'} as ${folder}.zip`, 'success');
+        } catch (error) {
+            console.error('🔍 Error building code ZIP:', error);
+            window.chat.ui.showToast('Failed to build the ZIP file', 'error');
+        }
+    }
+    
     // Keyboard support for code panel
     addCodePanelKeyboardSupport() {
         this.keyboardHandler = (e) => {
+            // Copy in the editor and other text fields is the normal copy of the selection
+            const inTextField = e.target instanceof Element && e.target.closest('textarea, input, select, [contenteditable="true"]');
+            
             switch(e.key) {
                 case 'Escape':
+                    // Not while typing in the editor: Escape there must not close the panel mid-edit
+                    if (this.codeEditor && e.target === this.codeEditor.textarea) break;
                     this.closeSplitViewCodePanel();
                     break;
                 case 'c':
-                    if (e.ctrlKey || e.metaKey) {
+                    if ((e.ctrlKey || e.metaKey) && !inTextField) {
                         e.preventDefault();
                         if (this.currentCodeArtifact) {
                             this.copyCodeContent(this.currentCodeArtifact.id);
@@ -614,10 +1010,10 @@ class ChatArtifactsPanel {
     }
     
     // Copy code content
-    async copyCodeContent(artifactId) {
+    async copyCodeContent(artifactId = this.currentCodeArtifact?.id) {
         try {
             if (this.currentCodeArtifact && this.currentCodeArtifact.id === artifactId) {
-                const code = this.currentCodeArtifact.code || this.currentCodeArtifact.content || '';
+                const code = this.getPanelCode();
                 await navigator.clipboard.writeText(code);
                 
                 if (window.chat && window.chat.ui) {
@@ -744,8 +1140,14 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Cleanup on page unload
-window.addEventListener('beforeunload', () => {
+window.addEventListener('beforeunload', (e) => {
     if (window.artifactsPanel && window.artifactsPanel.isCodePanelOpen) {
+        // Unsaved code edits get the browser's "leave page?" prompt instead
+        if (window.artifactsPanel.codeEditor?.isDirty()) {
+            e.preventDefault();
+            e.returnValue = '';
+            return;
+        }
         window.artifactsPanel.closeSplitViewCodePanel();
     }
 });
\ No newline at end of file
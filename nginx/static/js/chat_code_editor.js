@@ -0,0 +1,222 @@
+// Code Editor Module - Textarea over a Prism-highlighted copy of the code, with line numbers,
+// Tab/Shift+Tab indentation and auto-indent on Enter (used by the split-view code panel)
+class ChatCodeEditor {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.language = options.language || '';
+        this.onChange = options.onChange || null;
+        this.onSave = options.onSave || null;
+        this.savedValue = options.code || '';
+        this.highlightTimer = null;
+        this.lineCount = 0;
+        this.maxHighlightLength = 200000; // larger code is edited without highlighting
+        
+        this.build();
+        this.setValue(this.savedValue);
+    }
+    
+    build() {
+        this.container.innerHTML = `
+            <div class="code-editor">
+                <div class="code-editor-gutter" aria-hidden="true"></div>
+                <div class="code-editor-body">
+                    <pre class="code-editor-highlight" aria-hidden="true"><code class="language-${this.language}"></code></pre>
+                    <textarea class="code-editor-input" spellcheck="false" autocomplete="off" autocapitalize="off" wrap="off" aria-label="Code editor"></textarea>
+                </div>
+            </div>
+        `;
+        this.gutter = this.container.querySelector('.code-editor-gutter');
+        this.highlight = this.container.querySelector('.code-editor-highlight code');
+        this.textarea = this.container.querySelector('.code-editor-input');
+        
+        this.textarea.addEventListener('input', () => this.handleInput());
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+    
+    getValue() {
+        return this.textarea.value;
+    }
+    
+    setValue(code) {
+        this.textarea.value = code;
+        this.indentUnit = this.detectIndentUnit(code);
+        this.render(true);
+    }
+    
+    isDirty() {
+        return this.textarea.value !== this.savedValue;
+    }
+    
+    markSaved() {
+        this.savedValue = this.textarea.value;
+    }
+    
+    focus() {
+        this.textarea.focus();
+    }
+    
+    handleInput() {
+        this.render(false);
+        if (this.onChange) {
+            this.onChange(this.getValue());
+        }
+    }
+    
+    // Line numbers now; highlighting is debounced so typing stays responsive
+    render(immediate) {
+        const code = this.textarea.value;
+        const lineCount = code.split('\n').length;
+        if (lineCount !== this.lineCount) {
+            this.lineCount = lineCount;
+            this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+        }
+        
+        // The textarea keeps a trailing newline visible; the highlighted copy needs a character after it
+        this.highlight.textContent = code.endsWith('\n') ? code + ' ' : code;
+        
+        clearTimeout(this.highlightTimer);
+        if (!window.Prism || !this.language || code.length > this.maxHighlightLength) return;
+        
+        if (immediate) {
+            Prism.highlightElement(this.highlight);
+        } else {
+            this.highlightTimer = setTimeout(() => Prism.highlightElement(this.highlight), 150);
+        }
+    }
+    
+    // Tabs if most indented lines use them, otherwise the smallest space indent (2 or 4)
+    detectIndentUnit(code) {
+        let tabs = 0;
+        let spaces = 0;
+        let smallest = Infinity;
+        code.split('\n').forEach(line => {
+            const indent = line.match(/^[ \t]+(?=\S)/);
+            if (!indent) return;
+            if (indent[0][0] === '\t') {
+                tabs++;
+            } else {
+                spaces++;
+                smallest = Math.min(smallest, indent[0].length);
+            }
+        });
+        
+        if (tabs > spaces) return '\t';
+        return smallest === 2 ? '  ' : '    ';
+    }
+    
+    handleKeydown(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            e.stopPropagation();
+            if (this.onSave) this.onSave();
+            return;
+        }
+        
+        if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.outdentSelection();
+            } else {
+                this.indentSelection();
+            }
+            return;
+        }
+        
+        if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.insertNewline();
+        }
+    }
+    
+    // Replace start..end with text as one undoable edit (execCommand keeps the browser's undo stack)
+    replaceRange(start, end, text, selectStart = null, selectEnd = null) {
+        const textarea = this.textarea;
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            textarea.setRangeText(text, start, end, 'end');
+            this.handleInput();
+        }
+        
+        if (selectStart !== null) {
+            textarea.setSelectionRange(selectStart, selectEnd !== null ? selectEnd : selectStart);
+        }
+    }
+    
+    // Start of the line holding the selection start, end of the line holding the selection end
+    selectedLineRange() {
+        const value = this.textarea.value;
+        const { selectionStart, selectionEnd } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        // A selection ending right after a newline does not include the next line
+        const endAt = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n' ? selectionEnd - 1 : selectionEnd;
+        let lineEnd = value.indexOf('\n', endAt);
+        if (lineEnd === -1) lineEnd = value.length;
+        return { lineStart, lineEnd };
+    }
+    
+    indentSelection() {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const value = this.textarea.value;
+        
+        if (selectionStart === selectionEnd || !value.slice(selectionStart, selectionEnd).includes('\n')) {
+            const caret = selectionStart + this.indentUnit.length;
+            this.replaceRange(selectionStart, selectionEnd, this.indentUnit, caret);
+            return;
+        }
+        
+        const { lineStart, lineEnd } = this.selectedLineRange();
+        const lines = value.slice(lineStart, lineEnd).split('\n');
+        const indented = lines.map(line => line ? this.indentUnit + line : line).join('\n');
+        this.replaceRange(lineStart, lineEnd, indented, lineStart, lineStart + indented.length);
+    }
+    
+    outdentSelection() {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const { lineStart, lineEnd } = this.selectedLineRange();
+        const lines = this.textarea.value.slice(lineStart, lineEnd).split('\n');
+        
+        let removedFirst = 0;
+        const outdented = lines.map((line, index) => {
+            const match = this.indentUnit === '\t' ? line.match(/^\t/) : line.match(new RegExp(`^ {1,${this.indentUnit.length}}|^\\t`));
+            const removed = match ? match[0].length : 0;
+            if (index === 0) removedFirst = removed;
+            return line.slice(removed);
+        }).join('\n');
+        
+        if (outdented.length === lineEnd - lineStart) return;
+        
+        if (selectionStart === selectionEnd) {
+            const caret = Math.max(lineStart, selectionStart - removedFirst);
+            this.replaceRange(lineStart, lineEnd, outdented, caret);
+        } else {
+            this.replaceRange(lineStart, lineEnd, outdented, lineStart, lineStart + outdented.length);
+        }
+    }
+    
+    // Keep the current line's indentation, one level deeper after an opening bracket or colon
+    insertNewline() {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const value = this.textarea.value;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const before = value.slice(lineStart, selectionStart);
+        const indent = before.match(/^[ \t]*/)[0];
+        const opens = /[{[(:]\s*$/.test(before);
+        
+        const text = '\n' + indent + (opens ? this.indentUnit : '');
+        this.replaceRange(selectionStart, selectionEnd, text, selectionStart + text.length);
+    }
+    
+    destroy() {
+        clearTimeout(this.highlightTimer);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCodeEditor;
+} else if (typeof window !== 'undefined') {
+    window.ChatCodeEditor = ChatCodeEditor;
+}
\ No newline at end of file
@@ -0,0 +1,293 @@
+// Document Collections Module - Named sets of documents the server embeds; chats that use a
+// collection get its most relevant passages with every prompt and show them as sources
+class ChatCollections {
+    constructor(chatInstance) {
+        this.chat = chatInstance;
+        this.collections = [];
+        this.selected = new Set(); // collection ids the current chat searches
+        this.openCollections = new Set(); // collections whose document list is expanded
+        this.embedModel = '';
+        this.indexing = false;
+        console.log('Document collections module initialized');
+    }
+    
+    async refresh() {
+        const chatId = this.chat.currentChatId;
+        const result = await this.chat.redis.getCollections(chatId);
+        if (chatId !== this.chat.currentChatId) return;
+        
+        if (result.success) {
+            this.collections = result.collections;
+            this.selected = new Set(result.selected);
+            this.embedModel = result.embedModel;
+        }
+        this.render(result.success ? null : result.error);
+        this.renderTarget();
+    }
+    
+    async createCollection(name) {
+        name = (name || '').trim();
+        if (!name) return null;
+        
+        const result = await this.chat.redis.createCollection(name);
+        if (!result.success) {
+            this.chat.ui.showToast(`Cannot create collection: ${result.error}`, 'error');
+            return null;
+        }
+        
+        this.collections.unshift(result.collection);
+        this.render();
+        this.renderTarget();
+        this.chat.ui.showToast(`Created collection "${name}"`, 'success');
+        return result.collection.id;
+    }
+    
+    async deleteCollection(collectionId) {
+        const collection = this.find(collectionId);
+        if (!collection || !confirm(`Delete the collection "${collection.name}" and all its documents?`)) return;
+        
+        const result = await this.chat.redis.deleteCollection(collectionId);
+        if (!result.success) {
+            this.chat.ui.showToast(`Cannot delete collection: ${result.error}`, 'error');
+            return;
+        }
+        
+        this.chat.ui.showToast(`Deleted collection "${collection.name}"`, 'info');
+        await this.refresh();
+    }
+    
+    async removeDocument(collectionId, documentId) {
+        const result = await this.chat.redis.deleteCollectionDocument(collectionId, documentId);
+        if (!result.success) {
+            this.chat.ui.showToast(`Cannot remove document: ${result.error}`, 'error');
+            return;
+        }
+        await this.refresh();
+    }
+    
+    // Turn a collection on or off for the current chat (a new page gets its chat created here)
+    async setUsedInChat(collectionId, used) {
+        const chatId = await this.chat.ensureChatId();
+        if (!chatId) return;
+        
+        const selected = new Set(this.selected);
+        if (used) {
+            selected.add(collectionId);
+        } else {
+            selected.delete(collectionId);
+        }
+        
+        const result = await this.chat.redis.setChatCollections(chatId, Array.from(selected));
+        if (!result.success) {
+            this.chat.ui.showToast(`Cannot update chat collections: ${result.error}`, 'error');
+        } else if (chatId === this.chat.currentChatId) {
+            this.selected = selected;
+        }
+        this.render();
+    }
+    
+    // Index the files in the attachment list into a collection. Text comes from the same place as
+    // for a message (plain text files, PDF and Office extraction); files without text are skipped.
+    async addAttachedFiles(collectionId) {
+        const collection = this.find(collectionId);
+        const files = [...this.chat.fileUpload.attachedFiles];
+        if (!collection || files.length === 0 || this.indexing) return;
+        
+        this.indexing = true;
+        this.renderTarget();
+        
+        const added = [];
+        const errors = [];
+        try {
+            for (const [index, file] of files.entries()) {
+                this.renderTarget(`Indexing ${index + 1}/${files.length}: ${file.name}`);
+                
+                const [fileData] = await this.chat.ollama.processFiles([file]);
+                if (!fileData || typeof fileData.content !== 'string' || !fileData.content.trim()) {
+                    errors.push(`"${file.name}": no text to index`);
+                    continue;
+                }
+                
+                const result = await this.chat.redis.addCollectionDocument(collectionId, {
+                    name: file.name,
+                    type: file.type || 'application/octet-stream',
+                    size: file.size,
+                    content: fileData.content
+                });
+                if (result.success) {
+                    added.push(file);
+                } else {
+                    errors.push(`"${file.name}": ${result.error}`);
+                }
+            }
+        } finally {
+            this.indexing = false;
+        }
+        
+        // Indexed files leave the attachment list; failed ones stay so the user can send them instead
+        this.chat.fileUpload.detachFiles(added);
+        
+        if (added.length > 0) {
+            const fileText = added.length === 1 ? 'file' : 'files';
+            this.chat.ui.showToast(`Added ${added.length} ${fileText} to "${collection.name}"`, 'success');
+        }
+        if (errors.length > 0) {
+            this.chat.fileUpload.showFileErrors(errors);
+        }
+        
+        this.openCollections.add(collectionId);
+        await this.refresh();
+    }
+    
+    find(collectionId) {
+        return this.collections.find(collection => collection.id === collectionId) || null;
+    }
+    
+    // "Add to collection" control in the attachment area
+    renderTarget(status = null) {
+        const container = document.getElementById('collection-target');
+        if (!container) return;
+        
+        if (this.collections.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        if (this.indexing) {
+            container.innerHTML = `
+                <span class="collection-target-status">
+                    <span class="spinner-border spinner-border-sm"></span>
+                    ${this.chat.ui.escapeHtml(status || 'Indexing…')}
+                </span>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <select class="form-select form-select-sm" title="Collection"></select>
+            <button type="button" class="btn btn-sm btn-outline-secondary" title="Index the attached files into this collection">
+                <i class="bi bi-journal-plus"></i> Add to collection
+            </button>
+        `;
+        // Names are user input: options are built as nodes, not markup
+        const select = container.querySelector('select');
+        this.collections.forEach(collection => select.add(new Option(collection.name, collection.id)));
+        container.querySelector('button').addEventListener('click', () => this.addAttachedFiles(select.value));
+    }
+    
+    // Collections tab in the sidebar
+    render(error = null) {
+        const container = document.getElementById('collection-library');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <form class="collection-create">
+                <input type="text" class="form-control form-control-sm" placeholder="New collection name..." maxlength="80">
+                <button type="submit" class="btn btn-sm btn-outline-primary" title="Create collection">
+                    <i class="bi bi-plus-lg"></i>
+                </button>
+            </form>
+        `;
+        const form = container.querySelector('form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = form.querySelector('input');
+            if (await this.createCollection(input.value)) {
+                input.value = '';
+            }
+        });
+        
+        if (error) {
+            container.insertAdjacentHTML('beforeend', `<div class="text-center text-muted p-3"><small>Could not load collections: ${this.chat.ui.escapeHtml(error)}</small></div>`);
+            return;
+        }
+        
+        if (this.collections.length === 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="text-center text-muted p-3">
+                    <i class="bi bi-journal-text"></i>
+                    <p class="mb-0 mt-2">No collections yet</p>
+                    <small>Create one, attach files and use "Add to collection"</small>
+                </div>
+            `);
+            return;
+        }
+        
+        this.collections.forEach(collection => container.appendChild(this.createCollectionItem(collection)));
+        
+        if (this.embedModel) {
+            container.insertAdjacentHTML('beforeend', `<div class="collection-model text-muted">Embeddings: ${this.chat.ui.escapeHtml(this.embedModel)}</div>`);
+        }
+    }
+    
+    createCollectionItem(collection) {
+        const item = document.createElement('div');
+        item.className = 'collection-item';
+        
+        const used = this.selected.has(collection.id);
+        const open = this.openCollections.has(collection.id);
+        const documents = Array.isArray(collection.documents) ? collection.documents : [];
+        const stale = collection.chunk_count > 0 && this.embedModel && collection.embed_model !== this.embedModel;
+        
+        item.innerHTML = `
+            <div class="collection-item-header">
+                <input type="checkbox" class="form-check-input" title="Use in this chat" ${used ? 'checked' : ''}>
+                <button type="button" class="collection-item-name" title="Show documents">
+                    <i class="bi bi-chevron-${open ? 'down' : 'right'}"></i>
+                    ${this.chat.ui.escapeHtml(collection.name)}
+                </button>
+                <small class="text-muted">${collection.document_count || 0} doc${collection.document_count === 1 ? '' : 's'}</small>
+                <button type="button" class="btn btn-sm btn-link collection-item-delete" title="Delete collection">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+            ${stale ? `<div class="collection-item-warning"><i class="bi bi-exclamation-triangle"></i> Indexed with ${this.chat.ui.escapeHtml(collection.embed_model)} - not searched</div>` : ''}
+        `;
+        
+        item.querySelector('input').addEventListener('change', (e) => this.setUsedInChat(collection.id, e.target.checked));
+        item.querySelector('.collection-item-name').addEventListener('click', () => {
+            if (open) {
+                this.openCollections.delete(collection.id);
+            } else {
+                this.openCollections.add(collection.id);
+            }
+            this.render();
+        });
+        item.querySelector('.collection-item-delete').addEventListener('click', () => this.deleteCollection(collection.id));
+        
+        if (open) {
+            const list = document.createElement('div');
+            list.className = 'collection-documents';
+            if (documents.length === 0) {
+                list.innerHTML = '<small class="text-muted">No documents - attach files and use "Add to collection"</small>';
+            }
+            documents.forEach(doc => {
+                const row = document.createElement('div');
+                row.className = 'collection-document';
+                row.innerHTML = `
+                    <i class="bi ${this.chat.fileUpload.getFileIcon(doc.type || '')}"></i>
+                    <span class="collection-document-name"></span>
+                    <small class="text-muted">${doc.chunk_count} part${doc.chunk_count === 1 ? '' : 's'}</small>
+                    <button type="button" class="btn btn-sm btn-link" title="Remove from collection">
+                        <i class="bi bi-x"></i>
+                    </button>
+                `;
+                const name = row.querySelector('.collection-document-name');
+                name.textContent = doc.name;
+                name.title = doc.name;
+                row.querySelector('button').addEventListener('click', () => this.removeDocument(collection.id, doc.id));
+                list.appendChild(row);
+            });
+            item.appendChild(list);
+        }
+        
+        return item;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCollections;
+} else if (typeof window !== 'undefined') {
+    window.ChatCollections = ChatCollections;
+}
\ No newline at end of file
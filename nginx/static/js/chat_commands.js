@@ -0,0 +1,347 @@
+// Commands Module - Slash commands typed in the chat input (/new, /model llama3, ...), with an
+// autocomplete list. Commands live in a registry: other modules add theirs with register().
+class ChatCommands {
+    static EXPORT_FORMATS = { md: 'markdown', markdown: 'markdown', json: 'json', html: 'html', print: 'print' };
+
+    constructor(chatInstance) {
+        this.chat = chatInstance;
+        this.commands = new Map(); // name -> { name, args, description, run, suggest }
+        this.input = null;
+        this.menu = null;
+        this.items = [];
+        this.activeIndex = 0;
+        this.registerBuiltins();
+        console.log('Chat commands module initialized');
+    }
+    
+    // command: { name, args ('<name>', optional), description, run(argText, chat), suggest(argText, chat) }.
+    // run may be async; returning false keeps the text in the input (e.g. a missing argument).
+    register(command) {
+        if (!command || !/^[a-z][\w-]*$/.test(command.name) || typeof command.run !== 'function') {
+            throw new Error('A command needs a lowercase name and a run function');
+        }
+        this.commands.set(command.name, { args: '', description: '', suggest: null, ...command });
+    }
+    
+    unregister(name) {
+        this.commands.delete(name);
+    }
+    
+    // { command, argText } when text is a registered command, otherwise null (sent as a message).
+    // Text after a command that takes no arguments ("/new idea for ...") is a message too.
+    parse(text) {
+        const match = text.match(/^\/([\w-]+)(?:\s+([\s\S]*))?$/);
+        if (!match) return null;
+        const command = this.commands.get(match[1].toLowerCase());
+        const argText = (match[2] || '').trim();
+        if (!command || (argText && !command.args)) return null;
+        return { command, argText };
+    }
+    
+    async execute(text) {
+        const parsed = this.parse(text.trim());
+        if (!parsed) return false;
+        
+        this.close();
+        try {
+            const result = await parsed.command.run(parsed.argText, this.chat);
+            if (result !== false && this.input) {
+                this.input.value = '';
+                this.input.dispatchEvent(new Event('input'));
+            }
+        } catch (error) {
+            console.error(`Commands: /${parsed.command.name} failed:`, error);
+            this.chat.ui.showToast(`/${parsed.command.name} failed: ${error.message}`, 'error');
+        }
+        return true;
+    }
+    
+    attach(input) {
+        this.input = input;
+        this.menu = document.createElement('div');
+        this.menu.className = 'command-menu';
+        this.menu.setAttribute('role', 'listbox');
+        this.menu.hidden = true;
+        input.parentElement.appendChild(this.menu);
+        
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+        this.menu.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+    
+    isOpen() {
+        return this.menu !== null && !this.menu.hidden;
+    }
+    
+    // Called first by the input's keydown handler; true when the key was used for a command.
+    // Tab completes the highlighted entry, Enter completes it and runs the command once it is whole.
+    handleKeydown(e) {
+        if (this.isOpen() && this.items.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+                return true;
+            }
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                this.complete(this.activeIndex, false);
+                return true;
+            }
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.complete(this.activeIndex, true);
+                return true;
+            }
+        }
+        if (e.key === 'Escape' && this.isOpen()) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+            return true;
+        }
+        if (e.key === 'Enter' && !e.shiftKey && this.parse(this.input.value.trim())) {
+            e.preventDefault();
+            this.execute(this.input.value);
+            return true;
+        }
+        return false;
+    }
+    
+    // Command names while the first word is typed, then the command's argument suggestions
+    update() {
+        const text = this.input.value;
+        const match = text.match(/^\/([\w-]*)(\s+([\s\S]*))?$/);
+        if (!match || text.includes('\n')) {
+            this.close();
+            return;
+        }
+        
+        const name = match[1].toLowerCase();
+        if (match[2] === undefined) {
+            this.items = Array.from(this.commands.values())
+                .filter(command => command.name.startsWith(name))
+                .map(command => ({ kind: 'command', command }));
+        } else {
+            const command = this.commands.get(name);
+            const argText = match[3] || '';
+            const suggestions = command && command.suggest ? command.suggest(argText, this.chat) || [] : [];
+            this.items = suggestions
+                .filter(value => value.toLowerCase().startsWith(argText.trim().toLowerCase()))
+                .slice(0, 50)
+                .map(value => ({ kind: 'argument', command, value }));
+        }
+        
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+        this.render();
+    }
+    
+    render() {
+        this.menu.innerHTML = this.items.map((item, index) => item.kind === 'command' ? `
+            <div class="command-item" role="option" data-index="${index}">
+                <span class="command-name">/${this.chat.ui.escapeHtml(item.command.name)}</span>
+                <span class="command-args">${this.chat.ui.escapeHtml(item.command.args)}</span>
+                <span class="command-description">${this.chat.ui.escapeHtml(item.command.description)}</span>
+            </div>
+        ` : `
+            <div class="command-item" role="option" data-index="${index}">
+                <span class="command-name">/${this.chat.ui.escapeHtml(item.command.name)}</span>
+                <span class="command-args">${this.chat.ui.escapeHtml(item.value)}</span>
+            </div>
+        `).join('');
+        this.menu.querySelectorAll('.command-item').forEach(element => {
+            element.addEventListener('click', () => this.complete(Number(element.dataset.index), true));
+        });
+        this.menu.hidden = false;
+        this.setActive(0);
+    }
+    
+    setActive(index) {
+        this.activeIndex = index;
+        this.menu.querySelectorAll('.command-item').forEach((element, i) => {
+            element.classList.toggle('active', i === index);
+            element.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            if (i === index) element.scrollIntoView({ block: 'nearest' });
+        });
+    }
+    
+    // Put the chosen command or argument into the input; run it if nothing more is needed
+    complete(index, run) {
+        const item = this.items[index];
+        if (!item) return;
+        
+        const text = item.kind === 'command'
+            ? `/${item.command.name}${item.command.args ? ' ' : ''}`
+            : `/${item.command.name} ${item.value}`;
+        this.input.value = text;
+        this.input.setSelectionRange(text.length, text.length);
+        this.input.dispatchEvent(new Event('input'));
+        
+        const complete = item.kind === 'argument' || !item.command.args;
+        if (run && complete) {
+            this.execute(text);
+        } else if (!complete) {
+            this.update();
+        } else {
+            this.close();
+        }
+    }
+    
+    close() {
+        if (!this.menu) return;
+        this.menu.hidden = true;
+        this.menu.innerHTML = '';
+        this.items = [];
+    }
+    
+    // The last answer on screen: { id, stopped } or null
+    lastAnswer() {
+        const answers = document.querySelectorAll('#messages-content .message[data-message-id^="jai("]');
+        const last = answers[answers.length - 1];
+        return last ? { id: last.dataset.messageId, stopped: last.classList.contains('message-stopped') } : null;
+    }
+    
+    registerBuiltins() {
+        const toast = (message, type = 'warning') => this.chat.ui.showToast(message, type);
+        const idle = () => {
+            if (!this.chat.isTyping) return true;
+            toast('Wait for the current answer to finish');
+            return false;
+        };
+        
+        this.register({
+            name: 'new',
+            description: 'Start a new chat',
+            run: (args, chat) => chat.createNewChat()
+        });
+        
+        this.register({
+            name: 'clear',
+            description: 'Clear the messages of this chat',
+            run: async (args, chat) => {
+                if (!chat.currentChatId) {
+                    toast('There is no chat to clear');
+                    return false;
+                }
+                // false when the confirmation was cancelled: the command stays in the input
+                return clearCurrentChat();
+            }
+        });
+        
+        this.register({
+            name: 'model',
+            args: '<name>',
+            description: 'Use another model in this chat',
+            suggest: (args, chat) => chat.ollama.availableModels.map(model => model.name),
+            run: async (args, chat) => {
+                const names = chat.ollama.availableModels.map(model => model.name);
+                // An exact name, or the only installed model starting with what was typed
+                const matches = names.includes(args) ? [args] : names.filter(name => name.startsWith(args));
+                if (!args || matches.length !== 1) {
+                    toast(args ? `No single model matches "${args}"` : 'Usage: /model <name>');
+                    return false;
+                }
+                await chat.changeModel(matches[0]);
+                chat.ui.setSelectedModel(matches[0]);
+            }
+        });
+        
+        this.register({
+            name: 'system',
+            args: '<text>',
+            description: 'Set the system prompt of this chat (no text opens the settings)',
+            run: async (args, chat) => {
+                if (!args) {
+                    chat.openSettingsDrawer();
+                    return;
+                }
+                const settings = chat.ollama.getGenerationSettings();
+                return chat.saveChatSettings({ options: settings.options, systemPrompt: args });
+            }
+        });
+        
+        this.register({
+            name: 'temp',
+            args: '<0-2>',
+            description: 'Set the temperature of this chat',
+            run: async (args, chat) => {
+                const temperature = Number(args);
+                if (args === '' || !Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+                    toast('Usage: /temp <number from 0 to 2>');
+                    return false;
+                }
+                const settings = chat.ollama.getGenerationSettings();
+                return chat.saveChatSettings({
+                    options: { ...settings.options, temperature: temperature },
+                    systemPrompt: settings.systemPrompt
+                });
+            }
+        });
+        
+        this.register({
+            name: 'export',
+            args: '<md|json|html|print>',
+            description: 'Download this conversation',
+            suggest: () => ['md', 'json', 'html', 'print'],
+            run: (args, chat) => {
+                const format = ChatCommands.EXPORT_FORMATS[(args || 'md').toLowerCase()];
+                if (!format) {
+                    toast('Usage: /export md | json | html | print');
+                    return false;
+                }
+                return chat.exportConversation(format);
+            }
+        });
+        
+        this.register({
+            name: 'search',
+            args: '<query>',
+            description: 'Search all chats',
+            run: (args) => {
+                const search = document.getElementById('chat-search');
+                if (!search) return false;
+                search.value = args;
+                search.dispatchEvent(new Event('input'));
+                if (!args) search.focus();
+            }
+        });
+        
+        this.register({
+            name: 'continue',
+            description: 'Continue the last answer where it stopped',
+            run: (args, chat) => {
+                if (!idle()) return false;
+                const answer = this.lastAnswer();
+                if (!answer || !answer.stopped) {
+                    toast('The last answer was not stopped');
+                    return false;
+                }
+                chat.continueMessage(answer.id);
+            }
+        });
+        
+        this.register({
+            name: 'regen',
+            description: 'Generate another version of the last answer',
+            run: (args, chat) => {
+                if (!idle()) return false;
+                const answer = this.lastAnswer();
+                if (!answer) {
+                    toast('There is no answer to regenerate');
+                    return false;
+                }
+                chat.regenerateMessage(answer.id);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCommands;
+} else if (typeof window !== 'undefined') {
+    window.ChatCommands = ChatCommands;
+}
\ No newline at end of file
@@ -3,15 +3,28 @@ class InternalChat {
     constructor() {
         // State - minimal, just coordination
         this.currentChatId = null;
+        this.pendingChatSettings = false; // chosen in the drawer before the chat exists
         this.chats = new Map();
         this.isTyping = false;
         this.selectedChatForOptions = null;
+        this.searchTimer = null;
+        this.searchSequence = 0;
         
         // Initialize subsystems
         this.redis = new ChatRedis();
+        this.pdf = new ChatPdf();
+        this.office = new ChatOffice();
+        this.textExtractors = [this.pdf, this.office]; // attachments turned into text in the browser
         this.ollama = new ChatOllama();
+        this.ollama.setTextExtractors(this.textExtractors);
         this.artifacts = new ChatArtifacts();
+        this.runner = new ChatRunner();
         this.fileUpload = new ChatFileUpload(this);
+        this.exporter = new ChatExport(this);
+        this.importer = new ChatImport(this);
+        this.collections = new ChatCollections(this);
+        this.mentions = new ChatMentions(this);
+        this.commands = new ChatCommands(this);
         this.ui = new ChatUI(this);
         
         // UI components
@@ -29,6 +42,10 @@ class InternalChat {
         
         // Initialize chat system - delegate to Redis
         await this.redis.initializeChatSystem(this);
+        this.collections.refresh();
+        
+        // Pick up an answer that was still generating when the page was reloaded
+        await this.reattachActiveStream(this.currentChatId);
     }
     
     setupEventListeners() {
@@ -49,7 +66,14 @@ class InternalChat {
                 this.ui.autoResizeTextarea();
             });
             
+            this.mentions.attach(chatInput);
+            this.commands.attach(chatInput);
             chatInput.addEventListener('keydown', (e) => {
+                // Enter, Tab and the arrows pick from the @-mention list while it is open
+                if (this.mentions.handleKeydown(e)) return;
+                // ...then complete and run slash commands (/model, /export md...)
+                if (this.commands.handleKeydown(e)) return;
+                
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     if (chatInput.value.trim() || this.fileUpload.attachedFiles.length > 0) {
@@ -71,10 +95,30 @@ class InternalChat {
             sidebarToggle.addEventListener('click', () => this.ui.toggleSidebar());
         }
         
+        // Model picker
+        const modelSelect = document.getElementById('model-select');
+        if (modelSelect) {
+            modelSelect.addEventListener('change', (e) => this.changeModel(e.target.value));
+        }
+        
+        // Generation settings drawer
+        const settingsButton = document.getElementById('settings-button');
+        if (settingsButton) {
+            settingsButton.addEventListener('click', () => this.openSettingsDrawer());
+        }
+        
+        // Conversation export menu
+        document.querySelectorAll('[data-export-format]').forEach(item => {
+            item.addEventListener('click', () => this.exportConversation(item.dataset.exportFormat));
+        });
+        
         // Chat search
         const chatSearch = document.getElementById('chat-search');
         if (chatSearch) {
-            chatSearch.addEventListener('input', (e) => this.ui.searchChats(e.target.value, this.chats));
+            chatSearch.addEventListener('input', (e) => {
+                this.ui.searchChats(e.target.value, this.chats);
+                this.scheduleGlobalSearch(e.target.value);
+            });
         }
         
         // Artifacts panel button (existing small button)
@@ -128,9 +172,100 @@ class InternalChat {
         this.ui.updateButtons(isTyping);
     }
     
+    // Model selection - list comes from Ollama, choice is stored per chat
+    async loadModels() {
+        const result = await this.ollama.loadModels();
+        if (!result.success) {
+            this.ui.showToast('Could not load model list from Ollama', 'warning');
+        }
+        this.ui.renderModelPicker(result.models, this.ollama.getModel());
+    }
+    
+    applyChatModel(model) {
+        this.ollama.setModel(model);
+        this.ui.setSelectedModel(this.ollama.getModel());
+    }
+    
+    async changeModel(model) {
+        if (!model) return;
+        
+        this.ollama.setModel(model);
+        
+        const chat = this.chats.get(this.currentChatId);
+        if (chat) {
+            chat.model = model;
+        }
+        
+        if (this.currentChatId) {
+            const result = await this.redis.setChatModel(this.currentChatId, model);
+            if (!result.success) {
+                this.ui.showToast('Failed to save model for this chat', 'error');
+                return;
+            }
+        }
+        
+        this.ui.showToast(`Model set to ${model}`, 'info');
+    }
+    
+    // Generation settings - edited in the drawer, stored per chat
+    applyChatSettings(chat) {
+        this.pendingChatSettings = false;
+        this.ollama.setGenerationSettings(chat ? {
+            options: chat.options,
+            systemPrompt: chat.systemPrompt
+        } : null);
+    }
+    
+    openSettingsDrawer() {
+        this.ui.showSettingsDrawer(this.ollama.getGenerationSettings(), this.ollama.defaultOptions);
+    }
+    
+    async saveChatSettings(settings) {
+        this.ollama.setGenerationSettings(settings);
+        
+        // No chat yet: the settings go with the first message and are stored once it creates the chat
+        if (!this.currentChatId) {
+            this.pendingChatSettings = true;
+            this.ui.showToast('Settings will be saved with your first message', 'info');
+            return true;
+        }
+        
+        const saved = await this.storeChatSettings(this.currentChatId, settings);
+        if (saved) {
+            this.ui.showToast('Settings saved for this chat', 'success');
+        }
+        return saved;
+    }
+    
+    // Called when a message or an upload has created the chat
+    async savePendingChatSettings(chatId) {
+        if (!this.pendingChatSettings) return;
+        
+        this.pendingChatSettings = false;
+        await this.storeChatSettings(chatId, this.ollama.getGenerationSettings());
+    }
+    
+    async storeChatSettings(chatId, settings) {
+        const result = await this.redis.saveChatSettings(chatId, settings);
+        if (!result.success) {
+            this.ui.showToast('Failed to save settings for this chat', 'error');
+            return false;
+        }
+        
+        const chat = this.chats.get(chatId);
+        if (chat) {
+            chat.options = result.options;
+            chat.systemPrompt = result.systemPrompt;
+        }
+        if (chatId === this.currentChatId) {
+            this.ollama.setGenerationSettings(result);
+        }
+        return true;
+    }
+    
     // Chat Management - delegate to Redis
     async createNewChat() {
-        const result = await this.redis.createNewChat();
+        const result = await this.redis.createNewChat(this.ollama.getModel());
         if (result.success) {
             this.redis.addChatToLocalCache(result, this.chats);
             await this.switchToChat(result.chat_id);
@@ -147,7 +282,58 @@ class InternalChat {
         if (await this.redis.switchToChat(chatId, this)) {
             this.ui.updateChatListActiveState(this.currentChatId);
             this.fileUpload.clearAllFiles();
+            this.refreshFileLibrary();
+            this.collections.refresh();
+        }
+    }
+    
+    // Attachments are stored per chat, so the first upload into a fresh page creates the chat
+    async ensureChatId() {
+        if (this.currentChatId) return this.currentChatId;
+        
+        if (!this.pendingChatCreation) {
+            this.pendingChatCreation = this.redis.createNewChat(this.ollama.getModel()).then(async result => {
+                this.pendingChatCreation = null;
+                if (!result.success) return null;
+                
+                this.redis.addChatToLocalCache(result, this.chats);
+                this.setCurrentChatId(result.chat_id);
+                this.ui.updateChatList(this.chats);
+                this.ui.updateChatListActiveState(result.chat_id);
+                // Before the first message: it carries the chat ID, so the server reads stored settings
+                await this.savePendingChatSettings(result.chat_id);
+                return result.chat_id;
+            });
+        }
+        return this.pendingChatCreation;
+    }
+    
+    onFileStored(chatId) {
+        if (chatId === this.currentChatId) {
+            this.refreshFileLibrary();
+        }
+    }
+    
+    // Files tab in the sidebar - only fetched while it is visible
+    async refreshFileLibrary() {
+        if (!this.ui.isSidebarTabActive('files')) return;
+        
+        const chatId = this.currentChatId;
+        const result = chatId ? await this.redis.getChatFiles(chatId) : { success: true, files: [] };
+        if (chatId === this.currentChatId) {
+            this.ui.renderFileLibrary(chatId, result);
+        }
+    }
+    
+    async attachStoredFile(fileId) {
+        const chatId = this.currentChatId;
+        const result = await this.redis.getChatFiles(chatId);
+        const meta = result.files.find(file => file.id === fileId);
+        if (!meta) {
+            this.ui.showToast('File is no longer stored in this chat', 'error');
+            return;
         }
+        await this.fileUpload.attachStoredFile(chatId, meta);
     }
     
     // Improved loadChatMessages method in chat_core.js
@@ -158,6 +344,7 @@ class InternalChat {
         if (result.success && result.messages && result.messages.length > 0) {
             // Only render if we have messages
             this.ui.renderChatMessages(result, this.artifacts);
+            this.refreshContextState(chatId);
         } else {
             // Handle empty chat or error case
             this.ui.showEmptyChat(result.error);
@@ -187,6 +374,7 @@ class InternalChat {
             this.ui.clearMessagesUI();
             await this.refreshChatList();
             this.ui.updateCurrentChatTitle('New Chat');
+            this.refreshFileLibrary();
         }
         return result.success;
     }
@@ -219,20 +407,29 @@ class InternalChat {
         this.setTypingState(true);
 
         try {
+            // Attachments already stored in the chat's library are sent by reference
+            const fileRefs = await this.fileUpload.waitForUploads(filesToSend, this.currentChatId);
+            
             // Send to Ollama - it handles streaming and callbacks
-            const stream = await this.ollama.streamMessage(message, filesToSend, this.currentChatId);
+            const stream = await this.ollama.streamMessage(message, filesToSend, this.currentChatId, fileRefs);
 
             // Handle response - delegate to UI
             if (stream.chatId && stream.chatId !== this.currentChatId) {
                 this.setCurrentChatId(stream.chatId);
-                this.redis.addNewChatToCache(stream.chatId, message, this.chats);
+                this.redis.addNewChatToCache(stream.chatId, message, this.chats, this.ollama.getModel());
                 this.ui.updateChatList(this.chats);
+                await this.savePendingChatSettings(stream.chatId);
             }
 
-            if (stream.content) {
+            this.recordUsage(stream.chatId, stream.metrics);
+            
+            if (stream.content || stream.stopped) {
                 // Load real messages (this will remove placeholders and show real messages)
                 this.loadChatMessages(stream.chatId);
-                this.ui.updateCurrentChatTitle(this.ollama.generateTitle(message));
+                const chat = this.chats.get(stream.chatId);
+                if (!chat || !chat.customTitle) {
+                    this.ui.updateCurrentChatTitle(this.ollama.generateTitle(message));
+                }
             }
 
         } catch (error) {
@@ -247,6 +444,158 @@ class InternalChat {
         }
     }
     
+    // Send text as the next prompt, as if it had been typed (the "send to chat" buttons)
+    async sendText(text) {
+        if (this.isTyping) {
+            this.ui.showToast('Wait for the current answer to finish', 'warning');
+            return false;
+        }
+        
+        const input = document.getElementById('chat-input');
+        if (!input) return false;
+        
+        input.value = text;
+        await this.sendMessage();
+        return true;
+    }
+    
+    // Branching - regenerate/edit stream a new sibling, the arrows switch between them
+    async regenerateMessage(messageId) {
+        if (this.isTyping || !this.currentChatId) return;
+        
+        const chatId = this.currentChatId;
+        this.ui.truncateMessagesFrom(messageId);
+        this.ui.addPlaceholderAssistantMessage();
+        
+        await this.streamBranch(chatId, () => this.ollama.regenerateMessage(chatId, messageId));
+    }
+    
+    async editMessage(messageId, message) {
+        if (this.isTyping || !this.currentChatId) return;
+        
+        const chatId = this.currentChatId;
+        this.ui.truncateMessagesFrom(messageId);
+        this.ui.addPlaceholderUserMessage(message);
+        this.ui.addPlaceholderAssistantMessage();
+        
+        await this.streamBranch(chatId, () => this.ollama.editMessage(chatId, messageId, message));
+    }
+    
+    // "Continue from here" on a stopped answer - the continuation streams below it, then merges
+    async continueMessage(messageId) {
+        if (this.isTyping || !this.currentChatId) return;
+        
+        const chatId = this.currentChatId;
+        this.ui.addPlaceholderAssistantMessage();
+        
+        await this.streamBranch(chatId, () => this.ollama.continueMessage(chatId, messageId));
+    }
+    
+    async streamBranch(chatId, startStream) {
+        this.setTypingState(true);
+        
+        try {
+            const stream = await startStream();
+            this.recordUsage(chatId, stream && stream.metrics);
+        } catch (error) {
+            const errorInfo = this.ollama.classifyError(error);
+            this.ui.showToast(errorInfo.userFriendly, 'error');
+        } finally {
+            this.setTypingState(false);
+        }
+        
+        // Always reload - the server decides which branch is now active
+        await this.loadChatMessages(chatId);
+    }
+    
+    // Show an in-flight generation in a placeholder and follow it to the end
+    async reattachActiveStream(chatId) {
+        if (!chatId || this.isTyping) return false;
+        
+        const status = await this.redis.getStreamStatus(chatId);
+        if (!status.success || !status.active || chatId !== this.currentChatId) return false;
+        
+        console.log('Reattaching to in-flight generation:', status.streamId);
+        this.ui.hideWelcomePrompt();
+        this.ui.addPlaceholderAssistantMessage();
+        
+        await this.streamBranch(chatId, () => this.ollama.resumeStream(chatId));
+        return true;
+    }
+    
+    // Keep the sidebar's per-chat token totals current without refetching the list
+    recordUsage(chatId, metrics) {
+        if (chatId && metrics && this.redis.addUsageToCache(chatId, metrics, this.chats)) {
+            this.ui.updateChatList(this.chats);
+        }
+    }
+    
+    // Context markers are advisory - a failed lookup leaves the messages unmarked
+    async refreshContextState(chatId) {
+        const state = await this.redis.getContextState(chatId);
+        if (state.success && chatId === this.currentChatId) {
+            this.ui.applyContextState(state);
+        }
+    }
+    
+    async togglePinMessage(messageId, pinned) {
+        if (!this.currentChatId || !messageId) return;
+        
+        const result = await this.redis.setMessagePinned(this.currentChatId, messageId, pinned);
+        if (!result.success) {
+            this.ui.showToast('Failed to update message pin', 'error');
+            return;
+        }
+        
+        await this.refreshContextState(this.currentChatId);
+    }
+    
+    async switchBranch(messageId) {
+        if (this.isTyping || !this.currentChatId || !messageId) return;
+        
+        const result = await this.redis.selectBranch(this.currentChatId, messageId);
+        if (!result.success) {
+            this.ui.showToast('Failed to switch message version', 'error');
+            return;
+        }
+        
+        await this.loadChatMessages(this.currentChatId);
+    }
+    
+    // Global search - debounced, stale responses are dropped
+    scheduleGlobalSearch(query) {
+        clearTimeout(this.searchTimer);
+        
+        const trimmed = query.trim();
+        if (trimmed.length < 2) {
+            this.searchSequence++;
+            this.ui.hideSearchResults();
+            return;
+        }
+        
+        this.searchTimer = setTimeout(() => this.searchAllChats(trimmed), 300);
+    }
+    
+    async searchAllChats(query) {
+        const sequence = ++this.searchSequence;
+        const result = await this.redis.searchAllChats(query);
+        if (sequence !== this.searchSequence) return;
+        
+        if (!result.success) {
+            this.ui.showToast('Search failed', 'error');
+            return;
+        }
+        
+        this.ui.renderSearchResults(result, query);
+    }
+    
+    async openSearchResult(chatId, messageId) {
+        if (chatId !== this.currentChatId) {
+            await this.switchToChat(chatId);
+        }
+        this.ui.scrollToMessage(messageId);
+    }
+    
     // Chat Options - minimal coordination
     showChatOptions(chatId) {
         this.selectedChatForOptions = chatId;
@@ -254,16 +603,66 @@ class InternalChat {
     }
     
     async renameChat(chatId, newTitle) {
-        this.redis.renameChatInCache(chatId, newTitle, this.chats);
+        const result = await this.redis.renameChat(chatId, newTitle);
+        if (!result.success) {
+            this.ui.showToast('Failed to rename chat', 'error');
+            return false;
+        }
+        
+        this.redis.renameChatInCache(chatId, result.title, this.chats);
         this.ui.updateChatList(this.chats);
         if (chatId === this.currentChatId) {
-            this.ui.updateCurrentChatTitle(newTitle);
+            const chat = this.chats.get(chatId);
+            this.ui.updateCurrentChatTitle(chat ? chat.title : result.title);
+        }
+        return true;
+    }
+    
+    async toggleChatPinned(chatId) {
+        const chat = this.chats.get(chatId);
+        if (!chat) return false;
+        
+        const result = await this.redis.setChatPinned(chatId, !chat.pinned);
+        if (!result.success) {
+            this.ui.showToast('Failed to update pin', 'error');
+            return false;
+        }
+        
+        chat.pinned = result.pinned;
+        this.ui.updateChatList(this.chats);
+        return true;
+    }
+    
+    async toggleChatFavourite(chatId) {
+        const chat = this.chats.get(chatId);
+        if (!chat) return false;
+        
+        const result = await this.redis.setChatFavourite(chatId, !chat.favourite);
+        if (!result.success) {
+            this.ui.showToast('Failed to update favourite', 'error');
+            return false;
         }
+        
+        chat.favourite = result.favourite;
+        this.ui.updateChatList(this.chats);
+        return true;
     }
     
-    async duplicateChat(chatId) {
-        // Delegate to Redis for implementation
-        return await this.redis.duplicateChat(chatId);
+    // Fork a chat (whole active path, or up to a message) and switch to the copy
+    async duplicateChat(chatId, upToMessageId = null) {
+        if (this.isTyping) return null;
+        
+        const result = await this.redis.duplicateChat(chatId, upToMessageId);
+        if (!result.success) {
+            this.ui.showToast('Failed to duplicate chat', 'error');
+            return null;
+        }
+        
+        this.chats.set(result.chatId, result.chat);
+        await this.switchToChat(result.chatId);
+        this.ui.updateChatList(this.chats);
+        this.ui.showToast(upToMessageId ? 'Conversation forked from this message' : 'Chat duplicated', 'success');
+        return result.chatId;
     }
     
     // Artifact integration - simple delegation
@@ -332,7 +731,25 @@ class InternalChat {
         }
     }
     
-    // REMOVED: exportChatArtifacts method - no longer needed
+    // Export - delegate to ChatExport
+    async exportConversation(format) {
+        return await this.exporter.exportConversation(format);
+    }
+    
+    async exportChatArtifacts(format = 'json') {
+        return await this.exporter.exportArtifacts(format);
+    }
+    
+    // Import - ChatImport validates the file, then the new chat is cached and opened
+    importChat() {
+        this.importer.openPicker();
+    }
+    
+    async addImportedChat(result) {
+        this.chats.set(result.chatId, result.chat);
+        await this.switchToChat(result.chatId);
+        this.ui.updateChatList(this.chats);
+    }
     
     // Utility - simple delegation
     getChatTimestamp(chatId) {
@@ -0,0 +1,234 @@
+// Diff Module - Line diff (Myers) between code block versions, rendered unified or side by side
+class ChatDiff {
+    static MAX_EDIT_DISTANCE = 2000; // beyond this the versions are shown as fully replaced
+    
+    // Operations turning oldText into newText:
+    // [{ type: 'equal' | 'delete' | 'insert', text, oldLine, newLine }] with 1-based line numbers
+    static diffLines(oldText, newText) {
+        const a = oldText ? oldText.split('\n') : [];
+        const b = newText ? newText.split('\n') : [];
+        
+        // Common prefix and suffix are equal lines; only the middle needs the O(ND) search
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        
+        const ops = [];
+        for (let i = 0; i < start; i++) {
+            ops.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+        }
+        
+        const middle = ChatDiff.myers(a.slice(start, endA), b.slice(start, endB));
+        middle.forEach(op => {
+            ops.push({
+                type: op.type,
+                text: op.type === 'insert' ? b[start + op.newIndex] : a[start + op.oldIndex],
+                oldLine: op.type === 'insert' ? null : start + op.oldIndex + 1,
+                newLine: op.type === 'delete' ? null : start + op.newIndex + 1
+            });
+        });
+        
+        for (let i = 0; i < a.length - endA; i++) {
+            ops.push({ type: 'equal', text: a[endA + i], oldLine: endA + i + 1, newLine: endB + i + 1 });
+        }
+        return ops;
+    }
+    
+    // Shortest edit script between two line arrays: [{ type, oldIndex, newIndex }] (0-based)
+    static myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = []; // trace[d][k + d] = furthest x on diagonal k after d edits
+        
+        for (let d = 0; d <= max; d++) {
+            if (d > ChatDiff.MAX_EDIT_DISTANCE) {
+                return ChatDiff.replaceAll(n, m);
+            }
+            
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                
+                if (x >= n && y >= m) {
+                    trace.push(v.slice(offset - d, offset + d + 1));
+                    return ChatDiff.backtrack(trace, n, m);
+                }
+            }
+            trace.push(v.slice(offset - d, offset + d + 1));
+        }
+        return [];
+    }
+    
+    static backtrack(trace, n, m) {
+        const ops = [];
+        let x = n;
+        let y = m;
+        
+        for (let d = trace.length - 1; d > 0; d--) {
+            const previous = trace[d - 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1])) ? k + 1 : k - 1;
+            const prevX = previous[prevK + d - 1];
+            const prevY = prevX - prevK;
+            
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+            }
+            if (x === prevX) {
+                y--;
+                ops.push({ type: 'insert', oldIndex: x, newIndex: y });
+            } else {
+                x--;
+                ops.push({ type: 'delete', oldIndex: x, newIndex: y });
+            }
+        }
+        
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+        }
+        return ops.reverse();
+    }
+    
+    static replaceAll(n, m) {
+        const ops = [];
+        for (let i = 0; i < n; i++) ops.push({ type: 'delete', oldIndex: i, newIndex: 0 });
+        for (let j = 0; j < m; j++) ops.push({ type: 'insert', oldIndex: n, newIndex: j });
+        return ops;
+    }
+    
+    static stats(ops) {
+        return {
+            added: ops.filter(op => op.type === 'insert').length,
+            removed: ops.filter(op => op.type === 'delete').length
+        };
+    }
+    
+    // Changed regions with `context` unchanged lines around them, in unified diff terms
+    static hunks(ops, context = 3) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+        
+        ops.forEach((op, index) => {
+            if (op.type === 'equal') return;
+            
+            if (current && index - lastChange <= context * 2 + 1) {
+                current.end = index;
+            } else {
+                if (current) hunks.push(current);
+                current = { start: index, end: index };
+            }
+            lastChange = index;
+        });
+        if (current) hunks.push(current);
+        
+        return hunks.map(({ start, end }) => {
+            const from = Math.max(0, start - context);
+            const lines = ops.slice(from, Math.min(ops.length, end + context + 1));
+            return {
+                oldStart: lines[0].oldLine || ChatDiff.oldLineBefore(ops, from) + 1,
+                oldCount: lines.filter(op => op.type !== 'insert').length,
+                newStart: lines[0].newLine || ChatDiff.newLineBefore(ops, from) + 1,
+                newCount: lines.filter(op => op.type !== 'delete').length,
+                lines
+            };
+        });
+    }
+    
+    static oldLineBefore(ops, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (ops[i].oldLine) return ops[i].oldLine;
+        }
+        return 0;
+    }
+    
+    static newLineBefore(ops, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (ops[i].newLine) return ops[i].newLine;
+        }
+        return 0;
+    }
+    
+    static hunkHeader(hunk) {
+        return `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`;
+    }
+    
+    static renderUnified(ops, context = 3) {
+        const rows = ChatDiff.hunks(ops, context).map(hunk => {
+            const lines = hunk.lines.map(op => {
+                const sign = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+                return `
+                    <tr class="diff-line diff-${op.type}">
+                        <td class="diff-num">${op.oldLine || ''}</td>
+                        <td class="diff-num">${op.newLine || ''}</td>
+                        <td class="diff-code"><span class="diff-sign">${sign}</span>${ChatUI.escapeHtml(op.text)}</td>
+                    </tr>
+                `;
+            }).join('');
+            return `<tr class="diff-hunk"><td colspan="3">${ChatDiff.hunkHeader(hunk)}</td></tr>${lines}`;
+        });
+        return `<table class="diff-table diff-unified"><tbody>${rows.join('')}</tbody></table>`;
+    }
+    
+    // Deleted lines sit next to the lines that replaced them
+    static renderSideBySide(ops, context = 3) {
+        const cell = (op, side) => {
+            if (!op) return '<td class="diff-num diff-empty"></td><td class="diff-code diff-empty"></td>';
+            const line = side === 'old' ? op.oldLine : op.newLine;
+            return `<td class="diff-num diff-${op.type}">${line}</td><td class="diff-code diff-${op.type}">${ChatUI.escapeHtml(op.text)}</td>`;
+        };
+        
+        const rows = ChatDiff.hunks(ops, context).map(hunk => {
+            const lines = [];
+            let deleted = [];
+            let inserted = [];
+            const flush = () => {
+                for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+                    lines.push(`<tr class="diff-line">${cell(deleted[i], 'old')}${cell(inserted[i], 'new')}</tr>`);
+                }
+                deleted = [];
+                inserted = [];
+            };
+            
+            hunk.lines.forEach(op => {
+                if (op.type === 'delete') {
+                    deleted.push(op);
+                } else if (op.type === 'insert') {
+                    inserted.push(op);
+                } else {
+                    flush();
+                    lines.push(`<tr class="diff-line">${cell(op, 'old')}${cell(op, 'new')}</tr>`);
+                }
+            });
+            flush();
+            return `<tr class="diff-hunk"><td colspan="4">${ChatDiff.hunkHeader(hunk)}</td></tr>${lines.join('')}`;
+        });
+        return `<table class="diff-table diff-split"><tbody>${rows.join('')}</tbody></table>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatDiff;
+} else if (typeof window !== 'undefined') {
+    window.ChatDiff = ChatDiff;
+}
\ No newline at end of file
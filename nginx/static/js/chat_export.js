@@ -0,0 +1,177 @@
+// Chat Export Module - Downloads the whole conversation as Markdown, JSON, standalone HTML or a print view
+class ChatExport {
+    constructor(chatInstance) {
+        this.chat = chatInstance;
+        this.prismBase = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0';
+        console.log('Chat Export module initialized');
+    }
+    
+    // Entry point for the export menu: markdown | json | html | print
+    async exportConversation(format) {
+        const chatId = this.chat.currentChatId;
+        if (!chatId) {
+            this.chat.ui.showToast('No chat to export', 'warning');
+            return false;
+        }
+        
+        try {
+            if (format === 'markdown' || format === 'json') {
+                const { content, filename } = await this.fetchTranscript(chatId, format);
+                const mimeType = format === 'json' ? 'application/json' : 'text/markdown';
+                this.chat.ui.downloadFile(content, filename, mimeType);
+            } else if (format === 'html') {
+                const transcript = await this.getTranscript(chatId);
+                const html = this.buildHtmlDocument(transcript, false);
+                this.chat.ui.downloadFile(html, `${this.baseFilename(chatId)}.html`, 'text/html');
+            } else if (format === 'print') {
+                const transcript = await this.getTranscript(chatId);
+                this.openPrintView(transcript);
+            } else {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+            
+            return true;
+        } catch (error) {
+            console.error('Export: Failed to export conversation:', error);
+            this.chat.ui.showToast('Failed to export conversation', 'error');
+            return false;
+        }
+    }
+    
+    // Artifacts-only export (code blocks and messages as artifacts) via /api/chat/export
+    async exportArtifacts(format = 'json') {
+        const chatId = this.chat.currentChatId;
+        if (!chatId) return false;
+        
+        try {
+            const params = new URLSearchParams({ chat_id: chatId, format: format });
+            const response = await fetch(`/api/chat/export?${params}`);
+            if (!response.ok) {
+                throw new Error(`Artifact export failed: ${response.status}`);
+            }
+            
+            const extension = format === 'markdown' ? 'md' : format === 'text' ? 'txt' : 'json';
+            const content = await response.text();
+            this.chat.ui.downloadFile(content, `artifacts_${this.baseFilename(chatId)}.${extension}`,
+                response.headers.get('Content-Type') || 'application/octet-stream');
+            return true;
+        } catch (error) {
+            console.error('Export: Failed to export artifacts:', error);
+            this.chat.ui.showToast('Failed to export artifacts', 'error');
+            return false;
+        }
+    }
+    
+    async fetchTranscript(chatId, format) {
+        const params = new URLSearchParams({ chat_id: chatId, format: format });
+        const response = await fetch(`/api/chat/transcript?${params}`);
+        if (!response.ok) {
+            throw new Error(`Transcript export failed: ${response.status}`);
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename=([^;]+)/);
+        const extension = format === 'json' ? 'json' : 'md';
+        
+        return {
+            content: await response.text(),
+            filename: match ? match[1].trim() : `${this.baseFilename(chatId)}.${extension}`
+        };
+    }
+    
+    async getTranscript(chatId) {
+        const { content } = await this.fetchTranscript(chatId, 'json');
+        return JSON.parse(content);
+    }
+    
+    baseFilename(chatId) {
+        const timestamp = this.chat.getChatTimestamp(chatId);
+        return `transcript_${timestamp || 'chat'}`;
+    }
+    
+    // Standalone HTML: markdown rendered with marked, code highlighted by Prism from the CDN
+    buildHtmlDocument(transcript, forPrint) {
+        const esc = (text) => this.chat.ui.escapeHtml(text == null ? '' : String(text));
+        const title = transcript.title || `Conversation ${transcript.chat_id}`;
+        const formatTime = (ts) => ts ? new Date(ts * 1000).toLocaleString() : '';
+        
+        const messagesHtml = (transcript.messages || []).map(message => {
+            const speaker = message.role === 'user' ? 'You' : 'JAI';
+            const body = window.marked ? marked.parse(message.content || '') : `<pre>${esc(message.content)}</pre>`;
+            const attachments = (message.attachments || []).map(file =>
+                `<li>${esc(file.name)} <span class="meta">(${esc(file.type || 'unknown')}, ${esc(this.chat.ui.formatFileSize(file.size || 0))})</span></li>`
+            ).join('');
+            
+            return `
+    <section class="message message-${message.role === 'user' ? 'user' : 'assistant'}">
+        <header><strong>${speaker}</strong> <span class="meta">${esc(message.id)} · ${esc(formatTime(message.timestamp))}</span></header>
+        ${attachments ? `<ul class="attachments">${attachments}</ul>` : ''}
+        <div class="content">${body}</div>
+    </section>`;
+        }).join('\n');
+        
+        const printScript = forPrint ?
+            `<script>window.addEventListener('load', () => setTimeout(() => window.print(), 500));</script>` : '';
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(title)}</title>
+    <link href="${this.prismBase}/themes/prism-tomorrow.min.css" rel="stylesheet">
+    <style>
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; color: #212529; line-height: 1.6; }
+        h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+        .summary, .meta { color: #6c757d; font-size: 0.85rem; }
+        .message { border-top: 1px solid #dee2e6; padding: 1rem 0; page-break-inside: avoid; }
+        .message-user .content { background: #f1f3f5; border-radius: 8px; padding: 0.5rem 1rem; }
+        .message header { margin-bottom: 0.5rem; }
+        .attachments { margin: 0 0 0.5rem; padding-left: 1.25rem; font-size: 0.9rem; }
+        pre[class*="language-"], pre { border-radius: 6px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+        code { font-family: "SFMono-Regular", Consolas, monospace; }
+        @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+    </style>
+</head>
+<body>
+    <h1>${esc(title)}</h1>
+    <div class="summary">${esc(transcript.chat_id)} · model ${esc(transcript.model)} · ${transcript.message_count} messages · exported ${esc(formatTime(transcript.exported_at))}</div>
+${messagesHtml}
+    <script src="${this.prismBase}/components/prism-core.min.js"></script>
+    <script src="${this.prismBase}/plugins/autoloader/prism-autoloader.min.js"></script>
+    ${printScript}
+</body>
+</html>`;
+    }
+    
+    // Print view in a new tab - the browser's "Save as PDF" does the rest. The transcript may come
+    // from an imported file, so it is shown in a sandboxed frame (opaque origin): its HTML cannot
+    // reach the app's cookies, storage or API. allow-modals lets it open the print dialog.
+    openPrintView(transcript) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.chat.ui.showToast('Allow pop-ups to open the print view', 'warning');
+            return false;
+        }
+        printWindow.opener = null;
+        
+        const doc = printWindow.document;
+        doc.open();
+        doc.write('<!DOCTYPE html><html><head><meta charset="UTF-8"><style>html, body, iframe { margin: 0; width: 100%; height: 100%; border: 0; display: block; }</style></head><body></body></html>');
+        doc.close();
+        doc.title = transcript.title || `Conversation ${transcript.chat_id}`;
+        
+        const frame = doc.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts allow-modals');
+        frame.setAttribute('referrerpolicy', 'no-referrer');
+        frame.srcdoc = this.buildHtmlDocument(transcript, true);
+        doc.body.appendChild(frame);
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatExport;
+} else if (typeof window !== 'undefined') {
+    window.ChatExport = ChatExport;
+}
\ No newline at end of file
@@ -3,6 +3,9 @@ class ChatFileUpload {
     constructor(chatInstance) {
         this.chat = chatInstance;
         this.attachedFiles = [];
+        this.openPreviews = new Set(); // files whose "what will be sent" preview is expanded
+        this.previewLength = 3000;
+        this.uploads = new WeakMap(); // File -> { status, loaded, total, chatId, fileId, error, promise }
         
         // File size limits
         this.MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB per file
@@ -164,6 +167,10 @@ class ChatFileUpload {
         // Add validated files
         if (newFiles.length > 0) {
             this.attachedFiles.push(...newFiles);
+            newFiles.forEach(file => {
+                this.startTextExtraction(file);
+                this.startUpload(file);
+            });
             this.updateFileUploadUI();
             
             // Show success message
@@ -197,9 +204,113 @@ class ChatFileUpload {
         console.warn('File upload errors:', errors);
     }
     
+    // PDF or Office extractor for a file, if the browser can turn it into text
+    getTextExtractor(file) {
+        const extractors = (this.chat && this.chat.textExtractors) || [];
+        return extractors.find(extractor => extractor.canExtract(file)) || null;
+    }
+    
+    // PDFs and Office documents are turned into text in the background as soon as they are attached
+    startTextExtraction(file) {
+        const extractor = this.getTextExtractor(file);
+        if (!extractor) return;
+        
+        extractor.extract(file, () => {
+            if (this.attachedFiles.includes(file)) {
+                this.updateFileUploadUI();
+            }
+        }).catch(error => {
+            console.warn(`Text extraction failed for "${file.name}":`, error.message);
+        });
+    }
+    
+    // Files go to the chat's library as soon as they are attached, so sending only references them
+    startUpload(file) {
+        if (this.uploads.has(file)) return this.uploads.get(file).promise;
+        
+        const state = { status: 'uploading', loaded: 0, total: file.size, chatId: null, fileId: null, error: null };
+        state.promise = (async () => {
+            const chatId = await this.chat.ensureChatId();
+            if (!chatId) {
+                throw new Error('No chat to store the file in');
+            }
+            
+            const result = await this.chat.redis.uploadFile(chatId, file, (loaded, total) => {
+                state.loaded = loaded;
+                state.total = total;
+                this.refreshFile(file);
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            state.status = 'done';
+            state.chatId = chatId;
+            state.fileId = result.file.id;
+            this.chat.onFileStored(chatId);
+            return state.fileId;
+        })().catch(error => {
+            // The file can still be sent inline with the message
+            state.status = 'error';
+            state.error = error.message;
+            console.warn(`Upload failed for "${file.name}":`, error.message);
+            return null;
+        }).finally(() => this.refreshFile(file));
+        
+        this.uploads.set(file, state);
+        return state.promise;
+    }
+    
+    // Attach a file from the chat's library without uploading it again
+    async attachStoredFile(chatId, meta) {
+        const result = await this.chat.redis.fetchStoredFile(chatId, meta);
+        if (!result.success) {
+            this.chat.ui.showToast(`Cannot attach "${meta.name}": ${result.error}`, 'error');
+            return;
+        }
+        
+        const done = Promise.resolve(meta.id);
+        this.uploads.set(result.file, { status: 'done', loaded: meta.size, total: meta.size, chatId: chatId, fileId: meta.id, error: null, promise: done });
+        this.addFiles([result.file]);
+    }
+    
+    // Wait for pending uploads; returns Map<File, fileId> for files stored in chatId
+    async waitForUploads(files, chatId) {
+        const refs = new Map();
+        for (const file of files) {
+            const state = this.uploads.get(file);
+            if (!state) continue;
+            
+            await state.promise;
+            if (state.status === 'done' && state.chatId === chatId) {
+                refs.set(file, state.fileId);
+            }
+        }
+        return refs;
+    }
+    
+    refreshFile(file) {
+        if (this.attachedFiles.includes(file)) {
+            this.updateFileUploadUI();
+        }
+    }
+    
+    togglePreview(index) {
+        const file = this.attachedFiles[index];
+        if (!file) return;
+        
+        if (this.openPreviews.has(file)) {
+            this.openPreviews.delete(file);
+        } else {
+            this.openPreviews.add(file);
+        }
+        this.updateFileUploadUI();
+    }
+    
     removeFile(index) {
         if (index >= 0 && index < this.attachedFiles.length) {
             const removedFile = this.attachedFiles.splice(index, 1)[0];
+            this.openPreviews.delete(removedFile);
             this.updateFileUploadUI();
             
             if (this.chat && this.chat.ui) {
@@ -210,9 +321,19 @@ class ChatFileUpload {
         }
     }
     
+    // Take files off the attachment list without a toast (e.g. after indexing them into a collection)
+    detachFiles(files) {
+        if (files.length === 0) return;
+        
+        this.attachedFiles = this.attachedFiles.filter(file => !files.includes(file));
+        files.forEach(file => this.openPreviews.delete(file));
+        this.updateFileUploadUI();
+    }
+    
     clearAllFiles() {
         const fileCount = this.attachedFiles.length;
         this.attachedFiles = [];
+        this.openPreviews.clear();
         this.updateFileUploadUI();
         
         if (fileCount > 0) {
@@ -296,6 +417,11 @@ class ChatFileUpload {
         const sizeWarning = file.size > this.MAX_FILE_SIZE * 0.8 ? 
             '<i class="bi bi-exclamation-triangle text-warning ms-1" title="Large file"></i>' : '';
         
+        const extractor = this.getTextExtractor(file);
+        const extractState = extractor ? extractor.getState(file) : null;
+        const extraction = extractState ? this.renderExtractionState(extractState, index) : '';
+        const upload = this.renderUploadState(this.uploads.get(file));
+        
         fileItem.innerHTML = `
             <i class="bi ${icon}"></i>
             <div class="file-item-info">
@@ -303,6 +429,8 @@ class ChatFileUpload {
                 <div class="file-item-size">
                     ${size}${sizeWarning}
                     ${isTextFile ? '<span class="badge bg-info ms-1">Text</span>' : ''}
+                    ${extraction}
+                    ${upload}
                 </div>
             </div>
             <button type="button" class="file-item-remove" onclick="window.chat.fileUpload.removeFile(${index})" title="Remove file">
@@ -310,9 +438,72 @@ class ChatFileUpload {
             </button>
         `;
         
+        // Preview of the exact text the model will receive
+        if (extractState && extractState.status === 'done' && this.openPreviews.has(file)) {
+            const preview = document.createElement('pre');
+            preview.className = 'file-item-preview';
+            const shown = extractState.text.substring(0, this.previewLength);
+            const rest = extractState.text.length - shown.length;
+            preview.textContent = rest > 0 ? `${shown}\n\n… ${rest.toLocaleString()} more characters` : shown;
+            fileItem.classList.add('has-preview');
+            fileItem.appendChild(preview);
+        }
+        
         return fileItem;
     }
     
+    // Badge for text extraction: progress while running, then page/sheet/slide count and a preview toggle
+    renderExtractionState(state, index) {
+        if (state.status === 'extracting') {
+            const percent = state.pages > 0 ? Math.round(state.page / state.pages * 100) : 0;
+            const label = state.pages > 0 ? `Extracting text ${state.page}/${state.pages}` : 'Extracting text…';
+            return `
+                <span class="file-extract-progress ms-1" title="${label}">
+                    <span class="file-extract-bar"><span style="width: ${percent}%"></span></span>
+                    ${label}
+                </span>
+            `;
+        }
+        
+        if (state.status === 'error') {
+            return `<span class="badge bg-warning text-dark ms-1" title="${this.escapeHtml(state.error || '')}">No text - sent as file info only</span>`;
+        }
+        
+        const unit = state.unit || 'page';
+        let pagesLabel = state.truncated ? `${state.pagesRead} of ${state.pages} ${unit}s` : `${state.pages} ${unit}${state.pages === 1 ? '' : 's'}`;
+        if (unit === 'document') {
+            pagesLabel = state.truncated ? 'truncated' : `${state.text.length.toLocaleString()} chars`;
+        }
+        const expanded = this.openPreviews.has(this.attachedFiles[index]);
+        return `
+            <span class="badge bg-info ms-1" title="${state.truncated ? 'Text was truncated to fit the request' : 'Text extracted'}">Text · ${pagesLabel}</span>
+            <button type="button" class="btn btn-link btn-sm file-item-preview-toggle" onclick="window.chat.fileUpload.togglePreview(${index})">
+                ${expanded ? 'Hide preview' : 'Preview'}
+            </button>
+        `;
+    }
+    
+    // Upload progress bar, then a "stored" mark once the file is in the chat's library
+    renderUploadState(state) {
+        if (!state) return '';
+        
+        if (state.status === 'uploading') {
+            const percent = state.total > 0 ? Math.round(state.loaded / state.total * 100) : 0;
+            return `
+                <span class="file-upload-progress ms-1" title="Uploading ${percent}%">
+                    <span class="file-extract-bar"><span style="width: ${percent}%"></span></span>
+                    ${percent}%
+                </span>
+            `;
+        }
+        
+        if (state.status === 'error') {
+            return `<span class="badge bg-warning text-dark ms-1" title="${this.escapeHtml(state.error || '')}">Not stored</span>`;
+        }
+        
+        return '<i class="bi bi-cloud-check text-success ms-1" title="Stored in this chat\'s files"></i>';
+    }
+    
     // Enhanced file icon detection
     getFileIcon(mimeType) {
         if (mimeType.startsWith('image/')) return 'bi-file-earmark-image text-primary';
@@ -390,9 +581,7 @@ class ChatFileUpload {
     
     // Utility function to escape HTML
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return ChatUI.escapeHtml(text);
     }
     
     // Debug method
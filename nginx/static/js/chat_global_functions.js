@@ -12,11 +12,12 @@ function createNewChat() {
     }
 }
 
+// Resolves to true when the chat was cleared (false if cancelled or failed)
 async function clearCurrentChat() {
-    if (!window.chat || !window.chat.currentChatId) return;
+    if (!window.chat || !window.chat.currentChatId) return false;
     
     if (!confirm('Are you sure you want to clear this chat? This action cannot be undone.')) {
-        return;
+        return false;
     }
     
     try {
@@ -35,10 +36,11 @@ async function clearCurrentChat() {
             }
             
             // Reload chat list to reflect changes
-            await window.chat.loadChatList();
+            await window.chat.refreshChatList();
             window.chat.ui.updateCurrentChatTitle('New Chat');
             
             console.log('Current chat and artifacts cleared from Redis');
+            return true;
         } else {
             alert('Failed to clear chat. Please try again.');
         }
@@ -46,11 +48,18 @@ async function clearCurrentChat() {
         console.error('Error clearing chat:', error);
         alert('An error occurred while clearing the chat.');
     }
+    return false;
+}
+
+function importChat() {
+    if (window.chat) {
+        window.chat.importChat();
+    }
 }
 
 async function refreshChatList() {
     if (window.chat) {
-        await window.chat.loadChatList();
+        await window.chat.refreshChatList();
     }
 }
 
@@ -96,6 +105,17 @@ function clearAllFiles() {
     }
 }
 
+// Sidebar tabs (chat list / files of the current chat / document collections)
+function showSidebarTab(tab) {
+    if (window.chat) {
+        window.chat.ui.showSidebarTab(tab);
+        window.chat.refreshFileLibrary();
+        if (tab === 'collections') {
+            window.chat.collections.refresh();
+        }
+    }
+}
+
 // Chat options functions (unchanged)
 function renameChatConfirm() {
     if (!window.chat || !window.chat.selectedChatForOptions) return;
@@ -111,6 +131,22 @@ function renameChatConfirm() {
     window.chat.selectedChatForOptions = null;
 }
 
+async function togglePinChat() {
+    if (!window.chat || !window.chat.selectedChatForOptions) return;
+    
+    await window.chat.toggleChatPinned(window.chat.selectedChatForOptions);
+    window.chat.chatOptionsModal.hide();
+    window.chat.selectedChatForOptions = null;
+}
+
+async function toggleFavouriteChat() {
+    if (!window.chat || !window.chat.selectedChatForOptions) return;
+    
+    await window.chat.toggleChatFavourite(window.chat.selectedChatForOptions);
+    window.chat.chatOptionsModal.hide();
+    window.chat.selectedChatForOptions = null;
+}
+
 async function duplicateChat() {
     if (!window.chat || !window.chat.selectedChatForOptions) return;
     
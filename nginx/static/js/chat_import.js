@@ -0,0 +1,162 @@
+// Chat Import Module - Reads JSON exports (this app's transcript or OpenAI-style messages) into a new chat
+class ChatImport {
+    constructor(chatInstance) {
+        this.chat = chatInstance;
+        this.maxFileSize = 20 * 1024 * 1024; // 20MB
+        this.maxMessages = 2000; // matches MAX_IMPORT_MESSAGES on the server
+        this.roleAliases = {
+            user: 'user',
+            human: 'user',
+            assistant: 'assistant',
+            ai: 'assistant',
+            bot: 'assistant',
+            model: 'assistant',
+            system: 'system'
+        };
+        console.log('Chat Import module initialized');
+    }
+    
+    // Open a file picker and import the chosen file
+    openPicker() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                this.importFile(input.files[0]);
+            }
+        });
+        input.click();
+    }
+    
+    async importFile(file) {
+        if (file.size > this.maxFileSize) {
+            this.chat.ui.showToast(`Import file is too large (max ${this.chat.ui.formatFileSize(this.maxFileSize)})`, 'error');
+            return null;
+        }
+        
+        let payload;
+        let skipped;
+        try {
+            const data = JSON.parse(await file.text());
+            ({ payload, skipped } = this.normalize(data, file.name));
+        } catch (error) {
+            const reason = error instanceof SyntaxError ? 'File is not valid JSON' : error.message;
+            this.chat.ui.showToast(`Cannot import ${file.name}: ${reason}`, 'error');
+            return null;
+        }
+        
+        const result = await this.chat.redis.importChat(payload);
+        if (!result.success) {
+            this.chat.ui.showToast(`Import failed: ${result.error}`, 'error');
+            return null;
+        }
+        
+        await this.chat.addImportedChat(result);
+        
+        const skippedNote = skipped > 0 ? ` (${skipped} unsupported message${skipped === 1 ? '' : 's'} skipped)` : '';
+        this.chat.ui.showToast(`Imported ${result.messageCount} messages${skippedNote}`, 'success');
+        return result.chatId;
+    }
+    
+    // Accepts { messages: [...] } (this app's transcript export or OpenAI-style) or a bare messages array
+    normalize(data, fileName = '') {
+        const rawMessages = Array.isArray(data) ? data : (data && Array.isArray(data.messages) ? data.messages : null);
+        if (!rawMessages) {
+            throw new Error('Expected a "messages" array');
+        }
+        
+        const messages = [];
+        let systemPrompt = '';
+        let skipped = 0;
+        
+        rawMessages.forEach(raw => {
+            const role = raw && typeof raw.role === 'string' ? this.roleAliases[raw.role.toLowerCase()] : null;
+            const content = raw ? this.extractContent(raw.content) : null;
+            
+            if (!role || content === null || (content.trim() === '' && role !== 'user')) {
+                skipped++;
+                return;
+            }
+            
+            // Only the first system message is kept - it becomes the chat's system prompt
+            if (role === 'system') {
+                if (!systemPrompt) systemPrompt = content;
+                else skipped++;
+                return;
+            }
+            
+            messages.push({
+                role: role,
+                content: content,
+                timestamp: this.extractTimestamp(raw.timestamp !== undefined ? raw.timestamp : raw.created_at),
+                attachments: Array.isArray(raw.attachments) ? raw.attachments
+                    .filter(file => file && typeof file.name === 'string')
+                    .map(file => ({ name: file.name, type: file.type || 'unknown', size: Number(file.size) || 0 })) : []
+            });
+        });
+        
+        if (messages.length === 0) {
+            throw new Error('No user or assistant messages found');
+        }
+        if (messages.length > this.maxMessages) {
+            throw new Error(`Too many messages (${messages.length}, maximum ${this.maxMessages})`);
+        }
+        
+        const payload = {
+            title: this.extractTitle(data, fileName),
+            messages: messages
+        };
+        if (systemPrompt) {
+            payload.system_prompt = systemPrompt;
+        }
+        if (data && typeof data.model === 'string' && /^[\w][\w.:/-]*$/.test(data.model)) {
+            payload.model = data.model;
+        }
+        
+        return { payload, skipped };
+    }
+    
+    // String content, or OpenAI content parts ([{ type: 'text', text }]) joined together
+    extractContent(content) {
+        if (typeof content === 'string') return content;
+        
+        if (Array.isArray(content)) {
+            const parts = content
+                .map(part => typeof part === 'string' ? part : (part && typeof part.text === 'string' ? part.text : null))
+                .filter(part => part !== null);
+            return parts.length > 0 ? parts.join('\n\n') : null;
+        }
+        
+        if (content && typeof content.text === 'string') return content.text;
+        
+        return null;
+    }
+    
+    // Seconds since epoch from seconds, milliseconds or an ISO string
+    extractTimestamp(value) {
+        if (typeof value === 'number' && isFinite(value)) {
+            return Math.floor(value > 1e12 ? value / 1000 : value);
+        }
+        if (typeof value === 'string') {
+            const parsed = Date.parse(value);
+            if (!isNaN(parsed)) return Math.floor(parsed / 1000);
+        }
+        return undefined;
+    }
+    
+    extractTitle(data, fileName) {
+        if (data && !Array.isArray(data) && typeof data.title === 'string' && data.title.trim()) {
+            return data.title.trim().substring(0, 120);
+        }
+        const baseName = fileName.replace(/\.json$/i, '').trim();
+        return baseName ? `Imported: ${baseName}`.substring(0, 120) : 'Imported chat';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatImport;
+} else if (typeof window !== 'undefined') {
+    window.ChatImport = ChatImport;
+}
\ No newline at end of file
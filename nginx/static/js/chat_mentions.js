@@ -0,0 +1,239 @@
+// Mentions Module - "@" in the chat input lists the chat's messages and code blocks; picking one
+// inserts its ID (@jai(3)_code(2)) and the server adds that content to the prompt
+class ChatMentions {
+    // An @-token ending at the caret: "@", "@jai", "@jai(3)_co"...
+    static QUERY_PATTERN = /(^|[^\w@])@([\w()]*)$/;
+    // Complete mentions in sent text (same IDs as ChatArtifacts.isValidArtifactId)
+    static MENTION_PATTERN = /(^|[^\w@])@((?:admin|jai)\(\d+\)(?:_code\(\d+\)(?:_edit\(\d+\))?)?)/g;
+    static MAX_ITEMS = 50;
+
+    constructor(chatInstance) {
+        this.chat = chatInstance;
+        this.input = null;
+        this.menu = null;
+        this.items = [];
+        this.activeIndex = 0;
+        this.tokenStart = -1; // position of the "@" being completed
+        this.artifacts = null; // loaded each time the menu opens
+        this.artifactsChatId = null;
+        this.requestSequence = 0;
+        console.log('Chat mentions module initialized');
+    }
+    
+    attach(input) {
+        this.input = input;
+        this.menu = document.createElement('div');
+        this.menu.className = 'mention-menu';
+        this.menu.setAttribute('role', 'listbox');
+        this.menu.hidden = true;
+        input.parentElement.appendChild(this.menu);
+        
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('click', () => this.update());
+        input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+        // Keep the input focused when an item is clicked
+        this.menu.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+    
+    isOpen() {
+        return this.menu !== null && !this.menu.hidden;
+    }
+    
+    // Called first by the input's keydown handler; true when the key was used by the menu
+    handleKeydown(e) {
+        if (!this.isOpen() || this.items.length === 0) return false;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+            return true;
+        }
+        if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+            e.preventDefault();
+            this.select(this.activeIndex);
+            return true;
+        }
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+            return true;
+        }
+        return false;
+    }
+    
+    // Open, filter or close the menu for the text before the caret
+    async update() {
+        const input = this.input;
+        const caret = input.selectionStart;
+        if (caret !== input.selectionEnd) {
+            this.close();
+            return;
+        }
+        
+        const match = input.value.slice(0, caret).match(ChatMentions.QUERY_PATTERN);
+        if (!match || !this.chat.currentChatId) {
+            this.close();
+            return;
+        }
+        
+        // A fresh list each time the menu opens, so blocks saved since the last time are there
+        if (!this.isOpen()) this.artifacts = null;
+        
+        this.tokenStart = caret - match[2].length - 1;
+        const query = match[2].toLowerCase();
+        const sequence = ++this.requestSequence;
+        const artifacts = await this.loadArtifacts();
+        if (sequence !== this.requestSequence) return;
+        
+        this.items = artifacts
+            .filter(artifact => artifact.id.toLowerCase().includes(query) ||
+                (query.length > 1 && this.describe(artifact).toLowerCase().includes(query)))
+            .slice(0, ChatMentions.MAX_ITEMS);
+        this.activeIndex = 0;
+        this.render(query);
+    }
+    
+    // Newest first: the message or block being talked about is usually a recent one
+    async loadArtifacts() {
+        const chatId = this.chat.currentChatId;
+        if (this.artifacts && this.artifactsChatId === chatId) return this.artifacts;
+        
+        const artifacts = await this.chat.artifacts.getAllArtifacts();
+        this.artifacts = artifacts
+            .filter(artifact => artifact.id && ChatArtifacts.isValidArtifactId(artifact.id))
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        this.artifactsChatId = chatId;
+        return this.artifacts;
+    }
+    
+    describe(artifact) {
+        if (artifact.type === 'code_block') {
+            const filename = artifact.metadata?.filename;
+            return `${artifact.language || 'code'}${filename ? ` · ${filename}` : ''}${artifact.metadata?.edited ? ' · edited' : ''}`;
+        }
+        return artifact.type === 'admin' ? 'Your message' : 'Answer';
+    }
+    
+    preview(artifact) {
+        const text = (artifact.type === 'code_block' ? artifact.code : artifact.content) || '';
+        return text.replace(/\s+/g, ' ').trim().slice(0, 80);
+    }
+    
+    render(query) {
+        if (this.items.length === 0) {
+            this.menu.innerHTML = `<div class="mention-empty">No messages or code blocks match "@${this.chat.ui.escapeHtml(query)}"</div>`;
+            this.menu.hidden = false;
+            return;
+        }
+        
+        this.menu.innerHTML = this.items.map((artifact, index) => `
+            <div class="mention-item" role="option" data-index="${index}">
+                <i class="bi ${artifact.type === 'code_block' ? 'bi-code-square' : artifact.type === 'admin' ? 'bi-person' : 'bi-robot'}"></i>
+                <span class="mention-id">${this.chat.ui.escapeHtml(artifact.id)}</span>
+                <span class="mention-type">${this.chat.ui.escapeHtml(this.describe(artifact))}</span>
+                <span class="mention-preview">${this.chat.ui.escapeHtml(this.preview(artifact))}</span>
+            </div>
+        `).join('');
+        this.menu.querySelectorAll('.mention-item').forEach(item => {
+            item.addEventListener('click', () => this.select(Number(item.dataset.index)));
+        });
+        this.menu.hidden = false;
+        this.setActive(0);
+    }
+    
+    setActive(index) {
+        this.activeIndex = index;
+        this.menu.querySelectorAll('.mention-item').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+    
+    // Replace the @-token being typed with the full ID and a space
+    select(index) {
+        const artifact = this.items[index];
+        if (!artifact) return;
+        
+        const input = this.input;
+        const caret = input.selectionStart;
+        const mention = `@${artifact.id} `;
+        input.focus();
+        input.setSelectionRange(this.tokenStart, caret);
+        if (!document.execCommand || !document.execCommand('insertText', false, mention)) {
+            input.setRangeText(mention, this.tokenStart, caret, 'end');
+            input.dispatchEvent(new Event('input'));
+        }
+        this.close();
+    }
+    
+    close() {
+        if (!this.menu) return;
+        this.menu.hidden = true;
+        this.menu.innerHTML = '';
+        this.items = [];
+        this.requestSequence++;
+    }
+    
+    // Turn @-mentions in rendered message text into chips that open the code block or scroll
+    // to the message (text inside code is left alone)
+    renderChips(container) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('pre, code, a, .artifact-mention')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.includes('@')) nodes.push(walker.currentNode);
+        }
+        
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            
+            text.replace(ChatMentions.MENTION_PATTERN, (match, before, id, offset) => {
+                const start = offset + before.length;
+                fragment.appendChild(document.createTextNode(text.slice(last, start)));
+                fragment.appendChild(this.createChip(id));
+                last = start + id.length + 1;
+                return match;
+            });
+            
+            if (last === 0) return;
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+    
+    createChip(id) {
+        const isCodeBlock = id.includes('_code(');
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `artifact-mention ${isCodeBlock ? 'artifact-mention-code' : ''}`;
+        chip.dataset.mention = id;
+        chip.title = isCodeBlock ? `Open ${id} in the code panel` : `Go to ${id}`;
+        chip.innerHTML = `<i class="bi ${isCodeBlock ? 'bi-code-square' : 'bi-chat-left-text'}"></i>${this.chat.ui.escapeHtml(id)}`;
+        chip.onclick = (e) => {
+            e.stopPropagation();
+            if (!window.artifactsPanel) return;
+            if (isCodeBlock) {
+                window.artifactsPanel.showCodePanel(id);
+            } else {
+                window.artifactsPanel.jumpToArtifact(id);
+            }
+        };
+        return chip;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatMentions;
+} else if (typeof window !== 'undefined') {
+    window.ChatMentions = ChatMentions;
+}
\ No newline at end of file
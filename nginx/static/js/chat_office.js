@@ -0,0 +1,367 @@
+// Office Module - Text extraction for DOCX (Markdown), XLSX (Markdown tables) and PPTX (slide text) attachments
+class ChatOffice {
+    constructor() {
+        this.states = new WeakMap(); // File -> { status, page, pages, unit, text, error, promise }
+        this.maxChars = 200000; // same budget as PDF text
+        this.maxRows = 200; // per sheet
+        this.maxColumns = 30;
+        this.ns = {
+            w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+            s: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+            a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+            p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+            r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+            rel: 'http://schemas.openxmlformats.org/package/2006/relationships'
+        };
+        this.kinds = {
+            docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        };
+        console.log('Chat Office module initialized');
+    }
+    
+    // 'docx', 'xlsx', 'pptx' or null
+    getKind(file) {
+        const extension = (file.name.match(/\.(docx|xlsx|pptx)$/i) || [])[1];
+        if (extension) return extension.toLowerCase();
+        return Object.keys(this.kinds).find(kind => this.kinds[kind] === file.type) || null;
+    }
+    
+    canExtract(file) {
+        return this.getKind(file) !== null;
+    }
+    
+    getState(file) {
+        return this.states.get(file) || null;
+    }
+    
+    // Extract once per File; resolves to { text, pages, pagesRead, unit, truncated }
+    extract(file, onProgress = null) {
+        const existing = this.states.get(file);
+        if (existing) {
+            if (onProgress) existing.listeners.push(onProgress);
+            return existing.promise;
+        }
+        
+        const state = { status: 'extracting', page: 0, pages: 0, unit: null, text: null, error: null, listeners: onProgress ? [onProgress] : [] };
+        const progress = (page, pages) => {
+            state.page = page;
+            state.pages = pages;
+            state.listeners.forEach(listener => listener(state));
+        };
+        
+        state.promise = this.extractKind(file, progress)
+            .then(result => {
+                const limited = this.limit(result);
+                Object.assign(state, limited, { status: 'done' });
+                state.listeners.forEach(listener => listener(state));
+                return limited;
+            })
+            .catch(error => {
+                state.status = 'error';
+                state.error = error.message;
+                state.listeners.forEach(listener => listener(state));
+                throw error;
+            });
+        
+        this.states.set(file, state);
+        return state.promise;
+    }
+    
+    async extractKind(file, progress) {
+        const zip = await ChatZip.fromFile(file);
+        const kind = this.getKind(file);
+        
+        if (kind === 'docx') return this.extractDocx(zip, progress);
+        if (kind === 'xlsx') return this.extractXlsx(zip, progress);
+        return this.extractPptx(zip, progress);
+    }
+    
+    limit(result) {
+        if (result.text.length <= this.maxChars) return result;
+        return {
+            ...result,
+            text: result.text.substring(0, this.maxChars) + '\n\n[... text truncated ...]',
+            truncated: true
+        };
+    }
+    
+    // XML helpers
+    async readXml(zip, path) {
+        const xml = await zip.readText(path);
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Invalid XML in ${path}`);
+        }
+        return doc;
+    }
+    
+    children(element, ns, localName) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.namespaceURI === ns && node.localName === localName);
+    }
+    
+    child(element, ns, localName) {
+        return this.children(element, ns, localName)[0] || null;
+    }
+    
+    // Relationship id -> target path (resolved against the part's folder)
+    async readRelationships(zip, relsPath, baseDir) {
+        const targets = new Map();
+        if (!zip.has(relsPath)) return targets;
+        
+        const doc = await this.readXml(zip, relsPath);
+        Array.from(doc.getElementsByTagNameNS(this.ns.rel, 'Relationship')).forEach(rel => {
+            const target = rel.getAttribute('Target') || '';
+            targets.set(rel.getAttribute('Id'), target.startsWith('/') ? target.substring(1) : this.resolvePath(baseDir, target));
+        });
+        return targets;
+    }
+    
+    resolvePath(baseDir, target) {
+        const parts = baseDir.split('/').filter(Boolean);
+        target.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+    
+    markdownTable(rows) {
+        const width = Math.max(...rows.map(row => row.length));
+        const cell = (value) => String(value == null ? '' : value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+        const line = (row) => '| ' + Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ') + ' |';
+        
+        return [
+            line(rows[0]),
+            '| ' + Array(width).fill('---').join(' | ') + ' |',
+            ...rows.slice(1).map(line)
+        ].join('\n');
+    }
+    
+    // DOCX: headings become #, list paragraphs become -, tables become Markdown tables
+    async extractDocx(zip, progress) {
+        const headingLevels = await this.readDocxHeadingStyles(zip);
+        const doc = await this.readXml(zip, 'word/document.xml');
+        const body = doc.getElementsByTagNameNS(this.ns.w, 'body')[0];
+        if (!body) {
+            throw new Error('Document has no body');
+        }
+        
+        const blocks = [];
+        const walk = (container) => {
+            Array.from(container.childNodes).forEach(node => {
+                if (node.nodeType !== 1 || node.namespaceURI !== this.ns.w) return;
+                
+                if (node.localName === 'p') {
+                    const text = this.docxParagraph(node, headingLevels);
+                    if (text) blocks.push(text);
+                } else if (node.localName === 'tbl') {
+                    const rows = this.children(node, this.ns.w, 'tr').map(row =>
+                        this.children(row, this.ns.w, 'tc').map(cell =>
+                            this.children(cell, this.ns.w, 'p').map(p => this.docxRunsText(p)).join(' ')));
+                    if (rows.length > 0) blocks.push(this.markdownTable(rows));
+                } else if (node.localName === 'sdt') {
+                    // Content controls wrap ordinary paragraphs
+                    const content = this.child(node, this.ns.w, 'sdtContent');
+                    if (content) walk(content);
+                }
+            });
+        };
+        walk(body);
+        progress(1, 1);
+        
+        return { text: blocks.join('\n\n'), pages: 1, pagesRead: 1, unit: 'document', truncated: false };
+    }
+    
+    // styleId -> heading level, from style names ("heading 1", "Title") so localized IDs still work
+    async readDocxHeadingStyles(zip) {
+        const levels = new Map();
+        if (!zip.has('word/styles.xml')) return levels;
+        
+        const doc = await this.readXml(zip, 'word/styles.xml');
+        Array.from(doc.getElementsByTagNameNS(this.ns.w, 'style')).forEach(style => {
+            const nameNode = this.child(style, this.ns.w, 'name');
+            const name = nameNode ? (nameNode.getAttributeNS(this.ns.w, 'val') || '').toLowerCase() : '';
+            const match = name.match(/^heading (\d)$/);
+            if (match) {
+                levels.set(style.getAttributeNS(this.ns.w, 'styleId'), Math.min(6, parseInt(match[1], 10)));
+            } else if (name === 'title') {
+                levels.set(style.getAttributeNS(this.ns.w, 'styleId'), 1);
+            }
+        });
+        return levels;
+    }
+    
+    docxParagraph(paragraph, headingLevels) {
+        const text = this.docxRunsText(paragraph).trim();
+        if (!text) return '';
+        
+        const properties = this.child(paragraph, this.ns.w, 'pPr');
+        const styleNode = properties && this.child(properties, this.ns.w, 'pStyle');
+        const styleId = styleNode ? styleNode.getAttributeNS(this.ns.w, 'val') : null;
+        
+        if (styleId && headingLevels.has(styleId)) {
+            return '#'.repeat(headingLevels.get(styleId)) + ' ' + text;
+        }
+        
+        const numbering = properties && this.child(properties, this.ns.w, 'numPr');
+        if (numbering) {
+            const levelNode = this.child(numbering, this.ns.w, 'ilvl');
+            const level = levelNode ? parseInt(levelNode.getAttributeNS(this.ns.w, 'val'), 10) || 0 : 0;
+            return '  '.repeat(level) + '- ' + text;
+        }
+        
+        return text;
+    }
+    
+    // Text of a paragraph's runs (including those inside hyperlinks and insertions)
+    docxRunsText(paragraph) {
+        let text = '';
+        const walk = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType !== 1) return;
+                if (child.namespaceURI === this.ns.w) {
+                    if (child.localName === 't') {
+                        text += child.textContent;
+                        return;
+                    }
+                    if (child.localName === 'tab') {
+                        text += '\t';
+                        return;
+                    }
+                    if (child.localName === 'br' || child.localName === 'cr') {
+                        text += '\n';
+                        return;
+                    }
+                    if (child.localName === 'del' || child.localName === 'pPr' || child.localName === 'rPr') {
+                        return;
+                    }
+                }
+                walk(child);
+            });
+        };
+        walk(paragraph);
+        return text;
+    }
+    
+    // XLSX: every sheet as a Markdown table, capped at maxRows x maxColumns
+    async extractXlsx(zip, progress) {
+        const sharedStrings = await this.readSharedStrings(zip);
+        const relationships = await this.readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+        const workbook = await this.readXml(zip, 'xl/workbook.xml');
+        const sheets = Array.from(workbook.getElementsByTagNameNS(this.ns.s, 'sheet'));
+        
+        const sections = [];
+        for (let i = 0; i < sheets.length; i++) {
+            const name = sheets[i].getAttribute('name') || `Sheet ${i + 1}`;
+            const path = relationships.get(sheets[i].getAttributeNS(this.ns.r, 'id'));
+            
+            if (path && zip.has(path)) {
+                sections.push(`## Sheet: ${name}\n\n` + this.xlsxSheet(await this.readXml(zip, path), sharedStrings));
+            }
+            progress(i + 1, sheets.length);
+        }
+        
+        return { text: sections.join('\n\n'), pages: sheets.length, pagesRead: sections.length, unit: 'sheet', truncated: false };
+    }
+    
+    async readSharedStrings(zip) {
+        if (!zip.has('xl/sharedStrings.xml')) return [];
+        
+        const doc = await this.readXml(zip, 'xl/sharedStrings.xml');
+        return Array.from(doc.getElementsByTagNameNS(this.ns.s, 'si')).map(item =>
+            Array.from(item.getElementsByTagNameNS(this.ns.s, 't'))
+                // Phonetic runs (rPh) repeat the text as reading hints
+                .filter(t => !t.parentNode || t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent).join(''));
+    }
+    
+    xlsxSheet(doc, sharedStrings) {
+        const rows = [];
+        let totalRows = 0;
+        let maxColumn = 0;
+        
+        Array.from(doc.getElementsByTagNameNS(this.ns.s, 'row')).forEach(row => {
+            const values = [];
+            Array.from(row.getElementsByTagNameNS(this.ns.s, 'c')).forEach((cell, position) => {
+                const column = this.columnIndex(cell.getAttribute('r'), position);
+                if (column >= this.maxColumns) return;
+                
+                const value = this.xlsxCellValue(cell, sharedStrings);
+                if (value !== '') {
+                    values[column] = value;
+                    maxColumn = Math.max(maxColumn, column + 1);
+                }
+            });
+            
+            if (values.length === 0) return;
+            totalRows++;
+            if (rows.length < this.maxRows) rows.push(values);
+        });
+        
+        if (rows.length === 0) return '(empty sheet)';
+        
+        rows.forEach(row => {
+            row.length = maxColumn;
+        });
+        
+        let table = this.markdownTable(rows);
+        if (totalRows > rows.length) {
+            table += `\n\n(${totalRows - rows.length} more rows not shown)`;
+        }
+        return table;
+    }
+    
+    // "C7" -> 2; falls back to the cell's position when the reference is missing
+    columnIndex(reference, position) {
+        const letters = (reference || '').match(/^[A-Z]+/i);
+        if (!letters) return position;
+        
+        return letters[0].toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+    
+    xlsxCellValue(cell, sharedStrings) {
+        const type = cell.getAttribute('t');
+        
+        if (type === 'inlineStr') {
+            return Array.from(cell.getElementsByTagNameNS(this.ns.s, 't')).map(t => t.textContent).join('');
+        }
+        
+        const valueNode = this.child(cell, this.ns.s, 'v');
+        const value = valueNode ? valueNode.textContent : '';
+        
+        if (type === 's') return sharedStrings[parseInt(value, 10)] || '';
+        if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+        return value;
+    }
+    
+    // PPTX: text of each slide in presentation order
+    async extractPptx(zip, progress) {
+        const relationships = await this.readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+        const presentation = await this.readXml(zip, 'ppt/presentation.xml');
+        const slideIds = Array.from(presentation.getElementsByTagNameNS(this.ns.p, 'sldId'));
+        
+        const slides = [];
+        for (let i = 0; i < slideIds.length; i++) {
+            const path = relationships.get(slideIds[i].getAttributeNS(this.ns.r, 'id'));
+            if (path && zip.has(path)) {
+                const doc = await this.readXml(zip, path);
+                const paragraphs = Array.from(doc.getElementsByTagNameNS(this.ns.a, 'p'))
+                    .map(p => Array.from(p.getElementsByTagNameNS(this.ns.a, 't')).map(t => t.textContent).join('').trim())
+                    .filter(Boolean);
+                slides.push(`--- Slide ${i + 1} of ${slideIds.length} ---\n${paragraphs.join('\n') || '(no text on this slide)'}`);
+            }
+            progress(i + 1, slideIds.length);
+        }
+        
+        return { text: slides.join('\n\n'), pages: slideIds.length, pagesRead: slides.length, unit: 'slide', truncated: false };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatOffice;
+} else if (typeof window !== 'undefined') {
+    window.ChatOffice = ChatOffice;
+}
\ No newline at end of file
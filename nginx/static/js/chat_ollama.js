@@ -5,11 +5,66 @@ class ChatOllama {
         this.isStreaming = false;
         this.lastResponse = null;
         this.needsContinuation = false;
+        this.currentModel = null;
+        this.defaultModel = null;
+        this.availableModels = [];
+        this.defaultOptions = {};
+        this.generationSettings = { options: {}, systemPrompt: '' };
+        this.lastHeartbeat = null;
+        this.maxResumeAttempts = 5;
+        this.currentStream = null;
+        this.stopTimeout = 10000;
+        this.maxImageDimension = 1568; // long edge sent to vision models
+        this.maxImageBytes = 4 * 1024 * 1024;
+        this.imageTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+        this.textExtractors = [];
         console.log('Enhanced Chat Ollama module initialized with continuation support');
     }
     
     // ENHANCED: Stream message to Ollama via backend with continuation detection
-    async streamMessage(message, files = [], chatId = null) {
+    async streamMessage(message, files = [], chatId = null, fileRefs = new Map()) {
+        console.log('Ollama: Streaming request:', { 
+            message: message.substring(0, 100) + (message.length > 100 ? '...' : ''),
+            filesCount: files.length,
+            chatId,
+            unlimited: true
+        });
+        
+        return this.streamRequest('/api/chat/stream', async () => ({
+            message: message,
+            files: await this.processFiles(files, fileRefs),
+            chat_id: chatId
+        }));
+    }
+    
+    // Regenerate an assistant message - the server stores it as a new sibling
+    async regenerateMessage(chatId, messageId) {
+        return this.streamRequest('/api/chat/regenerate', async () => ({
+            chat_id: chatId,
+            message_id: messageId
+        }));
+    }
+    
+    // Replace a user message with edited text and stream a fresh answer
+    async editMessage(chatId, messageId, message) {
+        return this.streamRequest('/api/chat/edit', async () => ({
+            chat_id: chatId,
+            message_id: messageId,
+            message: message
+        }));
+    }
+    
+    // Continue a stopped answer; the server appends to that message
+    async continueMessage(chatId, messageId) {
+        return this.streamRequest('/api/chat/continue', async () => ({
+            chat_id: chatId,
+            message_id: messageId
+        }));
+    }
+    
+    // Shared POST + SSE plumbing; the model rides along on every request, generation settings only
+    // when the message creates the chat (the server uses the chat's stored settings after that)
+    async streamRequest(url, buildBody) {
         if (this.isStreaming) {
             throw new Error('Already streaming a message');
         }
@@ -19,19 +74,15 @@ class ChatOllama {
         
         try {
             const requestBody = {
-                message: message,
-                files: await this.processFiles(files),
-                chat_id: chatId
+                ...(await buildBody()),
+                model: this.getModel()
             };
+            if (!requestBody.chat_id) {
+                requestBody.options = this.generationSettings.options;
+                requestBody.system_prompt = this.generationSettings.systemPrompt;
+            }
             
-            console.log('Ollama: Streaming request:', { 
-                message: message.substring(0, 100) + (message.length > 100 ? '...' : ''),
-                filesCount: files.length,
-                chatId,
-                unlimited: true
-            });
-            
-            const response = await fetch('/api/chat/stream', {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -62,137 +113,276 @@ class ChatOllama {
         }
     }
     
-    // ENHANCED: Handle streaming response with continuation detection
-    async handleStreamResponse(response) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+    // Reattach to a generation still running on the server (page reload); replays it from the start
+    async resumeStream(chatId, lastEventId = '') {
+        if (this.isStreaming) {
+            throw new Error('Already streaming a message');
+        }
+        
+        this.isStreaming = true;
+        this.abortController = new AbortController();
         
-        let chatId = null;
-        let accumulated = '';
-        let receivedChatId = false;
-        let needsContinuation = false;
-        let completionInfo = null;
+        const stream = this.createStreamState();
+        stream.chatId = chatId;
+        stream.lastEventId = lastEventId;
         
-        const stream = {
+        try {
+            const response = await this.fetchResume(stream);
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Resume failed: ${response.status} - ${errorText}`);
+            }
+            
+            return this.handleStreamResponse(response, stream);
+            
+        } catch (error) {
+            this.isStreaming = false;
+            this.abortController = null;
+            
+            if (error.name === 'AbortError') {
+                throw new Error('Stream was cancelled');
+            }
+            
+            console.error('Ollama: Resume error:', error);
+            throw error;
+        }
+    }
+    
+    fetchResume(stream) {
+        const headers = {
+            'Accept': 'text/event-stream',
+            'Cache-Control': 'no-cache'
+        };
+        if (stream.lastEventId) {
+            headers['Last-Event-ID'] = stream.lastEventId;
+        }
+        
+        return fetch(`/api/chat/resume?chat_id=${encodeURIComponent(stream.chatId)}`, {
+            headers: headers,
+            signal: this.abortController ? this.abortController.signal : undefined
+        });
+    }
+    
+    // State of one generation; survives reconnects so content keeps accumulating
+    createStreamState() {
+        return {
             chatId: null,
             content: '',
             isComplete: true,
             needsContinuation: false,
-            error: null
+            error: null,
+            lastEventId: '',
+            retryDelay: 2000,
+            finished: false,
+            stopRequested: false,
+            stopped: false,
+            metrics: null
         };
+    }
+    
+    // ENHANCED: Handle streaming response with continuation detection
+    // Events are framed by ChatSSEParser, so payloads split across network chunks are reassembled.
+    // If the connection drops mid-stream it reconnects with Last-Event-ID and carries on.
+    async handleStreamResponse(response, stream = null) {
+        stream = stream || this.createStreamState();
+        this.currentStream = stream;
         
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                
-                if (done) break;
-                
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-                
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        
-                        if (data === '[DONE]') {
-                            stream.content = accumulated;
-                            stream.isComplete = !needsContinuation;
-                            stream.needsContinuation = needsContinuation;
-                            this.isStreaming = false;
-                            this.abortController = null;
-                            this.lastResponse = accumulated;
-                            this.needsContinuation = needsContinuation;
-                            return stream;
-                        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        
+        const handleEvent = (event) => {
+            if (stream.finished) return;
+            
+            if (event.id) {
+                stream.lastEventId = event.id;
+            }
+            
+            if (event.data === '[DONE]' || event.type === 'done') {
+                stream.finished = true;
+                return;
+            }
+            
+            const parsed = ChatSSEParser.parseData(event);
+            if (!parsed || typeof parsed !== 'object') {
+                console.warn('Ollama: Ignoring non-JSON SSE event:', event.type, event.data);
+                return;
+            }
+            
+            // Named events win; plain "message" events fall back to the payload's type
+            const type = event.type !== 'message' ? event.type : (parsed.type || 'message');
+            
+            switch (type) {
+                case 'chat_id':
+                    if (parsed.chat_id && !stream.chatId) {
+                        stream.chatId = parsed.chat_id;
+                        console.log('Ollama: Received chat_id:', stream.chatId);
+                    }
+                    break;
+                    
+                case 'content':
+                    if (parsed.content) {
+                        stream.content += parsed.content;
                         
-                        try {
-                            const parsed = JSON.parse(data);
-                            
-                            // Handle chat_id from server
-                            if (parsed.chat_id && !receivedChatId) {
-                                chatId = parsed.chat_id;
-                                stream.chatId = chatId;
-                                receivedChatId = true;
-                                console.log('Ollama: Received chat_id:', chatId);
-                            }
-                            
-                            // ENHANCED: Handle completion status
-                            if (parsed.type === 'completion_status') {
-                                completionInfo = {
-                                    isComplete: parsed.is_complete,
-                                    needsContinuation: parsed.needs_continuation,
-                                    reason: parsed.completion_reason
-                                };
-                                needsContinuation = parsed.needs_continuation;
-                                
-                                console.log('Ollama: Completion status:', completionInfo);
-                            }
-                            
-                            // Handle continuation needed event
-                            if (parsed.type === 'continuation_needed') {
-                                needsContinuation = true;
-                                console.log('Ollama: Continuation needed:', parsed.message);
-                                
-                                // Show continuation prompt to user
-                                if (window.chat && window.chat.ui) {
-                                    setTimeout(() => {
-                                        this.showContinuationPrompt(parsed.message);
-                                    }, 1000);
-                                }
-                            }
-                            
-                            // Handle content chunks
-                            if (parsed.content) {
-                                accumulated += parsed.content;
-                                stream.content = accumulated;
-                                
-                                // Yield intermediate result for streaming UI updates
-                                if (this.onChunk) {
-                                    this.onChunk({
-                                        chatId: chatId,
-                                        content: accumulated,
-                                        chunk: parsed.content,
-                                        isComplete: false,
-                                        needsContinuation: needsContinuation
-                                    });
-                                }
-                            }
-                            
-                            // Handle errors from server
-                            if (parsed.error) {
-                                stream.error = parsed.error;
-                                throw new Error(parsed.error);
-                            }
-                            
-                        } catch (e) {
-                            if (e.message !== 'Unexpected end of JSON input') {
-                                console.error('Ollama: JSON parse error:', e, 'Data:', data);
-                                stream.error = e.message;
-                                throw e;
-                            }
+                        // Yield intermediate result for streaming UI updates
+                        if (this.onChunk) {
+                            this.onChunk({
+                                chatId: stream.chatId,
+                                content: stream.content,
+                                chunk: parsed.content,
+                                isComplete: false,
+                                needsContinuation: stream.needsContinuation
+                            });
                         }
                     }
-                }
+                    break;
+                    
+                case 'completion_status':
+                    stream.needsContinuation = parsed.needs_continuation === true;
+                    stream.metrics = parsed.metrics || null;
+                    console.log('Ollama: Completion status:', {
+                        isComplete: parsed.is_complete,
+                        needsContinuation: parsed.needs_continuation,
+                        reason: parsed.completion_reason
+                    });
+                    break;
+                    
+                case 'continuation_needed':
+                    stream.needsContinuation = true;
+                    console.log('Ollama: Continuation needed:', parsed.message);
+                    
+                    // Show continuation prompt to user
+                    if (window.chat && window.chat.ui) {
+                        setTimeout(() => {
+                            this.showContinuationPrompt(parsed.message);
+                        }, 1000);
+                    }
+                    break;
+                    
+                case 'error':
+                    stream.error = parsed.error || 'Stream error';
+                    throw new Error(parsed.details ? `${stream.error}: ${parsed.details}` : stream.error);
+                    
+                case 'stopped':
+                    stream.stopped = true;
+                    console.log('Ollama: Generation stopped, partial answer kept:', parsed.partial_length);
+                    break;
+                    
+                case 'heartbeat':
+                    this.lastHeartbeat = Date.now();
+                    break;
+                    
+                case 'status':
+                case 'progress':
+                    console.log(`Ollama: ${type}:`, parsed.message || parsed.status || '');
+                    break;
+                    
+                default:
+                    console.log('Ollama: Unhandled SSE event:', type, parsed);
+                    break;
             }
-            
-            // Stream ended
-            stream.content = accumulated;
-            stream.isComplete = !needsContinuation;
-            stream.needsContinuation = needsContinuation;
+        };
+        
+        const parser = new ChatSSEParser(handleEvent);
+        
+        const finish = () => {
+            stream.isComplete = !stream.needsContinuation;
             this.isStreaming = false;
             this.abortController = null;
-            this.lastResponse = accumulated;
-            this.needsContinuation = needsContinuation;
+            this.currentStream = null;
+            this.lastResponse = stream.content;
+            this.needsContinuation = stream.needsContinuation;
             return stream;
+        };
+        
+        try {
+            while (!stream.finished) {
+                const { done, value } = await reader.read();
+                
+                if (done) {
+                    parser.feed(decoder.decode());
+                    parser.end();
+                    break;
+                }
+                
+                parser.feed(decoder.decode(value, { stream: true }));
+            }
+            
+            if (stream.finished) {
+                reader.cancel().catch(() => {});
+            } else if (stream.lastEventId) {
+                // Closed without [DONE] - the server may still be generating
+                throw new TypeError('Stream closed before completion');
+            }
+            
+            return finish();
             
         } catch (error) {
+            reader.cancel().catch(() => {});
+            
+            if (parser.retry !== null) {
+                stream.retryDelay = parser.retry;
+            }
+            if (this.canResume(error, stream)) {
+                return this.reconnectStream(stream);
+            }
+            
             this.isStreaming = false;
             this.abortController = null;
-            stream.error = error.message;
+            this.currentStream = null;
+            stream.error = stream.error || error.message;
             throw error;
         }
     }
     
+    // Only dropped connections are resumed - not server errors, user aborts or streams without ids
+    canResume(error, stream) {
+        return error.name !== 'AbortError' &&
+            !stream.error &&
+            !!stream.chatId &&
+            !!stream.lastEventId &&
+            this.abortController !== null;
+    }
+    
+    // Reconnect with Last-Event-ID, backing off between attempts
+    async reconnectStream(stream) {
+        let lastError = null;
+        
+        for (let attempt = 1; attempt <= this.maxResumeAttempts; attempt++) {
+            const delay = Math.min(stream.retryDelay * attempt, 10000);
+            console.warn(`Ollama: Connection lost, resuming from ${stream.lastEventId} in ${delay}ms (attempt ${attempt}/${this.maxResumeAttempts})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            
+            if (!this.abortController) break; // stopped meanwhile
+            
+            let response;
+            try {
+                response = await this.fetchResume(stream);
+            } catch (error) {
+                if (error.name === 'AbortError') break;
+                lastError = error;
+                continue;
+            }
+            
+            // The buffer expired or a newer generation replaced it - nothing left to resume
+            if (response.status === 404 || response.status === 410) {
+                lastError = new Error(`Stream is no longer available (${response.status})`);
+                break;
+            }
+            if (!response.ok) {
+                lastError = new Error(`Resume failed: ${response.status}`);
+                continue;
+            }
+            
+            return this.handleStreamResponse(response, stream);
+        }
+        
+        this.isStreaming = false;
+        this.abortController = null;
+        this.currentStream = null;
+        stream.error = lastError ? lastError.message : 'Stream was cancelled';
+        throw lastError || new Error('Stream was cancelled');
+    }
+    
     // NEW: Show continuation prompt to user
     showContinuationPrompt(message) {
         if (window.chat && window.chat.ui) {
@@ -257,7 +447,8 @@ class ChatOllama {
                 },
                 body: JSON.stringify({
                     chat_id: window.chat.currentChatId,
-                    previous_response: this.lastResponse
+                    previous_response: this.lastResponse,
+                    model: this.getModel()
                 })
             });
             
@@ -290,18 +481,65 @@ class ChatOllama {
         }
     }
     
-    // Stop current streaming
-    stopStream() {
+    // Stop current streaming - the server stops Ollama and the stream ends with the partial answer.
+    // If the server cannot be asked (or never closes the stream) the fetch is aborted instead.
+    async stopStream() {
+        if (!this.isStreaming) return false;
+        
+        const stream = this.currentStream;
+        if (stream && stream.chatId) {
+            try {
+                const response = await fetch('/api/chat/stop', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        chat_id: stream.chatId,
+                        stream_id: this.streamIdFromEventId(stream.lastEventId)
+                    })
+                });
+                
+                if (response.ok) {
+                    console.log('Ollama: Stop requested for', stream.chatId);
+                    stream.stopRequested = true;
+                    setTimeout(() => {
+                        if (this.currentStream === stream) {
+                            this.abortStream();
+                        }
+                    }, this.stopTimeout);
+                    return true;
+                }
+                
+                console.warn('Ollama: Server could not stop the stream:', response.status);
+            } catch (error) {
+                console.warn('Ollama: Stop request failed:', error);
+            }
+        }
+        
+        return this.abortStream();
+    }
+    
+    // Drop the connection client-side only (the server keeps generating)
+    abortStream() {
         if (this.abortController && this.isStreaming) {
             console.log('Ollama: Stopping stream');
             this.abortController.abort();
             this.isStreaming = false;
             this.abortController = null;
+            this.currentStream = null;
             return true;
         }
         return false;
     }
     
+    // Event ids are "<stream id>:<sequence>"
+    streamIdFromEventId(eventId) {
+        if (!eventId) return undefined;
+        const separator = eventId.lastIndexOf(':');
+        return separator > 0 ? eventId.substring(0, separator) : undefined;
+    }
+    
     // Check if currently streaming
     getStreamingStatus() {
         return {
@@ -312,6 +550,59 @@ class ChatOllama {
         };
     }
     
+    // Load installed models from Ollama (via backend proxy of /api/tags)
+    async loadModels() {
+        try {
+            const response = await fetch('/api/models');
+            if (!response.ok) {
+                throw new Error(`Failed to load models: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.availableModels = data.models || [];
+            this.defaultModel = data.default_model || null;
+            this.defaultOptions = data.default_options || {};
+            
+            return {
+                success: true,
+                models: this.availableModels,
+                defaultModel: this.defaultModel
+            };
+        } catch (error) {
+            console.error('Ollama: Failed to load models:', error);
+            return {
+                success: false,
+                error: error.message,
+                models: [],
+                defaultModel: this.defaultModel
+            };
+        }
+    }
+    
+    // Select the model used for subsequent requests (null falls back to the server default)
+    setModel(model) {
+        this.currentModel = model || null;
+    }
+    
+    getModel() {
+        return this.currentModel || this.defaultModel;
+    }
+    
+    // Per-chat generation options (temperature, top_p, ...) and custom system prompt
+    setGenerationSettings(settings) {
+        this.generationSettings = {
+            options: (settings && settings.options) || {},
+            systemPrompt: (settings && settings.systemPrompt) || ''
+        };
+    }
+    
+    getGenerationSettings() {
+        return {
+            options: { ...this.generationSettings.options },
+            systemPrompt: this.generationSettings.systemPrompt
+        };
+    }
+    
     // Set callback for streaming chunks
     setChunkCallback(callback) {
         this.onChunk = callback;
@@ -322,8 +613,14 @@ class ChatOllama {
         this.onChunk = null;
     }
     
-    // Process files for sending to backend
-    async processFiles(files) {
+    // Extractors (ChatPdf, ChatOffice) that turn binary attachments into text
+    setTextExtractors(extractors) {
+        this.textExtractors = extractors;
+    }
+    
+    // Process files for sending to backend; fileRefs maps files already in the chat's library to
+    // their file_id - plain text is then read on the server, images and extracted text still go along
+    async processFiles(files, fileRefs = new Map()) {
         const processedFiles = [];
         
         for (const file of files) {
@@ -333,9 +630,25 @@ class ChatOllama {
                     type: file.type,
                     size: file.size
                 };
+                if (fileRefs.has(file)) {
+                    fileData.file_id = fileRefs.get(file);
+                }
                 
-                // Read text files content
-                if (this.isTextFile(file)) {
+                // Read text files content; images go to the model as base64
+                if (this.isImageFile(file)) {
+                    Object.assign(fileData, await this.readImageForModel(file));
+                } else if (this.textExtractors.some(extractor => extractor.canExtract(file))) {
+                    // Usually already extracted while the file sat in the attachment list;
+                    // if it failed the file still goes along as name/type/size
+                    try {
+                        const extractor = this.textExtractors.find(candidate => candidate.canExtract(file));
+                        const extracted = await extractor.extract(file);
+                        fileData.content = extracted.text;
+                        fileData.pages = extracted.pages;
+                    } catch (error) {
+                        console.warn('Ollama: Text extraction failed:', file.name, error.message);
+                    }
+                } else if (this.isTextFile(file) && !fileData.file_id) {
                     fileData.content = await this.readFileAsText(file);
                 }
                 
@@ -364,6 +677,67 @@ class ChatOllama {
                file.name.match(/\.(txt|md|json|xml|csv|sql|js|ts|py|java|cpp|c|h|css|html|yml|yaml|toml|ini|cfg|conf|log)$/i);
     }
     
+    isImageFile(file) {
+        return this.imageTypes.includes(file.type);
+    }
+    
+    // Downscale so the long edge fits maxImageDimension (and the data fits maxImageBytes);
+    // returns { type, width, height, image } with image as base64 without the data: prefix
+    async readImageForModel(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, this.maxImageDimension / Math.max(bitmap.width, bitmap.height));
+        const width = Math.round(bitmap.width * scale);
+        const height = Math.round(bitmap.height * scale);
+        
+        let blob = file;
+        let type = file.type;
+        
+        if (scale < 1 || file.size > this.maxImageBytes) {
+            // PNG stays PNG (screenshots keep crisp text) unless it is still too large
+            type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+            blob = await this.renderImage(bitmap, width, height, type);
+            if (blob.size > this.maxImageBytes && type !== 'image/jpeg') {
+                type = 'image/jpeg';
+                blob = await this.renderImage(bitmap, width, height, type);
+            }
+        }
+        bitmap.close();
+        
+        return {
+            type: type,
+            width: width,
+            height: height,
+            image: await this.readFileAsBase64(blob)
+        };
+    }
+    
+    renderImage(bitmap, width, height, type) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            // JPEG has no alpha - transparent areas would turn black
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), type, 0.85);
+        });
+    }
+    
+    readFileAsBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result.substring(e.target.result.indexOf(',') + 1));
+            reader.onerror = (e) => reject(new Error('Failed to read file'));
+            reader.readAsDataURL(blob);
+        });
+    }
+    
     readFileAsText(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -0,0 +1,113 @@
+// PDF Module - Text extraction for PDF attachments in a Web Worker (chat_pdf_worker.js + vendored pdf.js)
+class ChatPdf {
+    constructor() {
+        this.workerUrl = '/static/js/chat_pdf_worker.js';
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, onProgress }
+        this.states = new WeakMap(); // File -> { status, page, pages, text, error, promise }
+        this.maxChars = 200000; // keep extracted text well inside the server's request limits
+        console.log('Chat PDF module initialized');
+    }
+    
+    isPdf(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+    
+    canExtract(file) {
+        return this.isPdf(file);
+    }
+    
+    // Extraction state for a file: null until extract() is called
+    getState(file) {
+        return this.states.get(file) || null;
+    }
+    
+    // Extract once per File; later calls (e.g. when sending) share the same promise.
+    // Resolves to { text, pages, pagesRead, truncated }.
+    extract(file, onProgress = null) {
+        const existing = this.states.get(file);
+        if (existing) {
+            if (onProgress) existing.listeners.push(onProgress);
+            return existing.promise;
+        }
+        
+        const state = { status: 'extracting', page: 0, pages: 0, text: null, error: null, listeners: onProgress ? [onProgress] : [] };
+        const notify = () => state.listeners.forEach(listener => listener(state));
+        
+        state.promise = file.arrayBuffer()
+            .then(buffer => this.request(buffer, (page, pages) => {
+                state.page = page;
+                state.pages = pages;
+                notify();
+            }))
+            .then(result => {
+                Object.assign(state, result, { status: 'done' });
+                notify();
+                return result;
+            })
+            .catch(error => {
+                state.status = 'error';
+                state.error = error.message;
+                notify();
+                throw error;
+            });
+        
+        this.states.set(file, state);
+        return state.promise;
+    }
+    
+    request(buffer, onProgress) {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+        
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            // The buffer is transferred, not copied
+            worker.postMessage({ id: id, data: buffer, maxChars: this.maxChars }, [buffer]);
+        });
+    }
+    
+    getWorker() {
+        if (this.worker) return this.worker;
+        
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            // Worker failed to load or crashed: fail everything in flight, start fresh next time
+            console.error('PDF: Worker error:', event.message);
+            this.pending.forEach(request => request.reject(new Error('PDF worker failed')));
+            this.pending.clear();
+            this.worker.terminate();
+            this.worker = null;
+        };
+        return this.worker;
+    }
+    
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        
+        if (message.type === 'progress') {
+            request.onProgress(message.page, message.pages);
+        } else if (message.type === 'done') {
+            this.pending.delete(message.id);
+            request.resolve({
+                text: message.text,
+                pages: message.pages,
+                pagesRead: message.pagesRead,
+                truncated: message.truncated
+            });
+        } else if (message.type === 'error') {
+            this.pending.delete(message.id);
+            request.reject(new Error(message.error));
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatPdf;
+} else if (typeof window !== 'undefined') {
+    window.ChatPdf = ChatPdf;
+}
\ No newline at end of file
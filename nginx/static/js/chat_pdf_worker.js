@@ -0,0 +1,78 @@
+// PDF Text Worker - Extracts text from PDF attachments page by page, off the main thread.
+// pdf.worker is loaded first so pdf.js runs its parser in this worker instead of spawning another one.
+importScripts('/static/vendor/pdfjs/pdf.worker.min.js', '/static/vendor/pdfjs/pdf.min.js');
+
+// Join a page's text items, keeping pdf.js line breaks (hasEOL) and spacing between runs
+function pageText(textContent) {
+    let text = '';
+    
+    textContent.items.forEach(item => {
+        if (typeof item.str !== 'string') return;
+        text += item.str;
+        if (item.hasEOL) {
+            text += '\n';
+        } else if (item.str && !/\s$/.test(item.str)) {
+            text += ' ';
+        }
+    });
+    
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function extract(id, data, maxChars) {
+    const pdf = await pdfjsLib.getDocument({ data: data, isEvalSupported: false }).promise;
+    const pages = pdf.numPages;
+    const parts = [];
+    let length = 0;
+    let truncated = false;
+    
+    try {
+        for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const text = pageText(await page.getTextContent());
+            page.cleanup();
+            
+            const part = `--- Page ${pageNumber} of ${pages} ---\n${text || '(no text on this page)'}`;
+            parts.push(part);
+            length += part.length + 2;
+            
+            self.postMessage({ id: id, type: 'progress', page: pageNumber, pages: pages });
+            
+            if (length > maxChars) {
+                truncated = pageNumber < pages;
+                break;
+            }
+        }
+    } finally {
+        pdf.destroy();
+    }
+    
+    let text = parts.join('\n\n');
+    if (text.length > maxChars) {
+        text = text.substring(0, maxChars);
+        truncated = true;
+    }
+    if (truncated) {
+        text += '\n\n[... text truncated ...]';
+    }
+    
+    return {
+        text: text,
+        pages: pages,
+        pagesRead: parts.length,
+        truncated: truncated
+    };
+}
+
+// Request: { id, data: ArrayBuffer, maxChars }; replies: progress messages, then done or error
+self.onmessage = async (event) => {
+    const { id, data, maxChars } = event.data;
+    
+    try {
+        const result = await extract(id, data, maxChars || Infinity);
+        self.postMessage({ id: id, type: 'done', ...result });
+    } catch (error) {
+        const message = error && error.name === 'PasswordException' ? 'PDF is password protected' : (error && error.message) || 'Failed to read PDF';
+        self.postMessage({ id: id, type: 'error', error: message });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+// Preview Module - Runs HTML/CSS/JS code blocks in a sandboxed iframe (opaque origin, no network)
+// and shows what they log in a console pane
+class ChatPreview {
+    // Inline code only: the preview cannot load anything or send anything anywhere
+    static CSP = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; " +
+        "img-src data: blob:; font-src data:; media-src data: blob:; form-action 'none'; base-uri 'none'";
+    static MAX_CONSOLE_ENTRIES = 500;
+
+    constructor(container) {
+        this.container = container;
+        this.sources = null;
+        this.token = null;
+        this.entries = [];
+        this.messageHandler = (event) => this.handleMessage(event);
+        window.addEventListener('message', this.messageHandler);
+        this.build();
+    }
+
+    // 'html', 'css', 'js' or null for code the preview cannot run
+    static previewKind(language, code = '') {
+        const lang = (language || '').toLowerCase();
+        if (['html', 'htm', 'xhtml'].includes(lang)) return 'html';
+        if (lang === 'css') return 'css';
+        if (['javascript', 'js', 'mjs'].includes(lang)) return 'js';
+        if (!lang && /^\s*(<!doctype html|<html)/i.test(code)) return 'html';
+        return null;
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="preview-toolbar">
+                <button type="button" class="btn btn-sm btn-outline-secondary preview-reload" title="Run the code again">
+                    <i class="bi bi-arrow-clockwise"></i> Reload
+                </button>
+                <small class="text-muted preview-sources"></small>
+                <small class="text-muted ms-auto" title="${ChatUI.escapeHtml(ChatPreview.CSP)}">
+                    <i class="bi bi-shield-lock"></i> Sandboxed, external resources blocked
+                </small>
+            </div>
+            <iframe class="preview-frame" sandbox="allow-scripts allow-modals" referrerpolicy="no-referrer" title="Code preview"></iframe>
+            <div class="preview-console">
+                <div class="preview-console-header">
+                    <span><i class="bi bi-terminal"></i> Console <span class="badge bg-secondary preview-console-count">0</span></span>
+                    <button type="button" class="btn btn-sm btn-link preview-console-clear" title="Clear console">
+                        <i class="bi bi-slash-circle"></i>
+                    </button>
+                </div>
+                <div class="preview-console-entries"></div>
+            </div>
+        `;
+        this.frame = this.container.querySelector('.preview-frame');
+        this.consoleEntries = this.container.querySelector('.preview-console-entries');
+        this.container.querySelector('.preview-reload').addEventListener('click', () => this.reload());
+        this.container.querySelector('.preview-console-clear').addEventListener('click', () => this.clearConsole());
+    }
+
+    // sources: { html, css: [code], js: [code], labels: [artifact ids] }
+    render(sources) {
+        this.sources = sources;
+        this.reload();
+    }
+
+    reload() {
+        if (!this.sources) return;
+
+        this.clearConsole();
+        this.token = Math.random().toString(36).slice(2);
+        this.frame.srcdoc = ChatPreview.buildDocument(this.sources, this.token);
+
+        const labels = this.container.querySelector('.preview-sources');
+        labels.textContent = this.sources.labels.length > 1 ? `Combined: ${this.sources.labels.join(' + ')}` : '';
+    }
+
+    // One page from the HTML block with the CSS and scripts added; the CSP and the console
+    // hook go first in <head> so they apply before any of the code runs
+    static buildDocument(sources, token) {
+        const head = `<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${ChatPreview.CSP}">
+<script>${ChatPreview.consoleHook(token)}</script>
+${sources.css.map(css => `<style>\n${css}\n</style>`).join('\n')}`;
+        // "</script" inside the code would end the inline script early
+        const scripts = sources.js.map(js => `<script>\n${js.replace(/<\/script/gi, '<\\/script')}\n</script>`).join('\n');
+        const html = sources.html || '';
+
+        if (/<head[\s>]/i.test(html)) {
+            const withHead = html.replace(/<head(\s[^>]*)?>/i, match => `${match}\n${head}`);
+            return /<\/body>/i.test(withHead)
+                ? withHead.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${scripts}\n</body>`)
+                : `${withHead}\n${scripts}`;
+        }
+        if (/<html[\s>]/i.test(html)) {
+            const withHead = html.replace(/<html(\s[^>]*)?>/i, match => `${match}\n<head>\n${head}\n</head>`);
+            return /<\/body>/i.test(withHead)
+                ? withHead.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${scripts}\n</body>`)
+                : `${withHead}\n${scripts}`;
+        }
+        return `<!DOCTYPE html>\n<html>\n<head>\n${head}\n</head>\n<body>\n${html}\n${scripts}\n</body>\n</html>`;
+    }
+
+    // Runs inside the iframe: forwards console calls and uncaught errors to the panel
+    static consoleHook(token) {
+        return `(function () {
+    var token = ${JSON.stringify(token)};
+    function format(value) {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.stack || String(value);
+        try {
+            var json = JSON.stringify(value, null, 2);
+            return json === undefined ? String(value) : json;
+        } catch (e) {
+            return String(value);
+        }
+    }
+    function send(level, args) {
+        var text = Array.prototype.map.call(args, format).join(' ');
+        parent.postMessage({ source: 'chat-preview', token: token, level: level, text: text.slice(0, 5000) }, '*');
+    }
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+        var original = console[level];
+        console[level] = function () {
+            send(level, arguments);
+            if (original) original.apply(console, arguments);
+        };
+    });
+    window.addEventListener('error', function (event) {
+        var where = event.lineno ? ' (line ' + event.lineno + ')' : '';
+        send('error', [(event.error && event.error.stack) || (event.message + where)]);
+    });
+    window.addEventListener('unhandledrejection', function (event) {
+        send('error', ['Unhandled promise rejection: ' + format(event.reason)]);
+    });
+    document.addEventListener('securitypolicyviolation', function (event) {
+        send('warn', ['Blocked by the preview sandbox: ' + event.blockedURI]);
+    });
+})();`;
+    }
+
+    handleMessage(event) {
+        const data = event.data;
+        if (event.source !== this.frame.contentWindow || !data || data.source !== 'chat-preview' || data.token !== this.token) return;
+
+        if (this.entries.length >= ChatPreview.MAX_CONSOLE_ENTRIES) return;
+        const level = ['log', 'info', 'warn', 'error', 'debug'].includes(data.level) ? data.level : 'log';
+        this.entries.push({ level, text: String(data.text) });
+
+        const entry = document.createElement('div');
+        entry.className = `preview-console-entry preview-console-${level}`;
+        entry.textContent = String(data.text);
+        this.consoleEntries.appendChild(entry);
+        this.consoleEntries.scrollTop = this.consoleEntries.scrollHeight;
+        this.updateConsoleCount();
+    }
+
+    clearConsole() {
+        this.entries = [];
+        this.consoleEntries.innerHTML = '';
+        this.updateConsoleCount();
+    }
+
+    updateConsoleCount() {
+        const count = this.container.querySelector('.preview-console-count');
+        count.textContent = this.entries.length;
+        count.className = `badge preview-console-count ${this.entries.some(entry => entry.level === 'error') ? 'bg-danger' : 'bg-secondary'}`;
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.messageHandler);
+        this.frame.srcdoc = '';
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatPreview;
+} else if (typeof window !== 'undefined') {
+    window.ChatPreview = ChatPreview;
+}
\ No newline at end of file
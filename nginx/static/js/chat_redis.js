@@ -6,6 +6,9 @@ class ChatRedis {
     }
     // Initialize the entire chat system
     async initializeChatSystem(core) {
+        // Populate the model picker before restoring the active chat's model
+        await core.loadModels();
+        
         const result = await this.getChatList();
         
         if (result.success && result.chats.length > 0) {
@@ -13,16 +16,7 @@ class ChatRedis {
             core.chats.clear();
             result.chats.forEach(chatInfo => {
                 if (this.isValidChatId(chatInfo.id)) {
-                    const chat = {
-                        id: chatInfo.id,
-                        title: this.generateTitleFromPreview(chatInfo.preview),
-                        messages: [],
-                        createdAt: new Date(this.extractChatTimestamp(chatInfo.id)),
-                        updatedAt: new Date(chatInfo.last_updated * 1000),
-                        messageCount: chatInfo.message_count,
-                        preview: chatInfo.preview
-                    };
-                    core.chats.set(chatInfo.id, chat);
+                    core.chats.set(chatInfo.id, this.buildChatFromInfo(chatInfo));
                 }
             });
             
@@ -41,31 +35,77 @@ class ChatRedis {
         }
     }
 
+    // Build a cached chat from a /api/chat/list entry (a stored title wins over the preview)
+    buildChatFromInfo(chatInfo) {
+        return {
+            id: chatInfo.id,
+            title: chatInfo.title || this.generateTitleFromPreview(chatInfo.preview),
+            customTitle: Boolean(chatInfo.title),
+            messages: [],
+            createdAt: new Date(this.extractChatTimestamp(chatInfo.id)),
+            updatedAt: new Date(chatInfo.last_updated * 1000),
+            messageCount: chatInfo.message_count,
+            preview: chatInfo.preview,
+            pinned: chatInfo.pinned === true,
+            favourite: chatInfo.favourite === true,
+            model: chatInfo.model || null,
+            options: this.normalizeOptions(chatInfo.options),
+            systemPrompt: chatInfo.system_prompt || '',
+            usage: chatInfo.usage || null
+        };
+    }
+    
+    // Add a finished answer's token counts to the cached per-chat totals (mirrors the server)
+    addUsageToCache(chatId, metrics, chatsMap) {
+        const chat = chatsMap.get(chatId);
+        if (!chat || !metrics) return false;
+        
+        const usage = chat.usage || { prompt_tokens: 0, completion_tokens: 0, generations: 0, eval_ms: 0 };
+        usage.prompt_tokens += metrics.prompt_tokens || 0;
+        usage.completion_tokens += metrics.completion_tokens || 0;
+        usage.generations += 1;
+        usage.eval_ms = (usage.eval_ms || 0) + (metrics.eval_ms || 0);
+        chat.usage = usage;
+        return true;
+    }
+
     // Add newly created chat to local cache
     addChatToLocalCache(result, chatsMap) {
         const chat = {
             id: result.chat_id,
             title: 'New Chat',
+            customTitle: false,
             messages: [],
             createdAt: new Date(result.created_at * 1000),
             updatedAt: new Date(result.created_at * 1000),
             messageCount: 0,
-            preview: ''
+            preview: '',
+            pinned: false,
+            favourite: false,
+            model: result.model || null,
+            options: {},
+            systemPrompt: ''
         };
         chatsMap.set(result.chat_id, chat);
     }
 
     // Add new chat from streaming response
-    addNewChatToCache(chatId, message, chatsMap) {
+    addNewChatToCache(chatId, message, chatsMap, model = null) {
         if (!chatsMap.has(chatId)) {
             const chat = {
                 id: chatId,
                 title: message.length > 30 ? message.substring(0, 30) + '...' : message,
+                customTitle: false,
                 messages: [],
                 createdAt: new Date(),
                 updatedAt: new Date(),
                 messageCount: 0,
-                preview: message
+                preview: message,
+                pinned: false,
+                favourite: false,
+                model: model,
+                options: {},
+                systemPrompt: ''
             };
             chatsMap.set(chatId, chat);
         }
@@ -80,6 +120,12 @@ class ChatRedis {
         
         console.log('Switching to chat:', chatId);
         core.setCurrentChatId(chatId);
+        
+        // Restore the model and generation settings this chat was using
+        const chat = core.chats.get(chatId);
+        core.applyChatModel(chat ? chat.model : null);
+        core.applyChatSettings(chat);
+        
         await core.loadChatMessages(chatId);
         return true;
     }
@@ -110,37 +156,30 @@ class ChatRedis {
             core.chats.clear();
             result.chats.forEach(chatInfo => {
                 if (this.isValidChatId(chatInfo.id)) {
-                    const chat = {
-                        id: chatInfo.id,
-                        title: this.generateTitleFromPreview(chatInfo.preview),
-                        messages: [],
-                        createdAt: new Date(this.extractChatTimestamp(chatInfo.id)),
-                        updatedAt: new Date(chatInfo.last_updated * 1000),
-                        messageCount: chatInfo.message_count,
-                        preview: chatInfo.preview
-                    };
-                    core.chats.set(chatInfo.id, chat);
+                    core.chats.set(chatInfo.id, this.buildChatFromInfo(chatInfo));
                 }
             });
         }
     }
 
-    // Rename chat in cache
+    // Rename chat in cache (an empty title falls back to the first-message preview)
     renameChatInCache(chatId, newTitle, chatsMap) {
         const chat = chatsMap.get(chatId);
         if (chat) {
-            chat.title = newTitle;
+            chat.customTitle = Boolean(newTitle);
+            chat.title = newTitle || this.generateTitleFromPreview(chat.preview);
         }
     }
     
     // Chat Management
-    async createNewChat() {
+    async createNewChat(model = null) {
         try {
             const response = await fetch('/api/chat/create', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                body: JSON.stringify(model ? { model: model } : {})
             });
             
             if (!response.ok) {
@@ -151,7 +190,8 @@ class ChatRedis {
             return {
                 success: true,
                 chat_id: data.chat_id,
-                created_at: data.created_at
+                created_at: data.created_at,
+                model: data.model || model
             };
         } catch (error) {
             console.error('Redis: Failed to create new chat:', error);
@@ -162,6 +202,222 @@ class ChatRedis {
         }
     }
     
+    async setChatModel(chatId, model) {
+        if (!chatId || !model) return { success: false, error: 'Missing chat_id or model' };
+        
+        try {
+            const response = await fetch('/api/chat/model', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ chat_id: chatId, model: model })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to set chat model: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                model: data.model
+            };
+        } catch (error) {
+            console.error('Redis: Failed to set chat model:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async saveChatSettings(chatId, settings) {
+        if (!chatId) return { success: false, error: 'Missing chat_id' };
+        
+        try {
+            const response = await fetch('/api/chat/settings', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    chat_id: chatId,
+                    options: settings.options || {},
+                    system_prompt: settings.systemPrompt || ''
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to save chat settings: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                options: this.normalizeOptions(data.options),
+                systemPrompt: data.system_prompt || ''
+            };
+        } catch (error) {
+            console.error('Redis: Failed to save chat settings:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async renameChat(chatId, title) {
+        const result = await this.updateChatMeta('/api/chat/rename', chatId, { title: title }, 'rename chat');
+        if (result.success) {
+            result.title = result.data.title || '';
+        }
+        return result;
+    }
+    
+    async setChatPinned(chatId, pinned) {
+        const result = await this.updateChatMeta('/api/chat/pin', chatId, { pinned: pinned }, 'pin chat');
+        if (result.success) {
+            result.pinned = result.data.pinned === true;
+        }
+        return result;
+    }
+    
+    async setChatFavourite(chatId, favourite) {
+        const result = await this.updateChatMeta('/api/chat/favourite', chatId, { favourite: favourite }, 'favourite chat');
+        if (result.success) {
+            result.favourite = result.data.favourite === true;
+        }
+        return result;
+    }
+    
+    // Shared POST for the small chat metadata endpoints
+    async updateChatMeta(url, chatId, fields, operation) {
+        if (!chatId) return { success: false, error: 'Missing chat_id' };
+        
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ chat_id: chatId, ...fields })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to ${operation}: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                data: data
+            };
+        } catch (error) {
+            console.error(`Redis: Failed to ${operation}:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async duplicateChat(chatId, upToMessageId = null) {
+        if (!chatId) return { success: false, error: 'Missing chat_id' };
+        
+        try {
+            const response = await fetch('/api/chat/duplicate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    chat_id: chatId,
+                    up_to_message_id: upToMessageId
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to duplicate chat: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                chatId: data.chat_id,
+                chat: this.buildChatFromInfo(data.chat),
+                artifactCount: data.artifact_count || 0
+            };
+        } catch (error) {
+            console.error('Redis: Failed to duplicate chat:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async importChat(payload) {
+        try {
+            const response = await fetch('/api/chat/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.details || data.error || `Import failed: ${response.status}`);
+            }
+            
+            return {
+                success: true,
+                chatId: data.chat_id,
+                chat: this.buildChatFromInfo(data.chat),
+                messageCount: data.message_count || 0,
+                artifactCount: data.artifact_count || 0
+            };
+        } catch (error) {
+            console.error('Redis: Failed to import chat:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async selectBranch(chatId, messageId) {
+        if (!chatId || !messageId) return { success: false, error: 'Missing chat_id or message_id' };
+        
+        try {
+            const response = await fetch('/api/chat/branch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ chat_id: chatId, message_id: messageId })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to switch branch: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                messageCount: data.message_count
+            };
+        } catch (error) {
+            console.error('Redis: Failed to switch branch:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     async getChatList() {
         try {
             const response = await fetch('/api/chat/list');
@@ -215,6 +471,254 @@ class ChatRedis {
         }
     }
     
+    // Context window state of the active path: { budget, used, numCtx, messages: [{ id, tokens, in_context, pinned, summarized }], summary }
+    async getContextState(chatId) {
+        if (!chatId) return { success: false, error: 'Missing chat_id' };
+        
+        try {
+            const response = await fetch(`/api/chat/context?chat_id=${encodeURIComponent(chatId)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to get context state: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                budget: data.budget || 0,
+                used: data.used || 0,
+                numCtx: data.num_ctx || 0,
+                messages: Array.isArray(data.messages) ? data.messages : [],
+                summary: data.summary || null
+            };
+        } catch (error) {
+            console.error('Redis: Failed to get context state:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async setMessagePinned(chatId, messageId, pinned) {
+        const result = await this.updateChatMeta('/api/chat/context/pin', chatId, { message_id: messageId, pinned: pinned }, 'pin message');
+        if (result.success) {
+            result.pinned = result.data.pinned === true;
+        }
+        return result;
+    }
+    
+    // Upload one file to the chat's library; XHR rather than fetch so the browser reports upload progress
+    uploadFile(chatId, file, onProgress = null) {
+        if (!chatId) return Promise.resolve({ success: false, error: 'Missing chat_id' });
+        
+        const params = new URLSearchParams({
+            chat_id: chatId,
+            name: file.name,
+            type: file.type || 'application/octet-stream'
+        });
+        
+        return new Promise(resolve => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `/api/files/upload?${params}`);
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            
+            if (onProgress) {
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded, e.total);
+                };
+            }
+            
+            xhr.onload = () => {
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Handled below
+                }
+                
+                if (xhr.status >= 200 && xhr.status < 300 && data && data.file) {
+                    resolve({ success: true, file: data.file });
+                    return;
+                }
+                
+                const error = (data && (data.details || data.error)) || `Failed to upload file: ${xhr.status}`;
+                console.error('Redis: Failed to upload file:', error);
+                resolve({ success: false, error: error });
+            };
+            xhr.onerror = () => {
+                console.error('Redis: Failed to upload file: network error');
+                resolve({ success: false, error: 'Network error' });
+            };
+            
+            xhr.send(file);
+        });
+    }
+    
+    async getChatFiles(chatId) {
+        if (!chatId) return { success: false, error: 'Missing chat_id', files: [] };
+        
+        try {
+            const response = await fetch(`/api/files/list?chat_id=${encodeURIComponent(chatId)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to get chat files: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                files: Array.isArray(data.files) ? data.files : []
+            };
+        } catch (error) {
+            console.error('Redis: Failed to get chat files:', error);
+            return {
+                success: false,
+                error: error.message,
+                files: []
+            };
+        }
+    }
+    
+    fileDownloadUrl(chatId, fileId, inline = false) {
+        const params = new URLSearchParams({ chat_id: chatId, file_id: fileId });
+        if (inline) params.set('inline', '1');
+        return `/api/files/download?${params}`;
+    }
+    
+    // Fetch a library file back as a File so it can be attached to a new message
+    async fetchStoredFile(chatId, meta) {
+        try {
+            const response = await fetch(this.fileDownloadUrl(chatId, meta.id));
+            if (!response.ok) {
+                throw new Error(`Failed to download file: ${response.status}`);
+            }
+            
+            const blob = await response.blob();
+            return {
+                success: true,
+                file: new File([blob], meta.name, { type: meta.type, lastModified: (meta.uploaded_at || 0) * 1000 })
+            };
+        } catch (error) {
+            console.error('Redis: Failed to download file:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Document collections with their documents, plus the ones chatId searches
+    async getCollections(chatId = null) {
+        try {
+            const query = chatId ? `?chat_id=${encodeURIComponent(chatId)}` : '';
+            const response = await fetch(`/api/collections${query}`);
+            if (!response.ok) {
+                throw new Error(`Failed to get collections: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                collections: Array.isArray(data.collections) ? data.collections : [],
+                selected: Array.isArray(data.selected) ? data.selected : [],
+                embedModel: data.embed_model || ''
+            };
+        } catch (error) {
+            console.error('Redis: Failed to get collections:', error);
+            return {
+                success: false,
+                error: error.message,
+                collections: [],
+                selected: []
+            };
+        }
+    }
+    
+    // POST to a collection endpoint; the server's error details (e.g. "Collection is full") are kept
+    async postCollectionRequest(url, body, operation) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.details || data.error || `Failed to ${operation}: ${response.status}`);
+            }
+            
+            return {
+                success: true,
+                data: data
+            };
+        } catch (error) {
+            console.error(`Redis: Failed to ${operation}:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async createCollection(name) {
+        const result = await this.postCollectionRequest('/api/collections/create', { name: name }, 'create collection');
+        if (result.success) {
+            result.collection = result.data.collection;
+        }
+        return result;
+    }
+    
+    async deleteCollection(collectionId) {
+        return this.postCollectionRequest('/api/collections/delete', { collection_id: collectionId }, 'delete collection');
+    }
+    
+    // document: { name, type, size, content } - content is the extracted text
+    async addCollectionDocument(collectionId, document) {
+        const result = await this.postCollectionRequest('/api/collections/documents/add', { collection_id: collectionId, ...document }, 'add document');
+        if (result.success) {
+            result.document = result.data.document;
+            result.collection = result.data.collection;
+        }
+        return result;
+    }
+    
+    async deleteCollectionDocument(collectionId, documentId) {
+        return this.postCollectionRequest('/api/collections/documents/delete', { collection_id: collectionId, document_id: documentId }, 'remove document');
+    }
+    
+    async setChatCollections(chatId, collectionIds) {
+        return this.updateChatMeta('/api/chat/collections', chatId, { collection_ids: collectionIds }, 'save chat collections');
+    }
+    
+    // Is a generation still running for this chat (e.g. started before a page reload)?
+    async getStreamStatus(chatId) {
+        if (!chatId) return { success: false, error: 'Missing chat_id', active: false };
+        
+        try {
+            const response = await fetch(`/api/chat/stream/status?chat_id=${encodeURIComponent(chatId)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to get stream status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                active: data.active === true,
+                streamId: data.stream_id || null,
+                status: data.status
+            };
+        } catch (error) {
+            console.error('Redis: Failed to get stream status:', error);
+            return {
+                success: false,
+                error: error.message,
+                active: false
+            };
+        }
+    }
+    
     async deleteChat(chatId) {
         if (!chatId) return { success: false, error: 'Missing chat_id' };
         
@@ -299,6 +803,31 @@ class ChatRedis {
     }
     
     // Artifact Management
+    async searchAllChats(query, limit = 50) {
+        try {
+            const params = new URLSearchParams({ q: query, limit: String(limit) });
+            const response = await fetch(`/api/search?${params}`);
+            if (!response.ok) {
+                throw new Error(`Search failed: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                results: data.results || [],
+                total: data.total || 0,
+                truncated: data.truncated === true
+            };
+        } catch (error) {
+            console.error('Redis: Failed to search chats:', error);
+            return {
+                success: false,
+                results: [],
+                error: error.message
+            };
+        }
+    }
+    
     async getChatArtifacts(chatId) {
         if (!chatId) return { success: false, error: 'Missing chat_id', artifacts: [] };
         
@@ -323,6 +852,97 @@ class ChatRedis {
         }
     }
     
+    // Versions of a code block: { artifact_id, filename, versions: [...], current_version }
+    async getArtifactHistory(chatId, artifactId) {
+        if (!chatId || !artifactId) return { success: false, error: 'Missing chat_id or artifact_id' };
+        
+        try {
+            const params = new URLSearchParams({ chat_id: chatId, artifact_id: artifactId });
+            const response = await fetch(`/api/artifact/history?${params}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Failed to get artifact history: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                history: {
+                    artifactId: data.artifact_id,
+                    filename: data.filename || null,
+                    versions: data.versions || [],
+                    currentVersion: data.current_version || 1
+                }
+            };
+        } catch (error) {
+            console.error('Redis: Failed to fetch artifact history:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Latest version of each code file in the chat, for the ZIP download
+    async getProjectFiles(chatId) {
+        if (!chatId) return { success: false, error: 'Missing chat_id' };
+        
+        try {
+            const response = await fetch(`/api/artifact/project?chat_id=${encodeURIComponent(chatId)}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Failed to get project files: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            return {
+                success: true,
+                files: (data.files || []).map(file => ({
+                    filename: file.filename || null,
+                    artifactId: file.artifact_id,
+                    language: file.language || '',
+                    code: file.code || '',
+                    versionCount: file.version_count || 1
+                }))
+            };
+        } catch (error) {
+            console.error('Redis: Failed to fetch project files:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Store edited code as a new version of a code block; returns the new artifact
+    async saveArtifactVersion(chatId, artifactId, code) {
+        try {
+            const response = await fetch('/api/artifact/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ chat_id: chatId, artifact_id: artifactId, code: code })
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.details || data.error || `Failed to save code version: ${response.status}`);
+            }
+            
+            return {
+                success: true,
+                artifact: data.artifact
+            };
+        } catch (error) {
+            console.error('Redis: Failed to save code version:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     async getMessageDetails(chatId, messageId) {
         if (!chatId || !messageId) {
             return {
@@ -368,6 +988,11 @@ class ChatRedis {
         return match ? parseInt(match[1]) : null;
     }
     
+    // Older chats have no stored options - always hand back a plain object
+    normalizeOptions(options) {
+        return options && !Array.isArray(options) && typeof options === 'object' ? options : {};
+    }
+    
     generateTitleFromPreview(preview) {
         if (!preview || preview.trim() === '') {
             return 'New Chat';
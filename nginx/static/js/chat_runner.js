@@ -0,0 +1,132 @@
+// Code Runner Module - Runs JavaScript/TypeScript code blocks in a throwaway Web Worker
+// (chat_runner_worker.js) and collects their console output and uncaught errors
+class ChatRunner {
+    static LANGUAGES = { javascript: 'javascript', js: 'javascript', mjs: 'javascript', typescript: 'typescript', ts: 'typescript' };
+    static STATUS_LABELS = {
+        ok: 'Finished',
+        error: 'Error',
+        timeout: 'Timed out',
+        memory: 'Stopped: memory limit',
+        limit: 'Stopped: output limit',
+        stopped: 'Stopped'
+    };
+
+    constructor() {
+        this.workerUrl = '/static/js/chat_runner_worker.js';
+        this.timeoutMs = 5000; // from the moment the code starts running
+        this.loadTimeoutMs = 30000; // loading the worker (and the TypeScript compiler) before that
+        this.maxOutputChars = 100000;
+        this.maxHeapBytes = 256 * 1024 * 1024; // checked where the browser reports worker heap use
+        this.nextId = 1;
+        this.runs = new Map(); // run id -> { worker, timer, entries, outputChars, started, resolve }
+        console.log('Chat runner module initialized');
+    }
+    
+    // 'javascript', 'typescript' or null for a code block language the runner cannot run
+    static runnableLanguage(language) {
+        return ChatRunner.LANGUAGES[(language || '').toLowerCase()] || null;
+    }
+    
+    // Start running code; returns { id, done } where done resolves (never rejects) to
+    // { status, entries: [{ level, text }], error, duration, timeoutMs }
+    start(code, options = {}) {
+        const id = this.nextId++;
+        const worker = new Worker(this.workerUrl);
+        const run = { worker, timer: null, entries: [], outputChars: 0, started: null, onEntry: options.onEntry || null };
+        
+        const done = new Promise(resolve => {
+            run.resolve = resolve;
+        });
+        
+        worker.onmessage = (event) => this.handleMessage(id, event.data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.finish(id, 'error', `Runner failed: ${event.message || 'the worker could not be started'}`);
+        };
+        
+        run.timer = setTimeout(() => this.finish(id, 'timeout'), this.loadTimeoutMs);
+        this.runs.set(id, run);
+        
+        worker.postMessage({
+            code: code,
+            language: options.language || 'javascript',
+            maxOutputChars: this.maxOutputChars,
+            maxHeapBytes: this.maxHeapBytes
+        });
+        return { id, done };
+    }
+    
+    stop(id) {
+        this.finish(id, 'stopped');
+    }
+    
+    isRunning(id) {
+        return this.runs.has(id);
+    }
+    
+    // The worker enforces the limits too; they are checked again here so a run cannot extend
+    // its time limit or flood the page whatever the worker sends
+    handleMessage(id, message) {
+        const run = this.runs.get(id);
+        if (!run || !message) return;
+        
+        if (message.type === 'started') {
+            if (run.started !== null) return;
+            run.started = performance.now();
+            clearTimeout(run.timer);
+            run.timer = setTimeout(() => this.finish(id, 'timeout'), this.timeoutMs);
+        } else if (message.type === 'console') {
+            const level = ['log', 'info', 'warn', 'error', 'debug'].includes(message.level) ? message.level : 'log';
+            const entry = { level, text: String(message.text) };
+            run.outputChars += entry.text.length + 1;
+            if (run.outputChars > this.maxOutputChars) {
+                this.finish(id, 'limit');
+                return;
+            }
+            run.entries.push(entry);
+            if (run.onEntry) run.onEntry(entry);
+        } else if (message.type === 'done') {
+            const status = ChatRunner.STATUS_LABELS[message.status] ? message.status : 'error';
+            this.finish(id, status, message.error || null);
+        }
+    }
+    
+    // The worker is terminated whatever the outcome: a timed-out loop or runaway allocation ends with it
+    finish(id, status, error = null) {
+        const run = this.runs.get(id);
+        if (!run) return;
+        
+        this.runs.delete(id);
+        clearTimeout(run.timer);
+        run.worker.onmessage = null;
+        run.worker.terminate();
+        
+        run.resolve({
+            status,
+            entries: run.entries,
+            error,
+            duration: run.started !== null ? Math.round(performance.now() - run.started) : 0,
+            timeoutMs: this.timeoutMs
+        });
+    }
+    
+    // Plain-text transcript of a run, as sent back to the chat
+    static formatOutput(result) {
+        const lines = result.entries.map(entry => entry.level === 'log' || entry.level === 'info'
+            ? entry.text
+            : `[${entry.level}] ${entry.text}`);
+        if (result.error) lines.push(result.error);
+        if (result.status === 'timeout') lines.push(`(stopped after ${result.timeoutMs / 1000} s: time limit)`);
+        if (result.status === 'memory') lines.push('(stopped: memory limit)');
+        if (result.status === 'limit') lines.push('(stopped: output limit)');
+        if (result.status === 'stopped') lines.push('(stopped by the user)');
+        return lines.length > 0 ? lines.join('\n') : '(no output)';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatRunner;
+} else if (typeof window !== 'undefined') {
+    window.ChatRunner = ChatRunner;
+}
\ No newline at end of file
@@ -0,0 +1,247 @@
+// Code Runner Worker - Runs one JavaScript/TypeScript code block and reports what it prints.
+// ChatRunner starts a fresh worker for every run and terminates it afterwards.
+const TYPESCRIPT_URL = 'https://cdn.jsdelivr.net/npm/typescript@5.4.5/lib/typescript.js';
+const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// The worker runs same-origin with the app: take away network, storage and nested workers
+// (own properties and the prototypes they are inherited from) before the code runs.
+// postMessage goes too, so the code cannot send its own 'started' or 'console' messages.
+const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'EventSource', 'WebTransport',
+    'importScripts', 'Worker', 'SharedWorker', 'BroadcastChannel', 'indexedDB', 'caches',
+    'cookieStore', 'storage', 'postMessage'
+];
+
+const post = self.postMessage.bind(self);
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+
+const state = {
+    maxOutputChars: 100000,
+    maxHeapBytes: 0,
+    outputChars: 0,
+    stopped: false,
+    mainDone: false,
+    error: null,
+    timers: new Set(),
+    intervals: new Set()
+};
+
+function lockDown() {
+    for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+        BLOCKED_GLOBALS.forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+            try {
+                delete scope[name];
+            } catch (e) {
+                // Not deletable: shadowed below
+            }
+            if (Object.prototype.hasOwnProperty.call(scope, name)) {
+                Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+            }
+        });
+    }
+}
+
+// Console-like text for a value: strings as-is, errors with their message, the rest as JSON
+function format(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return errorText(value);
+    if (typeof value === 'function') return `[Function ${value.name || '(anonymous)'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol' || typeof value === 'number' || value === undefined) return String(value);
+    if (value instanceof Map) return `Map(${value.size}) ${format(Object.fromEntries(value))}`;
+    if (value instanceof Set) return `Set(${value.size}) ${format(Array.from(value))}`;
+
+    const seen = new WeakSet();
+    try {
+        const json = JSON.stringify(value, (key, item) => {
+            if (typeof item === 'bigint') return `${item}n`;
+            if (typeof item === 'function') return `[Function ${item.name || '(anonymous)'}]`;
+            if (item === undefined) return 'undefined';
+            if (item && typeof item === 'object') {
+                if (seen.has(item)) return '[Circular]';
+                seen.add(item);
+            }
+            return item;
+        });
+        return json === undefined ? String(value) : json;
+    } catch (e) {
+        return String(value);
+    }
+}
+
+// "Name: message (line N)", with N counted in the code block rather than the generated function
+function errorText(error) {
+    if (!(error instanceof Error)) return format(error);
+
+    const stack = String(error.stack || '');
+    // Chrome: "<anonymous>:5:3", Firefox: "> Function:5:3"; the function header adds two lines
+    const match = stack.match(/<anonymous>:(\d+):\d+/) || stack.match(/> Function:(\d+):\d+/);
+    const line = match ? Number(match[1]) - 2 : 0;
+    return `${error.name}: ${error.message}${line > 0 ? ` (line ${line})` : ''}`;
+}
+
+function isMemoryError(error) {
+    return error instanceof RangeError && /allocation|invalid (array|string) length|memory|too large/i.test(error.message);
+}
+
+// Worker heap use, where the browser reports it (performance.memory)
+function checkMemory() {
+    const memory = self.performance && self.performance.memory;
+    if (!state.stopped && state.maxHeapBytes && memory && memory.usedJSHeapSize > state.maxHeapBytes) {
+        stop('memory');
+    }
+}
+
+function stop(status) {
+    if (state.stopped) return;
+    state.stopped = true;
+    post({ type: 'done', status: status, error: state.error });
+    self.close();
+}
+
+function send(level, args) {
+    if (state.stopped) return;
+    checkMemory();
+
+    const text = Array.prototype.map.call(args, format).join(' ');
+    state.outputChars += text.length + 1;
+    if (state.outputChars > state.maxOutputChars) {
+        // A logging loop would otherwise flood the page with messages until the timeout
+        stop('limit');
+        return;
+    }
+    post({ type: 'console', level: level, text: text });
+}
+
+function installConsole() {
+    LEVELS.forEach(level => {
+        console[level] = function () {
+            send(level, arguments);
+        };
+    });
+    console.table = function (data) {
+        send('log', [data]);
+    };
+    console.dir = function (value) {
+        send('log', [value]);
+    };
+
+    self.addEventListener('error', event => {
+        event.preventDefault();
+        recordError(event.error !== undefined ? event.error : event.message);
+    });
+    self.addEventListener('unhandledrejection', event => {
+        event.preventDefault();
+        send('error', [`Unhandled promise rejection: ${event.reason instanceof Error ? errorText(event.reason) : format(event.reason)}`]);
+    });
+}
+
+// The first uncaught error is the run's error; later ones are still printed
+function recordError(error) {
+    const text = `Uncaught ${errorText(error)}`;
+    if (isMemoryError(error)) {
+        state.error = text;
+        stop('memory');
+        return;
+    }
+    if (state.error) {
+        send('error', [text]);
+    } else {
+        state.error = text;
+    }
+}
+
+// Timers are tracked so the run ends when the code and everything it scheduled has finished
+function installTimers() {
+    self.setTimeout = function (callback, delay, ...args) {
+        const id = nativeSetTimeout(() => {
+            state.timers.delete(id);
+            try {
+                if (typeof callback === 'function') callback(...args);
+            } finally {
+                checkMemory();
+                checkDone();
+            }
+        }, delay);
+        state.timers.add(id);
+        return id;
+    };
+    self.clearTimeout = function (id) {
+        state.timers.delete(id);
+        nativeClearTimeout(id);
+        checkDone();
+    };
+    self.setInterval = function (callback, delay, ...args) {
+        const id = nativeSetInterval(() => {
+            try {
+                if (typeof callback === 'function') callback(...args);
+            } finally {
+                checkMemory();
+            }
+        }, delay);
+        state.intervals.add(id);
+        return id;
+    };
+    self.clearInterval = function (id) {
+        state.intervals.delete(id);
+        nativeClearInterval(id);
+        checkDone();
+    };
+}
+
+// Checked again after a turn of the event loop so promise callbacks of the last timer can run
+function checkDone() {
+    if (!state.mainDone || state.stopped || state.timers.size > 0 || state.intervals.size > 0) return;
+    nativeSetTimeout(() => {
+        if (state.timers.size === 0 && state.intervals.size === 0) {
+            stop(state.error ? 'error' : 'ok');
+        }
+    }, 0);
+}
+
+// Types are only stripped, not checked, and line numbers in errors are those of the compiled
+// JavaScript. `exports` is declared for code that exports something.
+function transpileTypeScript(code) {
+    importScripts(TYPESCRIPT_URL);
+    const output = ts.transpileModule(code, {
+        compilerOptions: { target: ts.ScriptTarget.ES2020, module: ts.ModuleKind.CommonJS }
+    }).outputText;
+    return `var exports = {}; ${output}`;
+}
+
+self.onmessage = async (event) => {
+    const { code, language, maxOutputChars, maxHeapBytes } = event.data;
+    state.maxOutputChars = maxOutputChars || state.maxOutputChars;
+    state.maxHeapBytes = maxHeapBytes || 0;
+
+    let source = code;
+    if (language === 'typescript') {
+        try {
+            source = transpileTypeScript(code);
+        } catch (error) {
+            state.error = `TypeScript compiler could not be loaded: ${error.message}`;
+            stop('error');
+            return;
+        }
+    }
+
+    lockDown();
+    installConsole();
+    installTimers();
+
+    post({ type: 'started' });
+    try {
+        // An async function body, so top-level await works
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        await new AsyncFunction(source)();
+    } catch (error) {
+        recordError(error);
+    }
+
+    state.mainDone = true;
+    checkDone();
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+// SSE Parser Module - Incremental text/event-stream parser (EventSource spec) for fetch() streams
+class ChatSSEParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.lastEventId = '';
+        this.retry = null;
+        this.reset();
+    }
+    
+    // Clear buffered input and the event being assembled (lastEventId survives, as in EventSource)
+    reset() {
+        this.buffer = '';
+        this.dataLines = [];
+        this.eventType = '';
+        this.pendingCR = false;
+    }
+    
+    // Feed decoded text; complete lines are processed, a partial trailing line stays buffered
+    feed(text) {
+        if (!text) return;
+        
+        // A chunk ending in \r may be the first half of \r\n
+        if (this.pendingCR) {
+            this.pendingCR = false;
+            if (text[0] === '\n') {
+                text = text.slice(1);
+            }
+        }
+        
+        this.buffer += text;
+        
+        let start = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const ch = this.buffer[i];
+            if (ch !== '\n' && ch !== '\r') continue;
+            
+            this.processLine(this.buffer.slice(start, i));
+            
+            if (ch === '\r') {
+                if (i + 1 === this.buffer.length) {
+                    this.pendingCR = true;
+                } else if (this.buffer[i + 1] === '\n') {
+                    i++;
+                }
+            }
+            start = i + 1;
+        }
+        
+        this.buffer = this.buffer.slice(start);
+    }
+    
+    // End of stream: treat a trailing unterminated line as complete and dispatch what is pending
+    end() {
+        if (this.buffer) {
+            this.processLine(this.buffer);
+            this.buffer = '';
+        }
+        this.dispatch();
+    }
+    
+    processLine(line) {
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+        
+        // Comment line (":keep-alive")
+        if (line[0] === ':') return;
+        
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value[0] === ' ') {
+            value = value.slice(1);
+        }
+        
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value, 10);
+                }
+                break;
+            default:
+                // Unknown fields are ignored per spec
+                break;
+        }
+    }
+    
+    dispatch() {
+        if (this.dataLines.length === 0) {
+            this.eventType = '';
+            return;
+        }
+        
+        const event = {
+            type: this.eventType || 'message',
+            data: this.dataLines.join('\n'),
+            id: this.lastEventId,
+            retry: this.retry
+        };
+        
+        this.dataLines = [];
+        this.eventType = '';
+        
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+    }
+    
+    // Parse an event's data as JSON; returns null for non-JSON payloads such as [DONE]
+    static parseData(event) {
+        try {
+            return JSON.parse(event.data);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatSSEParser;
+} else if (typeof window !== 'undefined') {
+    window.ChatSSEParser = ChatSSEParser;
+}
\ No newline at end of file
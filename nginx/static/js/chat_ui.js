@@ -2,6 +2,15 @@
 class ChatUI {
     constructor(chatInstance) {
         this.chatInstance = chatInstance;
+        this.settingsDrawerBound = false;
+        
+        // Generation presets for the settings drawer (only the listed options are changed)
+        this.settingsPresets = {
+            precise_code: { temperature: 0.2, top_p: 0.8, top_k: 20, repeat_penalty: 1.05 },
+            creative: { temperature: 1.0, top_p: 0.95, top_k: 80, repeat_penalty: 1.15 },
+            long_context: { num_ctx: 32768 }
+        };
+        
         this.init();
     }
     
@@ -78,6 +87,41 @@ class ChatUI {
         }
     }
     
+    // Fill the model picker with installed Ollama models
+    renderModelPicker(models, selectedModel) {
+        const select = document.getElementById('model-select');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        
+        (models || []).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.parameter_size ? `${model.name} (${model.parameter_size})` : model.name;
+            select.appendChild(option);
+        });
+        
+        select.disabled = select.options.length === 0 && !selectedModel;
+        this.setSelectedModel(selectedModel);
+    }
+    
+    // Select a model in the picker, adding it if Ollama no longer lists it
+    setSelectedModel(model) {
+        const select = document.getElementById('model-select');
+        if (!select || !model) return;
+        
+        const exists = Array.from(select.options).some(option => option.value === model);
+        if (!exists) {
+            const option = document.createElement('option');
+            option.value = model;
+            option.textContent = `${model} (not installed)`;
+            select.appendChild(option);
+            select.disabled = false;
+        }
+        
+        select.value = model;
+    }
+    
     // UI Update Methods
     updateChatList() {
         const chatList = document.getElementById('chat-list');
@@ -99,10 +143,57 @@ class ChatUI {
         
         chatList.innerHTML = '';
         
+        this.groupChats(chatsArray).forEach(group => {
+            const groupDiv = document.createElement('div');
+            groupDiv.className = 'chat-group';
+            groupDiv.innerHTML = `<div class="chat-group-label">${group.label}</div>`;
+            
+            group.chats.forEach(chat => {
+                groupDiv.appendChild(this.createChatListItem(chat));
+            });
+            
+            chatList.appendChild(groupDiv);
+        });
+    }
+    
+    // Pinned chats first, then date buckets on updatedAt (input is already newest first)
+    groupChats(chatsArray) {
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const dayMs = 24 * 60 * 60 * 1000;
+        
+        const groups = [
+            { label: 'Pinned', chats: [] },
+            { label: 'Today', chats: [] },
+            { label: 'Yesterday', chats: [] },
+            { label: 'Previous 7 days', chats: [] },
+            { label: 'Older', chats: [] }
+        ];
+        
         chatsArray.forEach(chat => {
-            const chatItem = this.createChatListItem(chat);
-            chatList.appendChild(chatItem);
+            const updated = new Date(chat.updatedAt).getTime();
+            let index;
+            if (chat.pinned) {
+                index = 0;
+            } else if (updated >= startOfToday.getTime()) {
+                index = 1;
+            } else if (updated >= startOfToday.getTime() - dayMs) {
+                index = 2;
+            } else if (updated >= startOfToday.getTime() - 7 * dayMs) {
+                index = 3;
+            } else {
+                index = 4;
+            }
+            groups[index].chats.push(chat);
         });
+        
+        return groups.filter(group => group.chats.length > 0);
+    }
+    
+    formatTokenCount(count) {
+        if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+        if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+        return String(count);
     }
     
     createChatListItem(chat) {
@@ -129,9 +220,19 @@ class ChatUI {
         const chatTimestamp = this.chatInstance.getChatTimestamp(chat.id);
         const chatDisplayId = chatTimestamp ? `chat(${chatTimestamp})` : chat.id;
         
+        // Token totals across all answers in the chat
+        const usage = chat.usage;
+        const totalTokens = usage ? (usage.prompt_tokens || 0) + (usage.completion_tokens || 0) : 0;
+        const usageLabel = totalTokens > 0 ? `${this.formatTokenCount(totalTokens)} tok` : '';
+        const usageTitle = usage ? `${usage.prompt_tokens || 0} prompt + ${usage.completion_tokens || 0} completion tokens over ${usage.generations || 0} answers` : '';
+        
         chatItem.innerHTML = `
             <div class="chat-item-header">
-                <div class="chat-item-title">${this.escapeHtml(chat.title)}</div>
+                <div class="chat-item-title">
+                    ${chat.pinned ? '<i class="bi bi-pin-angle-fill chat-item-flag" title="Pinned"></i>' : ''}
+                    ${chat.favourite ? '<i class="bi bi-star-fill chat-item-flag chat-item-favourite" title="Favourite"></i>' : ''}
+                    ${this.escapeHtml(chat.title)}
+                </div>
                 <div class="chat-item-menu">
                     <button onclick="window.chat.showChatOptions('${chat.id}')" title="Options">
                         <i class="bi bi-three-dots"></i>
@@ -141,6 +242,7 @@ class ChatUI {
             <div class="chat-item-preview">${this.escapeHtml(preview)}</div>
             <div class="chat-item-meta">
                 <div class="chat-item-date">${formattedDate}</div>
+                ${usageLabel ? `<div class="chat-item-usage" title="${usageTitle}">${usageLabel}</div>` : ''}
                 <div class="chat-item-count">${messageCount}</div>
             </div>
             <div class="chat-item-id">
@@ -187,9 +289,17 @@ class ChatUI {
     }
     
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return ChatUI.escapeHtml(text);
+    }
+    
+    // Safe in text and in quoted attribute values (file, collection and document names are user input)
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     // ENHANCED: Code blocks with panel support
@@ -295,6 +405,21 @@ class ChatUI {
         
         actionsContainer.appendChild(viewButton);
         
+        // Run button for JavaScript/TypeScript blocks; the output appears under the block
+        const languageMatch = codeElement.className.match(/language-(\S+)/);
+        const runLanguage = ChatRunner.runnableLanguage(languageMatch ? languageMatch[1] : '');
+        if (runLanguage) {
+            const runButton = document.createElement('button');
+            runButton.className = 'code-block-btn btn-run';
+            runButton.innerHTML = '<i class="bi bi-play-fill"></i>';
+            runButton.title = 'Run code';
+            runButton.onclick = (e) => {
+                e.stopPropagation();
+                this.runCodeBlock(preElement, codeText, runLanguage, artifactId, runButton);
+            };
+            actionsContainer.insertBefore(runButton, copyButton);
+        }
+        
         // Add actions to the pre element
         preElement.appendChild(actionsContainer);
         
@@ -302,6 +427,95 @@ class ChatUI {
         preElement.style.position = 'relative';
     }
     
+    // Run a code block in the code runner; clicking the button again while it runs stops it
+    async runCodeBlock(preElement, code, language, artifactId, button) {
+        const runner = this.chatInstance.runner;
+        if (button.dataset.runId && runner.isRunning(Number(button.dataset.runId))) {
+            runner.stop(Number(button.dataset.runId));
+            return;
+        }
+        
+        let output = preElement.nextElementSibling;
+        if (!output || !output.classList.contains('code-run-output')) {
+            output = document.createElement('div');
+            output.className = 'code-run-output';
+            preElement.insertAdjacentElement('afterend', output);
+        }
+        output.innerHTML = `
+            <div class="code-run-header">
+                <span class="code-run-status">
+                    <span class="spinner-border spinner-border-sm"></span> Running ${language === 'typescript' ? 'TypeScript' : 'JavaScript'}...
+                </span>
+                <div class="code-run-actions"></div>
+            </div>
+            <div class="code-run-entries"></div>
+        `;
+        const entries = output.querySelector('.code-run-entries');
+        
+        const run = runner.start(code, {
+            language: language,
+            onEntry: (entry) => this.appendRunEntry(entries, entry)
+        });
+        button.dataset.runId = run.id;
+        button.innerHTML = '<i class="bi bi-stop-fill"></i>';
+        button.title = 'Stop';
+        
+        const result = await run.done;
+        delete button.dataset.runId;
+        button.innerHTML = '<i class="bi bi-play-fill"></i>';
+        button.title = 'Run code';
+        
+        this.renderRunResult(output, result, artifactId, language);
+    }
+    
+    appendRunEntry(entries, entry) {
+        const line = document.createElement('div');
+        line.className = `code-run-entry code-run-${entry.level}`;
+        line.textContent = entry.text;
+        entries.appendChild(line);
+        entries.scrollTop = entries.scrollHeight;
+    }
+    
+    renderRunResult(output, result, artifactId, language) {
+        const entries = output.querySelector('.code-run-entries');
+        if (result.error) {
+            this.appendRunEntry(entries, { level: 'error', text: result.error });
+        }
+        if (entries.childElementCount === 0) {
+            entries.innerHTML = '<div class="code-run-entry code-run-empty">(no output)</div>';
+        }
+        
+        const failed = result.status !== 'ok';
+        const label = result.status === 'timeout'
+            ? `Timed out after ${result.timeoutMs / 1000} s`
+            : ChatRunner.STATUS_LABELS[result.status];
+        output.querySelector('.code-run-status').innerHTML = `
+            <i class="bi ${failed ? 'bi-exclamation-triangle text-danger' : 'bi-check-circle text-success'}"></i>
+            ${this.escapeHtml(label)} <span class="text-muted">· ${result.duration} ms</span>
+        `;
+        
+        const actions = output.querySelector('.code-run-actions');
+        actions.innerHTML = `
+            <button class="btn btn-sm btn-outline-primary code-run-send" title="Send the output to the chat as your next message">
+                <i class="bi bi-send"></i> Send output to chat
+            </button>
+            <button class="btn btn-sm btn-link code-run-close" title="Close output">
+                <i class="bi bi-x-lg"></i>
+            </button>
+        `;
+        actions.querySelector('.code-run-send').onclick = () => this.sendRunOutput(result, artifactId, language);
+        actions.querySelector('.code-run-close').onclick = () => output.remove();
+    }
+    
+    sendRunOutput(result, artifactId, language) {
+        const text = ChatRunner.formatOutput(result);
+        const fence = text.includes('```') ? '````' : '```';
+        const what = artifactId ? `${artifactId} (${language})` : `the ${language} code`;
+        const outcome = result.status === 'ok' ? 'this output' : result.status === 'error' ? 'this error' : 'this output before it was stopped';
+        
+        this.chatInstance.sendText(`I ran ${what} and got ${outcome}:\n\n${fence}text\n${text}\n${fence}`);
+    }
+    
     addMessageCopyButton(contentDiv, content) {
         const copyButton = document.createElement('button');
         copyButton.className = 'btn btn-outline-secondary btn-sm copy-btn';
@@ -428,30 +642,14 @@ class ChatUI {
             </div>
             <div class="message-content">${this.escapeHtml(content)}</div>
         `;
+        this.chatInstance.mentions.renderChips(messageDiv.querySelector('.message-content'));
         
         // Add files if any
         if (files && files.length > 0) {
             const filesDiv = document.createElement('div');
             filesDiv.className = 'message-files';
             
-            files.forEach(file => {
-                const fileItem = document.createElement('div');
-                fileItem.className = 'message-file-item';
-                
-                const icon = this.chatInstance?.fileUpload?.getFileIcon ? 
-                    this.chatInstance.fileUpload.getFileIcon(file.type) : 'bi-file-earmark';
-                const size = this.chatInstance?.fileUpload?.formatFileSize ? 
-                    this.chatInstance.fileUpload.formatFileSize(file.size) : 
-                    this.formatFileSize(file.size);
-                
-                fileItem.innerHTML = `
-                    <i class="bi ${icon}"></i>
-                    <span>${this.escapeHtml(file.name)}</span>
-                    <small>(${size})</small>
-                `;
-                
-                filesDiv.appendChild(fileItem);
-            });
+            files.forEach(file => filesDiv.appendChild(this.createFileItem(file)));
             
             messageDiv.insertBefore(filesDiv, messageDiv.querySelector('.message-content'));
         }
@@ -461,6 +659,80 @@ class ChatUI {
         
         return messageDiv;
     }
+    
+    // One attachment chip; images get a thumbnail - from the local File while sending,
+    // from /api/chat/image once the message is stored
+    createFileItem(file) {
+        const fileItem = document.createElement('div');
+        fileItem.className = 'message-file-item';
+        
+        // Use proper file upload methods if available
+        const icon = this.chatInstance?.fileUpload?.getFileIcon ? 
+            this.chatInstance.fileUpload.getFileIcon(file.type) : 'bi-file-earmark';
+        const size = this.chatInstance?.fileUpload?.formatFileSize ? 
+            this.chatInstance.fileUpload.formatFileSize(file.size) : 
+            this.formatFileSize(file.size);
+        
+        fileItem.innerHTML = `
+            <i class="bi ${icon}"></i>
+            <span>${this.escapeHtml(file.name)}</span>
+            <small>(${size})</small>
+        `;
+        
+        // Stored in the chat's library: the name downloads it and it can be attached again
+        const chatId = this.chatInstance?.currentChatId;
+        if (file.file_id && chatId) {
+            const link = document.createElement('a');
+            link.href = this.chatInstance.redis.fileDownloadUrl(chatId, file.file_id);
+            link.textContent = file.name;
+            link.title = 'Download';
+            fileItem.querySelector('span').replaceChildren(link);
+            
+            const reattach = document.createElement('button');
+            reattach.type = 'button';
+            reattach.className = 'message-file-reattach';
+            reattach.title = 'Attach to next message';
+            reattach.innerHTML = '<i class="bi bi-paperclip"></i>';
+            reattach.addEventListener('click', () => this.chatInstance.attachStoredFile(file.file_id));
+            fileItem.appendChild(reattach);
+        }
+        
+        let imageUrl = null;
+        let isObjectUrl = false;
+        if (file.image_id && this.chatInstance?.currentChatId) {
+            imageUrl = `/api/chat/image?chat_id=${encodeURIComponent(this.chatInstance.currentChatId)}&image_id=${encodeURIComponent(file.image_id)}`;
+        } else if (typeof Blob !== 'undefined' && file instanceof Blob && /^image\//.test(file.type)) {
+            imageUrl = URL.createObjectURL(file);
+            isObjectUrl = true;
+        }
+        
+        if (imageUrl) {
+            // A local file's preview is revoked once the image has loaded, so it is not a link
+            const link = document.createElement(isObjectUrl ? 'span' : 'a');
+            link.className = 'message-file-thumb';
+            if (!isObjectUrl) {
+                link.href = imageUrl;
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            link.title = file.width && file.height ? `${file.name} (${file.width}×${file.height})` : file.name;
+            
+            const img = document.createElement('img');
+            img.alt = file.name;
+            if (isObjectUrl) {
+                img.onload = img.onerror = () => URL.revokeObjectURL(imageUrl);
+            } else {
+                img.loading = 'lazy';
+            }
+            img.src = imageUrl;
+            link.appendChild(img);
+            
+            fileItem.classList.add('message-file-image');
+            fileItem.prepend(link);
+        }
+        
+        return fileItem;
+    }
 
     // Create streaming placeholder for assistant response
     addPlaceholderAssistantMessage() {
@@ -573,9 +845,12 @@ class ChatUI {
         const messages = result.messages;
         console.log(`Rendering ${messages.length} real messages for chat`);
         
-        // Update chat title from first user message
+        // Update chat title - a stored custom title wins over the first user message
+        const currentChat = this.chatInstance.chats.get(this.chatInstance.currentChatId);
         const firstUserMessage = messages.find(msg => msg.role === 'user');
-        if (firstUserMessage && firstUserMessage.content) {
+        if (currentChat && currentChat.customTitle) {
+            this.updateCurrentChatTitle(currentChat.title);
+        } else if (firstUserMessage && firstUserMessage.content) {
             const title = firstUserMessage.content.length > 30 ? 
                 firstUserMessage.content.substring(0, 30) + '...' : 
                 firstUserMessage.content;
@@ -609,13 +884,257 @@ class ChatUI {
                     messageType, 
                     msg.content, 
                     msg.files || [], 
-                    msg.id
+                    msg.id,
+                    msg.metrics
                 );
+                
+                this.addMessageControls(messageElement, msg, msg === messages[messages.length - 1]);
+                
+                if (Array.isArray(msg.citations) && msg.citations.length > 0) {
+                    this.addMessageCitations(messageElement, msg.citations);
+                }
             }
         }
         
         this.scrollToBottom();
     }
+    
+    // Collection passages the answer was given, numbered like the [n] references in its text
+    addMessageCitations(messageElement, citations) {
+        const block = document.createElement('div');
+        block.className = 'message-citations';
+        block.innerHTML = '<div class="message-citations-label"><i class="bi bi-journal-text"></i> Sources</div>';
+        
+        citations.forEach(citation => {
+            const item = document.createElement('details');
+            item.className = 'message-citation';
+            item.innerHTML = `
+                <summary>
+                    <span class="message-citation-number">[${citation.n}]</span>
+                    ${this.escapeHtml(citation.document_name || '')}
+                    <small class="text-muted">part ${citation.chunk} · ${Math.round((citation.score || 0) * 100)}% match</small>
+                </summary>
+                <div class="message-citation-text"></div>
+            `;
+            item.querySelector('summary').title = citation.collection_name || '';
+            item.querySelector('.message-citation-text').textContent = citation.text || '';
+            block.appendChild(item);
+        });
+        
+        messageElement.appendChild(block);
+    }
+
+    // Header controls: branch navigation, Regenerate (assistant) or Edit (user), and Fork.
+    // A stopped answer gets a badge, and "Continue from here" when it is the latest message.
+    addMessageControls(messageElement, msg, isLast = false) {
+        const header = messageElement.querySelector('.message-header');
+        if (!header) return;
+        
+        if (msg.status === 'stopped') {
+            messageElement.classList.add('message-stopped');
+            const badge = document.createElement('span');
+            badge.className = 'badge message-stopped-badge';
+            badge.innerHTML = '<i class="bi bi-stop-circle"></i> stopped';
+            badge.title = 'Generation was stopped before the answer finished';
+            const role = header.querySelector('.message-role');
+            if (role) {
+                role.after(badge);
+            } else {
+                header.prepend(badge);
+            }
+        }
+        
+        const controls = document.createElement('div');
+        controls.className = 'message-controls';
+        
+        if (msg.branch && msg.branch.count > 1) {
+            const { index, count, siblings } = msg.branch;
+            const nav = document.createElement('div');
+            nav.className = 'branch-nav';
+            nav.innerHTML = `
+                <button type="button" class="btn btn-link btn-sm branch-prev" title="Previous version" ${index <= 1 ? 'disabled' : ''}>
+                    <i class="bi bi-chevron-left"></i>
+                </button>
+                <span class="branch-counter">${index}/${count}</span>
+                <button type="button" class="btn btn-link btn-sm branch-next" title="Next version" ${index >= count ? 'disabled' : ''}>
+                    <i class="bi bi-chevron-right"></i>
+                </button>
+            `;
+            nav.querySelector('.branch-prev').onclick = () => this.chatInstance.switchBranch(siblings[index - 2]);
+            nav.querySelector('.branch-next').onclick = () => this.chatInstance.switchBranch(siblings[index]);
+            controls.appendChild(nav);
+        }
+        
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'btn btn-link btn-sm message-control-btn';
+        
+        if (msg.role === 'user') {
+            actionButton.innerHTML = '<i class="bi bi-pencil"></i> Edit';
+            actionButton.title = 'Edit and resend this message';
+            actionButton.onclick = () => this.showMessageEditor(messageElement, msg.content, (text) => {
+                this.chatInstance.editMessage(msg.id, text);
+            });
+        } else {
+            actionButton.innerHTML = '<i class="bi bi-arrow-repeat"></i> Regenerate';
+            actionButton.title = 'Generate another answer';
+            actionButton.onclick = () => this.chatInstance.regenerateMessage(msg.id);
+        }
+        
+        controls.appendChild(actionButton);
+        
+        if (msg.status === 'stopped' && isLast) {
+            const continueButton = document.createElement('button');
+            continueButton.type = 'button';
+            continueButton.className = 'btn btn-link btn-sm message-control-btn';
+            continueButton.innerHTML = '<i class="bi bi-play"></i> Continue from here';
+            continueButton.title = 'Continue this answer where it stopped';
+            continueButton.onclick = () => this.chatInstance.continueMessage(msg.id);
+            controls.appendChild(continueButton);
+        }
+        
+        const pinButton = document.createElement('button');
+        pinButton.type = 'button';
+        pinButton.className = 'btn btn-link btn-sm message-control-btn message-pin-btn';
+        pinButton.innerHTML = '<i class="bi bi-pin-angle"></i>';
+        pinButton.title = 'Pin: always send this message as context';
+        pinButton.onclick = () => this.chatInstance.togglePinMessage(msg.id, !messageElement.classList.contains('message-pinned'));
+        controls.appendChild(pinButton);
+        
+        const forkButton = document.createElement('button');
+        forkButton.type = 'button';
+        forkButton.className = 'btn btn-link btn-sm message-control-btn';
+        forkButton.innerHTML = '<i class="bi bi-diagram-2"></i>';
+        forkButton.title = 'Fork into a new chat up to here';
+        forkButton.onclick = () => this.chatInstance.duplicateChat(this.chatInstance.currentChatId, msg.id);
+        controls.appendChild(forkButton);
+        
+        header.appendChild(controls);
+    }
+    
+    // Mark which rendered messages the model will see (from ChatRedis.getContextState),
+    // and show the token meter plus the stored summary above the messages
+    applyContextState(state) {
+        const messagesContainer = document.getElementById('messages-content');
+        if (!messagesContainer || !state) return;
+        
+        state.messages.forEach(entry => {
+            const messageElement = messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(entry.id)}"]`);
+            if (!messageElement) return;
+            
+            messageElement.classList.toggle('message-out-of-context', !entry.in_context);
+            messageElement.classList.toggle('message-summarized', !entry.in_context && entry.summarized);
+            messageElement.classList.toggle('message-pinned', entry.pinned);
+            
+            const contextNote = entry.in_context ? 'in context' : (entry.summarized ? 'out of context, covered by the summary' : 'out of context');
+            messageElement.title = `~${this.formatTokenCount(entry.tokens)} tokens, ${contextNote}`;
+            
+            const pinButton = messageElement.querySelector('.message-pin-btn');
+            if (pinButton) {
+                pinButton.innerHTML = entry.pinned ? '<i class="bi bi-pin-angle-fill"></i>' : '<i class="bi bi-pin-angle"></i>';
+                pinButton.title = entry.pinned ? 'Unpin: send only while it fits the context window' : 'Pin: always send this message as context';
+            }
+        });
+        
+        let banner = messagesContainer.querySelector('.context-summary-banner');
+        const droppedCount = state.messages.filter(entry => !entry.in_context).length;
+        if (droppedCount === 0 && !state.summary) {
+            if (banner) banner.remove();
+            return;
+        }
+        
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'context-summary-banner';
+            messagesContainer.prepend(banner);
+        }
+        
+        const percent = state.budget > 0 ? Math.min(100, Math.round(state.used / state.budget * 100)) : 0;
+        const summaryHtml = state.summary ? `
+            <details class="context-summary">
+                <summary>Summary of ${state.summary.message_count || 0} earlier messages is sent instead</summary>
+                <div class="context-summary-text">${this.escapeHtml(state.summary.content)}</div>
+            </details>
+        ` : '<div class="context-summary-pending">A summary of older messages is created with the next answer</div>';
+        
+        banner.innerHTML = `
+            <div class="context-summary-header">
+                <i class="bi bi-layers-half"></i>
+                <span>${droppedCount} older message${droppedCount === 1 ? '' : 's'} no longer fit the context window</span>
+                <span class="context-meter" title="Estimated history tokens / available for history (num_ctx ${state.numCtx})">
+                    <span class="context-meter-bar"><span style="width: ${percent}%"></span></span>
+                    ${this.formatTokenCount(state.used)} / ${this.formatTokenCount(state.budget)}
+                </span>
+            </div>
+            ${summaryHtml}
+        `;
+    }
+
+    // Swap a user message for an inline editor until it is sent or cancelled
+    showMessageEditor(messageElement, content, onSubmit) {
+        const contentDiv = messageElement.querySelector('.message-content');
+        if (!contentDiv || messageElement.querySelector('.message-editor')) return;
+        
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea class="form-control message-editor-input" rows="3"></textarea>
+            <div class="message-editor-actions">
+                <button type="button" class="btn btn-sm btn-outline-secondary message-editor-cancel">Cancel</button>
+                <button type="button" class="btn btn-sm btn-primary message-editor-save">
+                    <i class="bi bi-send"></i> Save &amp; Send
+                </button>
+            </div>
+        `;
+        
+        const textarea = editor.querySelector('textarea');
+        textarea.value = content;
+        
+        const close = () => {
+            editor.remove();
+            contentDiv.style.display = '';
+        };
+        
+        editor.querySelector('.message-editor-cancel').onclick = close;
+        editor.querySelector('.message-editor-save').onclick = () => {
+            const text = textarea.value.trim();
+            if (!text) {
+                this.showToast('Message cannot be empty', 'warning');
+                return;
+            }
+            close();
+            onSubmit(text);
+        };
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                close();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                editor.querySelector('.message-editor-save').click();
+            }
+        });
+        
+        contentDiv.style.display = 'none';
+        contentDiv.after(editor);
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    // Drop a message and everything after it - the replacement streams in below
+    truncateMessagesFrom(messageId) {
+        const messagesContainer = document.getElementById('messages-content');
+        if (!messagesContainer) return;
+        
+        const target = messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!target) return;
+        
+        let node = target;
+        while (node) {
+            const next = node.nextElementSibling;
+            node.remove();
+            node = next;
+        }
+    }
 
     // New method to handle empty chat state
     showEmptyChat(error = null) {
@@ -657,6 +1176,176 @@ class ChatUI {
                 item.style.display = 'none';
             }
         });
+        
+        // Hide group labels with nothing left to show
+        document.querySelectorAll('.chat-group').forEach(group => {
+            const visible = Array.from(group.querySelectorAll('.chat-item')).some(item => item.style.display !== 'none');
+            group.style.display = visible ? '' : 'none';
+        });
+    }
+
+    // Global search results - snippets with the query highlighted
+    renderSearchResults(result, query) {
+        const container = document.getElementById('search-results');
+        const chatList = document.getElementById('chat-list');
+        if (!container) return;
+        
+        container.style.display = 'block';
+        if (chatList) chatList.style.display = 'none';
+        
+        if (result.results.length === 0) {
+            container.innerHTML = `
+                <div class="text-center text-muted p-3">
+                    <i class="bi bi-search"></i>
+                    <p class="mb-0 mt-2">No matches in any chat</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const summary = result.truncated ? 
+            `Showing ${result.results.length} of ${result.total} matches` : 
+            `${result.total} match${result.total === 1 ? '' : 'es'}`;
+        container.innerHTML = `<div class="chat-group-label">${summary}</div>`;
+        
+        result.results.forEach(hit => {
+            const chat = this.chatInstance.chats.get(hit.chat_id);
+            const chatTitle = hit.chat_title || (chat ? chat.title : hit.chat_id);
+            const label = hit.artifact_id ? 
+                `${hit.artifact_id}${hit.language ? ' · ' + hit.language : ''}` : 
+                hit.message_id;
+            
+            const item = document.createElement('div');
+            item.className = 'search-result-item';
+            item.innerHTML = `
+                <div class="search-result-header">
+                    <span class="search-result-chat">${this.escapeHtml(chatTitle)}</span>
+                    <span class="search-result-id">
+                        <i class="bi ${hit.artifact_id ? 'bi-code-slash' : 'bi-chat-left-text'}"></i>
+                        ${this.escapeHtml(label)}
+                    </span>
+                </div>
+                <div class="search-result-snippet">${this.highlightMatches(hit.snippet, query)}</div>
+            `;
+            item.addEventListener('click', () => this.chatInstance.openSearchResult(hit.chat_id, hit.message_id));
+            container.appendChild(item);
+        });
+    }
+    
+    hideSearchResults() {
+        const container = document.getElementById('search-results');
+        const chatList = document.getElementById('chat-list');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+        if (chatList) chatList.style.display = '';
+    }
+    
+    showSidebarTab(tab) {
+        document.querySelectorAll('.sidebar-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        document.querySelectorAll('.sidebar-pane').forEach(pane => {
+            pane.style.display = pane.id === `sidebar-pane-${tab}` ? '' : 'none';
+        });
+    }
+    
+    isSidebarTabActive(tab) {
+        const button = document.querySelector(`.sidebar-tab[data-tab="${tab}"]`);
+        return button ? button.classList.contains('active') : false;
+    }
+    
+    // Files tab: everything uploaded to the current chat, with view/download/attach actions
+    renderFileLibrary(chatId, result) {
+        const container = document.getElementById('file-library');
+        if (!container) return;
+        
+        if (!result.success) {
+            container.innerHTML = `
+                <div class="text-center text-muted p-3">
+                    <i class="bi bi-exclamation-triangle"></i>
+                    <p class="mb-0 mt-2">Could not load files</p>
+                    <small>${this.escapeHtml(result.error || '')}</small>
+                </div>
+            `;
+            return;
+        }
+        
+        if (result.files.length === 0) {
+            container.innerHTML = `
+                <div class="text-center text-muted p-3">
+                    <i class="bi bi-folder2-open"></i>
+                    <p class="mb-0 mt-2">No files in this chat</p>
+                    <small>Attached files are kept here for reuse</small>
+                </div>
+            `;
+            return;
+        }
+        
+        const fileUpload = this.chatInstance.fileUpload;
+        const redis = this.chatInstance.redis;
+        container.innerHTML = `<div class="chat-group-label">${result.files.length} file${result.files.length === 1 ? '' : 's'}</div>`;
+        
+        result.files.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'file-library-item';
+            item.innerHTML = `
+                <i class="bi ${fileUpload.getFileIcon(file.type || '')}"></i>
+                <div class="file-library-info">
+                    <div class="file-library-name" title="${this.escapeHtml(file.name)}">${this.escapeHtml(file.name)}</div>
+                    <small class="text-muted">${fileUpload.formatFileSize(file.size)} · ${this.formatChatDate(new Date(file.uploaded_at * 1000))}</small>
+                </div>
+                <div class="file-library-actions">
+                    <a class="btn btn-sm btn-link" href="${redis.fileDownloadUrl(chatId, file.id, true)}" target="_blank" rel="noopener" title="View">
+                        <i class="bi bi-eye"></i>
+                    </a>
+                    <a class="btn btn-sm btn-link" href="${redis.fileDownloadUrl(chatId, file.id)}" title="Download">
+                        <i class="bi bi-download"></i>
+                    </a>
+                    <button type="button" class="btn btn-sm btn-link file-library-attach" title="Attach to next message">
+                        <i class="bi bi-paperclip"></i>
+                    </button>
+                </div>
+            `;
+            item.querySelector('.file-library-attach').addEventListener('click', () => {
+                fileUpload.attachStoredFile(chatId, file);
+            });
+            container.appendChild(item);
+        });
+    }
+    
+    // Wrap case-insensitive matches in <mark>; matched in the raw text, then each piece escaped,
+    // so a query like "amp" cannot match inside "&amp;"
+    highlightMatches(text, query) {
+        const source = text || '';
+        const pattern = (query || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (!pattern) return this.escapeHtml(source);
+        
+        let html = '';
+        let last = 0;
+        source.replace(new RegExp(pattern, 'gi'), (match, offset) => {
+            html += `${this.escapeHtml(source.slice(last, offset))}<mark>${this.escapeHtml(match)}</mark>`;
+            last = offset + match.length;
+            return match;
+        });
+        return html + this.escapeHtml(source.slice(last));
+    }
+    
+    // Bring a rendered message into view and flash it
+    scrollToMessage(messageId) {
+        const messagesContainer = document.getElementById('messages-content');
+        if (!messagesContainer || !messageId) return;
+        
+        const target = messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!target) {
+            this.showToast(`Message ${messageId} is not on the visible branch`, 'warning');
+            return;
+        }
+        
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.add('message-highlight');
+        setTimeout(() => target.classList.remove('message-highlight'), 2000);
     }
 
     // Clear messages UI
@@ -687,9 +1376,107 @@ class ChatUI {
             if (renameInput) {
                 renameInput.value = chat.title;
             }
+            
+            const pinButton = document.getElementById('pin-chat-button');
+            if (pinButton) {
+                pinButton.querySelector('i').className = chat.pinned ? 'bi bi-pin-angle-fill' : 'bi bi-pin-angle';
+                pinButton.querySelector('span').textContent = chat.pinned ? 'Unpin' : 'Pin';
+            }
+            
+            const favouriteButton = document.getElementById('favourite-chat-button');
+            if (favouriteButton) {
+                favouriteButton.querySelector('i').className = chat.favourite ? 'bi bi-star-fill' : 'bi bi-star';
+                favouriteButton.querySelector('span').textContent = chat.favourite ? 'Remove favourite' : 'Favourite';
+            }
+            
             modal.show();
         }
     }
+    
+    // Generation settings drawer
+    showSettingsDrawer(settings, defaultOptions = {}) {
+        const drawerElement = document.getElementById('chatSettingsDrawer');
+        if (!drawerElement) return;
+        
+        this.bindSettingsDrawer(drawerElement);
+        this.fillSettingsForm(settings, defaultOptions);
+        bootstrap.Offcanvas.getOrCreateInstance(drawerElement).show();
+    }
+    
+    bindSettingsDrawer(drawerElement) {
+        if (this.settingsDrawerBound) return;
+        this.settingsDrawerBound = true;
+        
+        drawerElement.querySelectorAll('[data-preset]').forEach(button => {
+            button.addEventListener('click', () => this.applySettingsPreset(button.dataset.preset));
+        });
+        
+        const saveButton = document.getElementById('settings-save-button');
+        if (saveButton) {
+            saveButton.addEventListener('click', async () => {
+                const saved = await this.chatInstance.saveChatSettings(this.readSettingsForm());
+                if (saved) {
+                    bootstrap.Offcanvas.getOrCreateInstance(drawerElement).hide();
+                }
+            });
+        }
+        
+        const resetButton = document.getElementById('settings-reset-button');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                drawerElement.querySelectorAll('[data-setting-option]').forEach(input => {
+                    input.value = '';
+                });
+            });
+        }
+    }
+    
+    fillSettingsForm(settings, defaultOptions = {}) {
+        const options = (settings && settings.options) || {};
+        
+        document.querySelectorAll('#chatSettingsDrawer [data-setting-option]').forEach(input => {
+            const key = input.dataset.settingOption;
+            input.value = options[key] !== undefined ? options[key] : '';
+            input.placeholder = defaultOptions[key] !== undefined ? `Default: ${defaultOptions[key]}` : 'Default';
+        });
+        
+        const systemPrompt = document.getElementById('setting-system-prompt');
+        if (systemPrompt) {
+            systemPrompt.value = (settings && settings.systemPrompt) || '';
+        }
+    }
+    
+    readSettingsForm() {
+        const options = {};
+        
+        document.querySelectorAll('#chatSettingsDrawer [data-setting-option]').forEach(input => {
+            if (input.value.trim() === '') return;
+            
+            const value = Number(input.value);
+            if (!Number.isNaN(value)) {
+                options[input.dataset.settingOption] = value;
+            }
+        });
+        
+        const systemPrompt = document.getElementById('setting-system-prompt');
+        
+        return {
+            options: options,
+            systemPrompt: systemPrompt ? systemPrompt.value.trim() : ''
+        };
+    }
+    
+    applySettingsPreset(presetName) {
+        const preset = this.settingsPresets[presetName];
+        if (!preset) return;
+        
+        Object.entries(preset).forEach(([key, value]) => {
+            const input = document.querySelector(`#chatSettingsDrawer [data-setting-option="${key}"]`);
+            if (input) {
+                input.value = value;
+            }
+        });
+    }
 
     // Download file utility
     downloadFile(content, filename, mimeType) {
@@ -736,25 +1523,7 @@ class ChatUI {
             const filesDiv = document.createElement('div');
             filesDiv.className = 'message-files';
             
-            files.forEach(file => {
-                const fileItem = document.createElement('div');
-                fileItem.className = 'message-file-item';
-                
-                // Use proper file upload methods if available
-                const icon = this.chatInstance?.fileUpload?.getFileIcon ? 
-                    this.chatInstance.fileUpload.getFileIcon(file.type) : 'bi-file-earmark';
-                const size = this.chatInstance?.fileUpload?.formatFileSize ? 
-                    this.chatInstance.fileUpload.formatFileSize(file.size) : 
-                    this.formatFileSize(file.size);
-                
-                fileItem.innerHTML = `
-                    <i class="bi ${icon}"></i>
-                    <span>${this.escapeHtml(file.name)}</span>
-                    <small>(${size})</small>
-                `;
-                
-                filesDiv.appendChild(fileItem);
-            });
+            files.forEach(file => filesDiv.appendChild(this.createFileItem(file)));
             
             // Insert files div before content div
             messageDiv.insertBefore(filesDiv, contentDiv);
@@ -768,8 +1537,9 @@ class ChatUI {
         } else {
             // For completed messages, render content
             if (sender === 'user') {
-                // User messages: render as markdown but simpler
+                // User messages: render as markdown but simpler, @-mentions as chips
                 contentDiv.innerHTML = window.marked ? marked.parse(content) : this.escapeHtml(content);
+                this.chatInstance.mentions.renderChips(contentDiv);
             } else {
                 // Assistant/system messages: full markdown with enhancements
                 contentDiv.innerHTML = window.marked ? marked.parse(content) : this.escapeHtml(content);
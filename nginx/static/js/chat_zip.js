@@ -0,0 +1,184 @@
+// ZIP Module - Minimal ZIP reader (stored and deflate entries) for Office attachments, using DecompressionStream,
+// and writer for downloads, using CompressionStream
+class ChatZip {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.entries = new Map(); // name -> { method, compressedSize, size, offset }
+        this.readCentralDirectory();
+    }
+    
+    static async fromFile(file) {
+        return new ChatZip(await file.arrayBuffer());
+    }
+    
+    // The end-of-central-directory record sits in the last 64KB + 22 bytes
+    readCentralDirectory() {
+        const minOffset = Math.max(0, this.bytes.length - 65557);
+        let eocd = -1;
+        for (let i = this.bytes.length - 22; i >= minOffset; i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not a ZIP archive');
+        }
+        
+        const count = this.view.getUint16(eocd + 10, true);
+        let offset = this.view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            this.entries.set(name, {
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                offset: this.view.getUint32(offset + 42, true)
+            });
+            
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+    
+    has(name) {
+        return this.entries.has(name);
+    }
+    
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing ${name} in archive`);
+        }
+        
+        // Local header lengths can differ from the central directory's, so read them here
+        const nameLength = this.view.getUint16(entry.offset + 26, true);
+        const extraLength = this.view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+        
+        if (entry.method === 0) {
+            return data;
+        }
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+        }
+        
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    async readText(name) {
+        return new TextDecoder().decode(await this.read(name));
+    }
+    
+    // Build an archive from [{ name, data: string | Uint8Array, date }]; entries are deflated
+    // where the browser supports it and it makes them smaller. Resolves to a Blob.
+    static async create(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ChatZip.crc32(data);
+            const deflated = await ChatZip.deflate(data);
+            const method = deflated && deflated.length < data.length ? 8 : 0;
+            const stored = method === 8 ? deflated : data;
+            const { time, date } = ChatZip.dosDateTime(file.date || new Date());
+            
+            // Fields shared by the local header (from offset 4) and the central directory (from offset 6)
+            const common = new DataView(new ArrayBuffer(26));
+            common.setUint16(0, 20, true); // version needed: 2.0
+            common.setUint16(2, 0x0800, true); // names are UTF-8
+            common.setUint16(4, method, true);
+            common.setUint16(6, time, true);
+            common.setUint16(8, date, true);
+            common.setUint32(10, crc, true);
+            common.setUint32(14, stored.length, true);
+            common.setUint32(18, data.length, true);
+            common.setUint16(22, name.length, true);
+            common.setUint16(24, 0, true); // extra field length
+            const commonBytes = new Uint8Array(common.buffer);
+            
+            const local = new Uint8Array(30);
+            new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+            local.set(commonBytes, 4);
+            parts.push(local, name, stored);
+            
+            const central = new Uint8Array(46);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true); // version made by
+            central.set(commonBytes, 6);
+            centralView.setUint32(42, offset, true); // comment length, disk, attributes stay 0
+            directory.push(central, name);
+            
+            offset += local.length + name.length + stored.length;
+        }
+        
+        const directorySize = directory.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+    
+    // Raw deflate, or null where CompressionStream is not available
+    static async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    static crc32(data) {
+        if (!ChatZip.crcTable) {
+            ChatZip.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ChatZip.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = ChatZip.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    // MS-DOS local time, the only timestamp in a plain ZIP header (from 1980, 2-second steps)
+    static dosDateTime(value) {
+        const year = Math.max(1980, value.getFullYear());
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatZip;
+} else if (typeof window !== 'undefined') {
+    window.ChatZip = ChatZip;
+}
\ No newline at end of file
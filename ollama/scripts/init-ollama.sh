@@ -135,6 +135,27 @@ create_model() {
     fi
 }
 
+# Document collections need an embeddings model next to the chat model
+ensure_embed_model() {
+    local embed_model="$1"
+    
+    if [ -z "$embed_model" ]; then
+        return 0
+    fi
+    
+    if ollama list | grep -q "^$embed_model"; then
+        log "Embeddings model '$embed_model' already exists"
+        return 0
+    fi
+    
+    log "Pulling embeddings model '$embed_model'..."
+    if ollama pull "$embed_model"; then
+        log "✅ Embeddings model '$embed_model' pulled"
+    else
+        log "WARNING: Could not pull '$embed_model' - document collections will not work until it is available"
+    fi
+}
+
 main() {
     log "=== Ollama Model Initialization Script ==="
     log "Model: $MODEL_NAME"
@@ -197,6 +218,8 @@ main() {
         fi
     fi
     
+    ensure_embed_model "${EMBED_MODEL}"
+    
     log "=== Model initialization complete, keeping Ollama server running ==="
     
     # Wait for the Ollama process